@@ -0,0 +1,184 @@
+/**
+ * Local stand-in for a data API, serving public/data through the contract the
+ * "api" data provider expects:
+ *   GET  /models              model manifest, with file paths pointing at the routes below
+ *   GET  /models/:id/:role    a model file as JSON rows (HEAD returns its validators only)
+ * It also serves the files as they are, the way the static and url providers find them:
+ *   GET  {publicPath}data/:file
+ *
+ * Usage: npm run mock-api [-- --port 4000]
+ * then build or start the app with
+ *   REACT_APP_DATA_PROVIDER=api REACT_APP_DATA_BASE_URL=http://localhost:4000/
+ *
+ * Tests can require the module and call startMockDataServer instead.
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Papa = require('papaparse');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'public', 'data');
+const MANIFEST_FILE = 'models.json';
+
+// Content types of the static data files, by extension
+const CONTENT_TYPES = {
+  '.csv': 'text/csv; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.arrow': 'application/vnd.apache.arrow.file'
+};
+
+// Document and weight files keep numeric cells as numbers, like a typed database column would
+const TYPED_ROLES = new Set(['documentTopics', 'weights']);
+
+/**
+ * Read the manifest of the data directory
+ * @param {String} dataDir Directory holding models.json and the model files
+ * @returns {Object} Parsed manifest
+ */
+const readManifest = (dataDir) => JSON.parse(fs.readFileSync(path.join(dataDir, MANIFEST_FILE), 'utf8'));
+
+/**
+ * Rewrite the manifest so every file points at its API route
+ * @param {Object} manifest Manifest read from disk
+ * @returns {Object} Manifest served by GET /models
+ */
+const toApiManifest = (manifest) => ({
+  ...manifest,
+  models: manifest.models.map(model => ({
+    ...model,
+    files: Object.fromEntries(Object.keys(model.files).map(role => [role, `models/${model.id}/${role}`]))
+  }))
+});
+
+/**
+ * Send a response with CORS headers so the dev server on another port can call the API
+ * @param {http.ServerResponse} response Response
+ * @param {Number} status HTTP status
+ * @param {Object} headers Extra headers
+ * @param {String} body Response body (omitted for HEAD requests)
+ */
+const send = (response, status, headers, body) => {
+  response.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Accept',
+    'Access-Control-Expose-Headers': 'ETag, Last-Modified',
+    ...headers
+  });
+  response.end(body);
+};
+
+/**
+ * Send JSON, or only its headers for HEAD requests
+ * @param {http.IncomingMessage} request Request
+ * @param {http.ServerResponse} response Response
+ * @param {*} data Data to serialize
+ * @param {fs.Stats} stats Stats of the file the data was read from, used for the validators
+ */
+const sendJson = (request, response, data, stats) => {
+  const body = JSON.stringify(data);
+  send(response, 200, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    ETag: `"${stats.size.toString(16)}-${stats.mtimeMs.toString(16)}"`,
+    'Last-Modified': stats.mtime.toUTCString()
+  }, request.method === 'HEAD' ? undefined : body);
+};
+
+/**
+ * Send a data file as it is stored, or only its headers for HEAD requests
+ * @param {http.IncomingMessage} request Request
+ * @param {http.ServerResponse} response Response
+ * @param {String} filePath Path of the file
+ */
+const sendFile = (request, response, filePath) => {
+  const stats = fs.statSync(filePath);
+  send(response, 200, {
+    'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+    'Content-Length': stats.size,
+    ETag: `"${stats.size.toString(16)}-${stats.mtimeMs.toString(16)}"`,
+    'Last-Modified': stats.mtime.toUTCString()
+  }, request.method === 'HEAD' ? undefined : fs.readFileSync(filePath));
+};
+
+/**
+ * Create the request handler for a data directory
+ * @param {String} dataDir Directory holding models.json and the model files
+ * @param {String} publicPath Path the app is served under, ending with a slash
+ * @returns {Function} Request handler
+ */
+const createHandler = (dataDir, publicPath) => (request, response) => {
+  if (request.method === 'OPTIONS') return send(response, 204, {});
+  if (request.method !== 'GET' && request.method !== 'HEAD') return send(response, 405, {}, 'Method not allowed');
+
+  const pathname = new URL(request.url, 'http://localhost').pathname;
+  const segments = pathname.split('/').filter(Boolean);
+  const manifestPath = path.join(dataDir, MANIFEST_FILE);
+  const staticPrefix = `${publicPath}data/`;
+
+  try {
+    if (pathname.startsWith(staticPrefix)) {
+      const name = decodeURIComponent(pathname.slice(staticPrefix.length));
+      const filePath = path.join(dataDir, name);
+      // Only plain files directly inside the data directory are served
+      if (name === '' || name.includes('/') || name.includes('\\') || !fs.existsSync(filePath)) return send(response, 404, {}, 'Not found');
+      return sendFile(request, response, filePath);
+    }
+
+    if (segments.length === 1 && segments[0] === 'models') {
+      return sendJson(request, response, toApiManifest(readManifest(dataDir)), fs.statSync(manifestPath));
+    }
+
+    if (segments.length === 3 && segments[0] === 'models') {
+      const [, modelId, role] = segments;
+      const model = readManifest(dataDir).models.find(entry => entry.id === modelId);
+      const file = model && model.files[role];
+      const filePath = file && path.join(dataDir, file);
+      if (!filePath || !fs.existsSync(filePath)) return send(response, 404, {}, 'Not found');
+
+      const { data } = Papa.parse(fs.readFileSync(filePath, 'utf8'), {
+        header: true,
+        skipEmptyLines: true,
+        dynamicTyping: TYPED_ROLES.has(role)
+      });
+      return sendJson(request, response, data, fs.statSync(filePath));
+    }
+
+    return send(response, 404, {}, 'Not found');
+  } catch (error) {
+    console.error(`${request.method} ${request.url} failed:`, error);
+    return send(response, 500, {}, error.message);
+  }
+};
+
+/**
+ * Start the mock data API
+ * @param {Object} options Server options
+ * @param {Number} options.port Port to listen on (0 picks a free one)
+ * @param {String} options.dataDir Directory holding models.json and the model files (default public/data)
+ * @param {String} options.publicPath Path the static files are served under, like PUBLIC_URL (default '/')
+ * @returns {Promise<Object>} { url, close } where url is the base URL to use as REACT_APP_DATA_BASE_URL
+ */
+const startMockDataServer = ({ port = 0, dataDir = DEFAULT_DATA_DIR, publicPath = '/' } = {}) => new Promise((resolve, reject) => {
+  const server = http.createServer(createHandler(dataDir, publicPath.endsWith('/') ? publicPath : `${publicPath}/`));
+  server.once('error', reject);
+  server.listen(port, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}/`,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+module.exports = { startMockDataServer };
+
+if (require.main === module) {
+  const portIndex = process.argv.indexOf('--port');
+  const port = portIndex !== -1 ? Number(process.argv[portIndex + 1]) : 4000;
+
+  startMockDataServer({ port })
+    .then(({ url }) => console.log(`Mock data API listening on ${url}`))
+    .catch(error => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,115 @@
+/**
+ * Precompute the processed aggregates of every model in public/data/models.json
+ * and write them to public/data/processed.json, which loadAllData prefers over
+ * the raw files while it is newer than them.
+ *
+ * Usage: npm run precompute [-- --normalization l1]
+ */
+const fs = require('fs');
+const path = require('path');
+const { File } = require('buffer');
+
+// The processing code is written as ES modules for the app bundle
+require('@babel/register')({
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+  only: [path.join(__dirname, '..', 'src')],
+  babelrc: false,
+  configFile: false
+});
+
+const { loadRawData, processData } = require('../src/utils/dataProcessing');
+const { NORMALIZATION_STRATEGIES } = require('../src/utils/processingOptions');
+const { DEFAULT_MANIFEST, resolveModel } = require('../src/utils/modelManifest');
+const { createProcessedBundle, PROCESSED_FILE } = require('../src/utils/precomputedData');
+const { createDataProvider, STATIC_DATA_DIRECTORY } = require('../src/utils/dataProviders');
+
+const DATA_DIR = path.join(__dirname, '..', 'public', STATIC_DATA_DIRECTORY);
+const MANIFEST_FILE = createDataProvider({ type: 'static' }).manifestPath;
+
+/**
+ * Read a command line option given as --name value
+ * @param {String} name Option name
+ * @param {String} fallback Value used when the option is missing
+ * @returns {String} Option value
+ */
+const getOption = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+/**
+ * Resolve a manifest path such as topic_labels.csv inside public/data
+ * @param {String} dataPath Path relative to the data directory
+ * @returns {String} File system path
+ */
+const toDataPath = (dataPath) => path.join(DATA_DIR, dataPath);
+
+/**
+ * Read the model manifest, falling back to the built-in default like the app does
+ * @returns {Object} Model manifest
+ */
+const readManifest = () => {
+  const manifestPath = toDataPath(MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    console.warn(`${manifestPath} not found, using the default model`);
+    return DEFAULT_MANIFEST;
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+};
+
+/**
+ * Open the data files of a model as File objects, which the loaders read like imported files
+ * @param {Object} files Manifest paths keyed by role
+ * @returns {Object} File objects keyed by role
+ */
+const openModelFiles = (files) => {
+  const opened = {};
+  Object.entries(files).forEach(([role, dataPath]) => {
+    opened[role] = new File([fs.readFileSync(toDataPath(dataPath))], dataPath);
+  });
+  return opened;
+};
+
+const main = async () => {
+  const normalization = getOption('normalization', 'auto');
+  if (!NORMALIZATION_STRATEGIES[normalization]) {
+    throw new Error(`Unknown normalization "${normalization}"`);
+  }
+
+  const manifest = readManifest();
+  const entries = [];
+
+  for (const { id } of manifest.models) {
+    const model = resolveModel(manifest, id);
+    const remoteFile = Object.values(model.paths).find(file => /^(https?:)?\/\//.test(file) || file.startsWith('/'));
+    if (remoteFile) {
+      console.warn(`Skipping ${model.id}: ${remoteFile} is not in public/${STATIC_DATA_DIRECTORY}`);
+      continue;
+    }
+    // The build runs this script, so a model whose files are not checked in must not fail it
+    const missingFile = Object.values(model.paths).find(file => !fs.existsSync(toDataPath(file)));
+    if (missingFile) {
+      console.warn(`Skipping ${model.id}: public/${STATIC_DATA_DIRECTORY}/${missingFile} not found`);
+      continue;
+    }
+
+    console.log(`Processing ${model.id} (${model.label})`);
+    const raw = await loadRawData(openModelFiles(model.paths));
+    const processed = processData(raw, { normalization });
+    entries.push({ model, raw, processed });
+  }
+
+  if (entries.length === 0) {
+    console.warn("No model could be precomputed, so the app will load the raw files");
+    return;
+  }
+
+  const bundle = createProcessedBundle(entries);
+  fs.writeFileSync(toDataPath(PROCESSED_FILE), JSON.stringify(bundle));
+  console.log(`Wrote public/${STATIC_DATA_DIRECTORY}/${PROCESSED_FILE} with ${entries.length} model(s)`);
+};
+
+main().catch(error => {
+  console.error(error.failures ? JSON.stringify(error.failures, null, 2) : error);
+  process.exitCode = 1;
+});
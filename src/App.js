@@ -5,32 +5,87 @@ import Footer from './components/Footer';
 import Intro from './components/Intro';
 import TopicOverview from './components/TopicOverview';
 import TopicEvolution from './components/TopicEvolution';
+import TopicDiversity from './components/TopicDiversity';
 import AuthorTopicDistribution from './components/AuthorTopicDistribution';
+import SimilarBooks from './components/SimilarBooks';
+import LiteraryMap from './components/LiteraryMap';
+import DocumentExplorer from './components/DocumentExplorer';
 import TopicNetwork from './components/TopicNetwork';
 import KeywordsCloud from './components/KeywordsCloud';
 import TemporalTrends from './components/TemporalTrends';
-import { loadAllData } from './utils/dataProcessing';
+import TopicAlignment from './components/TopicAlignment';
+import ImportPanel from './components/ImportPanel';
+import DataErrorScreen from './components/DataErrorScreen';
+import LoadingScreen from './components/LoadingScreen';
+import { loadAllDataInWorker } from './utils/dataWorkerClient';
+
+// URL query parameter holding the selected model id, so links can point at a specific run
+const MODEL_PARAM = 'model';
+
+/**
+ * Read the model id from the page URL
+ * @returns {String|null} Model id, or null when the URL does not name one
+ */
+const getModelIdFromUrl = () => new URLSearchParams(window.location.search).get(MODEL_PARAM);
+
+/**
+ * Write the model id into the page URL without adding a history entry
+ * @param {String} modelId Model id
+ */
+const setModelIdInUrl = (modelId) => {
+  const url = new URL(window.location.href);
+  if (url.searchParams.get(MODEL_PARAM) === modelId) return;
+  url.searchParams.set(MODEL_PARAM, modelId);
+  window.history.replaceState(null, '', url);
+};
 
 function App() {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [progress, setProgress] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  const [modelId, setModelId] = useState(getModelIdFromUrl);
+  const [normalization, setNormalization] = useState('auto');
+  const [importedFiles, setImportedFiles] = useState(null); // { sources, columnMap } from ImportPanel
   const [activeSection, setActiveSection] = useState('intro');
 
   useEffect(() => {
+    // Ignore background updates once another model or normalization has been requested
+    let cancelled = false;
+
     const fetchData = async () => {
       setLoading(true);
+      setLoadError(null);
+      setProgress(null);
       try {
-        const loadedData = await loadAllData();
+        const loadedData = await loadAllDataInWorker({
+          modelId,
+          normalization,
+          ...importedFiles,
+          onProgress: update => setProgress(previous => ({ ...previous, [update.stage]: update })),
+          // Cached data is shown at once and replaced if the server has newer files
+          onRevalidate: freshData => {
+            if (freshData && !cancelled) setData(freshData);
+          }
+        });
         setData(loadedData);
+        // Unknown ids fall back to the default model, so record the model actually shown
+        if (!loadedData.model.imported) setModelIdInUrl(loadedData.model.id);
       } catch (error) {
         console.error("Error loading data:", error);
+        setLoadError(error);
       } finally {
         setLoading(false);
       }
     };
 
     fetchData();
-  }, []);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [loadAttempt, modelId, normalization, importedFiles]);
 
   const handleScroll = () => {
     // This will be expanded to handle scrollytelling triggers
@@ -45,20 +100,33 @@ function App() {
   }, []);
 
   if (loading) {
+    return <LoadingScreen progress={progress} />;
+  }
+
+  if (loadError || !data) {
     return (
-      <div className="loading-container">
-        <div className="loading-spinner"></div>
-        <p>Loading the Literary Visualizations...</p>
-      </div>
+      <DataErrorScreen
+        error={loadError || new Error("No data was loaded")}
+        onRetry={() => setLoadAttempt(attempt => attempt + 1)}
+        onReset={importedFiles ? () => setImportedFiles(null) : null}
+      />
     );
   }
 
   return (
     <div className="App">
-      <Header activeSection={activeSection} />
+      <Header
+        activeSection={activeSection}
+        models={data.models}
+        modelId={data.model.id}
+        onModelChange={setModelId}
+        normalization={normalization}
+        appliedNormalization={data.processed.topicMatrix.strategy}
+        onNormalizationChange={setNormalization}
+      />
       
       <main className="content">
-        <Intro />
+        <Intro topicKeys={data.processed.topicKeys} />
         
         <section className="visualization-section">
           <TopicOverview data={data} />
@@ -68,10 +136,26 @@ function App() {
           <TopicEvolution data={data} />
         </section>
         
+        <section className="visualization-section">
+          <TopicDiversity data={data} />
+        </section>
+        
         <section className="visualization-section">
           <AuthorTopicDistribution data={data} />
         </section>
         
+        <section className="visualization-section">
+          <SimilarBooks data={data} />
+        </section>
+        
+        <section className="visualization-section">
+          <LiteraryMap data={data} />
+        </section>
+        
+        <section className="visualization-section">
+          <DocumentExplorer data={data} />
+        </section>
+        
         <section className="visualization-section">
           <TopicNetwork data={data} />
         </section>
@@ -83,9 +167,21 @@ function App() {
         <section className="visualization-section">
           <TemporalTrends data={data} />
         </section>
+        
+        <section className="visualization-section">
+          <TopicAlignment data={data} />
+        </section>
+        
+        <section className="visualization-section">
+          <ImportPanel
+            isImported={data.model.imported}
+            onImport={setImportedFiles}
+            onReset={() => setImportedFiles(null)}
+          />
+        </section>
       </main>
       
-      <Footer />
+      <Footer cachedAt={data.cachedAt} />
     </div>
   );
 }
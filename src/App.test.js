@@ -1,8 +1,8 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('shows the loading screen while the data loads', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  const loadingMessage = screen.getByText(/loading the literary visualizations/i);
+  expect(loadingMessage).toBeInTheDocument();
 });
@@ -0,0 +1,252 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import { cutTree, getLeafOrder, hierarchicalClustering, LINKAGE_METHODS } from '../utils/clustering';
+import { distanceMatrix, SIMILARITY_METRICS } from '../utils/similarity';
+import '../styles/AuthorClusters.css';
+
+// Numbers of author groups the tree can be cut into
+const GROUP_COUNTS = [2, 3, 4, 5, 6];
+
+// Colours of the author groups, as for network communities
+const GROUP_COLORS = d3.schemeTableau10;
+
+// Colour of dendrogram branches joining different groups
+const TRUNK_COLOR = '#999999';
+
+const ROW_HEIGHT = 26;
+const DENDROGRAM_WIDTH = 180;
+
+/**
+ * Lay out the dendrogram: leaves on the right edge in row order, merges further left the
+ * more distant the clusters they join
+ * @param {Object} root Tree from hierarchicalClustering
+ * @param {Function} rowY Function giving the y of a leaf's row from its item index
+ * @param {Function} x Scale from merge height to x
+ * @param {Array} membership Group of every item from cutTree
+ * @returns {Array} Merges as { x, y, left, right, group } objects, where group is null for merges across groups
+ */
+const layoutDendrogram = (root, rowY, x, membership) => {
+  const merges = [];
+  const place = (node) => {
+    if (!node.left) return { x: x(0), y: rowY(node.index), group: membership[node.index] };
+    const left = place(node.left);
+    const right = place(node.right);
+    const position = {
+      x: x(node.height),
+      y: (left.y + right.y) / 2,
+      group: left.group === right.group ? left.group : null
+    };
+    merges.push({ ...position, left, right });
+    return position;
+  };
+  place(root);
+  return merges;
+};
+
+/**
+ * Draw the dendrogram next to the author × topic heatmap, rows in dendrogram order
+ * @param {Object} svgRef Ref of the chart svg
+ * @param {Object} tooltipRef Ref of the tooltip
+ * @param {Object} options Chart contents: { authors, topicKeys, topicNames, root, membership,
+ *   display, selectedAuthor, onSelectAuthor }
+ */
+const createClusterChart = (svgRef, tooltipRef, options) => {
+  const { authors, topicKeys, topicNames, root, membership, display, selectedAuthor, onSelectAuthor } = options;
+  d3.select(svgRef.current).selectAll("*").remove();
+
+  const margin = { top: 150, right: 230, bottom: 50, left: 10 };
+  const width = svgRef.current.clientWidth - margin.left - margin.right;
+  const height = authors.length * ROW_HEIGHT;
+  const heatmapWidth = Math.max(topicKeys.length * 12, width - DENDROGRAM_WIDTH);
+
+  const svg = d3.select(svgRef.current)
+    .attr("width", DENDROGRAM_WIDTH + heatmapWidth + margin.left + margin.right)
+    .attr("height", height + margin.top + margin.bottom)
+    .append("g")
+    .attr("transform", `translate(${margin.left},${margin.top})`);
+
+  const tooltip = d3.select(tooltipRef.current);
+  const order = getLeafOrder(root);
+  const rowIndex = new Map(order.map((index, row) => [index, row]));
+  const rowY = index => rowIndex.get(index) * ROW_HEIGHT + ROW_HEIGHT / 2;
+  const groupColor = group => (group === null ? TRUNK_COLOR : GROUP_COLORS[group % GROUP_COLORS.length]);
+
+  // Dendrogram
+  const x = d3.scaleLinear()
+    .domain([0, root.height || 1])
+    .range([DENDROGRAM_WIDTH, 0]);
+
+  svg.append("g")
+    .attr("class", "dendrogram")
+    .selectAll("path")
+    .data(layoutDendrogram(root, rowY, x, membership))
+    .enter()
+    .append("path")
+    .attr("d", d => `M${d.left.x},${d.left.y}H${d.x}V${d.right.y}H${d.right.x}`)
+    .attr("fill", "none")
+    .attr("stroke", d => groupColor(d.group))
+    .attr("stroke-width", 1.5);
+
+  svg.append("g")
+    .attr("transform", `translate(0,${height + 6})`)
+    .call(d3.axisBottom(x).ticks(3))
+    .selectAll("text")
+    .style("font-size", "11px");
+
+  svg.append("text")
+    .attr("x", DENDROGRAM_WIDTH / 2)
+    .attr("y", height + 40)
+    .attr("text-anchor", "middle")
+    .attr("fill", "var(--text-primary)")
+    .style("font-size", "12px")
+    .text("Merge distance");
+
+  // Heatmap
+  const heatmap = svg.append("g")
+    .attr("transform", `translate(${DENDROGRAM_WIDTH + 10},0)`);
+
+  const column = d3.scaleBand()
+    .domain(topicKeys)
+    .range([0, heatmapWidth - 10])
+    .padding(0.04);
+
+  const maxShare = d3.max(authors, author => d3.max(topicKeys, topicKey => author.topicDistribution[topicKey] || 0)) || 1;
+  const color = d3.scaleSequential(d3.interpolateYlOrBr).domain([0, maxShare]);
+
+  const cells = authors.flatMap((author, index) => topicKeys.map(topicKey => ({
+    author,
+    index,
+    topicKey,
+    value: author.topicDistribution[topicKey] || 0
+  })));
+
+  heatmap.selectAll(".heatmap-cell")
+    .data(cells)
+    .enter()
+    .append("rect")
+    .attr("class", d => `heatmap-cell ${selectedAuthor === d.author.id ? 'selected' : ''}`)
+    .attr("x", d => column(d.topicKey))
+    .attr("y", d => rowY(d.index) - ROW_HEIGHT / 2 + 1)
+    .attr("width", column.bandwidth())
+    .attr("height", ROW_HEIGHT - 2)
+    .attr("fill", d => color(d.value))
+    .on("mouseover", function(event, d) {
+      tooltip
+        .style("opacity", 1)
+        .style("left", `${event.pageX + 10}px`)
+        .style("top", `${event.pageY - 10}px`)
+        .html(`
+          <div class="tooltip-title">${display(d.author.name)}</div>
+          <div class="tooltip-subtitle">${topicNames[d.topicKey] || d.topicKey}</div>
+          <div class="tooltip-value">Prevalence: ${(d.value * 100).toFixed(2)}%</div>
+          <div class="tooltip-value">Group ${membership[d.index] + 1}</div>
+        `);
+    })
+    .on("mouseout", () => {
+      tooltip.style("opacity", 0);
+    });
+
+  heatmap.selectAll(".heatmap-topic-label")
+    .data(topicKeys)
+    .enter()
+    .append("text")
+    .attr("class", "heatmap-topic-label")
+    .attr("transform", d => `translate(${column(d) + column.bandwidth() / 2},-8) rotate(-50)`)
+    .text(d => topicNames[d] || d);
+
+  // Author labels, with a swatch of their group
+  const labels = heatmap.append("g")
+    .attr("transform", `translate(${heatmapWidth},0)`)
+    .selectAll("g")
+    .data(authors.map((author, index) => ({ author, index })))
+    .enter()
+    .append("g")
+    .attr("class", d => `heatmap-author ${selectedAuthor === d.author.id ? 'selected' : ''}`)
+    .attr("transform", d => `translate(0,${rowY(d.index)})`)
+    .on("click", (event, d) => onSelectAuthor(selectedAuthor === d.author.id ? null : d.author.id));
+
+  labels.append("circle")
+    .attr("r", 5)
+    .attr("fill", d => groupColor(membership[d.index]));
+
+  labels.append("text")
+    .attr("x", 12)
+    .attr("dominant-baseline", "middle")
+    .text(d => `${display(d.author.name)} (${d.author.count})`);
+};
+
+/**
+ * Authors clustered by the distance between their average topic distributions, drawn as a
+ * dendrogram beside an author × topic heatmap in the dendrogram's order
+ * @param {Object} props Component props
+ * @param {Array} props.authors Top authors from processData
+ * @param {Array} props.topicKeys Array of topic keys
+ * @param {Object} props.topicNames Object mapping topic keys to names
+ * @param {String} props.selectedAuthor Id of the selected author, or null
+ * @param {Function} props.onSelectAuthor Called with the id of a clicked author, or null to clear
+ * @param {Function} props.display Display function from useScript
+ */
+const AuthorClusters = ({ authors, topicKeys, topicNames, selectedAuthor, onSelectAuthor, display }) => {
+  const svgRef = useRef(null);
+  const tooltipRef = useRef(null);
+  const [linkage, setLinkage] = useState('average');
+  const [metric, setMetric] = useState('jensenShannon');
+  const [groupCount, setGroupCount] = useState(3);
+
+  const root = useMemo(() => {
+    const values = Float64Array.from(authors.flatMap(author => topicKeys.map(topicKey => author.topicDistribution[topicKey] || 0)));
+    const distances = distanceMatrix({ values, rowCount: authors.length, topicCount: topicKeys.length }, metric);
+    return hierarchicalClustering(distances, linkage);
+  }, [authors, topicKeys, metric, linkage]);
+
+  const membership = useMemo(() => (root ? cutTree(root, groupCount) : []), [root, groupCount]);
+
+  useEffect(() => {
+    if (!root || !svgRef.current || !tooltipRef.current) return;
+    createClusterChart(svgRef, tooltipRef, {
+      authors, topicKeys, topicNames, root, membership, display, selectedAuthor, onSelectAuthor
+    });
+  }, [authors, topicKeys, topicNames, root, membership, display, selectedAuthor, onSelectAuthor]);
+
+  return (
+    <div className="author-clusters">
+      <div className="controls">
+        <label className="control-label">
+          Linkage
+          <select className="control-select" value={linkage} onChange={event => setLinkage(event.target.value)}>
+            {Object.entries(LINKAGE_METHODS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="control-label">
+          Distance
+          <select className="control-select" value={metric} onChange={event => setMetric(event.target.value)}>
+            {Object.entries(SIMILARITY_METRICS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="control-label">
+          Groups
+          <select
+            className="control-select"
+            value={groupCount}
+            onChange={event => setGroupCount(Number(event.target.value))}
+          >
+            {GROUP_COUNTS.filter(count => count <= authors.length).map(count => (
+              <option key={count} value={count}>{count}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="visualization-container author-clusters-container">
+        <svg ref={svgRef} className="author-clusters-chart"></svg>
+        <div ref={tooltipRef} className="tooltip"></div>
+      </div>
+    </div>
+  );
+};
+
+export default AuthorClusters;
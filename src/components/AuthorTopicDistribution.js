@@ -1,29 +1,76 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import * as d3 from 'd3';
-import { topicColors } from '../utils/colors';
+import { getTopicColor } from '../utils/colors';
+import { topicLabelsInScript } from '../utils/transliteration';
+import { useScript } from '../context/ScriptContext';
+import AuthorClusters from './AuthorClusters';
 import '../styles/AuthorTopicDistribution.css';
 
+// Orders of the author rows, with their UI labels
+const AUTHOR_SORTS = {
+  count: 'Number of books',
+  effectiveTopics: 'Topics per book',
+  breadth: 'Overall topic breadth',
+  name: 'Name'
+};
+
+// Diversity columns drawn between the bars and the legend
+const DIVERSITY_COLUMNS = [
+  { key: 'effectiveTopics', label: 'Per book' },
+  { key: 'breadth', label: 'Overall' }
+];
+const DIVERSITY_COLUMN_WIDTH = 65;
+
 const AuthorTopicDistribution = ({ data }) => {
+  const { script, display } = useScript();
   const svgRef = useRef(null);
   const tooltipRef = useRef(null);
   const [selectedAuthor, setSelectedAuthor] = useState(null);
+  const [sort, setSort] = useState({ key: 'count', descending: true });
+  const [view, setView] = useState('bars'); // 'bars' or 'clusters'
+  
+  // Topic names for the cluster heatmap
+  const topicNames = useMemo(() => {
+    const names = {};
+    topicLabelsInScript(data.raw.topicLabels, script).forEach(label => {
+      const topicNumber = label["Topic Number"].replace("Topic ", "");
+      names[`Topic_${topicNumber}`] = label["Topic Name"];
+    });
+    return names;
+  }, [data, script]);
   
   useEffect(() => {
     if (!data || !svgRef.current || !tooltipRef.current) return;
     
-    const topAuthors = data.processed.topAuthors;
-    const topicLabels = data.raw.topicLabels;
+    const topicLabels = topicLabelsInScript(data.raw.topicLabels, script);
+    const topicKeys = data.processed.topicKeys;
+    
+    // Order the authors; missing diversity values sort last
+    const sortValue = author => (sort.key === 'name' ? display(author.name) : author[sort.key]);
+    const topAuthors = [...data.processed.topAuthors].sort((a, b) => {
+      const valueA = sortValue(a);
+      const valueB = sortValue(b);
+      if (valueA === null || valueB === null) return (valueA === null) - (valueB === null);
+      const order = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+      return sort.descending ? -order : order;
+    });
     
     // Create the visualization
-    createVisualization(topAuthors, topicLabels, svgRef, tooltipRef, selectedAuthor, setSelectedAuthor);
+    createVisualization(topAuthors, topicLabels, topicKeys, svgRef, tooltipRef, selectedAuthor, setSelectedAuthor, display, sort, sortBy);
     
-  }, [data, selectedAuthor]);
+  }, [data, selectedAuthor, script, display, sort, view]);
+  
+  // Sort by a key, reversing the order when it is already the sort key
+  const sortBy = (key) => {
+    setSort(current => ({ key, descending: current.key === key ? !current.descending : key !== 'name' }));
+  };
   
-  const createVisualization = (authors, topicLabels, svgRef, tooltipRef, selectedAuthor, setSelectedAuthor) => {
+  const createVisualization = (authors, topicLabels, topicKeys, svgRef, tooltipRef, selectedAuthor, setSelectedAuthor, display, sort, sortBy) => {
     // Clear previous chart
     d3.select(svgRef.current).selectAll("*").remove();
     
-    const margin = { top: 60, right: 200, bottom: 80, left: 250 };
+    const diversityWidth = DIVERSITY_COLUMNS.length * DIVERSITY_COLUMN_WIDTH;
+    const margin = { top: 60, right: 200 + diversityWidth, bottom: 80, left: 250 };
     const width = svgRef.current.clientWidth - margin.left - margin.right;
     const height = Math.max(500, authors.length * 40) - margin.top - margin.bottom;
     
@@ -49,22 +96,26 @@ const AuthorTopicDistribution = ({ data }) => {
     
     authors.forEach(author => {
       const authorData = {
+        id: author.id,
         name: author.name,
-        count: author.count
+        variants: author.variants,
+        count: author.count,
+        effectiveTopics: author.effectiveTopics,
+        breadth: author.breadth
       };
       
       // Add topic values
-      for (let i = 1; i <= 13; i++) {
-        const topicKey = `Topic_${i}`;
+      topicKeys.forEach(topicKey => {
         authorData[topicKey] = author.topicDistribution[topicKey] || 0;
-      }
+      });
       
       stackedData.push(authorData);
     });
     
-    // Create Y scale for authors
+    // Create Y scale for authors, keyed by canonical author id and labelled with display names
+    const authorNames = new Map(authors.map(a => [a.id, display(a.name)]));
     const y = d3.scaleBand()
-      .domain(authors.map(a => a.name))
+      .domain(authors.map(a => a.id))
       .range([0, height])
       .padding(0.1);
     
@@ -74,7 +125,7 @@ const AuthorTopicDistribution = ({ data }) => {
     
     // Create stacks
     const stack = d3.stack()
-      .keys(Array.from({length: 13}, (_, i) => `Topic_${i+1}`))
+      .keys(topicKeys)
       .order(d3.stackOrderNone)
       .offset(d3.stackOffsetNone);
     
@@ -82,7 +133,7 @@ const AuthorTopicDistribution = ({ data }) => {
     
     // Add Y axis
     svg.append("g")
-      .call(d3.axisLeft(y))
+      .call(d3.axisLeft(y).tickFormat(id => authorNames.get(id)))
       .selectAll("text")
         .style("font-size", "12px")
         .style("font-weight", d => selectedAuthor === d ? "bold" : "normal")
@@ -100,7 +151,7 @@ const AuthorTopicDistribution = ({ data }) => {
   svg.append("text")
     .attr("class", "persistent-label")
     .attr("x", x(d[0] + (d[1] - d[0])/2))
-    .attr("y", y(d.data.name) + y.bandwidth()/2)
+    .attr("y", y(d.data.id) + y.bandwidth()/2)
     .attr("text-anchor", "middle")
     .attr("dominant-baseline", "middle")
     .attr("font-size", "12px")
@@ -130,14 +181,14 @@ const AuthorTopicDistribution = ({ data }) => {
       .data(series)
       .enter()
       .append("g")
-      .attr("fill", d => topicColors[d.key]);
+      .attr("fill", d => getTopicColor(d.key));
     
     groups.selectAll("rect")
       .data(d => d)
       .enter()
       .append("rect")
       .attr("x", d => x(d[0]))
-      .attr("y", d => y(d.data.name))
+      .attr("y", d => y(d.data.id))
       .attr("width", d => x(d[1]) - x(d[0]))
       .attr("height", y.bandwidth())
       .attr("opacity", 0.8)
@@ -156,16 +207,26 @@ const AuthorTopicDistribution = ({ data }) => {
         // Calculate value
         const value = d[1] - d[0];
         
+        // Spelling variants merged into this author, in the reader's script
+        const otherSpellings = Array.from(new Set(d.data.variants.map(display)))
+          .filter(spelling => spelling !== authorNames.get(d.data.id));
+        
         // Show tooltip
         tooltip
           .style("opacity", 1)
           .style("left", `${event.pageX + 10}px`)
           .style("top", `${event.pageY - 10}px`)
           .html(`
-            <div class="tooltip-title">${d.data.name}</div>
+            <div class="tooltip-title">${authorNames.get(d.data.id)}</div>
             <div class="tooltip-subtitle">${topicName}</div>
             <div class="tooltip-value">Prevalence: ${(value * 100).toFixed(2)}%</div>
             <div class="tooltip-value">Total Books: ${d.data.count}</div>
+            ${d.data.effectiveTopics !== null
+              ? `<div class="tooltip-value">Topics per book: ${d.data.effectiveTopics.toFixed(2)}, overall: ${d.data.breadth.toFixed(2)}</div>`
+              : ''}
+            ${otherSpellings.length > 0
+              ? `<div class="tooltip-value">Also written as: ${otherSpellings.join(', ')}</div>`
+              : ''}
           `);
       })
       .on("mouseout", function() {
@@ -178,6 +239,41 @@ const AuthorTopicDistribution = ({ data }) => {
         tooltip.style("opacity", 0);
       });
     
+    // Diversity columns: effective number of topics of the average book and of the whole oeuvre,
+    // with clickable headers that sort the authors
+    const diversity = svg.append("g")
+      .attr("class", "author-diversity")
+      .attr("transform", `translate(${width + 15}, 0)`);
+    
+    DIVERSITY_COLUMNS.forEach((column, i) => {
+      const columnX = i * DIVERSITY_COLUMN_WIDTH;
+      const isSorted = sort.key === column.key;
+      
+      diversity.append("text")
+        .attr("class", `diversity-header ${isSorted ? 'sorted' : ''}`)
+        .attr("x", columnX)
+        .attr("y", -10)
+        .text(`${column.label}${isSorted ? (sort.descending ? ' ▼' : ' ▲') : ''}`)
+        .on("click", () => sortBy(column.key));
+      
+      diversity.append("g")
+        .selectAll("text")
+        .data(authors)
+        .enter()
+        .append("text")
+        .attr("class", "diversity-value")
+        .attr("x", columnX)
+        .attr("y", d => y(d.id) + y.bandwidth() / 2)
+        .attr("dominant-baseline", "middle")
+        .text(d => (d[column.key] === null ? '–' : d[column.key].toFixed(1)));
+    });
+    
+    diversity.append("text")
+      .attr("class", "diversity-caption")
+      .attr("x", 0)
+      .attr("y", -28)
+      .text("Effective topics");
+    
     // Add legend
     const legend = svg.append("g")
       .attr("font-family", "sans-serif")
@@ -186,13 +282,13 @@ const AuthorTopicDistribution = ({ data }) => {
       .selectAll("g")
       .data(series.reverse())
       .enter().append("g")
-      .attr("transform", (d, i) => `translate(${width + 20}, ${i * 20})`);
+      .attr("transform", (d, i) => `translate(${width + diversityWidth + 20}, ${i * 20})`);
     
     legend.append("rect")
       .attr("x", 0)
       .attr("width", 15)
       .attr("height", 15)
-      .attr("fill", d => topicColors[d.key])
+      .attr("fill", d => getTopicColor(d.key))
       .attr("stroke", "white");
     
     legend.append("text")
@@ -207,7 +303,7 @@ const AuthorTopicDistribution = ({ data }) => {
     
     // Add legend title
     svg.append("text")
-      .attr("x", width + 20)
+      .attr("x", width + diversityWidth + 20)
       .attr("y", -10)
       .attr("text-anchor", "start")
       .style("font-size", "14px")
@@ -227,6 +323,32 @@ const AuthorTopicDistribution = ({ data }) => {
           </p>
           
           <div className="controls">
+            <button
+              className={`control-button ${view === 'bars' ? 'active' : ''}`}
+              onClick={() => setView('bars')}
+            >
+              Topic Bars
+            </button>
+            <button
+              className={`control-button ${view === 'clusters' ? 'active' : ''}`}
+              onClick={() => setView('clusters')}
+            >
+              Clusters
+            </button>
+            {view === 'bars' && (
+              <label className="control-label">
+                Sort by
+                <select
+                  className="control-select"
+                  value={sort.key}
+                  onChange={event => sortBy(event.target.value)}
+                >
+                  {Object.entries(AUTHOR_SORTS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            )}
             {selectedAuthor && (
               <button 
                 className="control-button"
@@ -238,10 +360,21 @@ const AuthorTopicDistribution = ({ data }) => {
           </div>
         </div>
         
-        <div className="visualization-container author-chart-container">
-          <svg ref={svgRef} className="author-chart"></svg>
-          <div ref={tooltipRef} className="tooltip"></div>
-        </div>
+        {view === 'bars' ? (
+          <div className="visualization-container author-chart-container">
+            <svg ref={svgRef} className="author-chart"></svg>
+            <div ref={tooltipRef} className="tooltip"></div>
+          </div>
+        ) : (
+          <AuthorClusters
+            authors={data.processed.topAuthors}
+            topicKeys={data.processed.topicKeys}
+            topicNames={topicNames}
+            selectedAuthor={selectedAuthor}
+            onSelectAuthor={setSelectedAuthor}
+            display={display}
+          />
+        )}
         
         <div className="explanation">
           <p>
@@ -253,6 +386,20 @@ const AuthorTopicDistribution = ({ data }) => {
             while others have a more balanced distribution across multiple topics. These thematic signatures 
             offer insights into each author's unique literary focus and style.
           </p>
+          <p>
+            The effective topics columns put a number on this. "Per book" averages how many themes each of the
+            author's books mixes, from 1 for a book about a single theme; "Overall" counts the themes of the whole
+            oeuvre together. An author who writes focused books on different themes scores low per book but high
+            overall. Click a column heading to sort the authors by it.
+          </p>
+          <p>
+            The clusters view groups authors who write alike. Authors are merged step by step, closest first, by the
+            distance between their average topic mixes; the dendrogram on the left records each merge, and the
+            further left two branches join, the more the authors differ. The heatmap follows the dendrogram's order,
+            so blocks of similar rows stand out. The linkage decides how far apart two groups are: from their closest
+            members (single), their farthest members (complete), all pairs on average, or by how much merging them
+            would spread the group (Ward's).
+          </p>
         </div>
       </div>
     </section>
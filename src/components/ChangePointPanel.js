@@ -0,0 +1,67 @@
+import React from 'react';
+import { getTopicColor } from '../utils/colors';
+import '../styles/ChangePointPanel.css';
+
+/**
+ * Format a topic share as a percentage
+ * @param {Number} value Share in [0, 1]
+ * @returns {String} Percentage with one decimal
+ */
+const formatShare = (value) => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * List of the detected change points with the mean prevalence before and after each break
+ * @param {Object} props Component props
+ * @param {Array} props.changePoints Topic change points from processData
+ * @param {Array} props.topicLabels Topic labels in the current script
+ * @param {String} props.highlightedTopic Topic key highlighted in the chart; only its breaks are listed
+ * @param {Function} props.onSelectTopic Called with the topic key of a clicked break
+ */
+const ChangePointPanel = ({ changePoints, topicLabels, highlightedTopic, onSelectTopic }) => {
+  const listed = highlightedTopic
+    ? changePoints.filter(changePoint => changePoint.topicKey === highlightedTopic)
+    : changePoints;
+
+  const getTopicName = (topicKey) => {
+    const topicNumber = topicKey.replace("Topic_", "");
+    const topicLabel = topicLabels.find(label => label["Topic Number"] === `Topic ${topicNumber}`);
+    return topicLabel ? topicLabel["Topic Name"] : topicKey;
+  };
+
+  return (
+    <div className="change-points">
+      <h3>Change Points</h3>
+      {listed.length === 0 ? (
+        <p className="change-points-empty">
+          {highlightedTopic ? 'No abrupt shift was found for this theme.' : 'No abrupt shifts were found.'}
+        </p>
+      ) : (
+        <ul className="change-point-list">
+          {listed.map(changePoint => {
+            const difference = changePoint.after - changePoint.before;
+            return (
+              <li
+                key={`${changePoint.topicKey}-${changePoint.year}`}
+                className={highlightedTopic === changePoint.topicKey ? 'highlighted' : ''}
+                onClick={() => onSelectTopic(changePoint.topicKey)}
+              >
+                <span className="change-point-year">{changePoint.year}</span>
+                <span className="change-point-topic" style={{ color: getTopicColor(changePoint.topicKey) }}>
+                  {getTopicName(changePoint.topicKey)}
+                </span>
+                <span className="change-point-means">
+                  {formatShare(changePoint.before)} → {formatShare(changePoint.after)}
+                  <span className={difference >= 0 ? 'change-up' : 'change-down'}>
+                    {' '}({difference >= 0 ? '+' : '−'}{Math.abs(difference * 100).toFixed(1)} pp)
+                  </span>
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ChangePointPanel;
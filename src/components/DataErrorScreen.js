@@ -0,0 +1,78 @@
+import React from 'react';
+import '../styles/DataErrorScreen.css';
+
+const DataErrorScreen = ({ error, onRetry, onReset }) => {
+  // Validation errors carry per-file diagnostics, anything else is shown as a single message
+  const failures = error.failures || [{
+    file: null,
+    message: error.message || String(error),
+    issues: [],
+    issueCount: 0
+  }];
+  // Only failures tied to a file are about missing or malformed data
+  const fileCount = failures.filter(failure => failure.file).length;
+
+  return (
+    <div className="data-error-screen">
+      <div className="data-error-container">
+        <h2>The literary data could not be loaded</h2>
+        <p className="data-error-intro">
+          {fileCount === 0
+            ? 'Something went wrong while loading or preparing the data.'
+            : fileCount === 1
+              ? 'One data file is missing or does not match the expected format.'
+              : `${fileCount} data files are missing or do not match the expected format.`}
+        </p>
+
+        {failures.map((failure, index) => (
+          <div key={failure.file || index} className="data-error-file">
+            {failure.file && <h3 className="data-error-filename">{failure.file}</h3>}
+            <p className="data-error-message">{failure.message}</p>
+
+            {failure.issues.length > 0 && (
+              <table className="data-error-issues">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Column</th>
+                    <th>Problem</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {failure.issues.map((issue, issueIndex) => (
+                    <tr key={issueIndex}>
+                      <td>{issue.row !== null ? issue.row : '–'}</td>
+                      <td>{issue.column || '–'}</td>
+                      <td>{issue.problem}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {failure.issueCount > failure.issues.length && (
+              <p className="data-error-more">
+                …and {failure.issueCount - failure.issues.length} more problems in this file.
+              </p>
+            )}
+          </div>
+        ))}
+
+        <div className="controls">
+          {onRetry && (
+            <button className="control-button" onClick={onRetry}>
+              Try Again
+            </button>
+          )}
+          {onReset && (
+            <button className="control-button" onClick={onReset}>
+              Return to the Published Data
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataErrorScreen;
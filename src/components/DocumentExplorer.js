@@ -0,0 +1,315 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { toSearchKey, topicLabelsInScript } from '../utils/transliteration';
+import { getDominantTopic, getTopicShares } from '../utils/similarity';
+import { getTopicColor } from '../utils/colors';
+import { useScript } from '../context/ScriptContext';
+import '../styles/DocumentExplorer.css';
+
+// Sortable columns, with the value each one sorts by; books without a value sort last
+const COLUMNS = [
+  { key: 'title', label: 'Title', value: row => row.title },
+  { key: 'author', label: 'Author', value: row => row.author },
+  { key: 'year', label: 'Year', value: row => row.year },
+  { key: 'dominantTopic', label: 'Dominant topic', value: row => row.dominantName },
+  { key: 'dominantShare', label: 'Share', value: row => row.dominantShare }
+];
+
+// Only the rows in view, plus a margin on either side, are rendered
+const ROW_HEIGHT = 40;
+const VIEWPORT_HEIGHT = 520;
+const OVERSCAN = 10;
+
+/**
+ * Searchable table of every book with its topic breakdown. Rows are windowed, so the table
+ * stays fast for corpora of many thousands of books.
+ * @param {Object} props Component props
+ * @param {Object} props.data Loaded data from loadAllData
+ */
+const DocumentExplorer = ({ data }) => {
+  const { script, display } = useScript();
+  const viewportRef = useRef(null);
+  const nextThresholdId = useRef(1);
+  const [query, setQuery] = useState('');
+  const [yearFrom, setYearFrom] = useState('');
+  const [yearTo, setYearTo] = useState('');
+  const [dominantFilter, setDominantFilter] = useState('');
+  const [thresholds, setThresholds] = useState([]); // [{ id, topicKey, minimum }] with minimum in percent
+  const [sort, setSort] = useState({ key: 'year', descending: false });
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const { documentTopics } = data.raw;
+  const { topicMatrix, topicKeys, authors } = data.processed;
+
+  const topicNames = useMemo(() => {
+    const names = {};
+    topicLabelsInScript(data.raw.topicLabels, script).forEach(label => {
+      const topicNumber = label["Topic Number"].replace("Topic ", "");
+      names[`Topic_${topicNumber}`] = label["Topic Name"];
+    });
+    return names;
+  }, [data, script]);
+
+  const rows = useMemo(() => documentTopics.map((doc, row) => {
+    const shares = getTopicShares(topicMatrix, row);
+    const dominantTopic = getDominantTopic(doc, shares, topicKeys);
+    const authorId = authors.documentIds[row];
+    const authorName = authorId !== null && authorId !== undefined ? authors.byId[authorId].name : null;
+    const year = parseInt(doc.Year);
+    return {
+      row,
+      title: display(doc["Book Title"]),
+      author: authorName === null ? null : display(authorName),
+      year: Number.isNaN(year) ? null : year,
+      dominantTopic,
+      dominantName: dominantTopic ? topicNames[dominantTopic] || dominantTopic : null,
+      dominantShare: dominantTopic ? shares[topicKeys.indexOf(dominantTopic)] : null,
+      shares,
+      searchKey: toSearchKey(`${doc["Book Title"]} ${authorName || ''}`)
+    };
+  }), [documentTopics, topicMatrix, topicKeys, authors, display, topicNames]);
+
+  const yearExtent = useMemo(() => {
+    const years = rows.map(row => row.year).filter(year => year !== null);
+    return years.length > 0 ? [Math.min(...years), Math.max(...years)] : ['', ''];
+  }, [rows]);
+
+  const filteredRows = useMemo(() => {
+    const key = toSearchKey(query).trim();
+    const from = yearFrom === '' ? null : Number(yearFrom);
+    const to = yearTo === '' ? null : Number(yearTo);
+    const conditions = thresholds.map(({ topicKey, minimum }) => ({
+      index: topicKeys.indexOf(topicKey),
+      minimum: Number(minimum) / 100
+    }));
+
+    const matches = rows.filter(row => (
+      (key === '' || row.searchKey.includes(key)) &&
+      (from === null || (row.year !== null && row.year >= from)) &&
+      (to === null || (row.year !== null && row.year <= to)) &&
+      (dominantFilter === '' || row.dominantTopic === dominantFilter) &&
+      conditions.every(({ index, minimum }) => row.shares[index] >= minimum)
+    ));
+
+    const column = COLUMNS.find(c => c.key === sort.key);
+    return matches.sort((a, b) => {
+      const valueA = column.value(a);
+      const valueB = column.value(b);
+      if (valueA === null) return valueB === null ? 0 : 1;
+      if (valueB === null) return -1;
+      const order = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+      return sort.descending ? -order : order;
+    });
+  }, [rows, query, yearFrom, yearTo, dominantFilter, thresholds, topicKeys, sort]);
+
+  // Go back to the top whenever the rows change
+  useEffect(() => {
+    if (viewportRef.current) viewportRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [filteredRows]);
+
+  const toggleSort = (key) => {
+    setSort(current => ({ key, descending: current.key === key ? !current.descending : key === 'dominantShare' }));
+  };
+
+  const addThreshold = () => {
+    const id = nextThresholdId.current++;
+    setThresholds(current => [...current, { id, topicKey: topicKeys[0], minimum: 20 }]);
+  };
+
+  const updateThreshold = (id, changes) => {
+    setThresholds(current => current.map(threshold => (threshold.id === id ? { ...threshold, ...changes } : threshold)));
+  };
+
+  const resetFilters = () => {
+    setQuery('');
+    setYearFrom('');
+    setYearTo('');
+    setDominantFilter('');
+    setThresholds([]);
+  };
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(filteredRows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const isFiltered = query !== '' || yearFrom !== '' || yearTo !== '' || dominantFilter !== '' || thresholds.length > 0;
+
+  return (
+    <section id="explorer" className="document-explorer">
+      <div className="content-wrapper">
+        <div className="section-header">
+          <h2>Explore the Books</h2>
+          <p className="section-intro">
+            Find a book by its title or author, narrow the list by period and theme, and compare the topic mix of
+            every book at a glance.
+          </p>
+
+          <div className="controls">
+            <label className="control-label">
+              Search
+              <input
+                className="control-select explorer-search"
+                type="search"
+                placeholder="Title or author"
+                value={query}
+                onChange={event => setQuery(event.target.value)}
+              />
+            </label>
+            <label className="control-label">
+              From
+              <input
+                className="control-select explorer-year"
+                type="number"
+                placeholder={yearExtent[0]}
+                value={yearFrom}
+                onChange={event => setYearFrom(event.target.value)}
+              />
+            </label>
+            <label className="control-label">
+              To
+              <input
+                className="control-select explorer-year"
+                type="number"
+                placeholder={yearExtent[1]}
+                value={yearTo}
+                onChange={event => setYearTo(event.target.value)}
+              />
+            </label>
+            <label className="control-label">
+              Dominant topic
+              <select className="control-select" value={dominantFilter} onChange={event => setDominantFilter(event.target.value)}>
+                <option value="">Any topic</option>
+                {topicKeys.map(topicKey => (
+                  <option key={topicKey} value={topicKey}>{topicNames[topicKey] || topicKey}</option>
+                ))}
+              </select>
+            </label>
+            <button className="control-button" onClick={addThreshold}>Add Topic Filter</button>
+            {isFiltered && (
+              <button className="control-button" onClick={resetFilters}>Reset Filters</button>
+            )}
+          </div>
+
+          {thresholds.length > 0 && (
+            <ul className="explorer-thresholds">
+              {thresholds.map(threshold => (
+                <li key={threshold.id}>
+                  <select
+                    className="control-select"
+                    aria-label="Topic"
+                    value={threshold.topicKey}
+                    onChange={event => updateThreshold(threshold.id, { topicKey: event.target.value })}
+                  >
+                    {topicKeys.map(topicKey => (
+                      <option key={topicKey} value={topicKey}>{topicNames[topicKey] || topicKey}</option>
+                    ))}
+                  </select>
+                  <label className="control-label">
+                    at least
+                    <input
+                      className="control-select explorer-threshold"
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={threshold.minimum}
+                      onChange={event => updateThreshold(threshold.id, { minimum: event.target.value })}
+                    />
+                    %
+                  </label>
+                  <button
+                    className="control-button"
+                    aria-label="Remove topic filter"
+                    onClick={() => setThresholds(current => current.filter(t => t.id !== threshold.id))}
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <p className="explorer-count">
+          Showing {filteredRows.length} of {rows.length} books
+        </p>
+
+        <div
+          ref={viewportRef}
+          className="explorer-viewport"
+          style={{ maxHeight: VIEWPORT_HEIGHT }}
+          onScroll={event => setScrollTop(event.currentTarget.scrollTop)}
+        >
+          <table className="explorer-table" aria-rowcount={filteredRows.length + 1}>
+            <colgroup>
+              <col className="explorer-col-title" />
+              <col className="explorer-col-author" />
+              <col className="explorer-col-year" />
+              <col className="explorer-col-topic" />
+              <col className="explorer-col-share" />
+              <col className="explorer-col-bar" />
+            </colgroup>
+            <thead>
+              <tr aria-rowindex={1}>
+                {COLUMNS.map(({ key, label }) => (
+                  <th key={key} aria-sort={sort.key === key ? (sort.descending ? 'descending' : 'ascending') : 'none'}>
+                    <button className="explorer-sort-button" onClick={() => toggleSort(key)}>
+                      {label}
+                      {sort.key === key && <span className="explorer-sort-indicator">{sort.descending ? '▼' : '▲'}</span>}
+                    </button>
+                  </th>
+                ))}
+                <th>Topics</th>
+              </tr>
+            </thead>
+            <tbody>
+              {first > 0 && <tr className="explorer-spacer" style={{ height: first * ROW_HEIGHT }}></tr>}
+              {filteredRows.slice(first, last).map((row, offset) => (
+                <tr key={row.row} aria-rowindex={first + offset + 2} style={{ height: ROW_HEIGHT }}>
+                  <td className="explorer-title" title={row.title}>{row.title}</td>
+                  <td title={row.author || ''}>{row.author || 'Unknown author'}</td>
+                  <td>{row.year === null ? '–' : row.year}</td>
+                  <td>
+                    {row.dominantTopic && (
+                      <span className="explorer-swatch" style={{ backgroundColor: getTopicColor(row.dominantTopic) }}></span>
+                    )}
+                    {row.dominantName || '–'}
+                  </td>
+                  <td>{row.dominantShare === null ? '–' : `${(row.dominantShare * 100).toFixed(1)}%`}</td>
+                  <td>
+                    <div className="explorer-bar">
+                      {topicKeys.map((topicKey, t) => row.shares[t] > 0 && (
+                        <span
+                          key={topicKey}
+                          className="explorer-bar-segment"
+                          style={{ width: `${row.shares[t] * 100}%`, backgroundColor: getTopicColor(topicKey) }}
+                          title={`${topicNames[topicKey] || topicKey}: ${(row.shares[t] * 100).toFixed(1)}%`}
+                        ></span>
+                      ))}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+              {last < filteredRows.length && (
+                <tr className="explorer-spacer" style={{ height: (filteredRows.length - last) * ROW_HEIGHT }}></tr>
+              )}
+            </tbody>
+          </table>
+          {filteredRows.length === 0 && (
+            <p className="explorer-empty">No books match these filters.</p>
+          )}
+        </div>
+
+        <div className="explanation">
+          <p>
+            The search matches titles and author names in either script. Topic filters keep the books in which a
+            topic takes at least the given share, and several filters must all hold.
+          </p>
+          <p>
+            The bar in the last column splits each book into its topics, in the same colours as the rest of the
+            page; hover a segment to see the topic and its share.
+          </p>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default DocumentExplorer;
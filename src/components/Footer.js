@@ -1,7 +1,19 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { clearDataCache } from '../utils/dataCache';
 import '../styles/Footer.css';
 
-const Footer = () => {
+const Footer = ({ cachedAt }) => {
+  const [cacheStatus, setCacheStatus] = useState(null);
+
+  const handleClearCache = async () => {
+    try {
+      await clearDataCache();
+      setCacheStatus('Cached data cleared. The next visit will download the data again.');
+    } catch (error) {
+      setCacheStatus(`Could not clear cached data: ${error.message}`);
+    }
+  };
+
   return (
     <footer className="site-footer">
       <div className="footer-container">
@@ -15,6 +27,19 @@ const Footer = () => {
           </p>
         </div>
         
+        <div className="footer-section data">
+          <h3>Data</h3>
+          <p>
+            {cachedAt
+              ? `Showing data saved in this browser on ${new Date(cachedAt).toLocaleString()}. It is checked for updates in the background.`
+              : 'The data is saved in this browser so later visits load faster.'}
+          </p>
+          <button className="control-button" onClick={handleClearCache}>
+            Clear Cached Data
+          </button>
+          {cacheStatus && <p className="cache-status">{cacheStatus}</p>}
+        </div>
+        
         <div className="footer-section methodology">
           <h3>Methodology</h3>
           <p>
@@ -1,8 +1,20 @@
 import React, { useState, useEffect } from 'react';
+import { NORMALIZATION_STRATEGIES } from '../utils/processingOptions';
+import { SCRIPTS } from '../utils/transliteration';
+import { useScript } from '../context/ScriptContext';
 import '../styles/Header.css';
 
-const Header = ({ activeSection }) => {
+const Header = ({
+  activeSection,
+  models,
+  modelId,
+  onModelChange,
+  normalization,
+  appliedNormalization,
+  onNormalizationChange
+}) => {
   const [isScrolled, setIsScrolled] = useState(false);
+  const { script, setScript } = useScript();
   
   useEffect(() => {
     const handleScroll = () => {
@@ -42,8 +54,60 @@ const Header = ({ activeSection }) => {
             <li className={activeSection === 'keywords' ? 'active' : ''}>
               <a href="#keywords">Keywords</a>
             </li>
+            <li className={activeSection === 'alignment' ? 'active' : ''}>
+              <a href="#alignment">Models</a>
+            </li>
+            <li className={activeSection === 'import' ? 'active' : ''}>
+              <a href="#import">Your Data</a>
+            </li>
           </ul>
         </nav>
+        
+        <div className="header-controls">
+          <div className="header-control script-toggle" role="group" aria-label="Script of Kazakh text">
+            <span>Script</span>
+            {Object.entries(SCRIPTS).map(([key, label]) => (
+              <button
+                key={key}
+                type="button"
+                className={script === key ? 'active' : ''}
+                aria-pressed={script === key}
+                onClick={() => setScript(key)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {models && models.length > 1 && (
+            <label className="header-control">
+              <span>Model</span>
+              <select
+                value={modelId}
+                onChange={event => onModelChange(event.target.value)}
+              >
+                {models.map(model => (
+                  <option key={model.id} value={model.id}>{model.label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label className="header-control">
+            <span>Normalization</span>
+            <select
+              value={normalization}
+              onChange={event => onNormalizationChange(event.target.value)}
+            >
+              {Object.entries(NORMALIZATION_STRATEGIES).map(([strategy, label]) => (
+                <option key={strategy} value={strategy}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {normalization === 'auto' && appliedNormalization && (
+            <span className="header-control-note">
+              Using: {NORMALIZATION_STRATEGIES[appliedNormalization]}
+            </span>
+          )}
+        </div>
       </div>
     </header>
   );
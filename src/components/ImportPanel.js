@@ -0,0 +1,266 @@
+import React, { useEffect, useState } from 'react';
+import { readColumnNames, suggestColumnMap } from '../utils/columnMapping';
+import { dataSchemas } from '../utils/dataValidation';
+import '../styles/ImportPanel.css';
+
+// Roles an imported file can play, with their UI labels
+const FILE_ROLES = {
+  documentTopics: 'Document-topic distributions',
+  topicLabels: 'Topic labels',
+  keywords: 'Topic keywords',
+  wordlist: 'Extended wordlist',
+  weights: 'Keyword weights',
+  authors: 'Author aliases',
+  ignore: 'Ignore'
+};
+
+/**
+ * Guess the role of an imported file from its name
+ * @param {String} fileName File name
+ * @returns {String} One of the FILE_ROLES keys
+ */
+const guessFileRole = (fileName) => {
+  if (/label/i.test(fileName)) return 'topicLabels';
+  if (/weight/i.test(fileName)) return 'weights';
+  if (/^authors?\b|alias/i.test(fileName)) return 'authors';
+  if (/word_?list/i.test(fileName)) return 'wordlist';
+  if (/keyword|nmf_topics|lda_topics/i.test(fileName)) return 'keywords';
+  return 'documentTopics';
+};
+
+const ImportPanel = ({ isImported, onImport, onReset }) => {
+  const [files, setFiles] = useState([]); // [{ file, role }]
+  const [isDragging, setIsDragging] = useState(false);
+  const [columnNames, setColumnNames] = useState([]);
+  const [columnMap, setColumnMap] = useState(null);
+  const [readError, setReadError] = useState(null);
+
+  const documentFiles = files.filter(entry => entry.role === 'documentTopics');
+  const documentFile = documentFiles.length === 1 ? documentFiles[0].file : null;
+
+  // Read the header of the document file to offer a column mapping
+  useEffect(() => {
+    if (!documentFile) {
+      setColumnNames([]);
+      setColumnMap(null);
+      return;
+    }
+    let cancelled = false;
+    setReadError(null);
+
+    readColumnNames(documentFile)
+      .then(fields => {
+        if (cancelled) return;
+        setColumnNames(fields);
+        setColumnMap(suggestColumnMap(fields));
+      })
+      .catch(error => {
+        if (!cancelled) setReadError(error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [documentFile]);
+
+  const addFiles = (fileList) => {
+    const added = Array.from(fileList).map(file => ({ file, role: guessFileRole(file.name) }));
+    setFiles(previous => [...previous, ...added]);
+  };
+
+  const setFileRole = (index, role) => {
+    setFiles(previous => previous.map((entry, i) => (i === index ? { ...entry, role } : entry)));
+  };
+
+  const removeFile = (index) => {
+    setFiles(previous => previous.filter((entry, i) => i !== index));
+  };
+
+  const setColumn = (column, header) => {
+    setColumnMap(previous => ({ ...previous, columns: { ...previous.columns, [column]: header } }));
+  };
+
+  const toggleTopicColumn = (header) => {
+    setColumnMap(previous => {
+      const selected = previous.topicColumns.includes(header);
+      // Keep topic columns in file order so Topic_1 ... Topic_k follow the file
+      const topicColumns = columnNames.filter(field =>
+        field === header ? !selected : previous.topicColumns.includes(field)
+      );
+      return { ...previous, topicColumns };
+    });
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    addFiles(event.dataTransfer.files);
+  };
+
+  // Every role except the document file is optional, but each may only be used once
+  const problems = [];
+  if (documentFiles.length === 0 && files.length > 0) {
+    problems.push('Choose which file holds the document-topic distributions.');
+  }
+  ['documentTopics', 'topicLabels', 'keywords', 'wordlist', 'weights', 'authors'].forEach(role => {
+    if (files.filter(entry => entry.role === role).length > 1) {
+      problems.push(`Only one file can be used as ${FILE_ROLES[role].toLowerCase()}.`);
+    }
+  });
+  if (columnMap) {
+    dataSchemas.documentTopics.requiredColumns.forEach(column => {
+      if (!columnMap.columns[column]) problems.push(`Choose the column holding "${column}".`);
+    });
+    if (columnMap.topicColumns.length === 0) problems.push('Select at least one topic column.');
+  }
+
+  const canImport = documentFile && columnMap && problems.length === 0;
+
+  const handleImport = () => {
+    const sources = {};
+    files.forEach(entry => {
+      if (entry.role !== 'ignore') sources[entry.role] = entry.file;
+    });
+    onImport({ sources, columnMap });
+  };
+
+  return (
+    <section id="import" className="import-panel">
+      <div className="content-wrapper">
+        <div className="section-header">
+          <h2>Explore Your Own Corpus</h2>
+          <p className="section-intro">
+            Drop the output of your own topic model here to see it in every view of this page. Files are
+            processed in your browser and are never uploaded.
+          </p>
+          {isImported && (
+            <div className="controls">
+              <button className="control-button" onClick={onReset}>
+                Return to the Published Data
+              </button>
+            </div>
+          )}
+        </div>
+
+        <label
+          className={`import-dropzone ${isDragging ? 'dragging' : ''}`}
+          onDragOver={event => {
+            event.preventDefault();
+            setIsDragging(true);
+          }}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={handleDrop}
+        >
+          <input
+            type="file"
+            accept=".csv,.json,.arrow,.arrows,.feather,.ipc,text/csv,application/json"
+            multiple
+            onChange={event => {
+              addFiles(event.target.files);
+              event.target.value = '';
+            }}
+          />
+          <span>
+            Drop a document-topic file, plus optional topic labels, keywords, wordlist, keyword
+            weight and author alias files (CSV, JSON or Arrow), or click to choose files.
+          </span>
+        </label>
+
+        {files.length > 0 && (
+          <table className="import-files">
+            <thead>
+              <tr>
+                <th>File</th>
+                <th>Used as</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {files.map((entry, index) => (
+                <tr key={`${entry.file.name}-${index}`}>
+                  <td>{entry.file.name}</td>
+                  <td>
+                    <select
+                      className="control-select"
+                      value={entry.role}
+                      onChange={event => setFileRole(index, event.target.value)}
+                    >
+                      {Object.entries(FILE_ROLES).map(([role, label]) => (
+                        <option key={role} value={role}>{label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <button className="control-button" onClick={() => removeFile(index)}>
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {readError && (
+          <p className="import-problem">Could not read {documentFile.name}: {readError.message}</p>
+        )}
+
+        {columnMap && (
+          <div className="import-mapping">
+            <h3>Column mapping</h3>
+            <div className="controls">
+              {dataSchemas.documentTopics.requiredColumns.map(column => (
+                <label key={column} className="control-label">
+                  {column}
+                  <select
+                    className="control-select"
+                    value={columnMap.columns[column]}
+                    onChange={event => setColumn(column, event.target.value)}
+                  >
+                    <option value="">Choose a column</option>
+                    {columnNames.map(field => (
+                      <option key={field} value={field}>{field}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+            <p className="import-hint">
+              Topic columns ({columnMap.topicColumns.length} selected), read as Topic_1, Topic_2, ... in file order:
+            </p>
+            <div className="import-topic-columns">
+              {columnNames.map(field => (
+                <label key={field} className="control-label">
+                  <input
+                    type="checkbox"
+                    checked={columnMap.topicColumns.includes(field)}
+                    onChange={() => toggleTopicColumn(field)}
+                  />
+                  {field}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {problems.length > 0 && (
+          <ul className="import-problems">
+            {problems.map(problem => (
+              <li key={problem} className="import-problem">{problem}</li>
+            ))}
+          </ul>
+        )}
+
+        {files.length > 0 && (
+          <div className="controls">
+            <button className="control-button" disabled={!canImport} onClick={handleImport}>
+              Visualize These Files
+            </button>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default ImportPanel;
@@ -1,9 +1,9 @@
 import React, { useEffect, useRef } from 'react';
 import * as d3 from 'd3';
-import { topicColors } from '../utils/colors';
+import { getTopicColor } from '../utils/colors';
 import '../styles/Intro.css';
 
-const Intro = () => {
+const Intro = ({ topicKeys }) => {
   const svgRef = useRef(null);
 
   useEffect(() => {
@@ -24,7 +24,6 @@ const Intro = () => {
       .style("background", "var(--background-primary)");
       
     // Create a pattern of circles representing topics
-    const topicKeys = Object.keys(topicColors).sort();
     const circleData = [];
     
     // Generate random circles for each topic
@@ -37,7 +36,7 @@ const Intro = () => {
           y: Math.random() * height,
           radius: Math.random() * 30 + 10,
           topic: topic,
-          color: topicColors[topic],
+          color: getTopicColor(topic),
           delay: Math.random() * 2000
         });
       }
@@ -95,8 +94,8 @@ const Intro = () => {
         y2: Math.random() * height,
         startTopic: startTopic,
         endTopic: endTopic,
-        startColor: topicColors[startTopic],
-        endColor: topicColors[endTopic],
+        startColor: getTopicColor(startTopic),
+        endColor: getTopicColor(endTopic),
         delay: Math.random() * 3000
       });
     }
@@ -190,7 +189,7 @@ const Intro = () => {
     
     window.addEventListener('resize', handleResize);
     return () => window.removeEventListener('resize', handleResize);
-  }, []);
+  }, [topicKeys]);
 
   return (
     <section id="intro" className="intro-section">
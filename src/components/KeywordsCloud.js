@@ -1,10 +1,16 @@
 import React, { useEffect, useRef, useState } from 'react';
 import * as d3 from 'd3';
 import cloud from 'd3-cloud';
-import { topicColors } from '../utils/colors';
+import { getTopicColor } from '../utils/colors';
+import { topicLabelsInScript } from '../utils/transliteration';
+import { useScript } from '../context/ScriptContext';
 import '../styles/KeywordsCloud.css';
 
+// Format of NMF keyword weights in tooltips
+const formatWeight = d3.format('.3~g');
+
 const KeywordsCloud = ({ data }) => {
+  const { script, display } = useScript();
   const svgRef = useRef(null);
   const [selectedTopic, setSelectedTopic] = useState(null);
   const [maxWords, setMaxWords] = useState(30); // Default to showing all words (max 30)
@@ -14,14 +20,15 @@ const KeywordsCloud = ({ data }) => {
     
     // Get data needed for visualization - use the ENHANCED topic keywords
     const topicKeywords = data.processed.topicKeywords; // This already contains the enhanced keywords
-    const topicLabels = data.raw.topicLabels;
+    const topicLabels = topicLabelsInScript(data.raw.topicLabels, script);
+    const topicCount = data.processed.topicKeys.length;
     
     // Create the word cloud visualization
-    createWordCloud(topicKeywords, topicLabels, svgRef, selectedTopic, setSelectedTopic, maxWords);
+    createWordCloud(topicKeywords, topicLabels, topicCount, svgRef, selectedTopic, setSelectedTopic, maxWords, display);
     
-  }, [data, selectedTopic, maxWords]);
+  }, [data, selectedTopic, maxWords, script, display]);
   
-  const createWordCloud = (topicKeywords, topicLabels, svgRef, selectedTopic, setSelectedTopic, maxWords) => {
+  const createWordCloud = (topicKeywords, topicLabels, topicCount, svgRef, selectedTopic, setSelectedTopic, maxWords, display) => {
     // Clear previous visualization
     d3.select(svgRef.current).selectAll("*").remove();
     
@@ -45,7 +52,7 @@ const KeywordsCloud = ({ data }) => {
       .attr("class", "topic-selector")
       .attr("transform", `translate(0,${height - topicSelectorHeight})`);
     
-      const filteredTopicKeywords = topicKeywords.filter(topic => topic.id >= 1 && topic.id <= 13);
+      const filteredTopicKeywords = topicKeywords.filter(topic => topic.id >= 1 && topic.id <= topicCount);
 
       // Create topic selector buttons with proper labels
       const buttonWidth = width / filteredTopicKeywords.length;
@@ -66,7 +73,7 @@ const KeywordsCloud = ({ data }) => {
             .attr("height", buttonHeight)
             .attr("rx", 5)
             .attr("ry", 5)
-            .attr("fill", topicColors[`Topic_${d.id}`])
+            .attr("fill", getTopicColor(d.id))
             .attr("opacity", selectedTopic === d.id ? 1 : 0.7)
             .attr("stroke", "#fff")
             .attr("stroke-width", 1);
@@ -134,7 +141,7 @@ const KeywordsCloud = ({ data }) => {
       .attr("font-weight", "bold")
       .attr("fill", "var(--text-primary)")
       .text(selectedTopic 
-        ? topicKeywords.find(t => t.id === selectedTopic)?.name || `Topic ${selectedTopic}` 
+        ? display(topicKeywords.find(t => t.id === selectedTopic)?.name) || `Topic ${selectedTopic}` 
         : "Select a topic to view its keywords");
     
     // If no topic is selected, show instructions
@@ -151,10 +158,14 @@ const KeywordsCloud = ({ data }) => {
     const selectedTopicData = topicKeywords.find(t => t.id === selectedTopic);
     if (!selectedTopicData || !selectedTopicData.keywords) return;
     
-    // Prepare word cloud data
+    // Prepare word cloud data, keeping each keyword's NMF weight (null without a weights file)
     // Filter out keywords that contain "topic" to avoid showing "topic 1", "topic 2", etc.
     const filteredKeywords = selectedTopicData.keywords
-      .filter(keyword => {
+      .map((keyword, i) => ({
+        keyword,
+        weight: selectedTopicData.weights ? selectedTopicData.weights[i] : null
+      }))
+      .filter(({ keyword }) => {
         // Skip if keyword is undefined, null or empty
         if (!keyword) return false;
         
@@ -175,9 +186,17 @@ const KeywordsCloud = ({ data }) => {
     const actualMaxWords = Math.min(Math.max(maxWords, 5), 30);
     const limitedKeywords = filteredKeywords.slice(0, actualMaxWords);
     
-    const words = limitedKeywords.map((keyword, i) => ({
-      text: String(keyword).trim(), // Ensure it's a string and trim whitespace
-      size: Math.max(10, 60 - (i * 60 / limitedKeywords.length)), // Size decreases gradually with word index
+    // Size words by weight when the model has weights, otherwise by rank
+    const maxWeight = d3.max(limitedKeywords, d => d.weight);
+    const weightScale = d3.scaleSqrt().domain([0, maxWeight || 1]).range([10, 60]);
+    
+    const words = limitedKeywords.map(({ keyword, weight }, i) => ({
+      text: display(String(keyword).trim()), // Ensure it's a string, trimmed and in the reader's script
+      size: maxWeight > 0
+        ? (weight === null ? 10 : weightScale(weight))
+        : Math.max(10, 60 - (i * 60 / limitedKeywords.length)), // Size decreases gradually with word index
+      weight,
+      rank: i + 1,
       topic: selectedTopic
     }));
     
@@ -201,10 +220,23 @@ const KeywordsCloud = ({ data }) => {
         .append("text")
         .style("font-size", d => `${d.size}px`)
         .style("font-family", "Futura")
-        .style("fill", topicColors[`Topic_${selectedTopic}`])
+        .style("fill", getTopicColor(selectedTopic))
         .attr("text-anchor", "middle")
         .attr("transform", d => `translate(${d.x},${d.y})rotate(${d.rotate})`)
         .text(d => d.text)
+        .on("mouseover", function(event, d) {
+          tooltip
+            .style("opacity", 1)
+            .style("left", `${event.pageX + 10}px`)
+            .style("top", `${event.pageY - 10}px`)
+            .html(`
+              <div class="tooltip-title">${d.text}</div>
+              <div>${d.weight !== null ? `Weight: ${formatWeight(d.weight)}` : `Rank: ${d.rank}`}</div>
+            `);
+        })
+        .on("mouseout", function() {
+          tooltip.style("opacity", 0);
+        })
         .transition()
         .duration(300)
         .style("opacity", 1);
@@ -293,7 +325,8 @@ const KeywordsCloud = ({ data }) => {
         <div className="explanation">
           <p>
             This word cloud visualization shows the most characteristic terms for each literary theme.
-            The size of each word reflects its importance to the topic. Click on any topic button at the
+            The size of each word reflects its weight in the topic model, or its rank among the topic's
+            keywords when the model comes without weights. Click on any topic button at the
             bottom to explore its semantic landscape.
           </p>
           <p>
@@ -0,0 +1,449 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import { topicLabelsInScript } from '../utils/transliteration';
+import { getDominantTopic, getTopicShares } from '../utils/similarity';
+import { PROJECTION_METHODS } from '../utils/processingOptions';
+import { getNeighbourIndex, projectDocumentsInWorker } from '../utils/dataWorkerClient';
+import { createYearColorScale, getTopicColor } from '../utils/colors';
+import { useScript } from '../context/ScriptContext';
+import TopicFingerprint from './TopicFingerprint';
+import '../styles/LiteraryMap.css';
+
+// What the points can be coloured by
+const COLOR_MODES = {
+  topic: 'Dominant topic',
+  decade: 'Decade'
+};
+
+// Ways of using the mouse on the map
+const MAP_TOOLS = {
+  pan: 'Pan & Zoom',
+  lasso: 'Lasso'
+};
+
+const MAP_HEIGHT = 560;
+const POINT_RADIUS = 3;
+const RADIUS_RANGE = [2, 9];
+
+// Number of selected books listed in the detail panel
+const MAX_LISTED = 50;
+
+// Colour of books without a year when coloured by decade
+const MISSING_COLOR = '#999999';
+
+/**
+ * Decade of a document's year
+ * @param {Object} doc Document object
+ * @returns {Number|null} First year of the decade, or null without a year
+ */
+const getDecade = (doc) => (doc.Year ? Math.floor(parseInt(doc.Year) / 10) * 10 : null);
+
+/**
+ * Draw the books at their projected positions. Zooming moves the points rather than scaling
+ * them, so they keep their size; the lasso tool replaces zooming with a freehand selection.
+ * @param {Object} svgRef Ref of the chart svg
+ * @param {Object} tooltipRef Ref of the tooltip
+ * @param {Object} options Chart contents: { points, colorOf, radiusOf, describe, tool, transformRef, onSelect }
+ */
+const createMapChart = (svgRef, tooltipRef, options) => {
+  const { points, colorOf, radiusOf, describe, tool, transformRef, onSelect } = options;
+  const svg = d3.select(svgRef.current);
+  svg.selectAll("*").remove();
+
+  const margin = 20;
+  const width = svgRef.current.clientWidth;
+  const height = MAP_HEIGHT;
+  svg.attr("width", width).attr("height", height);
+
+  const x = d3.scaleLinear()
+    .domain(d3.extent(points, d => d.x))
+    .range([margin, width - margin]);
+
+  const y = d3.scaleLinear()
+    .domain(d3.extent(points, d => d.y))
+    .range([height - margin, margin]);
+
+  const tooltip = d3.select(tooltipRef.current);
+
+  const circles = svg.append("g")
+    .attr("class", "map-points")
+    .selectAll(".map-point")
+    .data(points)
+    .enter()
+    .append("circle")
+    .attr("class", "map-point")
+    .attr("r", radiusOf)
+    .attr("fill", colorOf)
+    .on("mouseover", function(event, d) {
+      const { title, details, topic } = describe(d.row);
+      tooltip
+        .style("opacity", 1)
+        .style("left", `${event.pageX + 10}px`)
+        .style("top", `${event.pageY - 10}px`)
+        .html(`
+          <div class="tooltip-title">${title}</div>
+          <div class="tooltip-subtitle">${details}</div>
+          <div class="tooltip-value">${topic}</div>
+        `);
+    })
+    .on("mouseout", () => {
+      tooltip.style("opacity", 0);
+    })
+    .on("click", (event, d) => onSelect([d.row], event.shiftKey));
+
+  const position = () => {
+    const transform = transformRef.current;
+    circles
+      .attr("cx", d => transform.applyX(x(d.x)))
+      .attr("cy", d => transform.applyY(y(d.y)));
+  };
+
+  const zoom = d3.zoom()
+    .extent([[0, 0], [width, height]])
+    .scaleExtent([1, 40])
+    .translateExtent([[0, 0], [width, height]])
+    .on("zoom", (event) => {
+      transformRef.current = event.transform;
+      position();
+    });
+
+  if (tool === 'pan') {
+    svg.call(zoom).call(zoom.transform, transformRef.current);
+    return;
+  }
+
+  svg.on(".zoom", null);
+  position();
+
+  // Lasso: an overlay above the points collects the outline while dragging
+  const outline = svg.append("path").attr("class", "map-lasso");
+  let polygon = [];
+
+  svg.append("rect")
+    .attr("class", "map-lasso-area")
+    .attr("width", width)
+    .attr("height", height)
+    .call(d3.drag()
+      .container(svgRef.current)
+      .on("start", (event) => {
+        polygon = [[event.x, event.y]];
+      })
+      .on("drag", (event) => {
+        polygon.push([event.x, event.y]);
+        outline.attr("d", `M${polygon.join("L")}Z`);
+      })
+      .on("end", (event) => {
+        outline.attr("d", null);
+        if (polygon.length < 3) return;
+        const transform = transformRef.current;
+        const rows = points
+          .filter(d => d3.polygonContains(polygon, [transform.applyX(x(d.x)), transform.applyY(y(d.y))]))
+          .map(d => d.row);
+        onSelect(rows, event.sourceEvent && event.sourceEvent.shiftKey);
+      }));
+};
+
+const LiteraryMap = ({ data }) => {
+  const { script, display } = useScript();
+  const svgRef = useRef(null);
+  const tooltipRef = useRef(null);
+  const transformRef = useRef(d3.zoomIdentity);
+  const [method, setMethod] = useState('pca');
+  const [colorMode, setColorMode] = useState('topic');
+  const [sizeField, setSizeField] = useState('');
+  const [tool, setTool] = useState('pan');
+  const [viewVersion, setViewVersion] = useState(0);
+  const [projections, setProjections] = useState({ matrix: null, byMethod: {} });
+  const [progress, setProgress] = useState(null);
+  const [projectionError, setProjectionError] = useState(null);
+  const [selectedRows, setSelectedRows] = useState([]);
+
+  const { documentTopics } = data.raw;
+  const { topicMatrix, topicKeys, authors } = data.processed;
+
+  const topicNames = useMemo(() => {
+    const names = {};
+    topicLabelsInScript(data.raw.topicLabels, script).forEach(label => {
+      const topicNumber = label["Topic Number"].replace("Topic ", "");
+      names[`Topic_${topicNumber}`] = label["Topic Name"];
+    });
+    return names;
+  }, [data, script]);
+
+  // Projections are kept per method until the corpus changes
+  const projection = projections.matrix === topicMatrix ? projections.byMethod[method] : undefined;
+
+  useEffect(() => {
+    if (projection) return;
+    let cancelled = false;
+
+    const project = async () => {
+      setProgress(null);
+      setProjectionError(null);
+      try {
+        // UMAP starts from the same Jensen-Shannon neighbours as the similar books section
+        const neighbours = method === 'umap' ? await getNeighbourIndex(topicMatrix, 'jensenShannon') : null;
+        if (cancelled) return;
+        const result = await projectDocumentsInWorker({
+          matrix: topicMatrix,
+          neighbours,
+          method,
+          onProgress: update => {
+            if (!cancelled) setProgress(update);
+          }
+        });
+        if (cancelled) return;
+        setProjections(previous => ({
+          matrix: topicMatrix,
+          byMethod: { ...(previous.matrix === topicMatrix ? previous.byMethod : {}), [method]: result }
+        }));
+      } catch (error) {
+        console.error("Error projecting books:", error);
+        if (!cancelled) setProjectionError(error);
+      }
+    };
+
+    project();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [projection, topicMatrix, method]);
+
+  const dominantTopics = useMemo(() => (
+    documentTopics.map((doc, row) => getDominantTopic(doc, getTopicShares(topicMatrix, row), topicKeys))
+  ), [documentTopics, topicMatrix, topicKeys]);
+
+  const decades = useMemo(() => documentTopics.map(getDecade), [documentTopics]);
+
+  // Numeric columns of the document table that can set the size of the points
+  const sizeFields = useMemo(() => {
+    const fields = documentTopics.length > 0 ? Object.keys(documentTopics[0]) : [];
+    return fields
+      .filter(field => documentTopics.some(doc => typeof doc[field] === 'number'))
+      .map(field => ({ field, label: topicNames[field] ? `${topicNames[field]} share` : field }));
+  }, [documentTopics, topicNames]);
+
+  const points = useMemo(() => {
+    if (!projection) return [];
+    const { coordinates } = projection;
+    return documentTopics.map((doc, row) => ({ row, x: coordinates[row * 2], y: coordinates[row * 2 + 1] }));
+  }, [projection, documentTopics]);
+
+  const decadeColor = useMemo(() => {
+    const known = decades.filter(decade => decade !== null);
+    return known.length > 0 ? createYearColorScale(d3.min(known), Math.max(d3.max(known), d3.min(known) + 10)) : null;
+  }, [decades]);
+
+  const colorOf = useMemo(() => {
+    if (colorMode === 'decade') {
+      return d => (decades[d.row] === null ? MISSING_COLOR : decadeColor(decades[d.row]));
+    }
+    return d => (dominantTopics[d.row] ? getTopicColor(dominantTopics[d.row]) : MISSING_COLOR);
+  }, [colorMode, decades, decadeColor, dominantTopics]);
+
+  const radiusOf = useMemo(() => {
+    if (sizeField === '') return () => POINT_RADIUS;
+    const value = row => (typeof documentTopics[row][sizeField] === 'number' ? documentTopics[row][sizeField] : null);
+    const extent = d3.extent(documentTopics, doc => (typeof doc[sizeField] === 'number' ? doc[sizeField] : undefined));
+    const radius = d3.scaleLinear().domain(extent[0] < extent[1] ? extent : [extent[0] - 1, extent[0]]).range(RADIUS_RANGE);
+    return d => (value(d.row) === null ? RADIUS_RANGE[0] : radius(value(d.row)));
+  }, [sizeField, documentTopics]);
+
+  // Title, author and year, and dominant topic of a book, for the tooltip
+  const describe = useCallback((row) => {
+    const doc = documentTopics[row];
+    const authorId = authors.documentIds[row];
+    const author = authorId !== null && authorId !== undefined ? display(authors.byId[authorId].name) : 'Unknown author';
+    const topicKey = dominantTopics[row];
+    return {
+      title: display(doc["Book Title"]),
+      details: doc.Year ? `${author}, ${doc.Year}` : author,
+      topic: topicKey ? topicNames[topicKey] || topicKey : 'No dominant topic'
+    };
+  }, [documentTopics, authors, display, dominantTopics, topicNames]);
+
+  // Replace the selection, or add to it when extending (shift held)
+  const selectRows = useCallback((rows, extend) => {
+    setSelectedRows(previous => (extend ? Array.from(new Set([...previous, ...rows])) : rows));
+  }, []);
+
+  useEffect(() => {
+    setSelectedRows([]);
+    transformRef.current = d3.zoomIdentity;
+  }, [data]);
+
+  useEffect(() => {
+    if (points.length === 0 || !svgRef.current || !tooltipRef.current) return;
+    createMapChart(svgRef, tooltipRef, {
+      points, colorOf, radiusOf, describe, tool, transformRef, onSelect: selectRows
+    });
+  }, [points, colorOf, radiusOf, describe, tool, selectRows, viewVersion]);
+
+  // Restyle the points when the selection changes, without redrawing the map
+  useEffect(() => {
+    if (!svgRef.current) return;
+    const selected = new Set(selectedRows);
+    d3.select(svgRef.current)
+      .selectAll(".map-point")
+      .classed("selected", d => selected.has(d.row))
+      .classed("faded", d => selected.size > 0 && !selected.has(d.row));
+  }, [selectedRows, points, colorOf, radiusOf, tool, viewVersion]);
+
+  const selectedShares = useMemo(() => {
+    if (selectedRows.length === 0) return null;
+    const totals = new Array(topicKeys.length).fill(0);
+    selectedRows.forEach(row => getTopicShares(topicMatrix, row).forEach((share, t) => {
+      totals[t] += share / selectedRows.length;
+    }));
+    return totals;
+  }, [selectedRows, topicMatrix, topicKeys]);
+
+  const resetView = () => {
+    transformRef.current = d3.zoomIdentity;
+    setViewVersion(version => version + 1);
+  };
+
+  const legend = colorMode === 'topic'
+    ? topicKeys.map(topicKey => ({ key: topicKey, label: topicNames[topicKey] || topicKey, color: getTopicColor(topicKey) }))
+    : Array.from(new Set(decades.filter(decade => decade !== null)))
+      .sort((a, b) => a - b)
+      .map(decade => ({ key: decade, label: `${decade}s`, color: decadeColor(decade) }));
+
+  const explained = projection && projection.explained;
+
+  return (
+    <section id="map" className="literary-map">
+      <div className="content-wrapper">
+        <div className="section-header">
+          <h2>A Map of the Books</h2>
+          <p className="section-intro">
+            Every point is a book, placed so that books with similar mixes of themes lie close together.
+            Zoom into a region or draw around a group of books to see what they are.
+          </p>
+
+          <div className="controls">
+            <label className="control-label">
+              Projection
+              <select className="control-select" value={method} onChange={event => setMethod(event.target.value)}>
+                {Object.entries(PROJECTION_METHODS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="control-label">
+              Colour by
+              <select className="control-select" value={colorMode} onChange={event => setColorMode(event.target.value)}>
+                {Object.entries(COLOR_MODES).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="control-label">
+              Size by
+              <select className="control-select" value={sizeField} onChange={event => setSizeField(event.target.value)}>
+                <option value="">Same size</option>
+                {sizeFields.map(({ field, label }) => (
+                  <option key={field} value={field}>{label}</option>
+                ))}
+              </select>
+            </label>
+            {Object.entries(MAP_TOOLS).map(([key, label]) => (
+              <button
+                key={key}
+                className={`control-button ${tool === key ? 'active' : ''}`}
+                onClick={() => setTool(key)}
+              >
+                {label}
+              </button>
+            ))}
+            <button className="control-button" onClick={resetView}>Reset View</button>
+          </div>
+        </div>
+
+        <div className="literary-map-layout">
+          <div className="visualization-container literary-map-container">
+            {!projection && (
+              <p className="map-status">
+                {projectionError
+                  ? `The map could not be computed: ${projectionError.message}`
+                  : `Computing the ${PROJECTION_METHODS[method]} layout…${progress ? ` ${Math.round((progress.completed / progress.total) * 100)}%` : ''}`}
+              </p>
+            )}
+            <svg ref={svgRef} className={`literary-map-chart ${tool}`}></svg>
+            <div ref={tooltipRef} className="tooltip"></div>
+            {explained && (
+              <p className="map-caption">
+                Horizontal axis: {(explained[0] * 100).toFixed(1)}% of the variance in topic shares;
+                vertical axis: {(explained[1] * 100).toFixed(1)}%.
+              </p>
+            )}
+            <ul className="map-legend">
+              {legend.map(item => (
+                <li key={item.key}>
+                  <span className="map-swatch" style={{ backgroundColor: item.color }}></span>
+                  {item.label}
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <aside className="map-details">
+            {selectedRows.length > 0 ? (
+              <>
+                <div className="map-details-header">
+                  <h3>{selectedRows.length} {selectedRows.length === 1 ? 'book' : 'books'} selected</h3>
+                  <button className="control-button" onClick={() => setSelectedRows([])}>Clear selection</button>
+                </div>
+                <p className="map-book-details">Average topic shares</p>
+                <TopicFingerprint shares={selectedShares} topicKeys={topicKeys} topicNames={topicNames} />
+                <ul className="map-book-list">
+                  {selectedRows.slice(0, MAX_LISTED).map(row => {
+                    const { title, details, topic } = describe(row);
+                    return (
+                      <li key={row}>
+                        <span className="map-book-title">{title}</span>
+                        <span className="map-book-details">{details}</span>
+                        <span className="map-book-details">
+                          <span
+                            className="map-swatch"
+                            style={{ backgroundColor: dominantTopics[row] ? getTopicColor(dominantTopics[row]) : MISSING_COLOR }}
+                          ></span>
+                          {topic}
+                        </span>
+                      </li>
+                    );
+                  })}
+                </ul>
+                {selectedRows.length > MAX_LISTED && (
+                  <p className="map-book-details">and {selectedRows.length - MAX_LISTED} more</p>
+                )}
+              </>
+            ) : (
+              <p className="map-details-empty">
+                Click a book, or switch to the lasso and draw around a group of books, to list them here.
+                Hold Shift to add to the selection.
+              </p>
+            )}
+          </aside>
+        </div>
+
+        <div className="explanation">
+          <p>
+            Each book is described by its shares of the {topicKeys.length} topics, and the map flattens these
+            onto a plane. PCA turns the page so that the directions in which books differ most lie flat: distances
+            on it can be compared across the whole map, but groups may overlap. UMAP instead keeps each book next to
+            the books nearest to it by Jensen-Shannon distance, which separates groups more clearly; the distances
+            between far-apart groups then mean little.
+          </p>
+          <p>
+            The UMAP layout is computed in the background the first time it is chosen and may take a few seconds
+            for a large corpus.
+          </p>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default LiteraryMap;
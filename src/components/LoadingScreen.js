@@ -0,0 +1,49 @@
+import React from 'react';
+import { LOADING_STAGES } from '../utils/processingOptions';
+import '../styles/LoadingScreen.css';
+
+// Human-readable names for each loading stage
+const stageLabels = {
+  fetching: 'Fetching data files',
+  parsing: 'Parsing tables',
+  aggregating: 'Computing aggregates'
+};
+
+const LoadingScreen = ({ progress }) => {
+  // progress maps each stage to its latest { completed, total, label } report
+  const stageProgress = progress || {};
+  
+  return (
+    <div className="loading-container">
+      <div className="loading-spinner"></div>
+      <p>Loading the Literary Visualizations...</p>
+      
+      <ul className="loading-stages">
+        {LOADING_STAGES.map(stage => {
+          const current = stageProgress[stage];
+          const fraction = current && current.total > 0 ? current.completed / current.total : 0;
+          const status = fraction >= 1 ? 'done' : current ? 'active' : 'pending';
+          
+          return (
+            <li key={stage} className={`loading-stage ${status}`}>
+              <div className="loading-stage-header">
+                <span className="loading-stage-name">{stageLabels[stage]}</span>
+                <span className="loading-stage-count">
+                  {current ? `${current.completed}/${current.total}` : ''}
+                </span>
+              </div>
+              <div className="loading-stage-bar">
+                <div className="loading-stage-fill" style={{ width: `${fraction * 100}%` }}></div>
+              </div>
+              {status === 'active' && current.label && (
+                <div className="loading-stage-label">{current.label}</div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default LoadingScreen;
@@ -0,0 +1,305 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { matchesQuery, topicLabelsInScript } from '../utils/transliteration';
+import { findSimilarDocuments, getTopicShares, SIMILARITY_METRICS } from '../utils/similarity';
+import { getNeighbourIndex } from '../utils/dataWorkerClient';
+import { getTopicColor } from '../utils/colors';
+import { useScript } from '../context/ScriptContext';
+import TopicFingerprint from './TopicFingerprint';
+import '../styles/SimilarBooks.css';
+
+// Number of similar books the reader can ask for
+const RESULT_COUNTS = [5, 10, 20];
+
+// Number of titles suggested while typing
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Decade of a document's year
+ * @param {Object} doc Document object
+ * @returns {Number|null} First year of the decade, or null without a year
+ */
+const getDecade = (doc) => (doc.Year ? Math.floor(parseInt(doc.Year) / 10) * 10 : null);
+
+const SimilarBooks = ({ data }) => {
+  const { script, display } = useScript();
+  const [query, setQuery] = useState('');
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
+  const [selectedRow, setSelectedRow] = useState(null);
+  const [metric, setMetric] = useState('jensenShannon');
+  const [resultCount, setResultCount] = useState(10);
+  const [authorFilter, setAuthorFilter] = useState('');
+  const [eraFilter, setEraFilter] = useState('');
+  const [neighbourIndex, setNeighbourIndex] = useState({ matrix: null, metric: null, index: null });
+  const [indexError, setIndexError] = useState(null);
+
+  const { documentTopics } = data.raw;
+  const { topicMatrix, topicKeys, authors } = data.processed;
+
+  const topicNames = useMemo(() => {
+    const names = {};
+    topicLabelsInScript(data.raw.topicLabels, script).forEach(label => {
+      const topicNumber = label["Topic Number"].replace("Topic ", "");
+      names[`Topic_${topicNumber}`] = label["Topic Name"];
+    });
+    return names;
+  }, [data, script]);
+
+  const authorOptions = useMemo(() => (
+    Object.values(authors.byId)
+      .map(author => ({ id: author.id, name: display(author.name) }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  ), [authors, display]);
+
+  const decades = useMemo(() => (
+    Array.from(new Set(documentTopics.map(getDecade).filter(decade => decade !== null))).sort((a, b) => a - b)
+  ), [documentTopics]);
+
+  // Titles matching the query in either script
+  const suggestions = useMemo(() => {
+    if (query.trim() === '') return [];
+    const rows = [];
+    for (let row = 0; row < documentTopics.length && rows.length < MAX_SUGGESTIONS; row++) {
+      if (matchesQuery(documentTopics[row]["Book Title"], query)) rows.push(row);
+    }
+    return rows;
+  }, [documentTopics, query]);
+
+  // The index of a metric is only built once a book has been picked with it
+  const neighbours = neighbourIndex.matrix === topicMatrix && neighbourIndex.metric === metric ? neighbourIndex.index : null;
+
+  useEffect(() => {
+    if (selectedRow === null || neighbours) return;
+    let cancelled = false;
+
+    const loadIndex = async () => {
+      setIndexError(null);
+      try {
+        const loaded = await getNeighbourIndex(topicMatrix, metric);
+        if (!cancelled) setNeighbourIndex({ matrix: topicMatrix, metric, index: loaded });
+      } catch (error) {
+        console.error("Error indexing similar books:", error);
+        if (!cancelled) setIndexError(error);
+      }
+    };
+
+    loadIndex();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedRow, neighbours, topicMatrix, metric]);
+
+  const results = useMemo(() => {
+    if (selectedRow === null || !neighbours) return [];
+    const accept = row => (
+      (authorFilter === '' || authors.documentIds[row] === authorFilter) &&
+      (eraFilter === '' || getDecade(documentTopics[row]) === Number(eraFilter))
+    );
+    return findSimilarDocuments(topicMatrix, neighbours, selectedRow, { count: resultCount, accept })
+      .map(result => ({ ...result, shares: getTopicShares(topicMatrix, result.row) }));
+  }, [selectedRow, neighbours, resultCount, authorFilter, eraFilter, topicMatrix, authors, documentTopics]);
+
+  const selectedShares = useMemo(() => (
+    selectedRow === null ? null : getTopicShares(topicMatrix, selectedRow)
+  ), [topicMatrix, selectedRow]);
+
+  const selectBook = (row) => {
+    setSelectedRow(row);
+    setQuery(display(documentTopics[row]["Book Title"]));
+    setShowSuggestions(false);
+  };
+
+  const handleQueryChange = (event) => {
+    setQuery(event.target.value);
+    setActiveSuggestion(0);
+    setShowSuggestions(true);
+  };
+
+  // Arrow keys move through the suggestions, Enter picks one and Escape closes the list
+  const handleKeyDown = (event) => {
+    if (!showSuggestions || suggestions.length === 0) return;
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setActiveSuggestion(index => (index + 1) % suggestions.length);
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveSuggestion(index => (index - 1 + suggestions.length) % suggestions.length);
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      selectBook(suggestions[activeSuggestion]);
+    } else if (event.key === 'Escape') {
+      setShowSuggestions(false);
+    }
+  };
+
+  // Author and year of a document, for result and suggestion lines
+  const describeBook = (row) => {
+    const doc = documentTopics[row];
+    const authorId = authors.documentIds[row];
+    const author = authorId !== null && authorId !== undefined ? display(authors.byId[authorId].name) : 'Unknown author';
+    return doc.Year ? `${author}, ${doc.Year}` : author;
+  };
+
+  const selectedDoc = selectedRow === null ? null : documentTopics[selectedRow];
+  const isFiltered = authorFilter !== '' || eraFilter !== '';
+
+  return (
+    <section id="similar" className="similar-books">
+      <div className="content-wrapper">
+        <div className="section-header">
+          <h2>Books Like This</h2>
+          <p className="section-intro">
+            Pick a book to find the works whose mix of themes is closest to it, across authors and decades.
+          </p>
+
+          <div className="controls">
+            <div className="book-search">
+              <label className="control-label" htmlFor="book-search-input">Book</label>
+              <input
+                id="book-search-input"
+                className="control-select book-search-input"
+                type="text"
+                role="combobox"
+                aria-expanded={showSuggestions && suggestions.length > 0}
+                aria-controls="book-search-suggestions"
+                aria-autocomplete="list"
+                placeholder="Start typing a title"
+                value={query}
+                onChange={handleQueryChange}
+                onKeyDown={handleKeyDown}
+                onFocus={() => setShowSuggestions(true)}
+                onBlur={() => setShowSuggestions(false)}
+              />
+              {showSuggestions && suggestions.length > 0 && (
+                <ul id="book-search-suggestions" className="book-suggestions" role="listbox">
+                  {suggestions.map((row, index) => (
+                    <li
+                      key={row}
+                      role="option"
+                      aria-selected={index === activeSuggestion}
+                      className={index === activeSuggestion ? 'active' : ''}
+                      // Pick on mouse down, before the input's blur closes the list
+                      onMouseDown={event => {
+                        event.preventDefault();
+                        selectBook(row);
+                      }}
+                    >
+                      <span className="suggestion-title">{display(documentTopics[row]["Book Title"])}</span>
+                      <span className="suggestion-details">{describeBook(row)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <label className="control-label">
+              Distance
+              <select className="control-select" value={metric} onChange={event => setMetric(event.target.value)}>
+                {Object.entries(SIMILARITY_METRICS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="control-label">
+              Show
+              <select
+                className="control-select"
+                value={resultCount}
+                onChange={event => setResultCount(Number(event.target.value))}
+              >
+                {RESULT_COUNTS.map(count => (
+                  <option key={count} value={count}>{count} books</option>
+                ))}
+              </select>
+            </label>
+            <label className="control-label">
+              Author
+              <select className="control-select" value={authorFilter} onChange={event => setAuthorFilter(event.target.value)}>
+                <option value="">Any author</option>
+                {authorOptions.map(author => (
+                  <option key={author.id} value={author.id}>{author.name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="control-label">
+              Era
+              <select className="control-select" value={eraFilter} onChange={event => setEraFilter(event.target.value)}>
+                <option value="">Any decade</option>
+                {decades.map(decade => (
+                  <option key={decade} value={decade}>{decade}s</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+
+        {selectedDoc ? (
+          <div className="similar-books-results">
+            <div className="chosen-book">
+              <h3>{display(selectedDoc["Book Title"])}</h3>
+              <p className="book-details">{describeBook(selectedRow)}</p>
+              <TopicFingerprint shares={selectedShares} topicKeys={topicKeys} topicNames={topicNames} />
+              <ul className="fingerprint-legend">
+                {topicKeys.map(topicKey => (
+                  <li key={topicKey}>
+                    <span className="fingerprint-swatch" style={{ backgroundColor: getTopicColor(topicKey) }}></span>
+                    {topicNames[topicKey] || topicKey}
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            {indexError ? (
+              <p className="similar-books-empty">The similar books could not be found: {indexError.message}</p>
+            ) : !neighbours ? (
+              <p className="similar-books-empty">Comparing this book with the rest of the corpus…</p>
+            ) : results.length > 0 ? (
+              <ol className="similar-book-list">
+                {results.map(({ row, distance, shares }) => (
+                  <li key={row} className="similar-book">
+                    <div className="similar-book-header">
+                      <button className="similar-book-title" onClick={() => selectBook(row)}>
+                        {display(documentTopics[row]["Book Title"])}
+                      </button>
+                      <span className="similar-book-score" title={`${SIMILARITY_METRICS[metric]}: ${distance.toFixed(3)}`}>
+                        {((1 - distance) * 100).toFixed(0)}% similar
+                      </span>
+                    </div>
+                    <p className="book-details">{describeBook(row)}</p>
+                    <TopicFingerprint
+                      shares={shares}
+                      compareShares={selectedShares}
+                      topicKeys={topicKeys}
+                      topicNames={topicNames}
+                    />
+                  </li>
+                ))}
+              </ol>
+            ) : (
+              <p className="similar-books-empty">
+                {isFiltered ? 'No other books match these filters.' : 'This book has no topic weights to compare.'}
+              </p>
+            )}
+          </div>
+        ) : (
+          <p className="similar-books-empty">Choose a book above to see its closest neighbours.</p>
+        )}
+
+        <div className="explanation">
+          <p>
+            Every book is described by its shares of the {topicKeys.length} topics. The Jensen-Shannon distance
+            compares these shares as probability distributions and is 0 for identical mixes and 1 for books without
+            a topic in common; the cosine distance compares their direction and weighs the dominant topics more.
+            The similarity shown is one minus the distance.
+          </p>
+          <p>
+            Each result's fingerprint sets its topic shares (solid bars) beside those of the chosen book (faded bars).
+            Click a result's title to search from that book instead.
+          </p>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default SimilarBooks;
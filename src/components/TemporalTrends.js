@@ -1,9 +1,13 @@
 import React, { useEffect, useRef, useState } from 'react';
 import * as d3 from 'd3';
-import { topicColors } from '../utils/colors';
+import { getTopicColor } from '../utils/colors';
+import { topicLabelsInScript } from '../utils/transliteration';
+import { smoothTopicEvolution } from '../utils/smoothing';
+import { useScript } from '../context/ScriptContext';
 import '../styles/TemporalTrends.css';
 
 const TemporalTrends = ({ data }) => {
+  const { script } = useScript();
   const svgRef = useRef(null);
   const tooltipRef = useRef(null);
   const [selectedDecade, setSelectedDecade] = useState(null);
@@ -12,15 +16,16 @@ const TemporalTrends = ({ data }) => {
     if (!data || !svgRef.current || !tooltipRef.current) return;
     
     // Extract data we need
-    const booksByYear = data.processed.booksByYear;
-    const topicLabels = data.raw.topicLabels;
+    const topicEvolution = data.processed.topicEvolution;
+    const topicLabels = topicLabelsInScript(data.raw.topicLabels, script);
+    const topicKeys = data.processed.topicKeys;
     
     // Create the visualization
-    createTemporalVisualization(booksByYear, topicLabels, svgRef, tooltipRef, selectedDecade, setSelectedDecade);
+    createTemporalVisualization(topicEvolution, topicLabels, topicKeys, svgRef, tooltipRef, selectedDecade, setSelectedDecade);
     
-  }, [data, selectedDecade]);
+  }, [data, selectedDecade, script]);
   
-  const createTemporalVisualization = (booksByYear, topicLabels, svgRef, tooltipRef, selectedDecade, setSelectedDecade) => {
+  const createTemporalVisualization = (topicEvolution, topicLabels, topicKeys, svgRef, tooltipRef, selectedDecade, setSelectedDecade) => {
     // Clear previous visualization
     d3.select(svgRef.current).selectAll("*").remove();
     
@@ -39,72 +44,17 @@ const TemporalTrends = ({ data }) => {
     // Create tooltip
     const tooltip = d3.select(tooltipRef.current);
     
-    // Process data for visualization
-    const yearData = Object.entries(booksByYear).map(([year, data]) => ({
-      year: parseInt(year),
-      count: data.count,
-      topicDistribution: data.topicDistribution
-    })).sort((a, b) => a.year - b.year);
-    
-    // Group years into decades
-    const decadeData = {};
-    yearData.forEach(yearItem => {
-      const decade = Math.floor(yearItem.year / 10) * 10;
-      
-      if (!decadeData[decade]) {
-        decadeData[decade] = {
-          decade,
-          totalBooks: 0,
-          years: [],
-          topicSums: {},
-          dominantTopics: {}
-        };
-        
-        // Initialize topic sums
-        for (let i = 1; i <= 13; i++) {
-          decadeData[decade].topicSums[`Topic_${i}`] = 0;
-          decadeData[decade].dominantTopics[`Topic_${i}`] = 0;
-        }
-      }
-      
-      decadeData[decade].totalBooks += yearItem.count;
-      decadeData[decade].years.push(yearItem);
-      
-      // Sum topic values
-      for (let i = 2; i <= 13; i++) {
-        const topicKey = `Topic_${i}`;
-        if (yearItem.topicDistribution[topicKey] !== undefined) {
-          decadeData[decade].topicSums[topicKey] += yearItem.topicDistribution[topicKey] * yearItem.count;
-        }
-      }
-    });
-    
-    // Calculate average topic distribution per decade
-    Object.values(decadeData).forEach(decade => {
-      if (decade.totalBooks > 0) {
-        for (let i = 1; i <= 13; i++) {
-          const topicKey = `Topic_${i}`;
-          decade.topicSums[topicKey] /= decade.totalBooks;
-        }
-      }
-      
-      // Determine dominant topic for each decade
-      let maxTopic = null;
-      let maxValue = -Infinity;
-      
-      for (let i = 1; i <= 13; i++) {
-        const topicKey = `Topic_${i}`;
-        if (decade.topicSums[topicKey] > maxValue) {
-          maxValue = decade.topicSums[topicKey];
-          maxTopic = topicKey;
-        }
-      }
-      
-      decade.dominantTopic = maxTopic;
-    });
-    
-    // Convert to array for visualization
-    const decadeArray = Object.values(decadeData).sort((a, b) => a.decade - b.decade);
+    // Pool the yearly topic evolution into decades
+    const decadeArray = smoothTopicEvolution(topicEvolution, topicKeys, { method: 'bins', binSize: 10 })
+      .map(bin => ({
+        decade: bin.year,
+        totalBooks: bin.documentCount,
+        topicSums: bin.topicDistribution,
+        // Dominant topic for each decade
+        dominantTopic: topicKeys.reduce((best, topicKey) => (
+          bin.topicDistribution[topicKey] > bin.topicDistribution[best] ? topicKey : best
+        ))
+      }));
     
     // Create scales
     const x = d3.scaleBand()
@@ -126,7 +76,7 @@ const TemporalTrends = ({ data }) => {
       .attr("width", x.bandwidth())
       .attr("y", d => y(d.totalBooks))
       .attr("height", d => height - y(d.totalBooks))
-      .attr("fill", d => topicColors[d.dominantTopic])
+      .attr("fill", d => getTopicColor(d.dominantTopic))
       .attr("opacity", d => selectedDecade === d.decade ? 1 : 0.7)
       .attr("stroke", "#fff")
       .attr("stroke-width", d => selectedDecade === d.decade ? 2 : 0)
@@ -166,7 +116,7 @@ const TemporalTrends = ({ data }) => {
       <div class="tooltip-value">Dominant Theme: ${topicName}</div>
       <div class="tooltip-subtitle">Top Themes:</div>
       <ul class="tooltip-themes">
-        ${topTopics.map(t => `<li><span style="color:${topicColors[t.topic]}">${t.name}</span>: ${(t.value * 100).toFixed(1)}%</li>`).join('')}
+        ${topTopics.map(t => `<li><span style="color:${getTopicColor(t.topic)}">${t.name}</span>: ${(t.value * 100).toFixed(1)}%</li>`).join('')}
       </ul>
     `);
 })
@@ -245,12 +195,11 @@ if (selectedDecade) {
       const pieData = [];
       
       // Prepare data for pie chart
-      for (let i = 1; i <= 13; i++) {
-        const topicKey = `Topic_${i}`;
+      for (const topicKey of topicKeys) {
         const topicValue = decadeInfo.topicSums[topicKey];
         
         if (topicValue > 0) {
-          const topicLabel = topicLabels.find(l => l["Topic Number"] === `Topic ${i}`);
+          const topicLabel = topicLabels.find(l => l["Topic Number"] === topicKey.replace("_", " "));
           const topicName = topicLabel ? topicLabel["Topic Name"] : topicKey;
           
           pieData.push({
@@ -332,7 +281,7 @@ if (selectedDecade) {
           .append("path")
           .attr("class", "slice")
           .attr("d", arc)
-          .attr("fill", d => topicColors[d.data.topic])
+          .attr("fill", d => getTopicColor(d.data.topic))
           .attr("stroke", "white")
           .attr("stroke-width", 1)
           .style("opacity", 0.85)
@@ -391,7 +340,7 @@ if (selectedDecade) {
         legendItems.append("rect")
           .attr("width", 12)
           .attr("height", 12)
-          .attr("fill", d => topicColors[d.topic]);
+          .attr("fill", d => getTopicColor(d.topic));
         
         legendItems.append("text")
           .attr("x", 20)
@@ -0,0 +1,371 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import { getTopicColor } from '../utils/colors';
+import { loadAllDataInWorker } from '../utils/dataWorkerClient';
+import { ALIGNMENT_MEASURES, alignTopics } from '../utils/topicAlignment';
+import { useScript } from '../context/ScriptContext';
+import '../styles/TopicAlignment.css';
+
+// Explanations of the topic statuses shown in the legend
+const STATUS_LABELS = {
+  matched: 'One-to-one match',
+  split: 'Split into several topics',
+  merged: 'Merged from several topics',
+  unmatched: 'No counterpart'
+};
+
+/**
+ * Draw the bipartite mapping between the topics of two models
+ * @param {Object} alignment Result of alignTopics
+ * @param {Object} labels { source, target } model labels used as column headings
+ * @param {Number} threshold Minimum similarity of the drawn links
+ * @param {Object} svgRef Ref of the SVG element
+ * @param {Object} tooltipRef Ref of the tooltip element
+ * @param {Object} selectedTopic Selected { side, index } or null
+ * @param {Function} setSelectedTopic Selection setter
+ * @param {Function} display Converts Kazakh text to the reader's script
+ */
+const createAlignmentVisualization = (
+  alignment,
+  labels,
+  threshold,
+  svgRef,
+  tooltipRef,
+  selectedTopic,
+  setSelectedTopic,
+  display
+) => {
+  // Clear previous visualization
+  d3.select(svgRef.current).selectAll('*').remove();
+
+  const { sourceTopics, targetTopics, links } = alignment;
+
+  // Set up dimensions
+  const rowHeight = 32;
+  const margin = { top: 40, right: 220, bottom: 20, left: 220 };
+  const width = svgRef.current.clientWidth;
+  const height = margin.top + margin.bottom + rowHeight * Math.max(sourceTopics.length, targetTopics.length);
+
+  const svg = d3
+    .select(svgRef.current)
+    .attr('width', width)
+    .attr('height', height)
+    .attr('viewBox', [0, 0, width, height]);
+
+  const tooltip = d3.select(tooltipRef.current);
+
+  // Order target topics by the average position of their sources to reduce crossings
+  const targetOrder = targetTopics
+    .map(topic => {
+      const topicLinks = links.filter(link => link.target === topic.index);
+      const weight = d3.sum(topicLinks, link => link.similarity);
+      const position = weight > 0
+        ? d3.sum(topicLinks, link => link.source * link.similarity) / weight
+        : sourceTopics.length + topic.index;
+      return { index: topic.index, position };
+    })
+    .sort((a, b) => a.position - b.position)
+    .map(entry => entry.index);
+
+  const sourceY = index => margin.top + rowHeight * (index + 0.5);
+  const targetY = index => margin.top + rowHeight * (targetOrder.indexOf(index) + 0.5);
+  const sourceX = margin.left;
+  const targetX = width - margin.right;
+
+  // Column headings
+  svg.append('text')
+    .attr('class', 'alignment-heading')
+    .attr('x', sourceX)
+    .attr('y', margin.top - 20)
+    .attr('text-anchor', 'end')
+    .text(labels.source);
+
+  svg.append('text')
+    .attr('class', 'alignment-heading')
+    .attr('x', targetX)
+    .attr('y', margin.top - 20)
+    .attr('text-anchor', 'start')
+    .text(labels.target);
+
+  // Scale link widths by similarity
+  const widthScale = d3.scaleLinear()
+    .domain([threshold, 1])
+    .range([1.5, 12])
+    .clamp(true);
+
+  const linkPath = d3.linkHorizontal()
+    .x(d => d.x)
+    .y(d => d.y);
+
+  const isSelectedLink = link => selectedTopic && (
+    (selectedTopic.side === 'source' && link.source === selectedTopic.index) ||
+    (selectedTopic.side === 'target' && link.target === selectedTopic.index)
+  );
+
+  // Links between matching topics
+  svg.append('g')
+    .attr('class', 'alignment-links')
+    .selectAll('path')
+    .data(links)
+    .enter()
+    .append('path')
+    .attr('class', d => `alignment-link ${d.mutualBest ? 'mutual' : 'partial'}`)
+    .attr('d', d => linkPath({
+      source: { x: sourceX + 10, y: sourceY(d.source) },
+      target: { x: targetX - 10, y: targetY(d.target) }
+    }))
+    .attr('fill', 'none')
+    .attr('stroke', d => getTopicColor(sourceTopics[d.source].key))
+    .attr('stroke-width', d => widthScale(d.similarity))
+    .attr('stroke-opacity', d => {
+      if (selectedTopic) return isSelectedLink(d) ? 0.9 : 0.08;
+      return d.mutualBest ? 0.7 : 0.4;
+    })
+    .on('mouseover', function(event, d) {
+      const source = sourceTopics[d.source];
+      const target = targetTopics[d.target];
+      tooltip
+        .style('opacity', 1)
+        .style('left', `${event.pageX + 10}px`)
+        .style('top', `${event.pageY - 10}px`)
+        .html(`
+          <div class="tooltip-title">${display(source.name)} → ${display(target.name)}</div>
+          <div>Similarity: ${(d.similarity * 100).toFixed(1)}%</div>
+          <div>Keyword overlap: ${(d.keywordSimilarity * 100).toFixed(1)}%</div>
+          ${d.documentSimilarity !== null
+            ? `<div>Document similarity: ${(d.documentSimilarity * 100).toFixed(1)}%</div>`
+            : ''}
+          ${d.sharedKeywords.length > 0
+            ? `<div class="tooltip-subtitle">Shared: ${d.sharedKeywords.slice(0, 8).map(display).join(', ')}</div>`
+            : ''}
+        `);
+    })
+    .on('mousemove', function(event) {
+      tooltip
+        .style('left', `${event.pageX + 10}px`)
+        .style('top', `${event.pageY - 10}px`);
+    })
+    .on('mouseout', function() {
+      tooltip.style('opacity', 0);
+    });
+
+  // Topic nodes on both sides
+  const drawNodes = (topics, side, x, y, anchor) => {
+    const node = svg.append('g')
+      .attr('class', `alignment-nodes ${side}`)
+      .selectAll('g')
+      .data(topics)
+      .enter()
+      .append('g')
+      .attr('class', d => `alignment-node ${d.status}`)
+      .attr('transform', d => `translate(${x}, ${y(d.index)})`)
+      .style('cursor', 'pointer')
+      .on('click', (event, d) => {
+        const isSelected = selectedTopic && selectedTopic.side === side && selectedTopic.index === d.index;
+        setSelectedTopic(isSelected ? null : { side, index: d.index });
+      });
+
+    node.append('circle')
+      .attr('r', 9)
+      .attr('fill', d => getTopicColor(d.key));
+
+    node.append('text')
+      .attr('x', anchor === 'end' ? -16 : 16)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', anchor)
+      .text(d => {
+        const name = display(d.name);
+        return name.length > 26 ? name.substring(0, 23) + '...' : name;
+      });
+
+    node.append('title')
+      .text(d => `${display(d.name)}\n${STATUS_LABELS[d.status]}\n${d.keywords.slice(0, 8).map(display).join(', ')}`);
+  };
+
+  drawNodes(sourceTopics, 'source', sourceX, sourceY, 'end');
+  drawNodes(targetTopics, 'target', targetX, targetY, 'start');
+};
+
+const TopicAlignment = ({ data }) => {
+  const svgRef = useRef(null);
+  const tooltipRef = useRef(null);
+  const { display } = useScript();
+  const otherModels = data.models.filter(model => model.id !== data.model.id);
+  const [comparisonId, setComparisonId] = useState(otherModels.length > 0 ? otherModels[0].id : null);
+  const [comparisonData, setComparisonData] = useState(null);
+  const [comparisonError, setComparisonError] = useState(null);
+  const [measure, setMeasure] = useState('combined');
+  const [threshold, setThreshold] = useState(0.3);
+  const [selectedTopic, setSelectedTopic] = useState(null); // { side, index }
+
+  // Load the comparison model with the same normalization as the current one
+  useEffect(() => {
+    if (!comparisonId) return;
+    let cancelled = false;
+    setComparisonData(null);
+    setComparisonError(null);
+    setSelectedTopic(null);
+
+    loadAllDataInWorker({
+      modelId: comparisonId,
+      normalization: data.processed.topicMatrix.requestedStrategy
+    })
+      .then(loadedData => {
+        if (!cancelled) setComparisonData(loadedData);
+      })
+      .catch(error => {
+        if (!cancelled) setComparisonError(error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [data, comparisonId]);
+
+  const alignment = useMemo(() => {
+    if (!comparisonData) return null;
+    return alignTopics(data, comparisonData, { measure, threshold });
+  }, [data, comparisonData, measure, threshold]);
+
+  useEffect(() => {
+    if (!alignment || !svgRef.current || !tooltipRef.current) return;
+
+    const labels = { source: data.model.label, target: comparisonData.model.label };
+    createAlignmentVisualization(
+      alignment,
+      labels,
+      threshold,
+      svgRef,
+      tooltipRef,
+      selectedTopic,
+      setSelectedTopic,
+      display
+    );
+  }, [alignment, data, comparisonData, threshold, selectedTopic, display]);
+
+  // Topics that need attention before labels are published
+  const unstableTopics = alignment
+    ? [
+        ...alignment.sourceTopics
+          .filter(topic => topic.status !== 'matched')
+          .map(topic => ({ ...topic, model: data.model.label })),
+        ...alignment.targetTopics
+          .filter(topic => topic.status !== 'matched')
+          .map(topic => ({ ...topic, model: comparisonData.model.label }))
+      ]
+    : [];
+
+  return (
+    <section id="alignment" className="topic-alignment">
+      <div className="content-wrapper">
+        <div className="section-header">
+          <h2>Topic Alignment Across Models</h2>
+          <p className="section-intro">
+            Different model runs rarely find exactly the same themes. This view matches the topics of the
+            current model with those of another run, so stable themes can be told apart from ones that split,
+            merge or disappear.
+          </p>
+          {otherModels.length > 0 && (
+            <div className="controls">
+              <label className="control-label">
+                Compare with
+                <select
+                  className="control-select"
+                  value={comparisonId}
+                  onChange={event => setComparisonId(event.target.value)}
+                >
+                  {otherModels.map(model => (
+                    <option key={model.id} value={model.id}>{model.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="control-label">
+                Match by
+                <select
+                  className="control-select"
+                  value={measure}
+                  onChange={event => setMeasure(event.target.value)}
+                >
+                  {Object.entries(ALIGNMENT_MEASURES).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="control-label">
+                Minimum similarity {Math.round(threshold * 100)}%
+                <input
+                  type="range"
+                  min="0.05"
+                  max="0.9"
+                  step="0.05"
+                  value={threshold}
+                  onChange={event => setThreshold(Number(event.target.value))}
+                />
+              </label>
+              {selectedTopic && (
+                <button
+                  className="control-button"
+                  onClick={() => setSelectedTopic(null)}
+                >
+                  Clear Selection
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        {otherModels.length === 0 && (
+          <p className="alignment-message">
+            Only one model is available. Add another run to <code>public/data/models.json</code> to compare topics.
+          </p>
+        )}
+        {comparisonError && (
+          <p className="alignment-message error">
+            Could not load the comparison model: {comparisonError.message}
+          </p>
+        )}
+        {comparisonId && !comparisonData && !comparisonError && (
+          <p className="alignment-message">Loading comparison model...</p>
+        )}
+
+        {alignment && (
+          <>
+            {alignment.measure !== measure && (
+              <p className="alignment-message">
+                The models share fewer than ten books, so topics are matched by keyword overlap only.
+              </p>
+            )}
+            <div className="alignment-legend">
+              {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                <span key={status} className={`alignment-legend-item ${status}`}>{label}</span>
+              ))}
+            </div>
+            <div className="visualization-container alignment-container">
+              <svg ref={svgRef} className="alignment-chart"></svg>
+              <div ref={tooltipRef} className="tooltip"></div>
+            </div>
+            {unstableTopics.length > 0 && (
+              <ul className="alignment-summary">
+                {unstableTopics.map(topic => (
+                  <li key={`${topic.model}-${topic.key}`} className={topic.status}>
+                    <strong>{display(topic.name)}</strong> ({topic.model}): {STATUS_LABELS[topic.status].toLowerCase()}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+
+        <div className="explanation">
+          <p>
+            Topics are compared by the overlap of their leading keywords and, when both models cover the same
+            books, by how similarly they are distributed across those books. Thicker links mean closer topics;
+            solid links join topics that are each other's best match.
+          </p>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default TopicAlignment;
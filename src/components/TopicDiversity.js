@@ -0,0 +1,252 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import '../styles/TopicDiversity.css';
+
+// Diversity measures, with their axis labels
+const DIVERSITY_MEASURES = {
+  effectiveTopics: 'Effective number of topics',
+  entropy: 'Shannon entropy (nats)'
+};
+
+// The two series drawn for every period
+const SERIES = [
+  {
+    key: 'book',
+    label: 'Average book',
+    color: '#2a9d8f',
+    value: (d, measure) => (measure === 'entropy' ? d.entropy : d.effectiveTopics)
+  },
+  {
+    key: 'pooled',
+    label: 'All books of the period together',
+    color: '#e76f51',
+    value: (d, measure) => {
+      if (d.pooledEffectiveTopics === null) return null;
+      return measure === 'entropy' ? Math.log(d.pooledEffectiveTopics) : d.pooledEffectiveTopics;
+    }
+  }
+];
+
+/**
+ * Format the years of a period
+ * @param {Object} d Period from topicDiversity
+ * @returns {String} Single year, or a range of years
+ */
+const formatPeriod = (d) => (d.endYear > d.year ? `${d.year}–${d.endYear}` : `${d.year}`);
+
+/**
+ * Draw both diversity series over time, with point areas proportional to the number of books
+ * @param {Array} periods Periods from topicDiversity.byYear or byDecade
+ * @param {Number} topicCount Number of topics, which bounds the diversity
+ * @param {String} measure One of the DIVERSITY_MEASURES keys
+ * @param {Object} svgRef Ref of the chart svg
+ * @param {Object} tooltipRef Ref of the tooltip
+ */
+const createDiversityChart = (periods, topicCount, measure, svgRef, tooltipRef) => {
+  d3.select(svgRef.current).selectAll("*").remove();
+
+  const margin = { top: 40, right: 80, bottom: 60, left: 60 };
+  const width = svgRef.current.clientWidth - margin.left - margin.right;
+  const height = 500 - margin.top - margin.bottom;
+
+  const svg = d3.select(svgRef.current)
+    .attr("width", width + margin.left + margin.right)
+    .attr("height", height + margin.top + margin.bottom)
+    .append("g")
+    .attr("transform", `translate(${margin.left},${margin.top})`);
+
+  const tooltip = d3.select(tooltipRef.current);
+  const maximum = measure === 'entropy' ? Math.log(topicCount) : topicCount;
+  const minimum = measure === 'entropy' ? 0 : 1;
+
+  const x = d3.scaleLinear()
+    .domain(d3.extent(periods, d => d.year))
+    .range([0, width]);
+
+  const y = d3.scaleLinear()
+    .domain([minimum, maximum])
+    .range([height, 0]);
+
+  const radius = d3.scaleSqrt()
+    .domain([0, d3.max(periods, d => d.documentCount)])
+    .range([0, periods.length > 20 ? 6 : 10]);
+
+  // Upper bound: every topic equally present
+  svg.append("line")
+    .attr("class", "diversity-maximum")
+    .attr("x1", 0)
+    .attr("x2", width)
+    .attr("y1", y(maximum))
+    .attr("y2", y(maximum));
+
+  svg.append("text")
+    .attr("class", "diversity-maximum-label")
+    .attr("x", width)
+    .attr("y", y(maximum) - 6)
+    .attr("text-anchor", "end")
+    .text(`All ${topicCount} topics equally present`);
+
+  svg.append("g")
+    .call(d3.axisLeft(y).ticks(6))
+    .call(g => g.select(".domain").remove())
+    .selectAll("text")
+    .style("font-size", "12px");
+
+  svg.append("text")
+    .attr("transform", "rotate(-90)")
+    .attr("x", -height / 2)
+    .attr("y", -40)
+    .attr("text-anchor", "middle")
+    .attr("fill", "var(--text-primary)")
+    .style("font-size", "14px")
+    .text(DIVERSITY_MEASURES[measure]);
+
+  SERIES.forEach(series => {
+    const points = periods.filter(d => series.value(d, measure) !== null);
+
+    const line = d3.line()
+      .x(d => x(d.year))
+      .y(d => y(series.value(d, measure)))
+      .curve(d3.curveMonotoneX);
+
+    svg.append("path")
+      .datum(points)
+      .attr("class", `diversity-line diversity-${series.key}`)
+      .attr("d", line)
+      .attr("fill", "none")
+      .attr("stroke", series.color)
+      .attr("stroke-width", 2);
+
+    svg.append("g")
+      .selectAll("circle")
+      .data(points)
+      .enter()
+      .append("circle")
+      .attr("class", `diversity-point diversity-${series.key}`)
+      .attr("cx", d => x(d.year))
+      .attr("cy", d => y(series.value(d, measure)))
+      .attr("r", d => Math.max(2, radius(d.documentCount)))
+      .attr("fill", series.color)
+      .attr("opacity", 0.7)
+      .on("mouseover", function(event, d) {
+        d3.select(this).attr("opacity", 1);
+        tooltip
+          .style("opacity", 1)
+          .style("left", `${event.pageX + 10}px`)
+          .style("top", `${event.pageY - 10}px`)
+          .html(`
+            <div class="tooltip-title">${formatPeriod(d)}</div>
+            <div class="tooltip-subtitle">${d.documentCount} books</div>
+            <div class="tooltip-value">Average book: ${d.effectiveTopics === null ? '–' : d.effectiveTopics.toFixed(2)} topics
+              (entropy ${d.entropy === null ? '–' : d.entropy.toFixed(2)})</div>
+            <div class="tooltip-value">All books together: ${d.pooledEffectiveTopics === null ? '–' : d.pooledEffectiveTopics.toFixed(2)} topics</div>
+          `);
+      })
+      .on("mouseout", function() {
+        d3.select(this).attr("opacity", 0.7);
+        tooltip.style("opacity", 0);
+      });
+  });
+
+  svg.append("g")
+    .attr("transform", `translate(0,${height})`)
+    .call(d3.axisBottom(x)
+      .tickFormat(d => d.toString())
+      .ticks(width > 600 ? 10 : 5))
+    .call(g => g.select(".domain").remove())
+    .selectAll("text")
+    .style("font-size", "12px");
+
+  svg.append("text")
+    .attr("x", width / 2)
+    .attr("y", height + 40)
+    .attr("text-anchor", "middle")
+    .attr("fill", "var(--text-primary)")
+    .style("font-size", "14px")
+    .text("Year");
+};
+
+const TopicDiversity = ({ data }) => {
+  const svgRef = useRef(null);
+  const tooltipRef = useRef(null);
+  const [period, setPeriod] = useState('decade'); // 'year' or 'decade'
+  const [measure, setMeasure] = useState('effectiveTopics');
+
+  useEffect(() => {
+    if (!data || !svgRef.current || !tooltipRef.current) return;
+
+    const { byYear, byDecade } = data.processed.topicDiversity;
+    createDiversityChart(period === 'year' ? byYear : byDecade, data.processed.topicKeys.length, measure, svgRef, tooltipRef);
+  }, [data, period, measure]);
+
+  return (
+    <section id="diversity" className="topic-diversity">
+      <div className="content-wrapper">
+        <div className="section-header">
+          <h2>Thematic Diversity</h2>
+          <p className="section-intro">
+            Are books focused on a single theme, or do they weave many together? This chart follows
+            the thematic diversity of Qazaq literature through the century.
+          </p>
+
+          <div className="controls">
+            <button
+              className={`control-button ${period === 'decade' ? 'active' : ''}`}
+              onClick={() => setPeriod('decade')}
+            >
+              By Decade
+            </button>
+            <button
+              className={`control-button ${period === 'year' ? 'active' : ''}`}
+              onClick={() => setPeriod('year')}
+            >
+              By Year
+            </button>
+            <label className="control-label">
+              Measure
+              <select
+                className="control-select"
+                value={measure}
+                onChange={event => setMeasure(event.target.value)}
+              >
+                {Object.entries(DIVERSITY_MEASURES).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+
+        <div className="visualization-container">
+          <svg ref={svgRef} className="diversity-chart"></svg>
+          <div ref={tooltipRef} className="tooltip"></div>
+        </div>
+
+        <ul className="diversity-legend">
+          {SERIES.map(series => (
+            <li key={series.key}>
+              <span className="diversity-swatch" style={{ backgroundColor: series.color }}></span>
+              {series.label}
+            </li>
+          ))}
+        </ul>
+
+        <div className="explanation">
+          <p>
+            Diversity is measured by the Shannon entropy of a book's topic shares. Its exponential, the
+            effective number of topics, is easier to read: a book entirely about one theme counts as 1, and a
+            book spread evenly over four themes counts as 4.
+          </p>
+          <p>
+            The two lines can tell different stories. When the average book is focused but all books of a period
+            together are diverse, writers were specializing in different themes; when both lines are close, each
+            book mixes the themes of its time. Larger points stand for periods with more books; yearly values
+            from a handful of books are noisy.
+          </p>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default TopicDiversity;
@@ -1,41 +1,67 @@
 import React, { useEffect, useRef, useState } from 'react';
 import * as d3 from 'd3';
-import { topicColors } from '../utils/colors';
+import { getTopicColor } from '../utils/colors';
+import { topicLabelsInScript } from '../utils/transliteration';
+import { BIN_SIZES, LOESS_SPANS, ROLLING_WINDOWS, SMOOTHING_METHODS, smoothTopicEvolution } from '../utils/smoothing';
+import { useScript } from '../context/ScriptContext';
+import TopicTrendTable from './TopicTrendTable';
+import ChangePointPanel from './ChangePointPanel';
 import '../styles/TopicEvolution.css';
 
 const TopicEvolution = ({ data }) => {
+  const { script } = useScript();
   const svgRef = useRef(null);
   const tooltipRef = useRef(null);
   const [view, setView] = useState('stream'); // 'stream' or 'line'
   const [highlightedTopic, setHighlightedTopic] = useState(null);
+  const [smoothing, setSmoothing] = useState({ method: 'raw', window: 5, span: 0.25, binSize: 10 });
+  const [showChangePoints, setShowChangePoints] = useState(true);
   
   useEffect(() => {
     if (!data || !svgRef.current || !tooltipRef.current) return;
     
-    const topicEvolution = data.processed.topicEvolution;
-    const topicLabels = data.raw.topicLabels;
+    const topicLabels = topicLabelsInScript(data.raw.topicLabels, script);
+    const topicKeys = data.processed.topicKeys;
+    const topicEvolution = smoothTopicEvolution(data.processed.topicEvolution, topicKeys, smoothing);
     
     // Format data for visualization
-    const formattedData = formatDataForVisualization(topicEvolution, view);
+    const formattedData = formatDataForVisualization(topicEvolution, topicKeys, view);
+    
+    const changePoints = showChangePoints ? data.processed.topicChangePoints : [];
     
     // Create the visualization
-    createVisualization(formattedData, topicLabels, svgRef, tooltipRef, view, highlightedTopic);
+    createVisualization(formattedData, topicLabels, svgRef, tooltipRef, view, highlightedTopic, changePoints);
     
-  }, [data, view, highlightedTopic]);
+  }, [data, view, highlightedTopic, script, smoothing, showChangePoints]);
+  
+  // Change one smoothing option, keeping the others
+  const updateSmoothing = (option, value) => {
+    setSmoothing(current => ({ ...current, [option]: value }));
+  };
+  
+  // Highlight a topic picked in the trend table or change point list on the line chart,
+  // or clear it when picked again
+  const focusTopic = (topicKey) => {
+    setView('line');
+    setHighlightedTopic(current => (current === topicKey ? null : topicKey));
+  };
+  
+  // Year of a yearly point, or the range of years of a bin
+  const formatPeriod = (entry) => (entry.endYear ? `${entry.year}–${entry.endYear}` : `${entry.year}`);
   
   // Format data for different visualization types
-  const formatDataForVisualization = (evolutionData, viewType) => {
+  const formatDataForVisualization = (evolutionData, topicKeys, viewType) => {
     if (viewType === 'stream') {
       // For stream graph, we need data in a stacked format
       const years = evolutionData.map(d => d.year);
       const stackedData = [];
       
       // Create arrays for each topic
-      for (let i = 1; i <= 13; i++) {
-        const topicKey = `Topic_${i}`;
+      topicKeys.forEach(topicKey => {
         const topicData = evolutionData.map(yearData => {
           return {
             year: yearData.year,
+            period: formatPeriod(yearData),
             value: yearData.topicDistribution[topicKey] || 0
           };
         });
@@ -44,32 +70,39 @@ const TopicEvolution = ({ data }) => {
           key: topicKey,
           values: topicData
         });
-      }
+      });
       
       return stackedData;
     } else {
-      // For line chart, similar format but different processing for D3
+      // For line chart, similar format plus the sample size of each point and,
+      // for the raw series, its confidence interval
       const lineData = [];
       
-      for (let i = 1; i <= 13; i++) {
-        const topicKey = `Topic_${i}`;
-        const topicValues = evolutionData.map(d => ({
-          year: d.year,
-          value: d.topicDistribution[topicKey] || 0
-        }));
+      topicKeys.forEach(topicKey => {
+        const topicValues = evolutionData.map(d => {
+          const [lower, upper] = d.topicIntervals ? d.topicIntervals[topicKey] : [null, null];
+          return {
+            year: d.year,
+            period: formatPeriod(d),
+            value: d.topicDistribution[topicKey] || 0,
+            lower,
+            upper,
+            documentCount: d.documentCount
+          };
+        });
         
         lineData.push({
           id: topicKey,
           values: topicValues
         });
-      }
+      });
       
       return lineData;
     }
   };
   
   // Create the visualization based on data and view type
-  const createVisualization = (formattedData, topicLabels, svgRef, tooltipRef, viewType, highlightedTopic) => {
+  const createVisualization = (formattedData, topicLabels, svgRef, tooltipRef, viewType, highlightedTopic, changePoints) => {
     // Clear previous chart
     d3.select(svgRef.current).selectAll("*").remove();
     
@@ -103,6 +136,8 @@ const TopicEvolution = ({ data }) => {
       createLineChart(svg, formattedData, x, height, width, topicLabels, tooltip, highlightedTopic);
     }
     
+    drawChangePoints(svg, changePoints, x, height, highlightedTopic);
+    
     // Add X axis
     svg.append("g")
       .attr("transform", `translate(0,${height})`)
@@ -123,6 +158,49 @@ const TopicEvolution = ({ data }) => {
       .text("Year");
   };
   
+  // Mark change points as vertical lines: every topic's breaks when none is highlighted,
+  // otherwise only the highlighted topic's, labelled with their years
+  const drawChangePoints = (svg, changePoints, x, height, highlightedTopic) => {
+    const shown = highlightedTopic
+      ? changePoints.filter(d => d.topicKey === highlightedTopic)
+      : changePoints;
+    const [minYear, maxYear] = x.domain();
+    const visible = shown.filter(d => d.year >= minYear && d.year <= maxYear);
+    
+    const markers = svg.append("g")
+      .attr("class", "change-point-markers")
+      .attr("pointer-events", "none");
+    
+    markers.selectAll(".change-point-line")
+      .data(visible)
+      .enter()
+      .append("line")
+      .attr("class", "change-point-line")
+      .attr("x1", d => x(d.year))
+      .attr("x2", d => x(d.year))
+      .attr("y1", 0)
+      .attr("y2", height)
+      .attr("stroke", d => getTopicColor(d.topicKey))
+      .attr("stroke-width", highlightedTopic ? 2 : 1)
+      .attr("stroke-dasharray", "4,3")
+      .attr("opacity", highlightedTopic ? 0.9 : 0.4);
+    
+    if (highlightedTopic) {
+      markers.selectAll(".change-point-label")
+        .data(visible)
+        .enter()
+        .append("text")
+        .attr("class", "change-point-label")
+        .attr("x", d => x(d.year))
+        .attr("y", -6)
+        .attr("text-anchor", "middle")
+        .attr("fill", d => getTopicColor(d.topicKey))
+        .style("font-size", "12px")
+        .style("font-weight", "bold")
+        .text(d => d.year);
+    }
+  };
+  
   // Create a stream graph visualization
   const createStreamGraph = (svg, data, x, height, width, topicLabels, tooltip, highlightedTopic, years) => {
     // Clear any existing labels and markers
@@ -132,11 +210,12 @@ const TopicEvolution = ({ data }) => {
     const stackData = [];
     
     years.forEach(year => {
-      const yearData = { year };
+      const yearData = { year, period: `${year}` };
       
       data.forEach(topic => {
         const yearValue = topic.values.find(v => v.year === year);
         yearData[topic.key] = yearValue ? yearValue.value : 0;
+        if (yearValue) yearData.period = yearValue.period;
       });
       
       stackData.push(yearData);
@@ -183,7 +262,7 @@ const TopicEvolution = ({ data }) => {
       .append("path")
       .attr("class", d => `area topic-${d.key.replace("Topic_", "")}`)
       .attr("d", area)
-      .style("fill", d => topicColors[d.key])
+      .style("fill", d => getTopicColor(d.key))
       .style("opacity", d => highlightedTopic && d.key !== highlightedTopic ? 0.3 : 0.8)
       .on("mouseover", function(event, d) {
         // Highlight this area
@@ -224,7 +303,7 @@ const TopicEvolution = ({ data }) => {
           .html(`
             <div class="tooltip-title">${topicName}</div>
             <div class="tooltip-subtitle">${d.key}</div>
-            <div class="tooltip-value">Year: ${dataPoint.year}</div>
+            <div class="tooltip-value">Year: ${dataPoint.period}</div>
             <div class="tooltip-value">Value: ${(dataPoint[d.key] * 100).toFixed(2)}%</div>
           `);
       })
@@ -261,7 +340,7 @@ const TopicEvolution = ({ data }) => {
             .attr("cx", x(point.year))
             .attr("cy", y(point.value))
             .attr("r", 5)
-            .attr("fill", topicColors[selectedLine.id])
+            .attr("fill", getTopicColor(selectedLine.id))
             .attr("stroke", "white")
             .attr("stroke-width", 2);
         });
@@ -272,7 +351,7 @@ const TopicEvolution = ({ data }) => {
           .attr("x", width / 2)
           .attr("y", height + 15) // Position below the x-axis
           .attr("text-anchor", "middle") // Center align
-          .attr("fill", topicColors[selectedLine.id])
+          .attr("fill", getTopicColor(selectedLine.id))
           .attr("font-weight", "bold")
           .attr("font-size", "14px")
           .text(topicName);
@@ -300,7 +379,7 @@ const TopicEvolution = ({ data }) => {
           .attr("cx", x(years[years.length - 1]))
           .attr("cy", middleY)
           .attr("r", 5)
-          .attr("fill", topicColors[selectedArea.key])
+          .attr("fill", getTopicColor(selectedArea.key))
           .attr("stroke", "white")
           .attr("stroke-width", 2);
         
@@ -310,7 +389,7 @@ const TopicEvolution = ({ data }) => {
           .attr("x", width / 2)
           .attr("y",middleY +50)
           .attr("text-anchor", "middle") // Center align
-          .attr("fill", topicColors[selectedArea.key])
+          .attr("fill", getTopicColor(selectedArea.key))
           .attr("font-weight", "bold")
           .attr("font-size", "14px")
           .text(topicName);
@@ -369,6 +448,25 @@ const TopicEvolution = ({ data }) => {
       .y(d => y(d.value))
       .curve(d3.curveBasis);
     
+    // Shaded 95% confidence bands, drawn under the lines; only the highlighted topic's band
+    // is shown while a topic is highlighted. Smoothed series have no bands.
+    const hasIntervals = data.length > 0 && data[0].values.every(d => d.lower !== null);
+    const band = d3.area()
+      .x(d => x(d.year))
+      .y0(d => y(d.lower))
+      .y1(d => y(d.upper))
+      .curve(d3.curveBasis);
+    
+    svg.selectAll(".confidence-band")
+      .data(!hasIntervals ? [] : highlightedTopic ? data.filter(d => d.id === highlightedTopic) : data)
+      .enter()
+      .append("path")
+      .attr("class", "confidence-band")
+      .attr("d", d => band(d.values))
+      .attr("fill", d => getTopicColor(d.id))
+      .attr("opacity", highlightedTopic ? 0.25 : 0.08)
+      .attr("pointer-events", "none");
+    
     // Add lines
     const paths = svg.selectAll(".line")
       .data(data)
@@ -377,7 +475,7 @@ const TopicEvolution = ({ data }) => {
       .attr("class", d => `line topic-${d.id.replace("Topic_", "")}`)
       .attr("d", d => line(d.values))
       .attr("fill", "none")
-      .attr("stroke", d => topicColors[d.id])
+      .attr("stroke", d => getTopicColor(d.id))
       .attr("stroke-width", d => highlightedTopic === d.id ? 3 : 2)
       .style("opacity", d => highlightedTopic && d.id !== highlightedTopic ? 0.2 : 1)
       .on("mouseover", function(event, d) {
@@ -422,8 +520,12 @@ const TopicEvolution = ({ data }) => {
           .html(`
             <div class="tooltip-title">${topicName}</div>
             <div class="tooltip-subtitle">${d.id}</div>
-            <div class="tooltip-value">Year: ${dataPoint.year}</div>
+            <div class="tooltip-value">Year: ${dataPoint.period}</div>
             <div class="tooltip-value">Value: ${(dataPoint.value * 100).toFixed(2)}%</div>
+            ${hasIntervals ? `<div class="tooltip-value">
+              95% interval: ${(dataPoint.lower * 100).toFixed(2)}% – ${(dataPoint.upper * 100).toFixed(2)}%
+            </div>` : ''}
+            <div class="tooltip-value">Documents: ${dataPoint.documentCount}</div>
           `);
       })
       .on("mouseout", function(event, d) {
@@ -461,7 +563,7 @@ const TopicEvolution = ({ data }) => {
             .attr("cx", x(point.year))
             .attr("cy", y(point.value))
             .attr("r", 5)
-            .attr("fill", topicColors[selectedLine.id])
+            .attr("fill", getTopicColor(selectedLine.id))
             .attr("stroke", "white")
             .attr("stroke-width", 2);
           
@@ -472,7 +574,7 @@ const TopicEvolution = ({ data }) => {
               .attr("x", x(point.year) + 10)
               .attr("y", y(point.value))
               .attr("dy", "0.35em")
-              .attr("fill", topicColors[selectedLine.id])
+              .attr("fill", getTopicColor(selectedLine.id))
               .attr("font-weight", "bold")
               .attr("font-size", "12px")
               .text(topicName);
@@ -521,6 +623,66 @@ const TopicEvolution = ({ data }) => {
             >
               Line Chart
             </button>
+            <label className="control-label">
+              Smoothing
+              <select
+                className="control-select"
+                value={smoothing.method}
+                onChange={event => updateSmoothing('method', event.target.value)}
+              >
+                {Object.entries(SMOOTHING_METHODS).map(([method, label]) => (
+                  <option key={method} value={method}>{label}</option>
+                ))}
+              </select>
+            </label>
+            {smoothing.method === 'rolling' && (
+              <label className="control-label">
+                Window
+                <select
+                  className="control-select"
+                  value={smoothing.window}
+                  onChange={event => updateSmoothing('window', Number(event.target.value))}
+                >
+                  {ROLLING_WINDOWS.map(window => (
+                    <option key={window} value={window}>{window} years</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {smoothing.method === 'loess' && (
+              <label className="control-label">
+                Span
+                <select
+                  className="control-select"
+                  value={smoothing.span}
+                  onChange={event => updateSmoothing('span', Number(event.target.value))}
+                >
+                  {LOESS_SPANS.map(span => (
+                    <option key={span} value={span}>{Math.round(span * 100)}% of years</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {smoothing.method === 'bins' && (
+              <label className="control-label">
+                Bin size
+                <select
+                  className="control-select"
+                  value={smoothing.binSize}
+                  onChange={event => updateSmoothing('binSize', Number(event.target.value))}
+                >
+                  {BIN_SIZES.map(binSize => (
+                    <option key={binSize} value={binSize}>{binSize} years</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <button
+              className={`control-button ${showChangePoints ? 'active' : ''}`}
+              onClick={() => setShowChangePoints(!showChangePoints)}
+            >
+              Change Points
+            </button>
             {highlightedTopic && (
               <button 
                 className="control-button"
@@ -537,6 +699,22 @@ const TopicEvolution = ({ data }) => {
           <div ref={tooltipRef} className="tooltip"></div>
         </div>
         
+        {showChangePoints && (
+          <ChangePointPanel
+            changePoints={data.processed.topicChangePoints}
+            topicLabels={topicLabelsInScript(data.raw.topicLabels, script)}
+            highlightedTopic={highlightedTopic}
+            onSelectTopic={focusTopic}
+          />
+        )}
+        
+        <TopicTrendTable
+          trends={data.processed.topicTrends}
+          topicLabels={topicLabelsInScript(data.raw.topicLabels, script)}
+          highlightedTopic={highlightedTopic}
+          onSelectTopic={focusTopic}
+        />
+        
         <div className="explanation">
           <p>
             This visualization reveals how literary themes have waxed and waned throughout the 20th century. 
@@ -544,6 +722,27 @@ const TopicEvolution = ({ data }) => {
             (highlighting individual topic trajectories). Click on any topic to highlight it, or hover to 
             see detailed information.
           </p>
+          <p>
+            In the line chart, the shaded band around each line is a 95% confidence interval for that
+            year's average. Years with only a few books have wide bands: their peaks and dips may say
+            more about the individual books than about the period.
+          </p>
+          <p>
+            The smoothing menu trades yearly detail for readable trends: a rolling mean averages each year
+            with its neighbours, LOESS fits a local trend line, and year bins pool whole periods. All of them
+            weigh years by their number of books. Confidence bands are only shown for the raw yearly values.
+          </p>
+          <p>
+            The table tests each theme's raw yearly values for a steady rise or decline (Mann-Kendall test).
+            The change per decade is Sen's slope in percentage points, and the q-value corrects for testing
+            every theme at once; themes with q below 0.05 are marked as rising or declining. Click a row to
+            highlight the theme in the line chart.
+          </p>
+          <p>
+            Dashed vertical lines mark change points: years where a theme's average level shifts abruptly
+            and stays shifted for at least five years (found with the PELT algorithm, weighting each year by its
+            number of books). The list under the chart gives the theme's average before and after each break.
+          </p>
           <p>
             Notice how themes like "Warfare & Military" spike during the mid-1940s (World War II) and 
             themes related to national identity gain prominence in the later Soviet period. Traditional themes 
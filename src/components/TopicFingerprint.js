@@ -0,0 +1,78 @@
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import { getTopicColor } from '../utils/colors';
+import '../styles/TopicFingerprint.css';
+
+// Size of the chart in viewBox units; the svg scales to its container's width
+const FINGERPRINT_WIDTH = 260;
+const FINGERPRINT_HEIGHT = 60;
+
+/**
+ * Small bar chart of a book's topic shares. With compareShares, every topic gets a pair of
+ * bars: the reference book faded on the left and this book on the right.
+ * @param {Object} props Component props
+ * @param {Array} props.shares Topic shares of the book, in topicKeys order
+ * @param {Array} props.compareShares Topic shares of the reference book, or undefined
+ * @param {Array} props.topicKeys Array of topic keys
+ * @param {Object} props.topicNames Object mapping topic keys to names
+ */
+const TopicFingerprint = ({ shares, compareShares, topicKeys, topicNames }) => {
+  const svgRef = useRef(null);
+
+  useEffect(() => {
+    if (!svgRef.current) return;
+
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+
+    const x = d3.scaleBand()
+      .domain(topicKeys)
+      .range([0, FINGERPRINT_WIDTH])
+      .padding(0.2);
+
+    const y = d3.scaleLinear()
+      .domain([0, d3.max([...shares, ...(compareShares || [])]) || 1])
+      .range([FINGERPRINT_HEIGHT, 0]);
+
+    const bars = topicKeys.flatMap((topicKey, t) => {
+      const own = { topicKey, value: shares[t], offset: 0, width: x.bandwidth(), reference: false };
+      if (!compareShares) return [own];
+      const half = x.bandwidth() / 2;
+      return [
+        { topicKey, value: compareShares[t], offset: 0, width: half, reference: true },
+        { ...own, offset: half, width: half }
+      ];
+    });
+
+    svg.append("line")
+      .attr("class", "fingerprint-baseline")
+      .attr("x1", 0)
+      .attr("x2", FINGERPRINT_WIDTH)
+      .attr("y1", FINGERPRINT_HEIGHT)
+      .attr("y2", FINGERPRINT_HEIGHT);
+
+    svg.selectAll(".fingerprint-bar")
+      .data(bars)
+      .enter()
+      .append("rect")
+      .attr("class", d => `fingerprint-bar ${d.reference ? 'reference' : ''}`)
+      .attr("x", d => x(d.topicKey) + d.offset)
+      .attr("y", d => y(d.value))
+      .attr("width", d => d.width)
+      .attr("height", d => FINGERPRINT_HEIGHT - y(d.value))
+      .attr("fill", d => getTopicColor(d.topicKey))
+      .append("title")
+      .text(d => `${topicNames[d.topicKey] || d.topicKey}${d.reference ? ' (chosen book)' : ''}: ${(d.value * 100).toFixed(1)}%`);
+  }, [shares, compareShares, topicKeys, topicNames]);
+
+  return (
+    <svg
+      ref={svgRef}
+      className="topic-fingerprint"
+      viewBox={`0 0 ${FINGERPRINT_WIDTH} ${FINGERPRINT_HEIGHT}`}
+      preserveAspectRatio="none"
+    ></svg>
+  );
+};
+
+export default TopicFingerprint;
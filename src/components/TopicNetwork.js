@@ -1,270 +1,596 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import * as d3 from 'd3';
-import { topicColors } from '../utils/colors';
+import { getTopicColor } from '../utils/colors';
+import { topicLabelsInScript } from '../utils/transliteration';
+import { useScript } from '../context/ScriptContext';
+import { ASSOCIATION_MEASURES } from '../utils/topicAssociations';
+import { detectCommunities } from '../utils/communities';
 import '../styles/TopicNetwork.css';
 
-const TopicNetwork = ({ data }) => {
-  const svgRef = useRef(null);
-  const tooltipRef = useRef(null);
-  const [selectedNode, setSelectedNode] = useState(null);
+// Links need a q-value below this level when only significant links are shown
+const SIGNIFICANCE_LEVEL = 0.05;
 
-  useEffect(() => {
-    if (!data || !svgRef.current || !tooltipRef.current) return;
+// Link colours for positive and negative associations
+const POSITIVE_LINK_COLOR = '#2a9d8f';
+const NEGATIVE_LINK_COLOR = '#bc4749';
 
-    // Get data needed for the network visualization
-    const topicLabels = data.raw.topicLabels;
-    const correlationMatrix = data.processed.topicCorrelations;
+// Ways of laying out the network, with their UI labels
+const NETWORK_LAYOUTS = {
+  force: 'Force-directed',
+  circular: 'Circular',
+  chord: 'Chord diagram',
+  matrix: 'Adjacency matrix'
+};
 
-    // Create network visualization
-    createNetworkVisualization(
-      topicLabels,
-      correlationMatrix,
-      svgRef,
-      tooltipRef,
-      selectedNode,
-      setSelectedNode
-    );
-  }, [data, selectedNode]);
-
-  const createNetworkVisualization = (
-    topicLabels,
-    correlationMatrix,
-    svgRef,
-    tooltipRef,
-    selectedNode,
-    setSelectedNode
-  ) => {
-    // Clear previous visualization
-    d3.select(svgRef.current).selectAll('*').remove();
-
-    // Set up dimensions
-    const width = svgRef.current.clientWidth;
-    const height = 600;
-
-    // Create SVG
-    const svg = d3
-      .select(svgRef.current)
-      .attr('width', width)
-      .attr('height', height)
-      .attr('viewBox', [0, 0, width, height]);
-
-    // Create tooltip (shared for both nodes and links)
-    const tooltip = d3.select(tooltipRef.current);
-
-    // Prepare nodes (each topic)
-    const nodes = topicLabels.map(label => {
-      const topicNumber = parseInt(label['Topic Number'].split(' ')[1]);
-      return {
-        id: `Topic_${topicNumber}`,
-        name: label['Topic Name'],
-        index: topicNumber - 1 // 0-indexed
-      };
-    });
+// Node colourings, with their UI labels
+const NODE_COLORINGS = {
+  community: 'Community',
+  topic: 'Topic'
+};
 
-    // Create links based on correlation matrix and threshold
-    const links = [];
-    const threshold = 0.05;
-    for (let i = 0; i < correlationMatrix.length; i++) {
-      for (let j = i + 1; j < correlationMatrix[i].length; j++) {
-        const correlation = correlationMatrix[i][j];
-        if (Math.abs(correlation) > threshold) {
-          links.push({
-            source: i,
-            target: j,
-            value: correlation
-          });
-        }
+// Colours of the communities, in community order; themes without positive links are grey
+const COMMUNITY_COLORS = d3.schemeTableau10;
+const UNLINKED_COLOR = '#b0b0b0';
+
+/**
+ * Format a probability, showing very small values as a bound
+ * @param {Number} p Probability
+ * @returns {String} Formatted probability
+ */
+const formatProbability = (p) => (p < 0.001 ? '< 0.001' : `= ${p.toFixed(3)}`);
+
+/**
+ * Select the topic pairs drawn as links
+ * @param {Object} association One measure of processed.topicAssociations
+ * @param {Number} threshold Smallest absolute association drawn
+ * @param {Boolean} significantOnly Whether to drop pairs with a q-value above SIGNIFICANCE_LEVEL
+ * @returns {Array} Array of { source, target, value, pValue, qValue } objects with topic indices
+ */
+const buildLinks = ({ values, pValues, qValues }, threshold, significantOnly) => {
+  const links = [];
+  for (let i = 0; i < values.length; i++) {
+    for (let j = i + 1; j < values[i].length; j++) {
+      const value = values[i][j];
+      const significant = qValues[i][j] < SIGNIFICANCE_LEVEL;
+      if (Math.abs(value) >= threshold && (significant || !significantOnly)) {
+        links.push({ source: i, target: j, value, pValue: pValues[i][j], qValue: qValues[i][j] });
       }
     }
+  }
+  return links;
+};
 
-    // Create force simulation with increased distances
-    const simulation = d3.forceSimulation(nodes)
-      .force('link', d3.forceLink(links).id(d => d.index).distance(600)) // Increased distance
-      .force('charge', d3.forceManyBody().strength(-500))                 // Stronger repulsion
-      .force('center', d3.forceCenter(width / 2, height / 2))
-      .force('collision', d3.forceCollide().radius(60));                    // Larger collision radius
-
-    // Create a scale for link stroke widths (for visual thickness)
-    const linkScale = d3.scaleLinear()
-      .domain([threshold, d3.max(links, d => Math.abs(d.value))])
-      .range([1, 8]);
-
-    // Define a function to choose color based on correlation value
-    const getLinkColor = (d) => {
-      const absVal = Math.abs(d.value);
-      if (absVal < 0.1) {
-        return "#aaa"; // weak correlation color
-      } else if (absVal < 0.3) {
-        return "#777"; // medium correlation color
-      } else {
-        return "#555"; // strong correlation color
-      }
-    };
-
-    // Add links (drawn behind nodes)
-    const link = svg.append('g')
-      .attr('class', 'links')
-      .selectAll('line')
-      .data(links)
-      .enter()
-      .append('line')
-      .attr('stroke-width', d => linkScale(Math.abs(d.value)))
-      .attr('stroke', d => getLinkColor(d))
-      .attr('stroke-opacity', 0.8)
-      .attr('class', d => `link link-${d.source.index}-${d.target.index}`)
-      .style('cursor', 'pointer')
-      .on('mouseover', function(event, d) {
-        // Increase stroke width temporarily to improve hover detection
-        d3.select(this)
-          .attr('stroke-width', linkScale(Math.abs(d.value)) + 2);
-        // Show tooltip with formatted correlation value
-        tooltip
-          .style('opacity', 1)
-          .style('left', `${event.pageX + 10}px`)
-          .style('top', `${event.pageY - 10}px`)
-          .html(`Correlation: ${(d.value * 100).toFixed(1)}%`);
-      })
-      .on('mousemove', function(event) {
-        tooltip
-          .style('left', `${event.pageX + 10}px`)
-          .style('top', `${event.pageY - 10}px`);
-      })
-      .on('mouseout', function(event, d) {
-        // Restore original stroke width
-        d3.select(this).attr('stroke-width', linkScale(Math.abs(d.value)));
-        tooltip.style('opacity', 0);
-      });
-
-    // Add nodes
-    const node = svg.append('g')
-      .attr('class', 'nodes')
-      .selectAll('g')
-      .data(nodes)
-      .enter()
-      .append('g')
-      .attr('class', d => `node node-${d.index}`)
-      .call(d3.drag()
-        .on('start', dragstarted)
-        .on('drag', dragged)
-        .on('end', dragended));
-
-    // Append circles to nodes
-    node.append('circle')
-      .attr('r', 25)
-      .attr('fill', d => topicColors[d.id])
-      .attr('stroke', '#fff')
-      .attr('stroke-width', d => d.id === selectedNode ? 3 : 1)
-      .on('mouseover', function(event, d) {
-        // Highlight node on hover
-        d3.select(this).attr('stroke-width', 3);
-        tooltip
-          .style('opacity', 1)
-          .style('left', `${event.pageX + 10}px`)
-          .style('top', `${event.pageY - 10}px`)
-          .html(`
-            <div class="tooltip-title">${d.name}</div>
-            <div class="tooltip-subtitle">${d.id} (Node ${d.index + 1})</div>
-          `);
-        // Show node label on hover
-        d3.select(this.parentNode).select('text')
-          .style('opacity', 1);
-      })
-      .on('mouseout', function(event, d) {
-        d3.select(this)
-          .attr('stroke-width', d.id === selectedNode ? 3 : 1);
-        tooltip.style('opacity', 0);
-        // Hide node label when not hovered
-        d3.select(this.parentNode).select('text')
-          .style('opacity', 0);
-      })
-      .on('click', function(event, d) {
-        // Toggle node selection
-        setSelectedNode(d.id === selectedNode ? null : d.id);
-        if (d.id !== selectedNode) {
-          // Dim all nodes and links
-          node.selectAll('circle').attr('opacity', 0.3);
-          link.attr('opacity', 0.1);
-          d3.select(this).attr('opacity', 1);
-          // Highlight connections for this node
-          link.each(function(l) {
-            if (l.source.index === d.index || l.target.index === d.index) {
-              d3.select(this).attr('opacity', 1);
-              const connectedNodeIndex = (l.source.index === d.index) ? l.target.index : l.source.index;
-              node.filter(n => n.index === connectedNodeIndex)
-                .select('circle')
-                .attr('opacity', 1);
-            }
-          });
-        } else {
-          node.selectAll('circle').attr('opacity', 1);
-          link.attr('opacity', 0.6);
-        }
-      });
-
-    // Append a text label for each node (hidden by default)
-    node.append('text')
-      .attr('text-anchor', 'middle')
-      .attr('dy', 45)
-      .attr('fill', 'var(--text-primary)')
-      .attr('font-size', '12px')
-      .attr('class', 'node-label')
-      // Prevent the text element from capturing pointer events so the circle events work as intended
-      .style('pointer-events', 'none')
-      .style('opacity', 0)
-      .text(d => {
-        if (!d.name || d.name.trim() === '') {
-          return `Topic ${d.id.split('_')[1]}`;
-        }
-        return d.name.length > 15 ? d.name.substring(0, 12) + '...' : d.name;
-      });
-
-    // Update positions on each simulation tick
-    simulation.on('tick', () => {
-      link
-        .attr('x1', d => Math.max(30, Math.min(width - 30, d.source.x)))
-        .attr('y1', d => Math.max(30, Math.min(height - 30, d.source.y)))
-        .attr('x2', d => Math.max(30, Math.min(width - 30, d.target.x)))
-        .attr('y2', d => Math.max(30, Math.min(height - 30, d.target.y)));
-
-      node.attr('transform', d => `translate(${Math.max(30, Math.min(width - 30, d.x))},
-                                               ${Math.max(30, Math.min(height - 30, d.y))})`);
+/**
+ * Shorten a topic name for labels inside the chart
+ * @param {Object} node Network node
+ * @returns {String} Label text
+ */
+const getNodeLabel = (node) => {
+  if (!node.name || node.name.trim() === '') {
+    return `Topic ${node.id.split('_')[1]}`;
+  }
+  return node.name.length > 15 ? node.name.substring(0, 12) + '...' : node.name;
+};
+
+// Style the links of the force and circular layouts: solid for positive, dashed for negative
+const styleLinks = (selection, { linkScale, isLinkDimmed, showLinkTooltip, moveTooltip, hideTooltip }) => {
+  selection
+    .attr('class', d => `link link-${d.source}-${d.target}`)
+    .attr('fill', 'none')
+    .attr('stroke-width', d => linkScale(Math.abs(d.value)))
+    .attr('stroke', d => (d.value > 0 ? POSITIVE_LINK_COLOR : NEGATIVE_LINK_COLOR))
+    .attr('stroke-dasharray', d => (d.value > 0 ? null : '6,4'))
+    .attr('stroke-opacity', 0.8)
+    .attr('opacity', d => (isLinkDimmed(d) ? 0.1 : 1))
+    .style('cursor', 'pointer')
+    .on('mouseover', function(event, d) {
+      // Increase stroke width temporarily to improve hover detection
+      d3.select(this).attr('stroke-width', linkScale(Math.abs(d.value)) + 2);
+      showLinkTooltip(event, d);
+    })
+    .on('mousemove', moveTooltip)
+    .on('mouseout', function(event, d) {
+      // Restore original stroke width
+      d3.select(this).attr('stroke-width', linkScale(Math.abs(d.value)));
+      hideTooltip();
     });
+};
 
-    // Handle window resize
-    const handleResize = () => {
-      const newWidth = svgRef.current.clientWidth;
-      svg.attr('width', newWidth)
-         .attr('viewBox', [0, 0, newWidth, height]);
-      simulation.force('center', d3.forceCenter(newWidth / 2, height / 2))
-                .alpha(0.3)
-                .restart();
-    };
-
-    window.addEventListener('resize', handleResize);
-
-    // Drag event functions
-    function dragstarted(event, d) {
-      if (!event.active) simulation.alphaTarget(0.3).restart();
-      d.fx = d.x;
-      d.fy = d.y;
-    }
+// Append a circle and an always visible label to every node group
+const appendNodeMarks = (node, radius, { getNodeColor, isDimmed, toggleNode, showNodeTooltip, moveTooltip, hideTooltip, selectedNode }) => {
+  node.append('circle')
+    .attr('r', radius)
+    .attr('fill', getNodeColor)
+    .attr('stroke', '#fff')
+    .attr('stroke-width', d => d.id === selectedNode ? 3 : 1)
+    .attr('opacity', d => (isDimmed(d.index) ? 0.3 : 1))
+    .on('mouseover', function(event, d) {
+      // Highlight node on hover
+      d3.select(this).attr('stroke-width', 3);
+      showNodeTooltip(event, d);
+    })
+    .on('mousemove', moveTooltip)
+    .on('mouseout', function(event, d) {
+      d3.select(this)
+        .attr('stroke-width', d.id === selectedNode ? 3 : 1);
+      hideTooltip();
+    })
+    .on('click', (event, d) => toggleNode(d));
 
-    function dragged(event, d) {
-      d.fx = event.x;
-      d.fy = event.y;
-    }
+  node.append('text')
+    .attr('class', 'node-label')
+    .attr('opacity', d => (isDimmed(d.index) ? 0.3 : 1))
+    .text(getNodeLabel);
+};
 
-    function dragended(event, d) {
-      if (!event.active) simulation.alphaTarget(0);
-      d.fx = null;
-      d.fy = null;
-    }
+// Force-directed layout; nodes are kept inside the chart
+const drawForceLayout = (nodes, links, context) => {
+  const { svg, width, height, svgRef } = context;
+  const radius = 22;
+  const margin = radius + 20;
+
+  // The simulation replaces link ends by node objects, so it gets copies of the links
+  const simulationLinks = links.map(l => ({ ...l }));
+  const simulation = d3.forceSimulation(nodes)
+    .force('link', d3.forceLink(simulationLinks)
+      .id(d => d.index)
+      .distance(Math.min(width, height) / 3)
+      // Only positive links pull topics together
+      .strength(d => (d.value > 0 ? 0.5 : 0)))
+    .force('charge', d3.forceManyBody().strength(-400))
+    .force('center', d3.forceCenter(width / 2, height / 2))
+    .force('collision', d3.forceCollide().radius(radius + 25));
+
+  // Add links (drawn behind nodes)
+  const link = svg.append('g')
+    .attr('class', 'links')
+    .selectAll('line')
+    .data(links)
+    .enter()
+    .append('line')
+    .call(styleLinks, context);
+
+  // Add nodes
+  const node = svg.append('g')
+    .attr('class', 'nodes')
+    .selectAll('g')
+    .data(nodes)
+    .enter()
+    .append('g')
+    .attr('class', d => `node node-${d.index}`)
+    .call(d3.drag()
+      .on('start', dragstarted)
+      .on('drag', dragged)
+      .on('end', dragended));
+
+  appendNodeMarks(node, radius, context);
+  node.select('text')
+    .attr('dy', radius + 16)
+    .attr('text-anchor', 'middle');
+
+  // Update positions on each simulation tick, keeping nodes inside the chart
+  simulation.on('tick', () => {
+    nodes.forEach(d => {
+      d.x = Math.max(margin, Math.min(width - margin, d.x));
+      d.y = Math.max(margin, Math.min(height - margin, d.y));
+    });
+
+    link
+      .attr('x1', d => nodes[d.source].x)
+      .attr('y1', d => nodes[d.source].y)
+      .attr('x2', d => nodes[d.target].x)
+      .attr('y2', d => nodes[d.target].y);
+
+    node.attr('transform', d => `translate(${d.x},${d.y})`);
+  });
+
+  // Handle window resize
+  const handleResize = () => {
+    const newWidth = svgRef.current.clientWidth;
+    svg.attr('width', newWidth)
+       .attr('viewBox', [0, 0, newWidth, height]);
+    simulation.force('center', d3.forceCenter(newWidth / 2, height / 2))
+              .alpha(0.3)
+              .restart();
+  };
+
+  window.addEventListener('resize', handleResize);
+
+  // Drag event functions
+  function dragstarted(event, d) {
+    if (!event.active) simulation.alphaTarget(0.3).restart();
+    d.fx = d.x;
+    d.fy = d.y;
+  }
+
+  function dragged(event, d) {
+    d.fx = event.x;
+    d.fy = event.y;
+  }
+
+  function dragended(event, d) {
+    if (!event.active) simulation.alphaTarget(0);
+    d.fx = null;
+    d.fy = null;
+  }
+
+  return () => {
+    simulation.stop();
+    window.removeEventListener('resize', handleResize);
+  };
+};
+
+// Order nodes so that the members of a community sit next to each other
+const orderByCommunity = nodes => [...nodes].sort((a, b) => a.community - b.community || a.index - b.index);
+
+// Nodes on a circle, grouped by community, with links curving through the centre
+const drawCircularLayout = (nodes, links, context) => {
+  const { svg, width, height } = context;
+  const radius = Math.min(width, height) / 2 - 110;
+  const center = { x: width / 2, y: height / 2 };
+
+  const positions = new Map();
+  orderByCommunity(nodes).forEach((d, i) => {
+    const angle = (2 * Math.PI * i) / nodes.length - Math.PI / 2;
+    positions.set(d.index, { angle, x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+  });
+
+  svg.append('g')
+    .attr('class', 'links')
+    .selectAll('path')
+    .data(links)
+    .enter()
+    .append('path')
+    .attr('d', d => {
+      const source = positions.get(d.source);
+      const target = positions.get(d.target);
+      // Pull the control point halfway to the centre so links bend inwards
+      const controlX = (source.x + target.x) / 4 + center.x / 2;
+      const controlY = (source.y + target.y) / 4 + center.y / 2;
+      return `M${source.x},${source.y} Q${controlX},${controlY} ${target.x},${target.y}`;
+    })
+    .call(styleLinks, context);
+
+  const node = svg.append('g')
+    .attr('class', 'nodes')
+    .selectAll('g')
+    .data(nodes)
+    .enter()
+    .append('g')
+    .attr('class', d => `node node-${d.index}`)
+    .attr('transform', d => `translate(${positions.get(d.index).x},${positions.get(d.index).y})`);
+
+  appendNodeMarks(node, 14, context);
+
+  // Labels point away from the centre
+  node.select('text')
+    .attr('dy', '0.35em')
+    .attr('transform', d => {
+      const { angle } = positions.get(d.index);
+      const degrees = (angle * 180) / Math.PI;
+      return Math.cos(angle) < 0
+        ? `rotate(${degrees + 180}) translate(-22,0)`
+        : `rotate(${degrees}) translate(22,0)`;
+    })
+    .attr('text-anchor', d => (Math.cos(positions.get(d.index).angle) < 0 ? 'end' : 'start'));
+};
+
+// Chord diagram: arc length is a theme's total link strength, ribbons are links
+const drawChordDiagram = (nodes, links, context) => {
+  const { svg, width, height, getNodeColor, isDimmed, isLinkDimmed, toggleNode,
+    showNodeTooltip, showLinkTooltip, moveTooltip, hideTooltip } = context;
+  const outerRadius = Math.min(width, height) / 2 - 110;
+  const innerRadius = outerRadius - 16;
+
+  const strengths = nodes.map(() => new Array(nodes.length).fill(0));
+  const linkByPair = new Map();
+  links.forEach(l => {
+    strengths[l.source][l.target] = strengths[l.target][l.source] = Math.abs(l.value);
+    linkByPair.set(`${Math.min(l.source, l.target)}-${Math.max(l.source, l.target)}`, l);
+  });
+  const findLink = chord => linkByPair.get(
+    `${Math.min(chord.source.index, chord.target.index)}-${Math.max(chord.source.index, chord.target.index)}`
+  );
+
+  const chords = d3.chord()
+    .padAngle(0.03)
+    .sortSubgroups(d3.descending)(strengths);
+
+  const group = svg.append('g')
+    .attr('transform', `translate(${width / 2},${height / 2})`);
+
+  const arc = d3.arc().innerRadius(innerRadius).outerRadius(outerRadius);
+  const groups = group.append('g')
+    .attr('class', 'chord-groups')
+    .selectAll('g')
+    .data(chords.groups)
+    .enter()
+    .append('g');
+
+  groups.append('path')
+    .attr('d', arc)
+    .attr('fill', d => getNodeColor(nodes[d.index]))
+    .attr('stroke', '#fff')
+    .attr('opacity', d => (isDimmed(d.index) ? 0.3 : 1))
+    .style('cursor', 'pointer')
+    .on('mouseover', (event, d) => showNodeTooltip(event, nodes[d.index]))
+    .on('mousemove', moveTooltip)
+    .on('mouseout', hideTooltip)
+    .on('click', (event, d) => toggleNode(nodes[d.index]));
 
-    return () => {
-      window.removeEventListener('resize', handleResize);
-    };
+  groups.append('text')
+    .attr('class', 'node-label')
+    .attr('dy', '0.35em')
+    .attr('opacity', d => (isDimmed(d.index) ? 0.3 : 1))
+    .attr('transform', d => {
+      const angle = (d.startAngle + d.endAngle) / 2;
+      const degrees = (angle * 180) / Math.PI - 90;
+      return `rotate(${degrees}) translate(${outerRadius + 8},0)${angle > Math.PI ? ' rotate(180)' : ''}`;
+    })
+    .attr('text-anchor', d => ((d.startAngle + d.endAngle) / 2 > Math.PI ? 'end' : 'start'))
+    .text(d => getNodeLabel(nodes[d.index]));
+
+  group.append('g')
+    .attr('class', 'chord-ribbons')
+    .selectAll('path')
+    .data(chords)
+    .enter()
+    .append('path')
+    .attr('d', d3.ribbon().radius(innerRadius))
+    .attr('fill', d => (findLink(d).value > 0 ? POSITIVE_LINK_COLOR : NEGATIVE_LINK_COLOR))
+    .attr('stroke', '#fff')
+    .attr('opacity', d => (isLinkDimmed(findLink(d)) ? 0.1 : 0.65))
+    .style('cursor', 'pointer')
+    .on('mouseover', (event, d) => showLinkTooltip(event, findLink(d)))
+    .on('mousemove', moveTooltip)
+    .on('mouseout', hideTooltip);
+};
+
+// Adjacency matrix: every topic pair as a cell coloured by its signed association,
+// with the pairs that are not drawn as links faded
+const drawAdjacencyMatrix = (nodes, links, association, context) => {
+  const { svg, width, height, isDimmed, toggleNode, showLinkTooltip, moveTooltip, hideTooltip } = context;
+  const labelSpace = 120;
+  const size = Math.min(width - labelSpace - 20, height - labelSpace - 20);
+  const ordered = orderByCommunity(nodes);
+
+  const position = d3.scaleBand()
+    .domain(ordered.map(d => d.index))
+    .range([0, size])
+    .padding(0.05);
+
+  const linkByPair = new Map(links.map(l => [`${l.source}-${l.target}`, l]));
+  const cells = [];
+  ordered.forEach(row => ordered.forEach(column => {
+    if (row.index === column.index) return;
+    const i = Math.min(row.index, column.index);
+    const j = Math.max(row.index, column.index);
+    cells.push({
+      row: row.index,
+      column: column.index,
+      link: linkByPair.get(`${i}-${j}`),
+      pair: { source: i, target: j, value: association.values[i][j], pValue: association.pValues[i][j], qValue: association.qValues[i][j] }
+    });
+  }));
+
+  const maxValue = d3.max(cells, d => Math.abs(d.pair.value)) || 1;
+  const color = d3.scaleDiverging(d3.interpolateRdBu).domain([-maxValue, 0, maxValue]);
+
+  const matrix = svg.append('g')
+    .attr('transform', `translate(${(width - size - labelSpace) / 2 + labelSpace},${labelSpace})`);
+
+  matrix.selectAll('.matrix-cell')
+    .data(cells)
+    .enter()
+    .append('rect')
+    .attr('class', 'matrix-cell')
+    .attr('x', d => position(d.column))
+    .attr('y', d => position(d.row))
+    .attr('width', position.bandwidth())
+    .attr('height', position.bandwidth())
+    .attr('fill', d => color(d.pair.value))
+    .attr('opacity', d => {
+      if (!d.link) return 0.15;
+      return isDimmed(d.row) && isDimmed(d.column) ? 0.3 : 1;
+    })
+    .on('mouseover', (event, d) => showLinkTooltip(event, d.pair))
+    .on('mousemove', moveTooltip)
+    .on('mouseout', hideTooltip)
+    .on('click', (event, d) => toggleNode(nodes[d.row]));
+
+  // Outline the blocks of communities with more than one theme
+  d3.groups(ordered.filter(d => !d.unlinked), d => d.community).forEach(([, members]) => {
+    const start = position(members[0].index);
+    const end = position(members[members.length - 1].index) + position.bandwidth();
+    matrix.append('rect')
+      .attr('class', 'community-block')
+      .attr('x', start)
+      .attr('y', start)
+      .attr('width', end - start)
+      .attr('height', end - start)
+      .attr('fill', 'none')
+      .attr('stroke', 'var(--text-primary)')
+      .attr('stroke-width', 1.5)
+      .attr('pointer-events', 'none');
+  });
+
+  const labelFor = (selection) => selection
+    .data(ordered)
+    .enter()
+    .append('text')
+    .attr('class', 'node-label matrix-label')
+    .attr('dy', '0.35em')
+    .attr('opacity', d => (isDimmed(d.index) ? 0.3 : 1))
+    .style('cursor', 'pointer')
+    .on('click', (event, d) => toggleNode(d))
+    .text(getNodeLabel);
+
+  labelFor(matrix.append('g').selectAll('text'))
+    .attr('x', -6)
+    .attr('y', d => position(d.index) + position.bandwidth() / 2)
+    .attr('text-anchor', 'end');
+
+  labelFor(matrix.append('g').selectAll('text'))
+    .attr('text-anchor', 'start')
+    .attr('transform', d => `translate(${position(d.index) + position.bandwidth() / 2},-6) rotate(-60)`);
+};
+
+/**
+ * Draw the topic network in one of the NETWORK_LAYOUTS
+ * @returns {Function|undefined} Cleanup function of the force layout
+ */
+const createNetworkVisualization = (
+  nodes,
+  links,
+  association,
+  svgRef,
+  tooltipRef,
+  selectedNode,
+  setSelectedNode,
+  measureLabel,
+  layout,
+  nodeColoring
+) => {
+  // Clear previous visualization
+  d3.select(svgRef.current).selectAll('*').remove();
+
+  // Set up dimensions
+  const width = svgRef.current.clientWidth;
+  const height = 600;
+
+  // Create SVG
+  const svg = d3
+    .select(svgRef.current)
+    .attr('width', width)
+    .attr('height', height)
+    .attr('viewBox', [0, 0, width, height]);
+
+  // Create tooltip (shared for both nodes and links)
+  const tooltip = d3.select(tooltipRef.current);
+
+  const getNodeColor = d => {
+    if (nodeColoring === 'topic') return getTopicColor(d.id);
+    return d.unlinked ? UNLINKED_COLOR : COMMUNITY_COLORS[d.community % COMMUNITY_COLORS.length];
+  };
+
+  // Nodes linked to the selected node stay fully visible; the others are dimmed
+  const selected = nodes.find(d => d.id === selectedNode);
+  const connected = new Set(selected ? [selected.index] : []);
+  links.forEach(l => {
+    if (selected && l.source === selected.index) connected.add(l.target);
+    if (selected && l.target === selected.index) connected.add(l.source);
+  });
+  const isDimmed = index => Boolean(selected) && !connected.has(index);
+  const isLinkDimmed = l => Boolean(selected) && l.source !== selected.index && l.target !== selected.index;
+
+  const toggleNode = d => setSelectedNode(d.id === selectedNode ? null : d.id);
+
+  const moveTooltip = event => {
+    tooltip
+      .style('left', `${event.pageX + 10}px`)
+      .style('top', `${event.pageY - 10}px`);
+  };
+
+  const showNodeTooltip = (event, d) => {
+    tooltip
+      .style('opacity', 1)
+      .html(`
+        <div class="tooltip-title">${d.name}</div>
+        <div class="tooltip-subtitle">${d.id} (Node ${d.index + 1})</div>
+        <div class="tooltip-value">${d.unlinked ? 'No positive links' : `Community ${d.community + 1}`}</div>
+      `);
+    moveTooltip(event);
+  };
+
+  // Show tooltip with the signed association and its significance
+  const showLinkTooltip = (event, l) => {
+    tooltip
+      .style('opacity', 1)
+      .html(`
+        <div class="tooltip-title">${nodes[l.source].name} – ${nodes[l.target].name}</div>
+        <div class="tooltip-value">${measureLabel}: ${l.value > 0 ? '+' : '−'}${Math.abs(l.value).toFixed(3)}</div>
+        <div class="tooltip-value">p ${formatProbability(l.pValue)}, q ${formatProbability(l.qValue)}</div>
+      `);
+    moveTooltip(event);
+  };
+
+  const hideTooltip = () => tooltip.style('opacity', 0);
+
+  // Create a scale for link stroke widths (for visual thickness)
+  const linkScale = d3.scaleLinear()
+    .domain([0, d3.max(links, d => Math.abs(d.value)) || 1])
+    .range([1, 8]);
+
+  const context = {
+    svg, width, height, getNodeColor, isDimmed, isLinkDimmed, toggleNode,
+    moveTooltip, showNodeTooltip, showLinkTooltip, hideTooltip, linkScale, selectedNode, svgRef
   };
 
+  if (layout === 'circular') return drawCircularLayout(nodes, links, context);
+  if (layout === 'chord') return drawChordDiagram(nodes, links, context);
+  if (layout === 'matrix') return drawAdjacencyMatrix(nodes, links, association, context);
+  return drawForceLayout(nodes, links, context);
+};
+
+const TopicNetwork = ({ data }) => {
+  const { script } = useScript();
+  const svgRef = useRef(null);
+  const tooltipRef = useRef(null);
+  const [selectedNode, setSelectedNode] = useState(null);
+  const [measure, setMeasure] = useState('pearson');
+  const [significantOnly, setSignificantOnly] = useState(true);
+  const [threshold, setThreshold] = useState(0.05);
+  const [layout, setLayout] = useState('force');
+  const [nodeColoring, setNodeColoring] = useState('community');
+
+  const association = data.processed.topicAssociations[measure];
+  const links = useMemo(
+    () => buildLinks(association, threshold, significantOnly),
+    [association, threshold, significantOnly]
+  );
+
+  // Communities of themes joined by positive links
+  const communityResult = useMemo(() => {
+    const positiveLinks = links
+      .filter(link => link.value > 0)
+      .map(link => ({ source: link.source, target: link.target, weight: link.value }));
+    return detectCommunities(data.processed.topicKeys.length, positiveLinks);
+  }, [data, links]);
+
+  // Nodes keep their force layout positions between redraws, so selecting a node does not reshuffle the graph
+  const nodes = useMemo(() => {
+    const topicLabels = topicLabelsInScript(data.raw.topicLabels, script);
+    const { membership, communities } = communityResult;
+    return data.processed.topicKeys.map((topicKey, index) => {
+      const label = topicLabels.find(l => l['Topic Number'] === topicKey.replace('_', ' '));
+      return {
+        id: topicKey,
+        name: label ? label['Topic Name'] : '',
+        index, // 0-indexed
+        community: membership[index],
+        unlinked: communities[membership[index]].length === 1
+      };
+    });
+  }, [data, script, communityResult]);
+
+  useEffect(() => {
+    if (!svgRef.current || !tooltipRef.current) return;
+
+    // Create network visualization
+    return createNetworkVisualization(
+      nodes,
+      links,
+      association,
+      svgRef,
+      tooltipRef,
+      selectedNode,
+      setSelectedNode,
+      ASSOCIATION_MEASURES[measure],
+      layout,
+      nodeColoring
+    );
+  }, [nodes, links, association, selectedNode, measure, layout, nodeColoring]);
+
   return (
     <section id="network" className="topic-network">
       <div className="content-wrapper">
@@ -274,8 +600,63 @@ const TopicNetwork = ({ data }) => {
             Literary themes don't exist in isolation. This network visualization reveals how different topics connect and relate to each other throughout Qazaq literature.
           </p>
           <div className="controls">
+            <label className="control-label">
+              Measure
+              <select
+                className="control-select"
+                value={measure}
+                onChange={event => setMeasure(event.target.value)}
+              >
+                {Object.entries(ASSOCIATION_MEASURES).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="control-label">
+              Layout
+              <select
+                className="control-select"
+                value={layout}
+                onChange={event => setLayout(event.target.value)}
+              >
+                {Object.entries(NETWORK_LAYOUTS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="control-label">
+              Colour by
+              <select
+                className="control-select"
+                value={nodeColoring}
+                onChange={event => setNodeColoring(event.target.value)}
+              >
+                {Object.entries(NODE_COLORINGS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="control-label">
+              Minimum strength {threshold.toFixed(2)}
+              <input
+                type="range"
+                min="0.01"
+                max="0.5"
+                step="0.01"
+                value={threshold}
+                onChange={event => setThreshold(Number(event.target.value))}
+              />
+            </label>
+            <label className="control-label">
+              <input
+                type="checkbox"
+                checked={significantOnly}
+                onChange={event => setSignificantOnly(event.target.checked)}
+              />
+              Significant links only
+            </label>
             {selectedNode && (
-              <button 
+              <button
                 className="control-button"
                 onClick={() => setSelectedNode(null)}
               >
@@ -284,18 +665,79 @@ const TopicNetwork = ({ data }) => {
             )}
           </div>
         </div>
-        <div className="visualization-container network-container">
-          <svg ref={svgRef} className="network-chart"></svg>
-          <div ref={tooltipRef} className="tooltip"></div>
+        <div className="network-layout">
+          <div className="visualization-container network-container">
+            <svg ref={svgRef} className="network-chart"></svg>
+            <div ref={tooltipRef} className="tooltip"></div>
+          </div>
+          <aside className="community-panel">
+            <h3>Communities</h3>
+            <p className="community-modularity">
+              {links.length} links · modularity {communityResult.modularity.toFixed(2)}
+            </p>
+            <ol className="community-list">
+              {communityResult.communities
+                .filter(members => members.length > 1)
+                .map((members, index) => (
+                  <li key={index}>
+                    <div className="community-name">
+                      <span
+                        className="community-swatch"
+                        style={{ backgroundColor: COMMUNITY_COLORS[index % COMMUNITY_COLORS.length] }}
+                      ></span>
+                      Community {index + 1}
+                    </div>
+                    <ul className="community-members">
+                      {members.map(member => (
+                        <li
+                          key={member}
+                          className={nodes[member].id === selectedNode ? 'selected' : ''}
+                          onClick={() => setSelectedNode(nodes[member].id === selectedNode ? null : nodes[member].id)}
+                        >
+                          {nodes[member].name || nodes[member].id}
+                        </li>
+                      ))}
+                    </ul>
+                  </li>
+                ))}
+            </ol>
+            {nodes.some(node => node.unlinked) && (
+              <div className="community-unlinked">
+                <div className="community-name">
+                  <span className="community-swatch" style={{ backgroundColor: UNLINKED_COLOR }}></span>
+                  Without positive links
+                </div>
+                <ul className="community-members">
+                  {nodes.filter(node => node.unlinked).map(node => (
+                    <li
+                      key={node.id}
+                      className={node.id === selectedNode ? 'selected' : ''}
+                      onClick={() => setSelectedNode(node.id === selectedNode ? null : node.id)}
+                    >
+                      {node.name || node.id}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </aside>
         </div>
         <div className="explanation">
           <p>
-            The thickness of the links indicates the strength of the correlation: thicker lines represent stronger connections.
+            The thickness of the links indicates the strength of the association: thicker lines represent stronger connections.
+            Solid green links join themes that appear together more than expected; dashed red links join themes that tend to exclude each other.
           </p>
           <p>
-            Link colors are  based on correlation strength: lighter for weak, medium gray for moderate, and dark gray for strong correlations.
+            Pearson and Spearman correlations compare topic shares across all books. Partial correlation removes the part of a
+            relation explained by the other themes, and co-occurrence (normalized pointwise mutual information) compares how often
+            two themes are among the three leading themes of the same book with what chance would give. By default only links
+            that stay significant after correcting for testing every pair (q below 0.05) are drawn.
           </p>
           <p>
+            Communities are groups of themes more densely joined by positive links than chance would give, found with the
+            Louvain method; they change with the measure and the minimum strength. Besides the force-directed network, the
+            circular layout and chord diagram show every link at once, and the adjacency matrix shows every pair of themes,
+            ordered by community, with the pairs below the threshold faded.
           </p>
         </div>
       </div>
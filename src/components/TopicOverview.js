@@ -1,9 +1,15 @@
 import React, { useEffect, useRef, useState } from 'react';
 import * as d3 from 'd3';
-import { topicColors } from '../utils/colors';
+import { getTopicColor } from '../utils/colors';
+import { topicLabelsInScript } from '../utils/transliteration';
+import { useScript } from '../context/ScriptContext';
 import '../styles/TopicOverview.css';
 
+// Weights come straight from the NMF components matrix, so only significant digits are shown
+const formatWeight = d3.format('.3~g');
+
 const TopicOverview = ({ data }) => {
+  const { script, display } = useScript();
   const svgRef = useRef(null);
   const tooltipRef = useRef(null);
   const [selectedTopic, setSelectedTopic] = useState(null);
@@ -12,52 +18,35 @@ const TopicOverview = ({ data }) => {
     if (!data || !svgRef.current || !tooltipRef.current) return;
     
     // Process the data for bubble chart
-    const topicLabels = data.raw.topicLabels;
-    const nmfTopics = data.raw.nmfTopics;
-    const documentTopics = data.raw.documentTopics;
-    
-    // Calculate average topic prevalence across all documents
-    const topicAverages = {};
-    const topicCounts = {};
+    const topicLabels = topicLabelsInScript(data.raw.topicLabels, script);
+    const topicKeywords = data.processed.topicKeywords;
+    const topicKeys = data.processed.topicKeys;
     
-    // Count documents where each topic is dominant
-    documentTopics.forEach(doc => {
-      const dominantTopic = doc.Dominant_Topic;
-      if (dominantTopic) {
-        topicCounts[dominantTopic] = (topicCounts[dominantTopic] || 0) + 1;
-      }
-      
-      // Sum up topic values
-      for (let i = 1; i <= 13; i++) {
-        const topicKey = `Topic_${i}`;
-        if (doc[topicKey] !== undefined) {
-          topicAverages[topicKey] = (topicAverages[topicKey] || 0) + doc[topicKey];
-        }
-      }
-    });
-    
-    // Calculate averages
-    const docCount = documentTopics.length;
-    Object.keys(topicAverages).forEach(topic => {
-      topicAverages[topic] /= docCount;
-    });
+    // Average share and dominant-document count per topic, from the shared normalized matrix
+    const topicPrevalence = data.processed.topicPrevalence;
     
     // Prepare bubble chart data
-    const bubbleData = topicLabels.map(label => {
-      const topicNumber = label["Topic Number"];
-      const topicKey = topicNumber.replace(" ", "_");
+    const bubbleData = topicKeys.map(topicKey => {
+      const topicNumber = topicKey.replace("_", " ");
+      const label = topicLabels.find(l => l["Topic Number"] === topicNumber);
       
-      // Find keywords for this topic
-      const topicIndex = parseInt(topicNumber.split(" ")[1]) - 1;
-      const keywords = nmfTopics[topicIndex + 1] ? nmfTopics[topicIndex + 1].slice(0, 5) : [];
+      // Find keywords for this topic, with their NMF weights when the model has them
+      const topicId = parseInt(topicNumber.split(" ")[1]);
+      const keywordEntry = topicKeywords.find(t => t.id === topicId);
+      const keywords = keywordEntry
+        ? keywordEntry.keywords.slice(0, 5).map((word, i) => ({
+          word,
+          weight: keywordEntry.weights ? keywordEntry.weights[i] : null
+        }))
+        : [];
       
       return {
         id: topicKey,
-        name: label["Topic Name"],
-        value: topicAverages[topicKey] || 0,
-        count: topicCounts[topicKey] || 0,
+        name: label ? label["Topic Name"] : topicNumber,
+        value: topicPrevalence[topicKey].mean,
+        count: topicPrevalence[topicKey].dominantCount,
         keywords: keywords,
-        color: topicColors[topicKey]
+        color: getTopicColor(topicKey)
       };
     });
     
@@ -108,7 +97,9 @@ const TopicOverview = ({ data }) => {
             <div class="tooltip-keywords">
               <span>Top keywords:</span>
               <ul>
-                ${d.data.keywords.slice(0, 5).map(k => `<li>${k}</li>`).join('')}
+                ${d.data.keywords.map(k => `<li>${display(k.word)}${k.weight !== null
+                  ? ` <span class="keyword-weight">${formatWeight(k.weight)}</span>`
+                  : ''}</li>`).join('')}
               </ul>
             </div>
           `);
@@ -191,7 +182,7 @@ const TopicOverview = ({ data }) => {
     
     window.addEventListener('resize', handleResize);
     return () => window.removeEventListener('resize', handleResize);
-  }, [data, selectedTopic]);
+  }, [data, selectedTopic, script, display]);
   
   
 
@@ -201,7 +192,7 @@ const TopicOverview = ({ data }) => {
         <div className="section-header">
           <h2>Literary Themes in Qazaq Literature</h2>
           <p className="section-intro">
-            The 13 main thematic areas identified in our analysis represent the
+            The {data ? data.processed.topicKeys.length : ''} main thematic areas identified in our analysis represent the
             core narrative threads running through Qazaq literature. The size of each bubble 
             represents the theme's prevalence across the corpus.
           </p>
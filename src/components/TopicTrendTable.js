@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { getTopicColor } from '../utils/colors';
+import '../styles/TopicTrendTable.css';
+
+// Labels of the trend directions from calculateTopicTrends
+const DIRECTION_LABELS = {
+  rising: 'Rising',
+  declining: 'Declining',
+  none: 'No clear trend'
+};
+
+// Sortable columns, with the value each one sorts by
+const COLUMNS = [
+  { key: 'name', label: 'Topic', value: row => row.name },
+  { key: 'direction', label: 'Trend', value: row => (row.direction === 'none' ? 0 : row.z) },
+  { key: 'slope', label: 'Change per decade', value: row => row.slope },
+  { key: 'tau', label: "Kendall's τ", value: row => row.tau },
+  { key: 'pValue', label: 'p', value: row => row.pValue },
+  { key: 'qValue', label: 'q (FDR)', value: row => row.qValue }
+];
+
+/**
+ * Format a probability, showing very small values as a bound
+ * @param {Number} p Probability
+ * @returns {String} Formatted probability
+ */
+const formatProbability = (p) => (p < 0.001 ? '< 0.001' : p.toFixed(3));
+
+/**
+ * Table of rising and declining themes from the Mann-Kendall trend tests
+ * @param {Object} props Component props
+ * @param {Array} props.trends Topic trends from processData
+ * @param {Array} props.topicLabels Topic labels in the current script
+ * @param {String} props.highlightedTopic Topic key highlighted in the chart, or null
+ * @param {Function} props.onSelectTopic Called with the topic key of a clicked row
+ */
+const TopicTrendTable = ({ trends, topicLabels, highlightedTopic, onSelectTopic }) => {
+  const [sort, setSort] = useState({ key: 'slope', descending: true });
+
+  const rows = trends.map(trend => {
+    const topicNumber = trend.topicKey.replace("Topic_", "");
+    const topicLabel = topicLabels.find(label => label["Topic Number"] === `Topic ${topicNumber}`);
+    return { ...trend, name: topicLabel ? topicLabel["Topic Name"] : trend.topicKey };
+  });
+
+  const column = COLUMNS.find(c => c.key === sort.key);
+  rows.sort((a, b) => {
+    const valueA = column.value(a);
+    const valueB = column.value(b);
+    const order = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+    return sort.descending ? -order : order;
+  });
+
+  const toggleSort = (key) => {
+    setSort(current => ({ key, descending: current.key === key ? !current.descending : key !== 'name' }));
+  };
+
+  return (
+    <div className="topic-trends">
+      <h3>Rising and Declining Themes</h3>
+      <table className="topic-trend-table">
+        <thead>
+          <tr>
+            {COLUMNS.map(({ key, label }) => (
+              <th key={key} aria-sort={sort.key === key ? (sort.descending ? 'descending' : 'ascending') : 'none'}>
+                <button className="sort-button" onClick={() => toggleSort(key)}>
+                  {label}
+                  {sort.key === key && <span className="sort-indicator">{sort.descending ? '▼' : '▲'}</span>}
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr
+              key={row.topicKey}
+              className={`trend-${row.direction} ${highlightedTopic === row.topicKey ? 'highlighted' : ''}`}
+              onClick={() => onSelectTopic(row.topicKey)}
+            >
+              <td>
+                <span className="topic-swatch" style={{ backgroundColor: getTopicColor(row.topicKey) }}></span>
+                {row.name}
+              </td>
+              <td className="trend-direction">{DIRECTION_LABELS[row.direction]}</td>
+              <td>{row.slope >= 0 ? '+' : '−'}{Math.abs(row.slope * 1000).toFixed(2)} pp</td>
+              <td>{row.tau.toFixed(2)}</td>
+              <td>{formatProbability(row.pValue)}</td>
+              <td>{formatProbability(row.qValue)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default TopicTrendTable;
@@ -0,0 +1,53 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { SCRIPTS, toScript } from '../utils/transliteration';
+
+// Local storage key remembering the reader's script
+const SCRIPT_STORAGE_KEY = 'qazaqlit-script';
+
+/**
+ * Read the stored script preference
+ * @returns {String} One of the SCRIPTS keys (default 'cyrillic')
+ */
+const readStoredScript = () => {
+  try {
+    const stored = window.localStorage.getItem(SCRIPT_STORAGE_KEY);
+    return SCRIPTS[stored] ? stored : 'cyrillic';
+  } catch (error) {
+    return 'cyrillic';
+  }
+};
+
+const ScriptContext = createContext({
+  script: 'cyrillic',
+  setScript: () => {},
+  display: text => toScript(text, 'cyrillic')
+});
+
+/**
+ * Provide the script Kazakh text is shown in to the whole interface
+ * @param {Object} props Component props
+ * @param {React.ReactNode} props.children Application
+ */
+export const ScriptProvider = ({ children }) => {
+  const [script, setScript] = useState(readStoredScript);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(SCRIPT_STORAGE_KEY, script);
+    } catch (error) {
+      // Storage may be disabled; the choice then lasts for this visit only
+    }
+  }, [script]);
+
+  const display = useCallback(text => toScript(text, script), [script]);
+  const value = useMemo(() => ({ script, setScript, display }), [script, display]);
+
+  return <ScriptContext.Provider value={value}>{children}</ScriptContext.Provider>;
+};
+
+/**
+ * Get the current script, its setter and a display function converting
+ * Kazakh text from the data files into that script
+ * @returns {Object} { script, setScript, display }
+ */
+export const useScript = () => useContext(ScriptContext);
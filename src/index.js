@@ -2,6 +2,7 @@ import React from 'react';
 import { createRoot } from 'react-dom/client';
 import './styles/index.css';
 import App from './App';
+import { ScriptProvider } from './context/ScriptContext';
 
 // Create a root
 const root = createRoot(document.getElementById('root'));
@@ -9,6 +10,8 @@ const root = createRoot(document.getElementById('root'));
 // Render your app
 root.render(
   <React.StrictMode>
-    <App />
+    <ScriptProvider>
+      <App />
+    </ScriptProvider>
   </React.StrictMode>
 );
\ No newline at end of file
@@ -0,0 +1,148 @@
+/**
+ * Split an author name into lowercase full-name tokens and initials,
+ * ignoring case, punctuation and word order
+ * @param {String} name Author name as written in a data file
+ * @returns {Object} { tokens, initials } with both arrays sorted
+ */
+const tokenizeAuthorName = (name) => {
+  const words = String(name)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  return {
+    tokens: words.filter(word => word.length > 1).sort(),
+    initials: words.filter(word => word.length === 1).sort()
+  };
+};
+
+/**
+ * Build the fallback key of an author name, shared by spellings that only differ
+ * in case, punctuation, spacing or word order (e.g. "ӘУЕЗОВ, Мұхтар" and "Мұхтар Әуезов")
+ * @param {String} name Author name
+ * @returns {String} Normalized key, empty for blank names
+ */
+export const normalizeAuthorName = (name) => {
+  const { tokens, initials } = tokenizeAuthorName(name);
+  return [...tokens, ...initials].join(' ');
+};
+
+/**
+ * Check whether a full name can be abbreviated to a name with initials,
+ * e.g. "Мұхтар Әуезов" to "Әуезов М."
+ * @param {Object} full Tokens of the full name
+ * @param {Object} short Tokens of the name with initials
+ * @returns {Boolean} True when the short form's words appear in the full name and the initials match the rest
+ */
+const canAbbreviate = (full, short) => {
+  if (full.initials.length > 0 || short.tokens.length === 0) return false;
+
+  const remaining = [...full.tokens];
+  for (const token of short.tokens) {
+    const index = remaining.indexOf(token);
+    if (index === -1) return false;
+    remaining.splice(index, 1);
+  }
+
+  for (const initial of short.initials) {
+    const index = remaining.findIndex(token => token.startsWith(initial));
+    if (index === -1) return false;
+    remaining.splice(index, 1);
+  }
+  return true;
+};
+
+/**
+ * Resolve every author of the corpus to a canonical author.
+ * Names listed in the alias table (authors.csv) take the id and display name given there;
+ * other names are grouped by normalizeAuthorName, and names with initials join the one
+ * full name they abbreviate. Unaliased authors are shown under their most common spelling.
+ * @param {Array} documentTopics Array of document objects
+ * @param {Array} aliases Array of { variant, id, name } objects from the alias table
+ * @returns {Object} { documentIds, byId } where documentIds holds the author id of each document
+ *   (null without an author) and byId maps ids to { id, name, variants }
+ */
+export const createAuthorIndex = (documentTopics, aliases = []) => {
+  // Alias variants and canonical display names both point at their author id
+  const aliasByKey = new Map();
+  const aliasNames = new Map();
+  aliases.forEach(({ variant, id, name }) => {
+    aliasNames.set(id, name || aliasNames.get(id) || variant);
+    [variant, name].forEach(spelling => {
+      const key = spelling ? normalizeAuthorName(spelling) : '';
+      if (key && !aliasByKey.has(key)) aliasByKey.set(key, id);
+    });
+  });
+
+  // Count each distinct spelling
+  const spellingCounts = new Map();
+  documentTopics.forEach(doc => {
+    const spelling = doc.Author ? String(doc.Author).trim() : '';
+    if (spelling) spellingCounts.set(spelling, (spellingCounts.get(spelling) || 0) + 1);
+  });
+
+  const idBySpelling = new Map();
+  const fullNames = new Map(); // id → tokens of the full names grouped under it
+  const abbreviated = [];
+  aliasNames.forEach((name, id) => {
+    const tokens = tokenizeAuthorName(name);
+    if (tokens.initials.length === 0) fullNames.set(id, [tokens]);
+  });
+
+  spellingCounts.forEach((count, spelling) => {
+    const key = normalizeAuthorName(spelling);
+    const tokens = tokenizeAuthorName(spelling);
+    const id = aliasByKey.get(key);
+
+    if (id !== undefined) {
+      idBySpelling.set(spelling, id);
+    } else if (tokens.initials.length > 0) {
+      abbreviated.push(spelling);
+      return;
+    } else {
+      idBySpelling.set(spelling, key);
+    }
+
+    const groupId = idBySpelling.get(spelling);
+    if (!fullNames.has(groupId)) fullNames.set(groupId, []);
+    if (tokens.initials.length === 0) fullNames.get(groupId).push(tokens);
+  });
+
+  // Names with initials join the only author whose full name they abbreviate
+  abbreviated.forEach(spelling => {
+    const short = tokenizeAuthorName(spelling);
+    const candidates = Array.from(fullNames.entries())
+      .filter(([, names]) => names.some(full => canAbbreviate(full, short)))
+      .map(([id]) => id);
+
+    idBySpelling.set(spelling, candidates.length === 1 ? candidates[0] : normalizeAuthorName(spelling));
+  });
+
+  // Group the spellings under their ids
+  const byId = {};
+  spellingCounts.forEach((count, spelling) => {
+    const id = idBySpelling.get(spelling);
+    if (!byId[id]) byId[id] = { id, name: aliasNames.get(id) || null, variants: [] };
+    byId[id].variants.push(spelling);
+  });
+
+  // Unaliased authors use their most common spelling, preferring full names to initials on ties
+  const hasInitials = spelling => tokenizeAuthorName(spelling).initials.length > 0;
+  Object.values(byId).forEach(author => {
+    if (author.name) return;
+    author.name = author.variants.reduce((best, spelling) => {
+      const difference = spellingCounts.get(spelling) - spellingCounts.get(best);
+      return difference > 0 || (difference === 0 && hasInitials(best) && !hasInitials(spelling)) ? spelling : best;
+    });
+  });
+
+  const documentIds = documentTopics.map(doc => {
+    const spelling = doc.Author ? String(doc.Author).trim() : '';
+    return spelling ? idBySpelling.get(spelling) : null;
+  });
+
+  return { documentIds, byId };
+};
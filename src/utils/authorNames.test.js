@@ -0,0 +1,71 @@
+import { createAuthorIndex, normalizeAuthorName } from './authorNames';
+
+/**
+ * Build documents with the given authors
+ * @param {Array} authors Author of each document
+ * @returns {Array} Document objects
+ */
+const documentsBy = (authors) => authors.map((Author, row) => ({ "Book Title": `Кітап ${row + 1}`, Author }));
+
+/**
+ * Group the variants of each author, keyed by display name
+ * @param {Object} index Result of createAuthorIndex
+ * @returns {Object} Display name → sorted variants
+ */
+const variantsByName = (index) => {
+  const groups = {};
+  Object.values(index.byId).forEach(author => {
+    groups[author.name] = [...author.variants].sort();
+  });
+  return groups;
+};
+
+test('normalizeAuthorName ignores case, punctuation and word order', () => {
+  expect(normalizeAuthorName('ӘУЕЗОВ, Мұхтар')).toBe(normalizeAuthorName('Мұхтар  Әуезов'));
+  expect(normalizeAuthorName('Әуезов М.')).toBe('әуезов м');
+  expect(normalizeAuthorName('  ')).toBe('');
+});
+
+test('a name with initials merges with the full name it abbreviates', () => {
+  const index = createAuthorIndex(documentsBy(['Мұхтар Әуезов', 'Әуезов М.', 'ӘУЕЗОВ, Мұхтар', 'Мұхтар Әуезов']));
+
+  expect(variantsByName(index)).toEqual({
+    'Мұхтар Әуезов': ['Әуезов М.', 'ӘУЕЗОВ, Мұхтар', 'Мұхтар Әуезов'].sort()
+  });
+  expect(new Set(index.documentIds).size).toBe(1);
+});
+
+test('authors who share a surname stay separate', () => {
+  const index = createAuthorIndex(documentsBy([
+    'Олжас Сүлейменов',
+    'Асқар Сүлейменов',
+    'Сүлейменов О.',
+    'Асқар Сүлейменов'
+  ]));
+
+  expect(variantsByName(index)).toEqual({
+    'Олжас Сүлейменов': ['Олжас Сүлейменов', 'Сүлейменов О.'].sort(),
+    'Асқар Сүлейменов': ['Асқар Сүлейменов']
+  });
+  expect(index.documentIds[0]).toBe(index.documentIds[2]);
+  expect(index.documentIds[0]).not.toBe(index.documentIds[1]);
+});
+
+test('initials matching several full names are left on their own', () => {
+  const index = createAuthorIndex(documentsBy(['Асқар Сүлейменов', 'Ақан Сүлейменов', 'Сүлейменов А.']));
+
+  expect(Object.keys(index.byId)).toHaveLength(3);
+  expect(index.byId[index.documentIds[2]].variants).toEqual(['Сүлейменов А.']);
+});
+
+test('the alias table sets the id and display name', () => {
+  const aliases = [
+    { variant: 'Auezov M.', id: 'auezov', name: 'Мұхтар Әуезов' },
+    { variant: 'Mukhtar Auezov', id: 'auezov', name: 'Мұхтар Әуезов' }
+  ];
+  const index = createAuthorIndex(documentsBy(['Mukhtar Auezov', 'AUEZOV, M.', 'Әуезов М.', '', null]), aliases);
+
+  expect(index.documentIds).toEqual(['auezov', 'auezov', 'auezov', null, null]);
+  expect(index.byId.auezov.name).toBe('Мұхтар Әуезов');
+  expect(index.byId.auezov.variants.sort()).toEqual(['AUEZOV, M.', 'Mukhtar Auezov', 'Әуезов М.'].sort());
+});
@@ -0,0 +1,114 @@
+// Linkage criteria of the hierarchical clustering, with their UI labels
+export const LINKAGE_METHODS = {
+  average: 'Average',
+  complete: 'Complete',
+  single: 'Single',
+  ward: "Ward's"
+};
+
+/**
+ * Distance from a newly merged cluster to another cluster (Lance-Williams update)
+ * @param {String} linkage One of the LINKAGE_METHODS keys
+ * @param {Object} sizes { a, b, k } sizes of the merged clusters and of the other cluster
+ * @param {Object} distances { ak, bk, ab } distances between the three clusters
+ * @returns {Number} Distance from the merged cluster to the other cluster
+ */
+const updateDistance = (linkage, sizes, distances) => {
+  const { a, b, k } = sizes;
+  const { ak, bk, ab } = distances;
+  switch (linkage) {
+    case 'single':
+      return Math.min(ak, bk);
+    case 'complete':
+      return Math.max(ak, bk);
+    case 'average':
+      return (a * ak + b * bk) / (a + b);
+    case 'ward':
+      return ((a + k) * ak + (b + k) * bk - k * ab) / (a + b + k);
+    default:
+      throw new Error(`Unknown linkage method: ${linkage}`);
+  }
+};
+
+/**
+ * Agglomerative hierarchical clustering: start from single items and repeatedly merge the two
+ * closest clusters. Ward's method works on squared distances and reports merge heights back
+ * on the scale of the input distances.
+ * @param {Array} distances Symmetric matrix of distances between items, as an array of rows
+ * @param {String} linkage One of the LINKAGE_METHODS keys (default 'average')
+ * @returns {Object|null} Root of the tree: leaves are { index, size, height: 0 } and merges are
+ *   { left, right, size, height } where height is the distance at which they were merged
+ */
+export const hierarchicalClustering = (distances, linkage = 'average') => {
+  if (distances.length === 0) return null;
+
+  const squared = linkage === 'ward';
+  const current = distances.map(row => row.map(value => (squared ? value * value : value)));
+  const clusters = distances.map((row, index) => ({ index, size: 1, height: 0 }));
+  const active = clusters.map((cluster, index) => index);
+
+  while (active.length > 1) {
+    let closest = null;
+    for (let i = 0; i < active.length; i++) {
+      for (let j = i + 1; j < active.length; j++) {
+        const value = current[active[i]][active[j]];
+        if (closest === null || value < closest.value) closest = { a: active[i], b: active[j], value };
+      }
+    }
+
+    const { a, b, value } = closest;
+    const sizes = { a: clusters[a].size, b: clusters[b].size };
+    active.forEach(k => {
+      if (k === a || k === b) return;
+      current[a][k] = current[k][a] = updateDistance(
+        linkage,
+        { ...sizes, k: clusters[k].size },
+        { ak: current[a][k], bk: current[b][k], ab: value }
+      );
+    });
+
+    // The merged cluster takes the place of a
+    clusters[a] = {
+      left: clusters[a],
+      right: clusters[b],
+      size: sizes.a + sizes.b,
+      height: squared ? Math.sqrt(Math.max(0, value)) : value
+    };
+    active.splice(active.indexOf(b), 1);
+  }
+
+  return clusters[active[0]];
+};
+
+/**
+ * Item indices in the left-to-right order of the tree's leaves
+ * @param {Object} node Tree from hierarchicalClustering
+ * @returns {Array} Item indices
+ */
+export const getLeafOrder = (node) => (
+  node.left ? [...getLeafOrder(node.left), ...getLeafOrder(node.right)] : [node.index]
+);
+
+/**
+ * Cut the tree into groups by undoing its highest merges
+ * @param {Object} root Tree from hierarchicalClustering
+ * @param {Number} groupCount Number of groups wanted
+ * @returns {Array} Group of every item, numbered 0, 1, … in leaf order
+ */
+export const cutTree = (root, groupCount) => {
+  const groups = [root];
+  while (groups.length < groupCount) {
+    const highest = groups.reduce((best, node, i) => (node.left && (best === -1 || node.height > groups[best].height) ? i : best), -1);
+    if (highest === -1) break;
+    const node = groups[highest];
+    groups.splice(highest, 1, node.left, node.right);
+  }
+
+  const membership = new Array(root.size);
+  groups.forEach((node, group) => {
+    getLeafOrder(node).forEach(index => {
+      membership[index] = group;
+    });
+  });
+  return membership;
+};
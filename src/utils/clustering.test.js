@@ -0,0 +1,66 @@
+import { cutTree, getLeafOrder, hierarchicalClustering } from './clustering';
+
+/**
+ * Distance matrix of points on a line
+ * @param {Array} positions Position of each point
+ * @returns {Array} Matrix of absolute differences
+ */
+const lineDistances = (positions) => positions.map(a => positions.map(b => Math.abs(a - b)));
+
+/**
+ * Merges of a tree from the lowest to the highest
+ * @param {Object} node Tree from hierarchicalClustering
+ * @returns {Array} Array of [sorted item indices of the merged cluster, height]
+ */
+const mergeOrder = (node) => {
+  const merges = [];
+  const visit = current => {
+    if (!current.left) return;
+    visit(current.left);
+    visit(current.right);
+    merges.push([getLeafOrder(current).sort((a, b) => a - b), current.height]);
+  };
+  visit(node);
+  return merges.sort((a, b) => a[1] - b[1]);
+};
+
+describe('hierarchicalClustering on the points 0, 1, 3 and 7', () => {
+  const distances = lineDistances([0, 1, 3, 7]);
+
+  test.each([
+    ['single', [1, 2, 4]],
+    ['complete', [1, 3, 7]],
+    // {0, 1} to 3 is (3 + 2) / 2, then {0, 1, 3} to 7 is (7 + 6 + 4) / 3
+    ['average', [1, 2.5, 17 / 3]],
+    // As scipy's ward linkage: √(2 · 1 · 2 / 3) × 2.5 and √(2 · 3 · 1 / 4) × (7 - 4/3)
+    ['ward', [1, Math.sqrt(25 / 3), Math.sqrt(1.5) * (7 - 4 / 3)]]
+  ])('%s linkage merges 0+1, then 3, then 7', (linkage, heights) => {
+    const merges = mergeOrder(hierarchicalClustering(distances, linkage));
+
+    expect(merges.map(([items]) => items)).toEqual([[0, 1], [0, 1, 2], [0, 1, 2, 3]]);
+    merges.forEach(([, height], i) => expect(height).toBeCloseTo(heights[i], 12));
+  });
+
+  test('leaves and cuts follow the merges', () => {
+    const root = hierarchicalClustering(distances, 'average');
+
+    expect(getLeafOrder(root)).toEqual([0, 1, 2, 3]);
+    expect(root.size).toBe(4);
+    expect(cutTree(root, 2)).toEqual([0, 0, 0, 1]);
+    expect(cutTree(root, 3)).toEqual([0, 0, 1, 2]);
+    expect(cutTree(root, 10)).toEqual([0, 1, 2, 3]);
+  });
+});
+
+test('single linkage chains where complete linkage keeps clusters compact', () => {
+  const distances = lineDistances([0, 1, 3.2, 5, 7.6]);
+
+  expect(cutTree(hierarchicalClustering(distances, 'single'), 2)).toEqual([0, 0, 0, 0, 1]);
+  expect(cutTree(hierarchicalClustering(distances, 'complete'), 2)).toEqual([0, 0, 1, 1, 1]);
+});
+
+test('handles empty input and unknown linkages', () => {
+  expect(hierarchicalClustering([])).toBeNull();
+  expect(hierarchicalClustering([[0]])).toEqual({ index: 0, size: 1, height: 0 });
+  expect(() => hierarchicalClustering(lineDistances([0, 1, 2]), 'centroid')).toThrow('Unknown linkage method: centroid');
+});
@@ -17,10 +17,19 @@ export const topicColors = {
   'Topic_13': '#1b263b', // Homeland Nature
 };
 
-// Topic color by number (1-indexed)
-export const getTopicColor = (topicNumber) => {
+// Fallback palette for topics beyond the curated ones (models with more than 13 topics)
+const extendedTopicPalette = [...d3.schemeTableau10, ...d3.schemeSet3, ...d3.schemePaired];
+
+// Topic color by number (1-indexed) or by key ('Topic_N')
+export const getTopicColor = (topic) => {
+  const topicNumber = typeof topic === 'number' ? topic : parseInt(String(topic).replace('Topic_', ''));
   const key = `Topic_${topicNumber}`;
-  return topicColors[key] || '#999999';
+  if (topicColors[key]) return topicColors[key];
+  
+  const extendedIndex = topicNumber - Object.keys(topicColors).length - 1;
+  return extendedIndex >= 0
+    ? extendedTopicPalette[extendedIndex % extendedTopicPalette.length]
+    : '#999999';
 };
 
 // Sequential color scale for continuous values
@@ -52,7 +61,7 @@ export const generatePalette = (n) => {
 };
 
 // Topic color array in order (for consistent legends)
-export const topicColorArray = Array.from({length: 13}, (_, i) => getTopicColor(i + 1));
+export const getTopicColorArray = (topicCount) => Array.from({length: topicCount}, (_, i) => getTopicColor(i + 1));
 
 // Highlight color for selections
 export const highlightColor = '#ff6b6b';
@@ -0,0 +1,86 @@
+import Papa from 'papaparse';
+import { detectDataFormat, parseDataFile, readContents } from './dataFormats';
+import { dataSchemas } from './dataValidation';
+import { TOPIC_KEY_PATTERN } from './topicKeys';
+
+/**
+ * Rename the columns of a parsed document file to the names the pipeline expects
+ * @param {Object} result Papa.parse result with header fields
+ * @param {Object} columnMap Mapping from the file's headers
+ * @param {Object} columnMap.columns Expected column name → header in the file (e.g. { "Book Title": "title" })
+ * @param {Array} columnMap.topicColumns Headers of the topic columns, renamed to Topic_1 ... Topic_k in order
+ */
+export const applyColumnMap = (result, { columns = {}, topicColumns = [] }) => {
+  const renames = new Map();
+  Object.entries(columns).forEach(([column, header]) => {
+    if (header) renames.set(header, column);
+  });
+  topicColumns.forEach((header, index) => {
+    renames.set(header, `Topic_${index + 1}`);
+  });
+
+  // Unmapped columns are dropped when they would clash with a mapped name or look like an unselected topic
+  const mappedNames = new Set(renames.values());
+  const isDropped = field => !renames.has(field) &&
+    (mappedNames.has(field) || (topicColumns.length > 0 && TOPIC_KEY_PATTERN.test(field)));
+
+  result.data = result.data.map(row => {
+    const mappedRow = {};
+    Object.entries(row).forEach(([field, value]) => {
+      if (isDropped(field)) return;
+      mappedRow[renames.get(field) || field] = value;
+    });
+    return mappedRow;
+  });
+  result.meta.fields = (result.meta.fields || [])
+    .filter(field => !isDropped(field))
+    .map(field => renames.get(field) || field);
+};
+
+/**
+ * Read the column names of a data file imported by the user
+ * @param {File} file Imported CSV, JSON or Arrow file
+ * @returns {Array} Column names
+ */
+export const readColumnNames = async (file) => {
+  const format = detectDataFormat(file.name, file.type);
+  
+  if (format === 'csv') {
+    // The header is at the start of the file, so a slice is enough
+    const text = await file.slice(0, 65536).text();
+    const result = Papa.parse(text, { header: true, preview: 1 });
+    return result.meta.fields || [];
+  }
+  
+  const result = await parseDataFile(await readContents(file, format), { header: true }, file.name);
+  return result.meta.fields;
+};
+
+// Header patterns used to guess the mapping of imported document files
+const COLUMN_PATTERNS = {
+  "Book Title": /title|book|name|кітап|атау/i,
+  "Author": /author|writer|автор|жазушы/i,
+  "Year": /year|date|жыл|год/i
+};
+
+/**
+ * Guess how the columns of an imported document file map to the expected columns
+ * @param {Array} fields Column names of the file
+ * @returns {Object} Column map accepted by loadAllData
+ */
+export const suggestColumnMap = (fields) => {
+  const columns = {};
+  dataSchemas.documentTopics.requiredColumns.forEach(column => {
+    columns[column] = fields.includes(column)
+      ? column
+      : fields.find(field => COLUMN_PATTERNS[column].test(field)) || '';
+  });
+
+  // Prefer Topic_N columns, then any other column mentioning topics
+  let topicColumns = fields.filter(field => TOPIC_KEY_PATTERN.test(field));
+  if (topicColumns.length === 0) {
+    topicColumns = fields.filter(field => /topic/i.test(field) && !/dominant/i.test(field));
+  }
+
+  return { columns, topicColumns };
+};
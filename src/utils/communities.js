@@ -0,0 +1,187 @@
+/**
+ * Build the adjacency of a weighted undirected graph
+ * @param {Number} nodeCount Number of nodes
+ * @param {Array} edges Array of { source, target, weight } objects with node indices
+ * @returns {Object} { adjacency, selfLoops } where adjacency holds a Map of neighbour → weight per node
+ */
+const createGraph = (nodeCount, edges) => {
+  const adjacency = Array.from({ length: nodeCount }, () => new Map());
+  const selfLoops = new Array(nodeCount).fill(0);
+  edges.forEach(({ source, target, weight }) => {
+    if (source === target) {
+      selfLoops[source] += weight;
+      return;
+    }
+    adjacency[source].set(target, (adjacency[source].get(target) || 0) + weight);
+    adjacency[target].set(source, (adjacency[target].get(source) || 0) + weight);
+  });
+  return { adjacency, selfLoops };
+};
+
+/**
+ * Weighted degree of every node (self-loops count twice)
+ * @param {Object} graph Graph from createGraph
+ * @returns {Array} Degrees
+ */
+const getDegrees = ({ adjacency, selfLoops }) => adjacency.map((neighbours, node) => {
+  let degree = 2 * selfLoops[node];
+  neighbours.forEach(weight => {
+    degree += weight;
+  });
+  return degree;
+});
+
+/**
+ * Renumber community labels as 0, 1, 2, … in order of first appearance
+ * @param {Array} labels Community label of each node
+ * @returns {Array} Renumbered labels
+ */
+const renumber = (labels) => {
+  const numbers = new Map();
+  return labels.map(label => {
+    if (!numbers.has(label)) numbers.set(label, numbers.size);
+    return numbers.get(label);
+  });
+};
+
+/**
+ * First Louvain phase: move single nodes to the neighbouring community with the largest
+ * modularity gain until no move improves modularity
+ * @param {Object} graph Graph from createGraph
+ * @param {Number} resolution Resolution parameter (1 for standard modularity)
+ * @returns {Object} { communities, improved } with the community of each node
+ */
+const moveNodes = (graph, resolution) => {
+  const degrees = getDegrees(graph);
+  const totalDegree = degrees.reduce((sum, degree) => sum + degree, 0);
+  const communities = degrees.map((degree, node) => node);
+  const communityDegrees = [...degrees];
+  let improved = false;
+  let moved = totalDegree > 0;
+
+  while (moved) {
+    moved = false;
+    for (let node = 0; node < graph.adjacency.length; node++) {
+      const neighbours = graph.adjacency[node];
+      const current = communities[node];
+      const linksTo = new Map([[current, 0]]);
+      neighbours.forEach((weight, neighbour) => {
+        const community = communities[neighbour];
+        linksTo.set(community, (linksTo.get(community) || 0) + weight);
+      });
+
+      communityDegrees[current] -= degrees[node];
+      const gain = community => linksTo.get(community) - resolution * communityDegrees[community] * degrees[node] / totalDegree;
+
+      let best = current;
+      let bestGain = gain(current);
+      linksTo.forEach((weight, community) => {
+        const communityGain = gain(community);
+        if (communityGain > bestGain + 1e-12) {
+          best = community;
+          bestGain = communityGain;
+        }
+      });
+
+      communityDegrees[best] += degrees[node];
+      if (best !== current) {
+        communities[node] = best;
+        moved = true;
+        improved = true;
+      }
+    }
+  }
+
+  return { communities: renumber(communities), improved };
+};
+
+/**
+ * Second Louvain phase: merge every community into a single node
+ * @param {Object} graph Graph from createGraph
+ * @param {Array} communities Community of each node
+ * @returns {Object} Aggregated graph
+ */
+const aggregate = (graph, communities) => {
+  const communityCount = Math.max(-1, ...communities) + 1;
+  const edges = [];
+  graph.adjacency.forEach((neighbours, node) => {
+    // Each undirected edge appears twice in the adjacency; keep one copy
+    neighbours.forEach((weight, neighbour) => {
+      if (neighbour > node) edges.push({ source: communities[node], target: communities[neighbour], weight });
+    });
+    if (graph.selfLoops[node] > 0) {
+      edges.push({ source: communities[node], target: communities[node], weight: graph.selfLoops[node] });
+    }
+  });
+  return createGraph(communityCount, edges);
+};
+
+/**
+ * Modularity of a partition of a graph
+ * @param {Object} graph Graph from createGraph
+ * @param {Array} membership Community of each node
+ * @returns {Number} Modularity Q
+ */
+const modularity = (graph, membership) => {
+  const degrees = getDegrees(graph);
+  const totalDegree = degrees.reduce((sum, degree) => sum + degree, 0);
+  if (totalDegree === 0) return 0;
+
+  const internal = new Map();
+  const communityDegrees = new Map();
+  graph.adjacency.forEach((neighbours, node) => {
+    const community = membership[node];
+    communityDegrees.set(community, (communityDegrees.get(community) || 0) + degrees[node]);
+    let inside = 2 * graph.selfLoops[node];
+    neighbours.forEach((weight, neighbour) => {
+      if (membership[neighbour] === community) inside += weight;
+    });
+    internal.set(community, (internal.get(community) || 0) + inside);
+  });
+
+  let q = 0;
+  communityDegrees.forEach((degree, community) => {
+    q += internal.get(community) / totalDegree - (degree / totalDegree) ** 2;
+  });
+  return q;
+};
+
+/**
+ * Find communities of densely linked nodes with the Louvain method
+ * @param {Number} nodeCount Number of nodes
+ * @param {Array} edges Array of { source, target, weight } objects with node indices and positive weights
+ * @param {Object} options Options
+ * @param {Number} options.resolution Resolution parameter; larger values give smaller communities (default 1)
+ * @returns {Object} { membership, communities, modularity } where membership holds the community of each
+ *   node and communities lists the node indices of each community, largest first
+ */
+export const detectCommunities = (nodeCount, edges, { resolution = 1 } = {}) => {
+  const graph = createGraph(nodeCount, edges);
+  let membership = Array.from({ length: nodeCount }, (_, node) => node);
+  let current = graph;
+
+  for (;;) {
+    const { communities, improved } = moveNodes(current, resolution);
+    if (!improved) break;
+    membership = membership.map(community => communities[community]);
+    current = aggregate(current, communities);
+  }
+
+  // Order communities by size, then by their first node
+  const groups = new Map();
+  membership.forEach((community, node) => {
+    if (!groups.has(community)) groups.set(community, []);
+    groups.get(community).push(node);
+  });
+  const communities = Array.from(groups.values()).sort((a, b) => b.length - a.length || a[0] - b[0]);
+  const finalMembership = new Array(nodeCount);
+  communities.forEach((nodes, index) => nodes.forEach(node => {
+    finalMembership[node] = index;
+  }));
+
+  return {
+    membership: finalMembership,
+    communities,
+    modularity: modularity(graph, finalMembership)
+  };
+};
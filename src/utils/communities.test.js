@@ -0,0 +1,53 @@
+import { detectCommunities } from './communities';
+
+/**
+ * Edges linking every pair of the given nodes
+ * @param {Array} nodes Node indices
+ * @param {Number} weight Weight of every edge
+ * @returns {Array} Array of { source, target, weight } objects
+ */
+const clique = (nodes, weight = 1) => nodes.flatMap((source, i) => (
+  nodes.slice(i + 1).map(target => ({ source, target, weight }))
+));
+
+test('two cliques joined by a bridge split into two communities', () => {
+  // Nodes of the two cliques are interleaved, so the split does not follow the node order
+  const edges = [...clique([0, 2, 4, 6]), ...clique([1, 3, 5, 7]), { source: 6, target: 7, weight: 1 }];
+  const { membership, communities, modularity } = detectCommunities(8, edges);
+
+  expect(communities).toEqual([[0, 2, 4, 6], [1, 3, 5, 7]]);
+  expect(membership).toEqual([0, 1, 0, 1, 0, 1, 0, 1]);
+  // 13 edges; each community holds 6 of them and 13 of the 26 edge ends: 2 × (6/13 - (13/26)²) = 11/26
+  expect(modularity).toBeCloseTo(11 / 26, 12);
+});
+
+test('weights decide between a strong and a weak link', () => {
+  // A chain 0-1-2-3 where the middle link is weak
+  const edges = [
+    { source: 0, target: 1, weight: 5 },
+    { source: 1, target: 2, weight: 0.1 },
+    { source: 2, target: 3, weight: 5 }
+  ];
+
+  expect(detectCommunities(4, edges).communities).toEqual([[0, 1], [2, 3]]);
+});
+
+test('a larger resolution gives smaller communities', () => {
+  // Two groups of two triangles: triangles are weakly linked inside a group, groups barely at all
+  const edges = [
+    ...clique([0, 1, 2]), ...clique([3, 4, 5]), { source: 2, target: 3, weight: 0.5 },
+    ...clique([6, 7, 8]), ...clique([9, 10, 11]), { source: 8, target: 9, weight: 0.5 },
+    { source: 0, target: 11, weight: 0.05 }
+  ];
+
+  expect(detectCommunities(12, edges, { resolution: 0.3 }).communities).toHaveLength(2);
+  expect(detectCommunities(12, edges, { resolution: 1.5 }).communities).toHaveLength(4);
+});
+
+test('nodes without edges stay on their own', () => {
+  const { communities, modularity } = detectCommunities(5, clique([0, 1, 2]));
+
+  expect(communities).toEqual([[0, 1, 2], [3], [4]]);
+  expect(modularity).toBeCloseTo(0, 12);
+  expect(detectCommunities(2, []).communities).toEqual([[0], [1]]);
+});
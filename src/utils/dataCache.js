@@ -0,0 +1,148 @@
+import { fetchData } from './dataProviders';
+import { PROCESSED_FORMAT_VERSION } from './precomputedData';
+
+// IndexedDB database holding parsed and processed datasets
+const DATABASE_NAME = 'qazaqlit-data';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'datasets';
+
+// Cache key of the last model manifest, used when the network is unavailable
+export const MANIFEST_CACHE_KEY = 'manifest';
+
+let databasePromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request IndexedDB request
+ * @returns {Promise} Resolves with the request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open the cache database, creating the store on first use
+ * @returns {Promise<IDBDatabase|null>} Database, or null where IndexedDB is unavailable
+ */
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  if (!databasePromise) {
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+    };
+    databasePromise = promisifyRequest(request).catch(error => {
+      // Private browsing modes may refuse IndexedDB; loading then simply skips the cache
+      console.warn("Data cache unavailable:", error && error.message);
+      databasePromise = null;
+      return null;
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Run a single operation on the cache store
+ * @param {String} mode Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} operation Receives the object store and returns an IDBRequest
+ * @returns {Promise} Resolves with the request result, or null without a database
+ */
+const runOnStore = async (mode, operation) => {
+  const database = await openDatabase();
+  if (!database) return null;
+
+  const transaction = database.transaction(STORE_NAME, mode);
+  return promisifyRequest(operation(transaction.objectStore(STORE_NAME)));
+};
+
+/**
+ * Read a cache entry
+ * @param {String} key Cache key
+ * @returns {Promise<Object|null>} Entry ({ key, version, savedAt, data }) or null when missing
+ */
+export const readCache = async (key) => {
+  try {
+    const entry = await runOnStore('readonly', store => store.get(key));
+    return entry || null;
+  } catch (error) {
+    console.warn("Could not read the data cache:", error.message);
+    return null;
+  }
+};
+
+/**
+ * Store a cache entry, replacing any entry with the same key
+ * @param {String} key Cache key
+ * @param {String|null} version Version the data was loaded at (see getDataVersion)
+ * @param {Object} data Data to store (must be structured-clone friendly)
+ */
+export const writeCache = async (key, version, data) => {
+  try {
+    await runOnStore('readwrite', store => store.put({ key, version, savedAt: Date.now(), data }));
+  } catch (error) {
+    console.warn("Could not write the data cache:", error.message);
+  }
+};
+
+/**
+ * Tell whether a cache entry can no longer be used: it was written in an older data format
+ * or belongs to a model that is no longer in the manifest
+ * @param {String} key Cache key (see getCacheKey)
+ * @param {Array} modelIds Ids of the models in the current manifest
+ * @returns {Boolean} True when the entry should be removed
+ */
+export const isStaleCacheKey = (key, modelIds) => {
+  if (key === MANIFEST_CACHE_KEY) return false;
+  const [formatVersion, modelId] = key.split('|');
+  return formatVersion !== `v${PROCESSED_FORMAT_VERSION}` || !modelIds.includes(modelId);
+};
+
+/**
+ * Remove the entries that can no longer be used, so old datasets do not pile up
+ * @param {Array} modelIds Ids of the models in the current manifest
+ */
+export const pruneCache = async (modelIds) => {
+  try {
+    const keys = await runOnStore('readonly', store => store.getAllKeys());
+    const staleKeys = (keys || []).filter(key => isStaleCacheKey(key, modelIds));
+    await Promise.all(staleKeys.map(key => runOnStore('readwrite', store => store.delete(key))));
+  } catch (error) {
+    console.warn("Could not prune the data cache:", error.message);
+  }
+};
+
+/**
+ * Remove every cached dataset
+ */
+export const clearDataCache = async () => {
+  await runOnStore('readwrite', store => store.clear());
+};
+
+/**
+ * Build the cache key of a model's dataset
+ * @param {Object} model Model resolved from the manifest
+ * @param {String} normalization Requested normalization strategy
+ * @returns {String} Key made of the data format version, model id, normalization and file URLs
+ */
+export const getCacheKey = (model, normalization) => {
+  return [`v${PROCESSED_FORMAT_VERSION}`, model.id, normalization, ...Object.values(model.files)].join('|');
+};
+
+/**
+ * Describe the current version of a model's files from the manifest version and HTTP validators
+ * @param {Object} manifest Model manifest (its optional "version" field is bumped by the data pipeline)
+ * @param {Object} model Model resolved from the manifest
+ * @returns {Promise<String|null>} Version string, or null when the server gives no way to tell
+ */
+export const getDataVersion = async (manifest, model) => {
+  const validators = await Promise.all(Object.values(model.files).map(async path => {
+    const response = await fetchData(path, { method: 'HEAD', cache: 'no-cache' });
+    if (!response.ok || !response.headers) return null;
+    return response.headers.get('etag') || response.headers.get('last-modified');
+  }));
+
+  if (!manifest.version && validators.includes(null)) return null;
+  return JSON.stringify({ manifest: manifest.version || null, files: validators });
+};
@@ -0,0 +1,23 @@
+import { getCacheKey, isStaleCacheKey, MANIFEST_CACHE_KEY } from './dataCache';
+import { PROCESSED_FORMAT_VERSION } from './precomputedData';
+
+describe('isStaleCacheKey', () => {
+  const model = { id: 'nmf-30', files: { documentTopics: '/data/documents.csv', topicLabels: '/data/labels.csv' } };
+  const modelIds = ['nmf-30', 'nmf-50'];
+
+  test('keeps current datasets and the manifest', () => {
+    expect(isStaleCacheKey(getCacheKey(model, 'auto'), modelIds)).toBe(false);
+    expect(isStaleCacheKey(getCacheKey(model, 'softmax'), modelIds)).toBe(false);
+    expect(isStaleCacheKey(MANIFEST_CACHE_KEY, [])).toBe(false);
+  });
+
+  test('drops datasets of older formats', () => {
+    const key = getCacheKey(model, 'auto').replace(`v${PROCESSED_FORMAT_VERSION}|`, `v${PROCESSED_FORMAT_VERSION - 1}|`);
+
+    expect(isStaleCacheKey(key, modelIds)).toBe(true);
+  });
+
+  test('drops datasets of models removed from the manifest', () => {
+    expect(isStaleCacheKey(getCacheKey(model, 'auto'), ['nmf-50'])).toBe(true);
+  });
+});
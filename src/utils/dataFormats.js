@@ -0,0 +1,202 @@
+import Papa from 'papaparse';
+import { DataValidationError } from './dataValidation';
+
+// Supported data file formats, with their UI labels
+export const DATA_FORMATS = {
+  csv: 'CSV',
+  json: 'JSON (rows or columns)',
+  arrow: 'Apache Arrow IPC'
+};
+
+// File extensions and content types recognized for each format
+const FORMAT_EXTENSIONS = {
+  json: /\.json$/i,
+  arrow: /\.(arrow|arrows|feather|ipc)$/i,
+  csv: /\.(csv|txt)$/i
+};
+const FORMAT_CONTENT_TYPES = {
+  json: /json/i,
+  arrow: /apache\.arrow|arrow/i,
+  csv: /csv|text\/plain/i
+};
+
+/**
+ * Detect the format of a data file, by extension first and content type second
+ * @param {String} name File path or name
+ * @param {String} contentType Content type reported by the server or browser (optional)
+ * @returns {String} One of the DATA_FORMATS keys, 'csv' when nothing else matches
+ */
+export const detectDataFormat = (name, contentType = '') => {
+  const fileName = (name || '').split('?')[0];
+  const byExtension = Object.keys(FORMAT_EXTENSIONS).find(format => FORMAT_EXTENSIONS[format].test(fileName));
+  if (byExtension) return byExtension;
+
+  const byContentType = Object.keys(FORMAT_CONTENT_TYPES).find(format => FORMAT_CONTENT_TYPES[format].test(contentType));
+  return byContentType || 'csv';
+};
+
+/**
+ * Convert a cell read from JSON or Arrow into a plain JavaScript value
+ * @param {*} value Cell value
+ * @returns {*} Value with BigInts turned into numbers and dates into years
+ */
+const toPlainValue = (value) => {
+  if (typeof value === 'bigint') return Number(value);
+  if (value instanceof Date) return value.getUTCFullYear();
+  return value;
+};
+
+/**
+ * Turn parsed JSON into field names and row objects.
+ * Accepts row format (array of objects or array of arrays) and columnar format (object of arrays).
+ * @param {*} json Parsed JSON
+ * @returns {Object} { fields, records } where records is null for arrays of arrays
+ */
+const readJsonTable = (json) => {
+  // Exports often wrap the table, e.g. { "data": [...] }
+  const table = json && !Array.isArray(json) && Array.isArray(json.data) ? json.data : json;
+
+  if (Array.isArray(table)) {
+    if (table.length === 0 || Array.isArray(table[0])) {
+      return { fields: null, records: null, rows: table };
+    }
+    const fields = Object.keys(table[0]);
+    return { fields, records: table };
+  }
+
+  if (table && typeof table === 'object') {
+    const fields = Object.keys(table);
+    if (!fields.every(field => Array.isArray(table[field]))) {
+      throw new Error('expected an array of rows or an object of equally long column arrays');
+    }
+    const rowCount = Math.max(0, ...fields.map(field => table[field].length));
+    const records = Array.from({ length: rowCount }, (_, row) => {
+      const record = {};
+      fields.forEach(field => {
+        record[field] = table[field][row];
+      });
+      return record;
+    });
+    return { fields, records };
+  }
+
+  throw new Error('expected an array or an object');
+};
+
+/**
+ * Turn an Arrow IPC file into field names and row objects
+ * @param {ArrayBuffer} buffer File contents
+ * @returns {Object} { fields, records }
+ */
+const readArrowTable = async (buffer) => {
+  // Arrow is only needed for Arrow files, so keep it out of the main bundle
+  const { tableFromIPC, DataType } = await import('apache-arrow');
+  const table = tableFromIPC(new Uint8Array(buffer));
+  const fields = table.schema.fields.map(field => field.name);
+  const columns = fields.map(field => table.getChild(field));
+  // Date and timestamp columns read as milliseconds since the epoch, whatever their unit
+  const isDate = table.schema.fields.map(field => DataType.isDate(field.type) || DataType.isTimestamp(field.type));
+
+  const records = Array.from({ length: table.numRows }, (_, row) => {
+    const record = {};
+    fields.forEach((field, index) => {
+      const value = columns[index].get(row);
+      record[field] = isDate[index] && value !== null ? new Date(value) : value;
+    });
+    return record;
+  });
+
+  return { fields, records };
+};
+
+/**
+ * Shape a table read from JSON or Arrow like a Papa.parse result
+ * @param {Object} table { fields, records, rows } from readJsonTable or readArrowTable
+ * @param {Boolean} header Whether rows should be objects keyed by field (true) or arrays with a header row (false)
+ * @returns {Object} { data, errors, meta } as returned by Papa.parse
+ */
+const toParseResult = (table, header) => {
+  const { rows } = table;
+  let { fields, records } = table;
+
+  if (rows && header) {
+    // The first array holds the column names
+    fields = (rows[0] || []).map(String);
+    records = rows.slice(1).map(row => {
+      const record = {};
+      fields.forEach((field, index) => {
+        record[field] = row[index];
+      });
+      return record;
+    });
+  } else if (rows) {
+    // Arrays of arrays are already shaped like a header-less CSV
+    const data = rows.map(row => row.map(value => {
+      const plain = toPlainValue(value);
+      return plain === null || plain === undefined ? '' : String(plain);
+    }));
+    return { data, errors: [], meta: { fields: [] } };
+  }
+
+  if (header) {
+    const data = records.map(record => {
+      const row = {};
+      fields.forEach(field => {
+        const value = toPlainValue(record[field]);
+        row[field] = value === undefined ? null : value;
+      });
+      return row;
+    });
+    return { data, errors: [], meta: { fields } };
+  }
+
+  // Header-less loaders expect the column names as the first row, like in the CSV files
+  const data = [fields, ...records.map(record => fields.map(field => {
+    const value = toPlainValue(record[field]);
+    return value === null || value === undefined ? '' : String(value);
+  }))];
+  return { data, errors: [], meta: { fields: [] } };
+};
+
+/**
+ * Read the body of a response or imported file in the form its format needs
+ * @param {Response|Blob} body Fetch response or imported file
+ * @param {String} format One of the DATA_FORMATS keys
+ * @returns {Object} { format, text, buffer, sample } where sample is the text used for validation
+ */
+export const readContents = async (body, format) => {
+  if (format === 'arrow') {
+    const buffer = await body.arrayBuffer();
+    // The start of the file is enough to recognize HTML fallbacks and empty files
+    const sample = new TextDecoder().decode(buffer.slice(0, 64));
+    return { format, buffer, sample };
+  }
+  
+  const text = await body.text();
+  return { format, text, sample: text };
+};
+
+/**
+ * Parse the contents of a data file in any supported format
+ * @param {Object} contents { format, text, buffer } as read by the loaders (text for CSV/JSON, buffer for Arrow)
+ * @param {Object} options Papa.parse options; only `header` is used for JSON and Arrow
+ * @param {String} file File name used in error messages
+ * @returns {Object} { data, errors, meta } shaped like a Papa.parse result
+ */
+export const parseDataFile = async ({ format, text, buffer }, options, file) => {
+  if (format === 'csv') {
+    return Papa.parse(text, options);
+  }
+
+  try {
+    const table = format === 'arrow' ? await readArrowTable(buffer) : readJsonTable(JSON.parse(text));
+    return toParseResult(table, options.header);
+  } catch (error) {
+    throw new DataValidationError([{
+      file,
+      message: `Could not read the ${DATA_FORMATS[format]} file: ${error.message}`,
+      issues: [],
+      issueCount: 0
+    }]);
+  }
+};
@@ -0,0 +1,152 @@
+/**
+ * @jest-environment node
+ */
+import { Float64, Int64, Table, TimestampMillisecond, tableToIPC, Utf8, vectorFromArray } from 'apache-arrow';
+import { detectDataFormat, parseDataFile } from './dataFormats';
+import { readColumnNames, suggestColumnMap } from './columnMapping';
+import { loadAllData } from './dataProcessing';
+import { DataValidationError } from './dataValidation';
+
+const DOCUMENT_OPTIONS = { header: true, dynamicTyping: true, skipEmptyLines: true };
+
+const EXPECTED_ROWS = [
+  { "Book Title": 'Абай жолы', Author: 'Мұхтар Әуезов', Year: 1942, Topic_1: 0.75, Topic_2: 0.25 },
+  { "Book Title": 'Көшпенділер', Author: 'Ілияс Есенберлин', Year: 1976, Topic_1: 0.5, Topic_2: 0.5 }
+];
+
+/**
+ * Stand-in for a File imported by the user
+ * @param {String} name File name
+ * @param {String|Uint8Array} contents File contents
+ * @returns {Object} Object with the File members the loaders use
+ */
+const createFile = (name, contents) => {
+  const bytes = typeof contents === 'string' ? new TextEncoder().encode(contents) : contents;
+  return {
+    name,
+    type: '',
+    text: async () => new TextDecoder().decode(bytes),
+    arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength),
+    slice: (start, end) => createFile(name, bytes.slice(start, end))
+  };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('detectDataFormat', () => {
+  test('goes by extension first and content type second', () => {
+    expect(detectDataFormat('data/documents.json?v=2')).toBe('json');
+    expect(detectDataFormat('documents.feather', 'text/csv')).toBe('arrow');
+    expect(detectDataFormat('/api/documents', 'application/vnd.apache.arrow.file')).toBe('arrow');
+    expect(detectDataFormat('/api/documents', 'application/json; charset=utf-8')).toBe('json');
+    expect(detectDataFormat('/api/documents')).toBe('csv');
+  });
+});
+
+describe('parseDataFile', () => {
+  test('parses CSV with Papa.parse', async () => {
+    const text = 'Book Title,Author,Year,Topic_1,Topic_2\nАбай жолы,Мұхтар Әуезов,1942,0.75,0.25\nКөшпенділер,Ілияс Есенберлин,1976,0.5,0.5\n';
+    const result = await parseDataFile({ format: 'csv', text }, DOCUMENT_OPTIONS, 'documents.csv');
+
+    expect(result.meta.fields).toEqual(['Book Title', 'Author', 'Year', 'Topic_1', 'Topic_2']);
+    expect(result.data).toEqual(EXPECTED_ROWS);
+  });
+
+  test('parses JSON rows, wrapped rows and columns into the same rows', async () => {
+    const columns = {
+      "Book Title": ['Абай жолы', 'Көшпенділер'],
+      Author: ['Мұхтар Әуезов', 'Ілияс Есенберлин'],
+      Year: [1942, 1976],
+      Topic_1: [0.75, 0.5],
+      Topic_2: [0.25, 0.5]
+    };
+
+    for (const json of [EXPECTED_ROWS, { data: EXPECTED_ROWS }, columns]) {
+      const result = await parseDataFile({ format: 'json', text: JSON.stringify(json) }, DOCUMENT_OPTIONS, 'documents.json');
+      expect(result.meta.fields).toEqual(['Book Title', 'Author', 'Year', 'Topic_1', 'Topic_2']);
+      expect(result.data).toEqual(EXPECTED_ROWS);
+    }
+  });
+
+  test('reads JSON arrays of arrays like CSV rows, with or without a header', async () => {
+    const text = JSON.stringify([['Topic', 'Word 1', 'Word 2'], ['Topic 1', 'дала', null], [2, 'үй', 'ана']]);
+
+    const withHeader = await parseDataFile({ format: 'json', text }, { header: true }, 'keywords.json');
+    expect(withHeader.data).toEqual([
+      { Topic: 'Topic 1', "Word 1": 'дала', "Word 2": null },
+      { Topic: 2, "Word 1": 'үй', "Word 2": 'ана' }
+    ]);
+
+    const withoutHeader = await parseDataFile({ format: 'json', text }, { header: false }, 'keywords.json');
+    expect(withoutHeader.data).toEqual([['Topic', 'Word 1', 'Word 2'], ['Topic 1', 'дала', ''], ['2', 'үй', 'ана']]);
+  });
+
+  test('parses Arrow IPC files, turning 64-bit integers and dates into numbers and years', async () => {
+    const table = new Table({
+      "Book Title": vectorFromArray(['Абай жолы', 'Көшпенділер'], new Utf8()),
+      Author: vectorFromArray(['Мұхтар Әуезов', 'Ілияс Есенберлин'], new Utf8()),
+      Year: vectorFromArray([1942n, 1976n], new Int64()),
+      Published: vectorFromArray([new Date(Date.UTC(1947, 5, 1)), new Date(Date.UTC(1978, 0, 1))], new TimestampMillisecond()),
+      Topic_1: vectorFromArray([0.75, 0.5], new Float64()),
+      Topic_2: vectorFromArray([0.25, 0.5], new Float64())
+    });
+    const bytes = tableToIPC(table, 'file');
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+
+    const result = await parseDataFile({ format: 'arrow', buffer }, { header: true }, 'documents.arrow');
+
+    expect(result.meta.fields).toEqual(['Book Title', 'Author', 'Year', 'Published', 'Topic_1', 'Topic_2']);
+    expect(result.data[0]).toEqual({ ...EXPECTED_ROWS[0], Published: 1947 });
+    expect(result.data[1]).toEqual({ ...EXPECTED_ROWS[1], Published: 1978 });
+  });
+
+  test('reports malformed files as validation failures', async () => {
+    const malformed = await parseDataFile({ format: 'json', text: '{"Year": [1942,' }, DOCUMENT_OPTIONS, 'documents.json')
+      .catch(error => error);
+    expect(malformed).toBeInstanceOf(DataValidationError);
+    expect(malformed.failures[0].file).toBe('documents.json');
+    expect(malformed.failures[0].message).toMatch(/^Could not read the JSON \(rows or columns\) file: /);
+
+    const ragged = await parseDataFile({ format: 'json', text: '{"Year": [1942], "Author": "Әуезов"}' }, DOCUMENT_OPTIONS, 'documents.json')
+      .catch(error => error);
+    expect(ragged.failures[0].message).toContain('expected an array of rows or an object of equally long column arrays');
+
+    const csvAsArrow = new TextEncoder().encode('Book Title,Author,Year\nАбай жолы,Мұхтар Әуезов,1942\n').buffer;
+    const arrow = await parseDataFile({ format: 'arrow', buffer: csvAsArrow }, DOCUMENT_OPTIONS, 'documents.arrow')
+      .catch(error => error);
+    expect(arrow).toBeInstanceOf(DataValidationError);
+    expect(arrow.failures[0].message).toMatch(/^Could not read the Apache Arrow IPC file: /);
+  });
+});
+
+describe('column mapping of imported document files', () => {
+  const text = JSON.stringify([
+    { title: 'Абай жолы', writer: 'Мұхтар Әуезов', date: 1942, steppe: 0.75, family: 0.25, Topic_9: 1 },
+    { title: 'Көшпенділер', writer: 'Ілияс Есенберлин', date: 1976, steppe: 0.5, family: 0.5, Topic_9: 1 }
+  ]);
+
+  test('suggests a mapping from the headers of the file', async () => {
+    const fields = await readColumnNames(createFile('books.json', text));
+
+    expect(fields).toEqual(['title', 'writer', 'date', 'steppe', 'family', 'Topic_9']);
+    expect(suggestColumnMap(fields)).toEqual({
+      columns: { "Book Title": 'title', Author: 'writer', Year: 'date' },
+      topicColumns: ['Topic_9']
+    });
+  });
+
+  test('renames mapped columns and drops unselected topic columns', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const columnMap = {
+      columns: { "Book Title": 'title', Author: 'writer', Year: 'date' },
+      topicColumns: ['steppe', 'family']
+    };
+
+    const { raw } = await loadAllData({ sources: { documentTopics: createFile('books.json', text) }, columnMap });
+
+    expect(raw.documentTopics).toEqual(EXPECTED_ROWS);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+});
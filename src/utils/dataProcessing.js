@@ -1,63 +1,393 @@
-import Papa from 'papaparse';
+import { detectDataFormat, parseDataFile, readContents } from './dataFormats';
+import { dataSchemas, DataValidationError, validateFileText, validateParsedData, validateResponse } from './dataValidation';
+import { getCacheKey, getDataVersion, MANIFEST_CACHE_KEY, pruneCache, readCache, writeCache } from './dataCache';
+import { createImportedModel, listModels, loadModelManifest, resolveModel } from './modelManifest';
+import { loadPrecomputedBundle, PROCESSED_FILE } from './precomputedData';
+import { fetchData } from './dataProviders';
+import { applyColumnMap } from './columnMapping';
+import { detectTopicKeys, getTopicNumber } from './topicKeys';
+import { createAuthorIndex } from './authorNames';
+import { calculateTopicAssociations } from './topicAssociations';
+import { benjaminiHochberg, bootstrapMeanIntervals, columnMoments, createRandom, detectChangePoints, mannKendall, normalInterval, senSlope, shannonEntropy } from './statistics';
+
+// Number of aggregation steps, used as progress total
+const AGGREGATION_STEP_COUNT = 10;
+
+/**
+ * Create a progress reporter that counts completed steps per loading stage
+ * @param {Function} onProgress Callback receiving { stage, label, completed, total }
+ * @param {Number} fileCount Number of data files loaded for the model
+ * @returns {Function} Reporter called as report(stage, label) after each completed step
+ */
+const createProgressReporter = (onProgress, fileCount) => {
+  const totals = {
+    fetching: fileCount,
+    parsing: fileCount,
+    aggregating: AGGREGATION_STEP_COUNT
+  };
+  const completed = { fetching: 0, parsing: 0, aggregating: 0 };
+  
+  return (stage, label) => {
+    completed[stage]++;
+    if (onProgress) {
+      onProgress({ stage, label, completed: completed[stage], total: totals[stage] });
+    }
+  };
+};
 
 /**
- * Load and parse all data files
+ * Load and parse all data files of a topic model.
+ * Published models are cached in IndexedDB: a cached copy is returned at once and checked
+ * against the server in the background, and onRevalidate receives the fresh data if it changed.
+ * @param {Object} options Loading options
+ * @param {String} options.modelId Id of a model from public/data/models.json (default model when omitted)
+ * @param {Object} options.sources Files imported by the user, keyed by role; replaces the manifest model
+ * @param {Object} options.columnMap Column mapping for the document file (see applyColumnMap)
+ * @param {String} options.normalization One of the NORMALIZATION_STRATEGIES keys (default 'auto')
+ * @param {Boolean} options.useCache Whether to read and write the IndexedDB cache (default true)
+ * @param {Function} options.onProgress Optional callback receiving { stage, label, completed, total }
+ * @param {Function} options.onRevalidate Optional callback called after serving cached data, with the
+ *   fresh data when the files changed or null when the cached copy is current
  * @returns {Object} Object containing all parsed data
  */
-export const loadAllData = async () => {
+export const loadAllData = async ({
+  modelId,
+  sources,
+  columnMap,
+  normalization = 'auto',
+  useCache = true,
+  onProgress,
+  onRevalidate
+} = {}) => {
   try {
-    // Load each dataset
-    const topicLabels = await loadTopicLabels();
-    const nmfTopics = await loadNMFTopics();
-    const documentTopics = await loadDocumentTopics();
-    const expandedWordlist = await loadExpandedWordlist(); // New wordlist
-    
-    // Process and organize data for visualizations
-    const booksByYear = aggregateBooksByYear(documentTopics);
-    const topAuthors = getTopAuthors(documentTopics, 20);
-    const topicEvolution = calculateTopicEvolutionByYear(documentTopics);
-    const topicCorrelations = calculateTopicCorrelations(documentTopics);
-    const topicKeywords = prepareTopicKeywords(nmfTopics, topicLabels);
-    
-    // Add expanded keywords to the topic keywords
-    const enhancedTopicKeywords = enhanceTopicKeywords(topicKeywords, expandedWordlist);
-    
-    // Return all data and processed derivatives
-    return {
-      raw: {
-        topicLabels,
-        nmfTopics,
-        documentTopics,
-        expandedWordlist
-      },
-      processed: {
-        booksByYear,
-        topAuthors,
-        topicEvolution,
-        topicCorrelations,
-        topicKeywords: enhancedTopicKeywords // Use enhanced keywords
-      }
-    };
+    // Pick the model files from the manifest, or use the imported files
+    const manifest = sources ? null : await loadManifestWithCache(useCache);
+    const model = sources ? createImportedModel(sources) : resolveModel(manifest, modelId);
+    const models = manifest ? listModels(manifest) : [{ id: model.id, label: model.label }];
+    
+    // Imported files are already local, so only published models are cached
+    const cacheKey = !sources && useCache ? getCacheKey(model, normalization) : null;
+    const cached = cacheKey ? await readCache(cacheKey) : null;
+    
+    if (cached) {
+      revalidateCachedData(cached, manifest, model, normalization)
+        .then(freshData => freshData && { ...freshData, models })
+        .catch(error => {
+          console.warn("Could not revalidate cached data:", error.message);
+          return null;
+        })
+        .then(freshData => onRevalidate && onRevalidate(freshData))
+        .catch(error => console.error("Error applying revalidated data:", error));
+      
+      return { ...cached.data, models, cachedAt: cached.savedAt };
+    }
+    
+    // Read the file versions before loading so a change during the load is caught next time
+    const version = cacheKey ? await getDataVersion(manifest, model).catch(() => null) : null;
+    const data = await loadModelData(model, { columnMap, normalization, onProgress });
+    if (cacheKey) writeCache(cacheKey, version, data);
+    
+    return { ...data, models };
   } catch (error) {
     console.error("Error loading data:", error);
     throw error;
   }
 };
 
+/**
+ * Load the model manifest, remembering it so the cache still works when the network is down
+ * @param {Boolean} useCache Whether to read and write the cached manifest
+ * @returns {Object} Model manifest
+ */
+const loadManifestWithCache = async (useCache) => {
+  try {
+    const manifest = await loadModelManifest();
+    if (useCache) {
+      // Writing the manifest is also the moment to drop datasets of older formats and removed models
+      writeCache(MANIFEST_CACHE_KEY, null, manifest)
+        .then(() => pruneCache(listModels(manifest).map(model => model.id)));
+    }
+    return manifest;
+  } catch (error) {
+    const cached = useCache && !(error instanceof DataValidationError) ? await readCache(MANIFEST_CACHE_KEY) : null;
+    if (!cached) throw error;
+    console.warn("Could not load the model manifest, using the cached copy:", error.message);
+    return cached.data;
+  }
+};
+
+/**
+ * Check a cached dataset against the server and reload it when the files changed
+ * @param {Object} cached Cache entry from readCache
+ * @param {Object} manifest Model manifest
+ * @param {Object} model Model resolved from the manifest
+ * @param {String} normalization Requested normalization strategy
+ * @returns {Promise<Object|null>} Fresh data, or null when the cached copy is current
+ */
+const revalidateCachedData = async (cached, manifest, model, normalization) => {
+  const version = await getDataVersion(manifest, model);
+  // Without a version the server gives no way to tell, so the data is always reloaded
+  if (version !== null && version === cached.version) return null;
+  
+  const data = await loadModelData(model, { normalization });
+  await writeCache(cached.key, version, data);
+  return data;
+};
+
+/**
+ * Load a model from its precomputed bundle when up to date, or from its data files
+ * @param {Object} model Model resolved from the manifest, or created from imported files
+ * @param {Object} options Loading options (columnMap, normalization, onProgress)
+ * @returns {Object} Data for the model (without the list of models)
+ */
+const loadModelData = async (model, { columnMap, normalization, onProgress }) => {
+  // Prefer the bundle written by scripts/precompute.js when it is up to date
+  const bundle = model.imported ? null : await loadPrecomputedBundle(model);
+  
+  const fileCount = bundle ? 1 : Object.keys(model.files).length;
+  const reportProgress = createProgressReporter(onProgress, fileCount);
+  if (onProgress) {
+    onProgress({ stage: 'fetching', label: null, completed: 0, total: fileCount });
+  }
+  
+  let raw;
+  let processed;
+  if (bundle) {
+    reportProgress('fetching', PROCESSED_FILE);
+    reportProgress('parsing', PROCESSED_FILE);
+    raw = bundle.raw;
+    // The bundle holds one normalization; other strategies are recomputed from its raw data
+    processed = bundle.processed.topicMatrix.requestedStrategy === normalization
+      ? bundle.processed
+      : processData(raw, { normalization, reportProgress });
+  } else {
+    raw = await loadRawData(model.files, { columnMap, reportProgress });
+    processed = processData(raw, { normalization, reportProgress });
+  }
+  
+  return {
+    model: { id: model.id, label: model.label, imported: Boolean(model.imported) },
+    raw,
+    processed
+  };
+};
+
+/**
+ * Load and parse the data files of a model
+ * @param {Object} files Paths or File objects keyed by role
+ *   (documentTopics, topicLabels, keywords, wordlist, weights, authors)
+ * @param {Object} options Loading options
+ * @param {Object} options.columnMap Optional column mapping for the document file
+ * @param {Function} options.reportProgress Optional progress reporter from createProgressReporter
+ * @returns {Object} Raw data: { topicLabels, nmfTopics, documentTopics, expandedWordlist, keywordWeights, authorAliases }
+ */
+export const loadRawData = async (files, { columnMap, reportProgress = () => {} } = {}) => {
+  // Load each dataset, collecting validation failures from every file
+  // Only imported models may omit labels and keywords; the wordlist, weights and author aliases are always optional
+  const results = await Promise.allSettled([
+    files.topicLabels ? loadTopicLabels(files.topicLabels, reportProgress) : null,
+    files.keywords ? loadNMFTopics(files.keywords, reportProgress) : [],
+    loadDocumentTopics(files.documentTopics, reportProgress, columnMap),
+    files.wordlist ? loadExpandedWordlist(files.wordlist, reportProgress) : [],
+    files.weights ? loadKeywordWeights(files.weights, reportProgress) : [],
+    files.authors ? loadAuthorAliases(files.authors, reportProgress) : []
+  ]);
+  
+  const rejected = results.filter(result => result.status === 'rejected').map(result => result.reason);
+  if (rejected.length > 0) {
+    const nonValidationError = rejected.find(error => !(error instanceof DataValidationError));
+    if (nonValidationError) throw nonValidationError;
+    throw new DataValidationError(rejected.flatMap(error => error.failures));
+  }
+  
+  const [
+    topicLabels,
+    nmfTopics,
+    documentTopics,
+    expandedWordlist,
+    keywordWeights,
+    authorAliases
+  ] = results.map(result => result.value);
+  
+  return {
+    topicLabels: topicLabels || createDefaultTopicLabels(detectTopicKeys(documentTopics)),
+    nmfTopics,
+    documentTopics,
+    expandedWordlist,
+    keywordWeights,
+    authorAliases
+  };
+};
+
+/**
+ * Compute every aggregate used by the visualizations from the raw data
+ * @param {Object} raw Raw data as returned by loadRawData
+ * @param {Object} options Processing options
+ * @param {String} options.normalization One of the NORMALIZATION_STRATEGIES keys (default 'auto')
+ * @param {Function} options.reportProgress Optional progress reporter from createProgressReporter
+ * @returns {Object} Processed data
+ */
+export const processData = (raw, { normalization = 'auto', reportProgress = () => {} } = {}) => {
+  const { topicLabels, nmfTopics, documentTopics, expandedWordlist, keywordWeights = [], authorAliases = [] } = raw;
+  
+  // Detect the number of topics from the document file columns
+  const topicKeys = detectTopicKeys(documentTopics);
+  checkTopicCount(topicKeys, topicLabels, nmfTopics);
+  
+  // Normalize once into the shared document × topic matrix
+  const topicMatrix = buildTopicMatrix(documentTopics, topicKeys, normalization);
+  reportProgress('aggregating', 'topic matrix');
+  
+  // Process and organize data for visualizations
+  const topicPrevalence = calculateTopicPrevalence(topicMatrix);
+  reportProgress('aggregating', 'topic prevalence');
+  const booksByYear = aggregateBooksByYear(documentTopics, topicMatrix);
+  reportProgress('aggregating', 'books by year');
+  // Resolve spelling variants to canonical authors before any author aggregate
+  const authors = createAuthorIndex(documentTopics, authorAliases);
+  const documentEntropy = calculateDocumentEntropy(topicMatrix);
+  const topAuthors = getTopAuthors(documentTopics, topicMatrix, authors, documentEntropy, 20);
+  reportProgress('aggregating', 'top authors');
+  const topicEvolution = calculateTopicEvolutionByYear(documentTopics, topicMatrix);
+  reportProgress('aggregating', 'topic evolution');
+  const topicDiversity = calculateTopicDiversity(documentTopics, topicMatrix, documentEntropy);
+  reportProgress('aggregating', 'topic diversity');
+  const topicTrends = calculateTopicTrends(topicEvolution, topicKeys);
+  reportProgress('aggregating', 'topic trends');
+  const topicChangePoints = calculateTopicChangePoints(topicEvolution, topicKeys);
+  reportProgress('aggregating', 'change points');
+  const rawMatrix = topicMatrix.strategy === 'none' ? topicMatrix : buildTopicMatrix(documentTopics, topicKeys, 'none');
+  const topicAssociations = calculateTopicAssociations(topicMatrix, rawMatrix);
+  reportProgress('aggregating', 'topic associations');
+  const topicKeywords = prepareTopicKeywords(nmfTopics, topicLabels);
+  
+  // Add expanded keywords to the topic keywords, then order them by their NMF weights when known
+  const enhancedTopicKeywords = applyKeywordWeights(
+    enhanceTopicKeywords(topicKeywords, expandedWordlist),
+    keywordWeights
+  );
+  reportProgress('aggregating', 'topic keywords');
+  
+  return {
+    topicKeys,
+    topicMatrix,
+    topicPrevalence,
+    booksByYear,
+    authors,
+    topAuthors,
+    topicEvolution,
+    documentEntropy,
+    topicDiversity,
+    topicTrends,
+    topicChangePoints,
+    topicAssociations,
+    topicKeywords: enhancedTopicKeywords // Use enhanced keywords
+  };
+};
+
+/**
+ * Cross-check the detected topic count against the label and keyword files
+ * @param {Array} topicKeys Topic keys detected from the document file
+ * @param {Array} topicLabels Array of topic label objects
+ * @param {Array} nmfTopics Array of topic keyword arrays (including header row)
+ */
+const checkTopicCount = (topicKeys, topicLabels, nmfTopics) => {
+  if (topicKeys.length === 0) {
+    throw new Error("No Topic_N columns found in the document topic distributions");
+  }
+  
+  const keywordTopicCount = Math.max(0, nmfTopics.length - 1); // Skip header row
+  if (topicLabels.length !== topicKeys.length) {
+    console.warn(`Found ${topicKeys.length} topic columns but ${topicLabels.length} topic labels`);
+  }
+  if (nmfTopics.length > 0 && keywordTopicCount !== topicKeys.length) {
+    console.warn(`Found ${topicKeys.length} topic columns but ${keywordTopicCount} keyword rows`);
+  }
+};
+
+/**
+ * Create placeholder labels ("Topic 1", ...) for models without a labels file
+ * @param {Array} topicKeys Topic keys
+ * @returns {Array} Array of topic label objects
+ */
+const createDefaultTopicLabels = (topicKeys) => {
+  return topicKeys.map(topicKey => ({
+    "Topic Number": `Topic ${getTopicNumber(topicKey)}`,
+    "Topic Name": `Topic ${getTopicNumber(topicKey)}`
+  }));
+};
+
+/**
+ * Get the name used for a data source in progress updates and error messages
+ * @param {String|File} source Path of the data file, or a File/Blob imported by the user
+ * @returns {String} Path or file name
+ */
+const getSourceName = (source) => (typeof source === 'string' ? source : source.name || 'imported file');
+
+/**
+ * Read a data file, rejecting missing files and HTML fallbacks
+ * @param {String|File} source Path of the data file, or a File/Blob imported by the user
+ * @param {Function} reportProgress Progress reporter from createProgressReporter
+ * @returns {Object} File contents as returned by readContents
+ */
+const fetchDataFile = async (source, reportProgress) => {
+  const file = getSourceName(source);
+  let contents;
+  
+  if (typeof source === 'string') {
+    const response = await fetchData(source);
+    const contentType = (response.headers && response.headers.get('content-type')) || '';
+    contents = await readContents(response, detectDataFormat(source, contentType));
+    validateResponse(response, contents.sample, file);
+  } else {
+    contents = await readContents(source, detectDataFormat(source.name, source.type));
+    validateFileText(contents.sample, file);
+  }
+  
+  reportProgress('fetching', file);
+  return contents;
+};
+
+/**
+ * Read and parse a data file in any supported format (CSV, JSON or Arrow)
+ * @param {String|File} source Path of the data file, or a File/Blob imported by the user
+ * @param {Function} reportProgress Progress reporter from createProgressReporter
+ * @param {Object} options Papa.parse options; JSON and Arrow files only use `header`
+ * @returns {Object} Parse result shaped like the output of Papa.parse
+ */
+const loadDataFile = async (source, reportProgress, options) => {
+  const contents = await fetchDataFile(source, reportProgress);
+  return parseDataFile(contents, options, getSourceName(source));
+};
+
+/**
+ * Create an object with a zero entry for every topic key
+ * @param {Array} topicKeys Topic keys
+ * @returns {Object} Object mapping each topic key to 0
+ */
+const createTopicRecord = (topicKeys) => {
+  return topicKeys.reduce((obj, topicKey) => {
+    obj[topicKey] = 0;
+    return obj;
+  }, {});
+};
+
 /**
  * Load and parse the expanded wordlist.csv file
  * In this format, each row is a topic and columns are words
+ * @param {String|File} source Path of the wordlist file, or an imported file
+ * @param {Function} reportProgress Progress reporter from createProgressReporter
  * @returns {Array} Array of processed wordlist data
  */
-const loadExpandedWordlist = async () => {
+const loadExpandedWordlist = async (source, reportProgress) => {
   try {
-    const response = await fetch('/data/wordlist.csv');
-    const csvText = await response.text();
-    
-    const result = Papa.parse(csvText, {
+    const path = getSourceName(source);
+    const result = await loadDataFile(source, reportProgress, {
       header: false,
       skipEmptyLines: true
     });
+    validateParsedData(result, dataSchemas.expandedWordlist, path);
+    reportProgress('parsing', path);
     
     // Process the CSV data where rows are topics and columns are words
     const processedWordlist = [];
@@ -133,19 +463,140 @@ const enhanceTopicKeywords = (topicKeywords, expandedWordlist) => {
   return enhancedKeywords;
 };
 
+/**
+ * Read the topic number from a cell such as "Topic 3", "Topic_3" or 3
+ * @param {*} value Cell value
+ * @returns {Number} Topic number, or 0 when none is found
+ */
+const parseTopicId = (value) => {
+  const match = String(value).trim().match(/\d+$/);
+  return match ? parseInt(match[0]) : 0;
+};
+
+/**
+ * Lowercase the header fields of a parsed file, so optional files may use headers in any case
+ * @param {Object} result Parse result with header fields (modified in place)
+ */
+const lowercaseFields = (result) => {
+  const fields = result.meta.fields || [];
+  result.meta.fields = fields.map(field => field.trim().toLowerCase());
+  result.data = result.data.map(row => {
+    const renamed = {};
+    fields.forEach((field, index) => {
+      renamed[result.meta.fields[index]] = row[field];
+    });
+    return renamed;
+  });
+};
+
+/**
+ * Load and parse the optional keyword weights file.
+ * Each row holds a topic, a word and its weight in the NMF components (H) matrix.
+ * @param {String|File} source Path of the weights file, or an imported file
+ * @param {Function} reportProgress Progress reporter from createProgressReporter
+ * @returns {Array} Array of { topic_id, word, weight } objects
+ */
+const loadKeywordWeights = async (source, reportProgress) => {
+  try {
+    const path = getSourceName(source);
+    const result = await loadDataFile(source, reportProgress, {
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true
+    });
+    
+    lowercaseFields(result);
+    validateParsedData(result, dataSchemas.keywordWeights, path);
+    reportProgress('parsing', path);
+    
+    return result.data
+      .map(row => ({
+        topic_id: parseTopicId(row.topic),
+        word: String(row.word ?? '').trim(),
+        weight: row.weight
+      }))
+      .filter(row => row.topic_id > 0 && row.word && Number.isFinite(row.weight));
+  } catch (error) {
+    console.error("Error loading keyword weights:", error);
+    throw error;
+  }
+};
+
+/**
+ * Load and parse the optional author alias table (authors.csv).
+ * Each row maps a spelling variant to a canonical author id and display name.
+ * @param {String|File} source Path of the alias file, or an imported file
+ * @param {Function} reportProgress Progress reporter from createProgressReporter
+ * @returns {Array} Array of { variant, id, name } objects
+ */
+const loadAuthorAliases = async (source, reportProgress) => {
+  try {
+    const path = getSourceName(source);
+    const result = await loadDataFile(source, reportProgress, {
+      header: true,
+      skipEmptyLines: true
+    });
+    lowercaseFields(result);
+    validateParsedData(result, dataSchemas.authorAliases, path);
+    reportProgress('parsing', path);
+    
+    const toText = value => String(value ?? '').trim();
+    return result.data
+      .map(row => ({ variant: toText(row.variant), id: toText(row.author_id), name: toText(row.display_name) }))
+      .filter(row => row.variant && row.id);
+  } catch (error) {
+    console.error("Error loading author aliases:", error);
+    throw error;
+  }
+};
+
+/**
+ * Attach NMF weights to the topic keywords. Topics with weights list their weighted words
+ * by decreasing weight, followed by the remaining keywords without a weight;
+ * topics without any weight keep their ranked keywords and get weights: null.
+ * @param {Array} topicKeywords Topic keywords array
+ * @param {Array} keywordWeights Array of { topic_id, word, weight } objects
+ * @returns {Array} Topic keywords with a weights array parallel to keywords (null entries for unweighted words)
+ */
+const applyKeywordWeights = (topicKeywords, keywordWeights) => {
+  // Weight of each word per topic; a word listed twice keeps its larger weight
+  const weightsByTopic = new Map();
+  keywordWeights.forEach(({ topic_id, word, weight }) => {
+    if (!weightsByTopic.has(topic_id)) weightsByTopic.set(topic_id, new Map());
+    const weightByWord = weightsByTopic.get(topic_id);
+    if (!weightByWord.has(word) || weight > weightByWord.get(word)) weightByWord.set(word, weight);
+  });
+  
+  return topicKeywords.map(topic => {
+    const weightByWord = weightsByTopic.get(topic.id);
+    if (!weightByWord) return { ...topic, weights: null };
+    
+    const weighted = Array.from(weightByWord.keys()).sort((a, b) => weightByWord.get(b) - weightByWord.get(a));
+    const unweighted = topic.keywords.filter(word => !weightByWord.has(word));
+    
+    return {
+      ...topic,
+      keywords: [...weighted, ...unweighted],
+      weights: [...weighted.map(word => weightByWord.get(word)), ...unweighted.map(() => null)]
+    };
+  });
+};
+
 /**
  * Load and parse the topic labels file
+ * @param {String|File} source Path of the topic labels file, or an imported file
+ * @param {Function} reportProgress Progress reporter from createProgressReporter
  * @returns {Array} Array of topic label objects
  */
-const loadTopicLabels = async () => {
+const loadTopicLabels = async (source, reportProgress) => {
   try {
-    const response = await fetch('/data/topic_labels.csv');
-    const csvText = await response.text();
-    
-    const result = Papa.parse(csvText, {
+    const path = getSourceName(source);
+    const result = await loadDataFile(source, reportProgress, {
       header: true,
       skipEmptyLines: true
     });
+    validateParsedData(result, dataSchemas.topicLabels, path);
+    reportProgress('parsing', path);
     
     return result.data;
   } catch (error) {
@@ -156,17 +607,19 @@ const loadTopicLabels = async () => {
 
 /**
  * Load and parse the NMF topics file (keywords for each topic)
+ * @param {String|File} source Path of the keywords file, or an imported file
+ * @param {Function} reportProgress Progress reporter from createProgressReporter
  * @returns {Array} Array of topic keyword arrays
  */
-const loadNMFTopics = async () => {
+const loadNMFTopics = async (source, reportProgress) => {
   try {
-    const response = await fetch('/data/nmf_topics.csv');
-    const csvText = await response.text();
-    
-    const result = Papa.parse(csvText, {
+    const path = getSourceName(source);
+    const result = await loadDataFile(source, reportProgress, {
       header: false,
       skipEmptyLines: true
     });
+    validateParsedData(result, dataSchemas.nmfTopics, path);
+    reportProgress('parsing', path);
     
     return result.data;
   } catch (error) {
@@ -177,18 +630,22 @@ const loadNMFTopics = async () => {
 
 /**
  * Load and parse the document topic distributions file
+ * @param {String|File} source Path of the document topic distributions file, or an imported file
+ * @param {Function} reportProgress Progress reporter from createProgressReporter
+ * @param {Object} columnMap Optional column mapping for files with other headers
  * @returns {Array} Array of document objects with topic distributions
  */
-const loadDocumentTopics = async () => {
+const loadDocumentTopics = async (source, reportProgress, columnMap) => {
   try {
-    const response = await fetch('/data/document_topic_distributions_with_metadata.csv');
-    const csvText = await response.text();
-    
-    const result = Papa.parse(csvText, {
+    const path = getSourceName(source);
+    const result = await loadDataFile(source, reportProgress, {
       header: true,
       dynamicTyping: true,
       skipEmptyLines: true
     });
+    if (columnMap) applyColumnMap(result, columnMap);
+    validateParsedData(result, dataSchemas.documentTopics, path);
+    reportProgress('parsing', path);
     
     return result.data;
   } catch (error) {
@@ -197,64 +654,202 @@ const loadDocumentTopics = async () => {
   }
 };
 
+// Options for the softmax and threshold strategies
+const SOFTMAX_TEMPERATURE = 0.1; // NMF weights are small, so sharpen before exponentiating
+const TOPIC_SHARE_THRESHOLD = 0.05; // Shares below this are treated as noise
+
 /**
- * Aggregate books by year and calculate (normalized) topic distributions by year
- * @param {Array} documentTopics Array of document objects
- * @returns {Object} Object with year-based aggregations
+ * Decide whether documents need L1 normalization, based on a sample of raw rows.
+ * NMF rows do not sum to 1, so an average total well below 1 means normalization is needed.
+ * @param {Float64Array} values Raw document × topic values (row-major)
+ * @param {Number} rowCount Number of documents
+ * @param {Number} topicCount Number of topics
+ * @returns {String} 'l1' or 'none'
  */
-const aggregateBooksByYear = (documentTopics) => {
-  // Determine if normalization is needed based on a sample of documents
+const resolveAutoStrategy = (values, rowCount, topicCount) => {
+  const sampleSize = Math.min(100, rowCount);
+  if (sampleSize === 0) return 'none';
+  
   let sampleTotal = 0;
-  const sampleSize = Math.min(100, documentTopics.length);
-  for (let i = 0; i < sampleSize; i++) {
-    let docTotal = 0;
-    for (let j = 1; j <= 13; j++) {
-      const topicKey = `Topic_${j}`;
-      if (documentTopics[i][topicKey] !== undefined) {
-        docTotal += documentTopics[i][topicKey];
+  for (let i = 0; i < sampleSize * topicCount; i++) {
+    sampleTotal += values[i];
+  }
+  
+  const avgTotal = sampleTotal / sampleSize;
+  return avgTotal < 0.95 ? 'l1' : 'none'; // If less than 95%, we'll normalize
+};
+
+/**
+ * Normalize one document row in place
+ * @param {Float64Array} values Document × topic values (row-major)
+ * @param {Number} offset Index of the row's first value
+ * @param {Number} topicCount Number of topics
+ * @param {String} strategy Resolved strategy ('l1', 'softmax' or 'threshold')
+ */
+const normalizeRow = (values, offset, topicCount, strategy) => {
+  const end = offset + topicCount;
+  
+  if (strategy === 'softmax') {
+    let max = -Infinity;
+    for (let i = offset; i < end; i++) max = Math.max(max, values[i]);
+    let total = 0;
+    for (let i = offset; i < end; i++) {
+      values[i] = Math.exp((values[i] - max) / SOFTMAX_TEMPERATURE);
+      total += values[i];
+    }
+    for (let i = offset; i < end; i++) values[i] /= total;
+    return;
+  }
+  
+  let total = 0;
+  for (let i = offset; i < end; i++) total += values[i];
+  if (total <= 0) return;
+  
+  if (strategy === 'threshold') {
+    // Drop minor topics, keeping the row unchanged if every share is below the threshold
+    let keptTotal = 0;
+    for (let i = offset; i < end; i++) {
+      if (values[i] / total >= TOPIC_SHARE_THRESHOLD) keptTotal += values[i];
+    }
+    if (keptTotal > 0) {
+      for (let i = offset; i < end; i++) {
+        values[i] = values[i] / total >= TOPIC_SHARE_THRESHOLD ? values[i] / keptTotal : 0;
       }
+      return;
     }
-    sampleTotal += docTotal;
   }
-  const avgTotal = sampleTotal / sampleSize;
-  const needsNormalization = avgTotal < 0.95;
+  
+  for (let i = offset; i < end; i++) values[i] /= total;
+};
+
+/**
+ * Build a matrix shaped like buildTopicMatrix's from rows already in topic order, unnormalized
+ * @param {Array} rows Array of rows, one value per topic
+ * @param {Number} topicCount Number of topics (default the length of the first row)
+ * @returns {Object} { values, rowCount, topicCount }
+ */
+export const matrixFromRows = (rows, topicCount = rows.length ? rows[0].length : 0) => ({
+  values: Float64Array.from(rows.flat()),
+  rowCount: rows.length,
+  topicCount
+});
+
+/**
+ * Build the shared document × topic matrix used by every aggregate and view.
+ * Row i holds the (normalized) topic values of documentTopics[i], in topicKeys order.
+ * @param {Array} documentTopics Array of document objects
+ * @param {Array} topicKeys Topic keys detected from the document file
+ * @param {String} strategy One of the NORMALIZATION_STRATEGIES keys
+ * @returns {Object} { values, rowCount, topicCount, topicKeys, strategy, requestedStrategy }
+ */
+export const buildTopicMatrix = (documentTopics, topicKeys, strategy = 'auto') => {
+  const rowCount = documentTopics.length;
+  const topicCount = topicKeys.length;
+  const values = new Float64Array(rowCount * topicCount);
+  
+  documentTopics.forEach((doc, row) => {
+    topicKeys.forEach((topicKey, column) => {
+      const value = doc[topicKey];
+      values[row * topicCount + column] = typeof value === 'number' && value > 0 ? value : 0;
+    });
+  });
+  
+  const resolvedStrategy = strategy === 'auto'
+    ? resolveAutoStrategy(values, rowCount, topicCount)
+    : strategy;
+  
+  if (resolvedStrategy !== 'none') {
+    for (let row = 0; row < rowCount; row++) {
+      normalizeRow(values, row * topicCount, topicCount, resolvedStrategy);
+    }
+  }
+  
+  return {
+    values,
+    rowCount,
+    topicCount,
+    topicKeys,
+    strategy: resolvedStrategy,
+    requestedStrategy: strategy
+  };
+};
+
+/**
+ * Add one matrix row to a topic record
+ * @param {Object} topicSums Object mapping topic keys to running sums
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @param {Number} row Document index
+ */
+const addMatrixRow = (topicSums, matrix, row) => {
+  const offset = row * matrix.topicCount;
+  matrix.topicKeys.forEach((topicKey, column) => {
+    topicSums[topicKey] += matrix.values[offset + column];
+  });
+};
+
+/**
+ * Calculate the average share of each topic and how many documents it dominates
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @returns {Object} Object mapping topic keys to { mean, dominantCount }
+ */
+const calculateTopicPrevalence = (matrix) => {
+  const { values, rowCount, topicCount, topicKeys } = matrix;
+  const prevalence = {};
+  topicKeys.forEach(topicKey => {
+    prevalence[topicKey] = { mean: 0, dominantCount: 0 };
+  });
+  
+  for (let row = 0; row < rowCount; row++) {
+    const offset = row * topicCount;
+    let dominantColumn = -1;
+    let dominantValue = 0;
+    
+    for (let column = 0; column < topicCount; column++) {
+      const value = values[offset + column];
+      prevalence[topicKeys[column]].mean += value;
+      if (value > dominantValue) {
+        dominantValue = value;
+        dominantColumn = column;
+      }
+    }
+    
+    if (dominantColumn >= 0) {
+      prevalence[topicKeys[dominantColumn]].dominantCount++;
+    }
+  }
+  
+  if (rowCount > 0) {
+    topicKeys.forEach(topicKey => {
+      prevalence[topicKey].mean /= rowCount;
+    });
+  }
+  
+  return prevalence;
+};
 
+/**
+ * Aggregate books by year and calculate (normalized) topic distributions by year
+ * @param {Array} documentTopics Array of document objects
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @returns {Object} Object with year-based aggregations
+ */
+const aggregateBooksByYear = (documentTopics, matrix) => {
   const booksByYear = {};
   
-  documentTopics.forEach(doc => {
+  documentTopics.forEach((doc, row) => {
     if (!doc.Year) return;
     
     if (!booksByYear[doc.Year]) {
       booksByYear[doc.Year] = {
         count: 0,
-        topicDistribution: Array(13).fill(0).reduce((obj, _, i) => {
-          obj[`Topic_${i + 1}`] = 0;
-          return obj;
-        }, {})
+        topicDistribution: createTopicRecord(matrix.topicKeys)
       };
     }
     
     booksByYear[doc.Year].count++;
     
-    // Compute total topic weight for the document
-    let docTotal = 0;
-    for (let i = 1; i <= 13; i++) {
-      const topicKey = `Topic_${i}`;
-      if (doc[topicKey] !== undefined) {
-        docTotal += doc[topicKey];
-      }
-    }
-    
-    // Sum (normalized) topic values for each year
-    for (let i = 1; i <= 13; i++) {
-      const topicKey = `Topic_${i}`;
-      if (doc[topicKey] !== undefined) {
-        const normalizedValue = (needsNormalization && docTotal > 0)
-          ? doc[topicKey] / docTotal
-          : doc[topicKey];
-        booksByYear[doc.Year].topicDistribution[topicKey] += normalizedValue;
-      }
-    }
+    // Sum normalized topic values for each year
+    addMatrixRow(booksByYear[doc.Year].topicDistribution, matrix, row);
   });
   
   // Calculate average topic distribution for each year
@@ -271,126 +866,76 @@ const aggregateBooksByYear = (documentTopics) => {
 };
 
 /**
- * Diagnostic function to print document topic sums for a sample
- * @param {Array} documentTopics Array of document objects
+ * Shannon entropy of every document's topic distribution. A book about a single topic scores 0;
+ * exp(entropy) is its effective number of topics, from 1 up to the number of topics.
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @returns {Array} Entropy in nats of each document, or null for documents without topic weights
  */
-const diagnoseTopicDistributions = (documentTopics) => {
-  // Check a sample of documents to see what their total topic distribution is
-  const sampleSize = Math.min(20, documentTopics.length);
-  
-  console.log(`Diagnosing topic distributions for ${sampleSize} documents:`);
-  
-  for (let i = 0; i < sampleSize; i++) {
-    const doc = documentTopics[i];
-    let topicSum = 0;
-    
-    for (let j = 1; j <= 13; j++) {
-      const topicKey = `Topic_${j}`;
-      if (doc[topicKey] !== undefined) {
-        topicSum += doc[topicKey];
-      }
-    }
-    
-    console.log(`Document ${i}: "${doc["Book Title"] || 'Untitled'}" by ${doc.Author || 'Unknown'}`);
-    console.log(`  Total topic distribution: ${(topicSum * 100).toFixed(2)}%`);
-    
-    // Print individual topic values
-    for (let j = 1; j <= 13; j++) {
-      const topicKey = `Topic_${j}`;
-      if (doc[topicKey] !== undefined) {
-        console.log(`  ${topicKey}: ${(doc[topicKey] * 100).toFixed(2)}%`);
-      }
-    }
-    console.log('---');
-  }
+const calculateDocumentEntropy = (matrix) => {
+  const { values, rowCount, topicCount } = matrix;
+  return Array.from({ length: rowCount }, (_, row) => (
+    shannonEntropy(values.subarray(row * topicCount, (row + 1) * topicCount))
+  ));
 };
 
 /**
- * Modified getTopAuthors function with normalization:
+ * Mean of the numbers in an array
+ * @param {Array} values Numbers
+ * @returns {Number|null} Mean, or null for an empty array
+ */
+const mean = (values) => (
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+);
+
+/**
+ * Get the top authors by book count with their average topic distributions
  * @param {Array} documentTopics Array of document objects
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @param {Object} authorIndex Author index from createAuthorIndex
+ * @param {Array} documentEntropy Entropy of each document from calculateDocumentEntropy
  * @param {Number} topN Number of top authors to return
- * @returns {Array} Array of author objects with book counts
+ * @returns {Array} Array of author objects with canonical ids, display names, book counts and
+ *   diversity: entropy and effectiveTopics average the author's books, while breadth is the
+ *   effective number of topics of their average distribution
  */
-const getTopAuthors = (documentTopics, topN = 20) => {
-  // First, diagnose the issue
-  diagnoseTopicDistributions(documentTopics);
+const getTopAuthors = (documentTopics, matrix, authorIndex, documentEntropy, topN = 20) => {
+  const topicKeys = matrix.topicKeys;
   
   // Create a map to store author data
   const authorMap = new Map();
   
-  // First pass: Gather all data and check if normalization is needed
-  let needsNormalization = false;
-  let sampleTotal = 0;
-  const sampleSize = Math.min(100, documentTopics.length);
-  
-  for (let i = 0; i < sampleSize; i++) {
-    const doc = documentTopics[i];
-    let docTotal = 0;
-    
-    for (let j = 1; j <= 13; j++) {
-      const topicKey = `Topic_${j}`;
-      if (doc[topicKey] !== undefined) {
-        docTotal += doc[topicKey];
-      }
-    }
-    
-    sampleTotal += docTotal;
-  }
-  
-  // If average total is much less than 1, we need to normalize
-  const avgTotal = sampleTotal / sampleSize;
-  console.log(`Average topic distribution total across sample: ${(avgTotal * 100).toFixed(2)}%`);
-  needsNormalization = avgTotal < 0.95; // If less than 95%, we'll normalize
-  console.log(`Normalization needed: ${needsNormalization}`);
-  
   // Process all documents
-  documentTopics.forEach(doc => {
-    if (!doc.Author || !doc.Author.trim()) return;
-    
-    // Normalize author name
-    const authorName = doc.Author.trim();
+  documentTopics.forEach((doc, row) => {
+    // Group on the canonical author, so spelling variants count as one writer
+    const authorId = authorIndex.documentIds[row];
+    if (authorId === null || authorId === undefined) return;
     
     // Initialize author data if not already present
-    if (!authorMap.has(authorName)) {
-      authorMap.set(authorName, {
-        name: authorName,
+    if (!authorMap.has(authorId)) {
+      authorMap.set(authorId, {
+        id: authorId,
+        name: authorIndex.byId[authorId].name,
+        variants: authorIndex.byId[authorId].variants,
         count: 0,
         books: new Set(),
-        topicSums: Array(13).fill(0).reduce((obj, _, i) => {
-          obj[`Topic_${i + 1}`] = 0;
-          return obj;
-        }, {})
+        entropies: [],
+        topicSums: createTopicRecord(topicKeys)
       });
     }
     
-    const authorData = authorMap.get(authorName);
+    const authorData = authorMap.get(authorId);
     authorData.count++;
+    if (documentEntropy[row] !== null) {
+      authorData.entropies.push(documentEntropy[row]);
+    }
     
     // Add book title if available
     if (doc["Book Title"]) {
       authorData.books.add(doc["Book Title"]);
     }
     
-    // Calculate total topic weight for this document
-    let docTopicTotal = 0;
-    for (let i = 1; i <= 13; i++) {
-      const topicKey = `Topic_${i}`;
-      if (doc[topicKey] !== undefined) {
-        docTopicTotal += doc[topicKey];
-      }
-    }
-    
-    // Sum topic values (with normalization if needed)
-    for (let i = 1; i <= 13; i++) {
-      const topicKey = `Topic_${i}`;
-      if (doc[topicKey] !== undefined) {
-        const normalizedValue = (needsNormalization && docTopicTotal > 0)
-          ? doc[topicKey] / docTopicTotal
-          : doc[topicKey];
-        
-        authorData.topicSums[topicKey] += normalizedValue;
-      }
-    }
+    // Sum normalized topic values
+    addMatrixRow(authorData.topicSums, matrix, row);
   });
   
   // Convert to array and calculate average topic distributions
@@ -398,116 +943,105 @@ const getTopAuthors = (documentTopics, topN = 20) => {
     // Calculate average topic distribution
     const topicDistribution = {};
     
-    for (let i = 1; i <= 13; i++) {
-      const topicKey = `Topic_${i}`;
+    for (const topicKey of topicKeys) {
       topicDistribution[topicKey] = author.count > 0 ? author.topicSums[topicKey] / author.count : 0;
     }
     
-    // Calculate total distribution for this author (for debugging)
-    let totalDist = 0;
-    Object.values(topicDistribution).forEach(val => {
-      totalDist += val;
-    });
-    console.log(`Author ${author.name}: Total topic distribution: ${(totalDist * 100).toFixed(2)}%`);
+    const breadth = shannonEntropy(Object.values(topicDistribution));
     
     return {
+      id: author.id,
       name: author.name,
+      variants: author.variants,
       count: author.count,
       bookCount: author.books.size,
       topicDistribution,
-      totalDistribution: totalDist // for debugging
+      entropy: mean(author.entropies),
+      effectiveTopics: mean(author.entropies.map(Math.exp)),
+      breadth: breadth === null ? null : Math.exp(breadth)
     };
   });
   
   // Sort by book count (descending)
   authors.sort((a, b) => b.count - a.count);
   
-  // Log the top authors' topic distribution totals
-  console.log("Top authors' topic distribution totals:");
-  authors.slice(0, topN).forEach(author => {
-    console.log(`${author.name}: ${(author.totalDistribution * 100).toFixed(2)}%`);
-  });
-  
   // Return top N authors
   return authors.slice(0, topN);
 };
 
+// Yearly confidence intervals: the percentile bootstrap is used between these sample sizes.
+// Smaller years borrow the corpus-wide spread of each topic (a bootstrap of one or two books
+// would collapse to a point); larger years use the normal approximation, which is accurate there.
+const MIN_BOOTSTRAP_DOCUMENTS = 5;
+const MAX_BOOTSTRAP_DOCUMENTS = 500;
+const BOOTSTRAP_REPLICATES = 200;
+
 /**
  * Calculate topic evolution by year for trend analysis,
- * applying normalization to each document's topic distribution.
+ * using the normalized document × topic matrix.
+ * Each year carries a 95% confidence interval for every topic mean.
  * @param {Array} documentTopics Array of document objects
- * @returns {Array} Array of objects with year and topic distribution data
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @returns {Array} Array of { year, documentCount, topicDistribution, topicIntervals, intervalMethod } objects,
+ *   where topicIntervals maps topic keys to [lower, upper] and intervalMethod is 'bootstrap',
+ *   'corpus-variance' or 'normal'
  */
-const calculateTopicEvolutionByYear = (documentTopics) => {
-  // Determine if normalization is needed based on a sample
-  let sampleTotal = 0;
-  const sampleSize = Math.min(100, documentTopics.length);
-  for (let i = 0; i < sampleSize; i++) {
-    let docTotal = 0;
-    for (let j = 1; j <= 13; j++) {
-      const topicKey = `Topic_${j}`;
-      if (documentTopics[i][topicKey] !== undefined) {
-        docTotal += documentTopics[i][topicKey];
-      }
-    }
-    sampleTotal += docTotal;
-  }
-  const avgTotal = sampleTotal / sampleSize;
-  const needsNormalization = avgTotal < 0.95;
-  
+const calculateTopicEvolutionByYear = (documentTopics, matrix) => {
   const yearlyData = {};
   
-  // Group documents by year
-  documentTopics.forEach(doc => {
+  // Group document rows by year
+  documentTopics.forEach((doc, row) => {
     if (!doc.Year) return;
     
     if (!yearlyData[doc.Year]) {
       yearlyData[doc.Year] = {
-        documents: []
+        rows: []
       };
     }
     
-    yearlyData[doc.Year].documents.push(doc);
+    yearlyData[doc.Year].rows.push(row);
   });
   
-  // Calculate topic proportions for each year using normalized values per document
+  // Spread of each topic across the whole corpus, used for sparse years
+  const allRows = Object.values(yearlyData).flatMap(entry => entry.rows);
+  const corpusVariances = columnMoments(matrix, allRows).variances;
+  
+  // Calculate topic proportions for each year
   const evolution = Object.keys(yearlyData).sort().map(year => {
-    const yearDocs = yearlyData[year].documents;
-    const topicSums = Array(13).fill(0).reduce((obj, _, i) => {
-      obj[`Topic_${i + 1}`] = 0;
-      return obj;
-    }, {});
-    
-    // Sum topic values across all documents in this year
-    yearDocs.forEach(doc => {
-      let docTotal = 0;
-      for (let i = 1; i <= 13; i++) {
-        const topicKey = `Topic_${i}`;
-        if (doc[topicKey] !== undefined) {
-          docTotal += doc[topicKey];
-        }
-      }
-      for (let i = 1; i <= 13; i++) {
-        const topicKey = `Topic_${i}`;
-        if (doc[topicKey] !== undefined) {
-          const normalizedValue = (needsNormalization && docTotal > 0)
-            ? doc[topicKey] / docTotal
-            : doc[topicKey];
-          topicSums[topicKey] += normalizedValue;
-        }
-      }
-    });
+    const yearRows = yearlyData[year].rows;
+    const docCount = yearRows.length;
+    const { means, variances } = columnMoments(matrix, yearRows);
+    
+    let intervalMethod;
+    let intervals;
+    if (docCount < MIN_BOOTSTRAP_DOCUMENTS) {
+      intervalMethod = 'corpus-variance';
+      intervals = Array.from(means, (mean, t) => normalInterval(mean, corpusVariances[t], docCount));
+    } else if (docCount <= MAX_BOOTSTRAP_DOCUMENTS) {
+      intervalMethod = 'bootstrap';
+      // Seeded by year so the intervals are the same on every load
+      intervals = bootstrapMeanIntervals(matrix, yearRows, {
+        replicates: BOOTSTRAP_REPLICATES,
+        random: createRandom(parseInt(year))
+      });
+    } else {
+      intervalMethod = 'normal';
+      intervals = Array.from(means, (mean, t) => normalInterval(mean, variances[t], docCount));
+    }
     
-    // Calculate average for each topic
-    const docCount = yearDocs.length;
-    Object.keys(topicSums).forEach(topic => {
-      topicSums[topic] /= docCount;
+    const topicDistribution = {};
+    const topicIntervals = {};
+    matrix.topicKeys.forEach((topicKey, t) => {
+      topicDistribution[topicKey] = means[t];
+      topicIntervals[topicKey] = intervals[t];
     });
     
     return {
       year: parseInt(year),
       documentCount: docCount,
-      topicDistribution: topicSums
+      topicDistribution,
+      topicIntervals,
+      intervalMethod
     };
   });
   
@@ -515,100 +1049,118 @@ const calculateTopicEvolutionByYear = (documentTopics) => {
 };
 
 /**
- * Calculate correlations between topics across all documents,
- * using normalized topic values.
+ * Thematic diversity of the books of each year and decade. The mean entropy of single books
+ * measures how mixed they are; the pooled value treats the period's books as one text, so a
+ * period of focused books on many different topics is narrow per book but broad when pooled.
  * @param {Array} documentTopics Array of document objects
- * @returns {Array} Matrix of correlation values between topics
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @param {Array} documentEntropy Entropy of each document from calculateDocumentEntropy
+ * @returns {Object} { byYear, byDecade } arrays of { year, endYear, documentCount, entropy,
+ *   effectiveTopics, pooledEffectiveTopics } objects sorted by year, where year and endYear
+ *   bound the period, entropy is in nats and values are null for periods without topic weights
  */
-const calculateTopicCorrelations = (documentTopics) => {
-  // Determine if normalization is needed based on a sample
-  let sampleTotal = 0;
-  const sampleSize = Math.min(100, documentTopics.length);
-  for (let i = 0; i < sampleSize; i++) {
-    let docTotal = 0;
-    for (let j = 1; j <= 13; j++) {
-      const topicKey = `Topic_${j}`;
-      if (documentTopics[i][topicKey] !== undefined) {
-        docTotal += documentTopics[i][topicKey];
-      }
-    }
-    sampleTotal += docTotal;
-  }
-  const avgTotal = sampleTotal / sampleSize;
-  const needsNormalization = avgTotal < 0.95;
-
-  const numTopics = 13;
-  // Prepare an array of normalized topic values for each document
-  const normalizedDocs = documentTopics.map(doc => {
-    let docTotal = 0;
-    for (let i = 1; i <= numTopics; i++) {
-      const topicKey = `Topic_${i}`;
-      if (doc[topicKey] !== undefined) {
-        docTotal += doc[topicKey];
-      }
-    }
-    const normalizedValues = [];
-    for (let i = 1; i <= numTopics; i++) {
-      const topicKey = `Topic_${i}`;
-      const val = doc[topicKey] !== undefined ? doc[topicKey] : 0;
-      normalizedValues.push((needsNormalization && docTotal > 0) ? val / docTotal : val);
-    }
-    return normalizedValues;
-  });
+const calculateTopicDiversity = (documentTopics, matrix, documentEntropy) => {
+  const summarizePeriods = (periodLength) => {
+    const periods = new Map();
+    documentTopics.forEach((doc, row) => {
+      if (!doc.Year) return;
+      const start = Math.floor(parseInt(doc.Year) / periodLength) * periodLength;
+      if (!periods.has(start)) periods.set(start, []);
+      periods.get(start).push(row);
+    });
+    
+    return Array.from(periods.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([start, rows]) => {
+        const entropies = rows.map(row => documentEntropy[row]).filter(entropy => entropy !== null);
+        const pooledEntropy = shannonEntropy(columnMoments(matrix, rows).means);
+        return {
+          year: start,
+          endYear: start + periodLength - 1,
+          documentCount: rows.length,
+          entropy: mean(entropies),
+          effectiveTopics: mean(entropies.map(Math.exp)),
+          pooledEffectiveTopics: pooledEntropy === null ? null : Math.exp(pooledEntropy)
+        };
+      });
+  };
+  
+  return {
+    byYear: summarizePeriods(1),
+    byDecade: summarizePeriods(10)
+  };
+};
 
-  // Calculate means for each topic
-  const topicMeans = Array(numTopics).fill(0);
-  normalizedDocs.forEach(normalizedValues => {
-    for (let i = 0; i < numTopics; i++) {
-      topicMeans[i] += normalizedValues[i];
-    }
-  });
-  const docCount = documentTopics.length;
-  for (let i = 0; i < numTopics; i++) {
-    topicMeans[i] /= docCount;
-  }
+// False discovery rate under which a trend counts as rising or declining
+const TREND_SIGNIFICANCE_LEVEL = 0.05;
 
-  // Initialize covariance matrix and calculate covariance for each topic pair
-  const covarianceMatrix = Array(numTopics).fill().map(() => Array(numTopics).fill(0));
-  normalizedDocs.forEach(normalizedValues => {
-    for (let i = 0; i < numTopics; i++) {
-      for (let j = 0; j < numTopics; j++) {
-        covarianceMatrix[i][j] += (normalizedValues[i] - topicMeans[i]) *
-                                    (normalizedValues[j] - topicMeans[j]);
-      }
-    }
+/**
+ * Test every topic's yearly prevalence for a monotonic trend with the Mann-Kendall test,
+ * estimate its size with Sen's slope, and correct the p-values for testing all topics at once
+ * (Benjamini-Hochberg).
+ * @param {Array} topicEvolution Yearly topic evolution from calculateTopicEvolutionByYear
+ * @param {Array} topicKeys Array of topic keys
+ * @returns {Array} Array of { topicKey, tau, z, pValue, qValue, slope, direction } objects in topic order,
+ *   where slope is the change in prevalence per year and direction is 'rising', 'declining' or 'none'
+ */
+const calculateTopicTrends = (topicEvolution, topicKeys) => {
+  const years = topicEvolution.map(entry => entry.year);
+  
+  const trends = topicKeys.map(topicKey => {
+    const values = topicEvolution.map(entry => entry.topicDistribution[topicKey] || 0);
+    const { tau, z, pValue } = mannKendall(values);
+    return { topicKey, tau, z, pValue, slope: senSlope(years, values) };
   });
-  for (let i = 0; i < numTopics; i++) {
-    for (let j = 0; j < numTopics; j++) {
-      covarianceMatrix[i][j] /= docCount;
-    }
-  }
+  
+  const qValues = benjaminiHochberg(trends.map(trend => trend.pValue));
+  return trends.map((trend, i) => {
+    let direction = 'none';
+    if (qValues[i] < TREND_SIGNIFICANCE_LEVEL) direction = trend.z > 0 ? 'rising' : 'declining';
+    return { ...trend, qValue: qValues[i], direction };
+  });
+};
+
+// Change points need this many years on each side, so that a single unusual year is not a break
+const CHANGE_POINT_MIN_SEGMENT_YEARS = 5;
 
-  // Compute standard deviations for each topic
-  const topicVariances = Array(numTopics).fill(0);
-  normalizedDocs.forEach(normalizedValues => {
-    for (let i = 0; i < numTopics; i++) {
-      topicVariances[i] += Math.pow(normalizedValues[i] - topicMeans[i], 2);
+/**
+ * Find the years where each topic's prevalence shifts abruptly, with PELT over the yearly
+ * series. Years are weighted by their number of documents, so sparse years move breaks less.
+ * @param {Array} topicEvolution Yearly topic evolution from calculateTopicEvolutionByYear
+ * @param {Array} topicKeys Array of topic keys
+ * @returns {Array} Array of { topicKey, year, before, after } objects sorted by year, where year
+ *   starts the new segment and before/after are the mean prevalence of the segments around it
+ */
+const calculateTopicChangePoints = (topicEvolution, topicKeys) => {
+  const weights = topicEvolution.map(entry => entry.documentCount);
+  
+  // Document-weighted mean of a topic over the years [start, end)
+  const segmentMean = (values, start, end) => {
+    let total = 0;
+    let weight = 0;
+    for (let i = start; i < end; i++) {
+      total += values[i] * weights[i];
+      weight += weights[i];
     }
+    return weight > 0 ? total / weight : 0;
+  };
+  
+  const changePoints = topicKeys.flatMap(topicKey => {
+    const values = topicEvolution.map(entry => entry.topicDistribution[topicKey] || 0);
+    const breaks = detectChangePoints(values, { weights, minSegmentLength: CHANGE_POINT_MIN_SEGMENT_YEARS });
+    const bounds = [0, ...breaks, values.length];
+    
+    return breaks.map((index, i) => ({
+      topicKey,
+      year: topicEvolution[index].year,
+      before: segmentMean(values, bounds[i], index),
+      after: segmentMean(values, index, bounds[i + 2])
+    }));
   });
-  const topicStdDevs = topicVariances.map(v => Math.sqrt(v / docCount));
-
-  // Create correlation matrix by normalizing the covariance values
-  const correlationMatrix = Array(numTopics).fill().map(() => Array(numTopics).fill(0));
-  for (let i = 0; i < numTopics; i++) {
-    for (let j = 0; j < numTopics; j++) {
-      if (topicStdDevs[i] > 0 && topicStdDevs[j] > 0) {
-        correlationMatrix[i][j] = covarianceMatrix[i][j] / (topicStdDevs[i] * topicStdDevs[j]);
-      } else {
-        correlationMatrix[i][j] = 0;
-      }
-    }
-  }
-
-  return correlationMatrix;
+  
+  return changePoints.sort((a, b) => a.year - b.year);
 };
 
-
 /**
  * Prepare topic keywords for visualization
  * @param {Array} nmfTopics Array of topic keyword arrays
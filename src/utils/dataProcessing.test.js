@@ -0,0 +1,101 @@
+import { buildTopicMatrix } from './dataProcessing';
+
+/**
+ * Build documents from rows of topic weights
+ * @param {Array} rows Array of rows, one weight per topic
+ * @returns {Object} { documents, topicKeys } as buildTopicMatrix expects them
+ */
+const toDocuments = (rows) => {
+  const topicKeys = rows[0].map((_, t) => `Topic_${t + 1}`);
+  const documents = rows.map(row => Object.fromEntries(topicKeys.map((topicKey, t) => [topicKey, row[t]])));
+  return { documents, topicKeys };
+};
+
+/**
+ * Normalize rows of topic weights with a strategy
+ * @param {Array} rows Array of rows, one weight per topic
+ * @param {String} strategy One of the NORMALIZATION_STRATEGIES keys
+ * @returns {Object} { rows, strategy } with the normalized rows and the strategy applied
+ */
+const normalize = (rows, strategy) => {
+  const { documents, topicKeys } = toDocuments(rows);
+  const matrix = buildTopicMatrix(documents, topicKeys, strategy);
+  return {
+    rows: rows.map((_, row) => Array.from(matrix.values.subarray(row * matrix.topicCount, (row + 1) * matrix.topicCount))),
+    strategy: matrix.strategy
+  };
+};
+
+/**
+ * Compare rows of values to a given precision
+ * @param {Array} actual Rows produced by normalize
+ * @param {Array} expected Expected rows
+ */
+const expectRowsCloseTo = (actual, expected) => {
+  expect(actual).toHaveLength(expected.length);
+  expected.forEach((row, i) => row.forEach((value, t) => expect(actual[i][t]).toBeCloseTo(value, 12)));
+};
+
+describe('buildTopicMatrix', () => {
+  test('none keeps the raw weights and zeroes missing or negative ones', () => {
+    const { documents, topicKeys } = toDocuments([[0.2, 0.1, 0.4], [0, 0, 0]]);
+    documents[0].Topic_2 = -0.1;
+    documents[1].Topic_3 = '';
+    const matrix = buildTopicMatrix(documents, topicKeys, 'none');
+
+    expect(Array.from(matrix.values)).toEqual([0.2, 0, 0.4, 0, 0, 0]);
+    expect(matrix).toMatchObject({ rowCount: 2, topicCount: 3, topicKeys, strategy: 'none', requestedStrategy: 'none' });
+  });
+
+  test('l1 scales every row to sum to one and leaves all-zero rows at zero', () => {
+    const { rows } = normalize([[0.2, 0.1, 0.1], [0, 0, 0], [3, 1, 0]], 'l1');
+
+    expectRowsCloseTo(rows, [[0.5, 0.25, 0.25], [0, 0, 0], [0.75, 0.25, 0]]);
+  });
+
+  test('softmax sharpens the weights with temperature 0.1 and spreads all-zero rows evenly', () => {
+    const { rows } = normalize([[0.1, 0.2, 0], [0, 0, 0]], 'softmax');
+    // exp((w - 0.2) / 0.1) is e⁻¹, 1 and e⁻² before scaling
+    const total = Math.exp(-1) + 1 + Math.exp(-2);
+
+    expectRowsCloseTo(rows, [[Math.exp(-1) / total, 1 / total, Math.exp(-2) / total], [1 / 3, 1 / 3, 1 / 3]]);
+  });
+
+  test('threshold drops shares under 5% before scaling the rest to sum to one', () => {
+    const { rows } = normalize([[0.5, 0.48, 0.02], [0, 0, 0]], 'threshold');
+
+    expectRowsCloseTo(rows, [[0.5 / 0.98, 0.48 / 0.98, 0], [0, 0, 0]]);
+  });
+
+  test('threshold falls back to l1 when every share is under 5%', () => {
+    // 25 equal topics hold 4% each
+    const { rows } = normalize([new Array(25).fill(0.01)], 'threshold');
+
+    expectRowsCloseTo(rows, [new Array(25).fill(0.04)]);
+  });
+
+  test.each([
+    ['rows that already sum to one', [[0.5, 0.5], [0.3, 0.7]], 'none'],
+    ['NMF weights that sum to much less', [[0.2, 0.1], [0.05, 0.3]], 'l1'],
+    // The average total is 0.96, just above the 0.95 cut-off
+    ['rows that sum to nearly one on average', [[0.5, 0.42], [0.6, 0.4]], 'none'],
+    ['all-zero rows', [[0, 0], [0, 0]], 'l1']
+  ])('auto keeps %s as they are or applies l1', (_, rows, expected) => {
+    const matrix = normalize(rows, 'auto');
+
+    expect(matrix.strategy).toBe(expected);
+  });
+
+  test('auto decides on the first 100 documents only', () => {
+    const rows = [...new Array(100).fill([0.5, 0.5]), ...new Array(100).fill([0.01, 0.01])];
+    const { documents, topicKeys } = toDocuments(rows);
+    const matrix = buildTopicMatrix(documents, topicKeys);
+
+    expect(matrix.strategy).toBe('none');
+    expect(matrix.requestedStrategy).toBe('auto');
+  });
+
+  test('auto applies nothing to a corpus without documents', () => {
+    expect(buildTopicMatrix([], ['Topic_1']).strategy).toBe('none');
+  });
+});
@@ -0,0 +1,92 @@
+// Directory of the static data files inside public/
+export const STATIC_DATA_DIRECTORY = 'data';
+
+// Data providers selectable through REACT_APP_DATA_PROVIDER, with their descriptions
+export const DATA_PROVIDERS = {
+  static: 'Static files in public/data, relative to PUBLIC_URL',
+  url: 'Static files under REACT_APP_DATA_BASE_URL',
+  api: 'JSON HTTP API at REACT_APP_DATA_BASE_URL'
+};
+
+/**
+ * Add a trailing slash so relative paths resolve inside the base
+ * @param {String} url Base URL
+ * @returns {String} URL ending with a slash
+ */
+const withTrailingSlash = (url) => (url.endsWith('/') ? url : `${url}/`);
+
+/**
+ * Create a data provider, which decides where the manifest and data files are fetched from.
+ * - static: files in public/data, served under PUBLIC_URL (e.g. /QazaqLit/data/ on GitHub Pages)
+ * - url: the same files served from another base URL, such as a CDN
+ * - api: a JSON HTTP API answering GET {base}/models with the model manifest and serving each
+ *   model file listed there as JSON rows (see scripts/mockDataServer.js)
+ * @param {Object} config Provider configuration
+ * @param {String} config.type One of the DATA_PROVIDERS keys (default 'static')
+ * @param {String} config.baseUrl Base URL, required by the url and api providers
+ * @param {String} config.publicUrl Public URL of the app, used by the static provider
+ * @returns {Object} Provider: { type, baseUrl, manifestPath, resolve(path), fetch(url, init) }
+ */
+export const createDataProvider = ({ type = 'static', baseUrl, publicUrl = '' } = {}) => {
+  if (!DATA_PROVIDERS[type]) {
+    throw new Error(`Unknown data provider "${type}". Use one of: ${Object.keys(DATA_PROVIDERS).join(', ')}`);
+  }
+  if (type !== 'static' && !baseUrl) {
+    throw new Error(`The ${type} data provider needs REACT_APP_DATA_BASE_URL`);
+  }
+
+  const base = type === 'static'
+    ? `${publicUrl.replace(/\/$/, '')}/${STATIC_DATA_DIRECTORY}/`
+    : withTrailingSlash(baseUrl);
+  const headers = type === 'api' ? { Accept: 'application/json' } : {};
+
+  return {
+    type,
+    baseUrl: base,
+    manifestPath: type === 'api' ? 'models' : 'models.json',
+    // Absolute paths and full URLs in a manifest are used as they are
+    resolve: path => (/^([a-z]+:)?\/\//i.test(path) || path.startsWith('/') ? path : `${base}${path}`),
+    fetch: (url, init = {}) => fetch(url, { ...init, headers: { ...headers, ...init.headers } })
+  };
+};
+
+let activeProvider = null;
+
+/**
+ * Get the provider configured through the environment
+ * (REACT_APP_DATA_PROVIDER and REACT_APP_DATA_BASE_URL, read at build time)
+ * @returns {Object} Active data provider
+ */
+export const getDataProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createDataProvider({
+      type: process.env.REACT_APP_DATA_PROVIDER || 'static',
+      baseUrl: process.env.REACT_APP_DATA_BASE_URL,
+      publicUrl: process.env.PUBLIC_URL || ''
+    });
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the active provider, e.g. to point tests at a mock server
+ * @param {Object} provider Provider from createDataProvider, or null to return to the environment config
+ */
+export const setDataProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * Resolve a data path against the active provider
+ * @param {String} path Path relative to the data directory, absolute path or full URL
+ * @returns {String} URL to fetch
+ */
+export const resolveDataPath = (path) => getDataProvider().resolve(path);
+
+/**
+ * Fetch a data URL through the active provider
+ * @param {String} url URL returned by resolveDataPath
+ * @param {Object} init Fetch options
+ * @returns {Promise<Response>} Fetch response
+ */
+export const fetchData = (url, init) => getDataProvider().fetch(url, init);
@@ -0,0 +1,171 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createDataProvider, getDataProvider, setDataProvider } from './dataProviders';
+import { loadModelManifest, resolveModel } from './modelManifest';
+import { loadRawData } from './dataProcessing';
+import { DataValidationError } from './dataValidation';
+
+const { startMockDataServer } = require('../../scripts/mockDataServer');
+
+// Path the app is deployed under, as on GitHub Pages
+const PUBLIC_PATH = '/QazaqLit';
+
+const FILES = {
+  'models.json': JSON.stringify({
+    version: 1,
+    defaultModel: 'test-3',
+    models: [{
+      id: 'test-3',
+      label: 'Test model, 3 topics',
+      files: {
+        documentTopics: 'documents.csv',
+        topicLabels: 'topic_labels.csv',
+        keywords: 'keywords.csv'
+      }
+    }]
+  }),
+  'documents.csv': [
+    'Book Title,Author,Year,Topic_1,Topic_2,Topic_3',
+    'Абай жолы,Мұхтар Әуезов,1942,0.6,0.3,0.1',
+    'Қан мен тер,Әбдіжәміл Нұрпейісов,1961,0.2,0.5,0.3',
+    'Көшпенділер,Ілияс Есенберлин,1976,0.1,0.1,0.8'
+  ].join('\n'),
+  'topic_labels.csv': 'Topic Number,Topic Name\nTopic 1,Steppe\nTopic 2,Family\nTopic 3,History',
+  'keywords.csv': 'Topic,Word 1,Word 2\nTopic 1,дала,жел\nTopic 2,үй,ана\nTopic 3,хан,жау'
+};
+
+let dataDir;
+let server;
+let requests;
+const savedEnv = { ...process.env };
+
+/**
+ * Minimal fetch over node's http module, since the Jest environment has none. Relative URLs
+ * are resolved against the mock server, as a browser would resolve them against the page.
+ */
+const fetchFromServer = (url, init = {}) => new Promise((resolve, reject) => {
+  const target = new URL(url, server.url);
+  requests.push({ url: target.href, headers: init.headers || {} });
+  http.get(target, { headers: init.headers }, response => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => {
+      const body = Buffer.concat(chunks);
+      resolve({
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        status: response.statusCode,
+        headers: { get: name => response.headers[name.toLowerCase()] || null },
+        text: async () => body.toString('utf8'),
+        json: async () => JSON.parse(body.toString('utf8')),
+        arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.length)
+      });
+    });
+  }).on('error', reject);
+});
+
+/**
+ * Load the default model's manifest and files through the active provider
+ * @returns {Object} { model, raw }
+ */
+const loadDefaultModel = async () => {
+  const model = resolveModel(await loadModelManifest());
+  return { model, raw: await loadRawData(model.files) };
+};
+
+beforeAll(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qazaqlit-data-'));
+  Object.entries(FILES).forEach(([name, contents]) => fs.writeFileSync(path.join(dataDir, name), contents));
+  server = await startMockDataServer({ dataDir, publicPath: `${PUBLIC_PATH}/` });
+  global.fetch = fetchFromServer;
+});
+
+afterAll(async () => {
+  await server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  delete global.fetch;
+});
+
+beforeEach(() => {
+  requests = [];
+  process.env.PUBLIC_URL = PUBLIC_PATH;
+  delete process.env.REACT_APP_DATA_PROVIDER;
+  delete process.env.REACT_APP_DATA_BASE_URL;
+  setDataProvider(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  process.env = { ...savedEnv };
+  setDataProvider(null);
+});
+
+describe('createDataProvider', () => {
+  test('resolves static files under PUBLIC_URL', () => {
+    const provider = createDataProvider({ publicUrl: '/QazaqLit/' });
+    expect(provider.resolve('models.json')).toBe('/QazaqLit/data/models.json');
+    expect(createDataProvider().resolve('models.json')).toBe('/data/models.json');
+  });
+
+  test('keeps absolute paths and full URLs', () => {
+    const provider = createDataProvider({ type: 'url', baseUrl: 'https://cdn.example.org/qazaqlit' });
+    expect(provider.resolve('topics.csv')).toBe('https://cdn.example.org/qazaqlit/topics.csv');
+    expect(provider.resolve('/other/topics.csv')).toBe('/other/topics.csv');
+    expect(provider.resolve('https://example.org/topics.csv')).toBe('https://example.org/topics.csv');
+  });
+
+  test('rejects unknown types and missing base URLs', () => {
+    expect(() => createDataProvider({ type: 'ftp' })).toThrow('Unknown data provider "ftp"');
+    expect(() => createDataProvider({ type: 'api' })).toThrow('REACT_APP_DATA_BASE_URL');
+  });
+});
+
+describe('providers against the mock data server', () => {
+  test('static provider loads public/data under the PUBLIC_URL subpath', async () => {
+    expect(getDataProvider().type).toBe('static');
+
+    const { model, raw } = await loadDefaultModel();
+
+    expect(model.files.documentTopics).toBe('/QazaqLit/data/documents.csv');
+    expect(raw.documentTopics).toHaveLength(3);
+    expect(raw.documentTopics[0]["Book Title"]).toBe('Абай жолы');
+    expect(raw.topicLabels.map(label => label["Topic Name"])).toEqual(['Steppe', 'Family', 'History']);
+    expect(requests.every(request => request.url.startsWith(`${server.url}QazaqLit/data/`))).toBe(true);
+  });
+
+  test('url provider loads the same files from REACT_APP_DATA_BASE_URL, ignoring PUBLIC_URL', async () => {
+    process.env.REACT_APP_DATA_PROVIDER = 'url';
+    process.env.REACT_APP_DATA_BASE_URL = `${server.url}QazaqLit/data`;
+    process.env.PUBLIC_URL = '/elsewhere';
+
+    const { raw } = await loadDefaultModel();
+
+    expect(raw.documentTopics.map(doc => doc.Year)).toEqual([1942, 1961, 1976]);
+    expect(requests.map(request => request.url)).toContain(`${server.url}QazaqLit/data/models.json`);
+  });
+
+  test('api provider reads the manifest and JSON rows from the API routes', async () => {
+    process.env.REACT_APP_DATA_PROVIDER = 'api';
+    process.env.REACT_APP_DATA_BASE_URL = server.url;
+
+    const { model, raw } = await loadDefaultModel();
+
+    expect(model.files.documentTopics).toBe(`${server.url}models/test-3/documentTopics`);
+    expect(raw.documentTopics).toHaveLength(3);
+    expect(raw.documentTopics[2].Topic_3).toBe(0.8);
+    expect(raw.nmfTopics[1]).toEqual(['Topic 1', 'дала', 'жел']);
+    expect(requests.every(request => request.headers.Accept === 'application/json')).toBe(true);
+  });
+
+  test('missing files are reported as validation failures', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const error = await loadRawData({ documentTopics: '/QazaqLit/data/missing.csv' }).catch(failure => failure);
+
+    expect(error).toBeInstanceOf(DataValidationError);
+    expect(error.failures[0].message).toBe('Request failed with status 404');
+  });
+});
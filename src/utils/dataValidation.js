@@ -0,0 +1,222 @@
+// Maximum number of row issues reported per file (the rest are only counted)
+const MAX_REPORTED_ISSUES = 50;
+
+// Plausible publication years for the corpus
+const MIN_YEAR = 1000;
+const MAX_YEAR = 2100;
+
+/**
+ * Declared schemas for each data file loaded by loadAllData
+ * - header: whether the first CSV row holds column names
+ * - requiredColumns: columns that must exist in the header
+ * - topicColumns: whether Topic_N columns are required and must be numeric
+ * - columnTypes: expected value type for specific columns (empty values allowed)
+ * - minColumns: minimum row width for header-less files
+ */
+export const dataSchemas = {
+  documentTopics: {
+    header: true,
+    requiredColumns: ["Book Title", "Author", "Year"],
+    topicColumns: true,
+    columnTypes: {
+      "Year": "year",
+      "Author": "string"
+    }
+  },
+  topicLabels: {
+    header: true,
+    requiredColumns: ["Topic Number", "Topic Name"],
+    columnTypes: {
+      "Topic Number": "string",
+      "Topic Name": "string"
+    }
+  },
+  nmfTopics: {
+    header: false,
+    minColumns: 2
+  },
+  expandedWordlist: {
+    header: false,
+    minColumns: 2
+  },
+  keywordWeights: {
+    header: true,
+    requiredColumns: ["topic", "word", "weight"],
+    columnTypes: {
+      "weight": "number"
+    }
+  },
+  authorAliases: {
+    header: true,
+    requiredColumns: ["variant", "author_id", "display_name"]
+  }
+};
+
+/**
+ * Error thrown when one or more data files are missing or do not match their schema.
+ * Each failure lists the file, a summary message and the offending rows.
+ */
+export class DataValidationError extends Error {
+  /**
+   * @param {Array} failures Array of { file, message, issues, issueCount } objects
+   */
+  constructor(failures) {
+    const files = failures.map(failure => failure.file).join(", ");
+    super(`Invalid data in ${files}`);
+    this.name = "DataValidationError";
+    this.failures = failures;
+  }
+}
+
+/**
+ * Check a fetch response before parsing it.
+ * @param {Response} response Fetch response
+ * @param {String} text Response body
+ * @param {String} file File path used in error messages
+ */
+export const validateResponse = (response, text, file) => {
+  if (!response.ok) {
+    throw new DataValidationError([{
+      file,
+      message: `Request failed with status ${response.status}`,
+      issues: [],
+      issueCount: 0
+    }]);
+  }
+
+  const contentType = (response.headers && response.headers.get("content-type")) || "";
+  validateFileText(text, file, contentType);
+};
+
+/**
+ * Check the text of a data file before parsing it.
+ * The dev server answers unknown paths with index.html, so HTML is treated as a missing file.
+ * @param {String} text File contents
+ * @param {String} file File name used in error messages
+ * @param {String} contentType Content type reported by the server (optional)
+ */
+export const validateFileText = (text, file, contentType = "") => {
+  if (contentType.includes("text/html") || /^\s*<(!doctype|html)/i.test(text)) {
+    throw new DataValidationError([{
+      file,
+      message: "The server returned an HTML page instead of a data file. The file is probably missing.",
+      issues: [],
+      issueCount: 0
+    }]);
+  }
+
+  if (!text.trim()) {
+    throw new DataValidationError([{
+      file,
+      message: "The file is empty",
+      issues: [],
+      issueCount: 0
+    }]);
+  }
+};
+
+/**
+ * Check a single value against a declared column type
+ * @param {*} value Parsed cell value
+ * @param {String} type Expected type ('year', 'string' or 'number')
+ * @returns {String|null} Problem description, or null if the value is valid
+ */
+const checkValueType = (value, type) => {
+  if (value === null || value === undefined || value === "") return null;
+
+  switch (type) {
+    case "year": {
+      const year = Number(value);
+      if (!Number.isInteger(year)) return `expected a whole year, got "${value}"`;
+      if (year < MIN_YEAR || year > MAX_YEAR) return `year ${year} is out of range`;
+      return null;
+    }
+    case "string":
+      return typeof value === "number" ? `expected text, got the number ${value}` : null;
+    case "number":
+      return typeof value === "number" && Number.isFinite(value)
+        ? null
+        : `expected a number, got "${value}"`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validate parsed CSV output against a schema
+ * @param {Object} result Papa.parse result ({ data, errors, meta })
+ * @param {Object} schema Schema from dataSchemas
+ * @param {String} file File path used in error messages
+ * @throws {DataValidationError} When the file does not match the schema
+ */
+export const validateParsedData = (result, schema, file) => {
+  const issues = [];
+  let message = null;
+  // File line of a data row: 1-based, plus the header line when present
+  const lineOffset = schema.header ? 2 : 1;
+
+  // Parse errors reported by Papa.parse (unbalanced quotes, wrong field counts, ...)
+  result.errors.forEach(error => {
+    issues.push({
+      row: error.row !== undefined ? error.row + lineOffset : null,
+      column: null,
+      problem: error.message
+    });
+  });
+
+  if (result.data.length === 0) {
+    message = "The file contains no data rows";
+  } else if (schema.header) {
+    const fields = result.meta.fields || [];
+    const missingColumns = schema.requiredColumns.filter(column => !fields.includes(column));
+    const topicColumns = fields.filter(field => /^Topic_\d+$/.test(field));
+
+    if (missingColumns.length > 0) {
+      message = `Missing required column${missingColumns.length > 1 ? "s" : ""}: ${missingColumns.join(", ")}`;
+    } else if (schema.topicColumns && topicColumns.length === 0) {
+      message = "No Topic_N columns found";
+    } else {
+      const columnTypes = { ...schema.columnTypes };
+      if (schema.topicColumns) {
+        topicColumns.forEach(column => {
+          columnTypes[column] = "number";
+        });
+      }
+
+      result.data.forEach((row, rowIndex) => {
+        Object.entries(columnTypes).forEach(([column, type]) => {
+          // Topic values are required, metadata columns may be left empty
+          const value = row[column];
+          const problem = type === "number" && (value === null || value === undefined || value === "")
+            ? "missing topic value"
+            : checkValueType(value, type);
+
+          if (problem) {
+            issues.push({ row: rowIndex + lineOffset, column, problem });
+          }
+        });
+      });
+    }
+  } else {
+    result.data.forEach((row, rowIndex) => {
+      if (row.length < schema.minColumns) {
+        issues.push({
+          row: rowIndex + lineOffset,
+          column: null,
+          problem: `expected at least ${schema.minColumns} columns, got ${row.length}`
+        });
+      }
+    });
+  }
+
+  if (message || issues.length > 0) {
+    // A row can have several issues, so the summary counts distinct rows
+    const rowCount = new Set(issues.map(issue => issue.row)).size;
+    throw new DataValidationError([{
+      file,
+      message: message || `${rowCount} invalid row${rowCount > 1 ? "s" : ""}`,
+      issues: issues.slice(0, MAX_REPORTED_ISSUES),
+      issueCount: issues.length
+    }]);
+  }
+};
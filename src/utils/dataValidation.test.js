@@ -0,0 +1,115 @@
+import Papa from 'papaparse';
+import {
+  dataSchemas,
+  DataValidationError,
+  validateFileText,
+  validateParsedData,
+  validateResponse
+} from './dataValidation';
+
+/**
+ * Parse CSV text the way the loaders do and validate it, returning the error thrown
+ * @param {String} text CSV contents
+ * @param {Object} schema Schema from dataSchemas
+ * @returns {DataValidationError|null} The error, or null when the file is valid
+ */
+const validateCsv = (text, schema) => {
+  const result = Papa.parse(text, { header: schema.header, dynamicTyping: true, skipEmptyLines: true });
+  try {
+    validateParsedData(result, schema, 'documents.csv');
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+describe('validateParsedData', () => {
+  test('accepts a well-formed document table', () => {
+    const text = [
+      'Book Title,Author,Year,Topic_1,Topic_2',
+      'Абай жолы,Мұхтар Әуезов,1942,0.7,0.3',
+      'Қан мен тер,Әбдіжәміл Нұрпейісов,,0.4,0.6'
+    ].join('\n');
+
+    expect(validateCsv(text, dataSchemas.documentTopics)).toBeNull();
+  });
+
+  test('names the missing required columns', () => {
+    const error = validateCsv('Book Title,Topic_1\nАбай жолы,0.5', dataSchemas.documentTopics);
+
+    expect(error).toBeInstanceOf(DataValidationError);
+    expect(error.message).toBe('Invalid data in documents.csv');
+    expect(error.failures[0].message).toBe('Missing required columns: Author, Year');
+    expect(error.failures[0].issues).toEqual([]);
+  });
+
+  test('requires at least one topic column in the document table', () => {
+    const error = validateCsv('Book Title,Author,Year\nАбай жолы,Мұхтар Әуезов,1942', dataSchemas.documentTopics);
+
+    expect(error.failures[0].message).toBe('No Topic_N columns found');
+  });
+
+  test('reports wrong types row by row, with file line numbers', () => {
+    const text = [
+      'Book Title,Author,Year,Topic_1,Topic_2',
+      'Абай жолы,Мұхтар Әуезов,1942,0.7,0.3',
+      'Қан мен тер,1961,nineteen sixty,0.4,',
+      'Көшпенділер,Ілияс Есенберлин,3050,high,0.2'
+    ].join('\n');
+
+    const { failures } = validateCsv(text, dataSchemas.documentTopics);
+
+    expect(failures).toHaveLength(1);
+    expect(failures[0].file).toBe('documents.csv');
+    expect(failures[0].message).toBe('2 invalid rows');
+    expect(failures[0].issueCount).toBe(5);
+    expect(failures[0].issues).toEqual([
+      { row: 3, column: 'Year', problem: 'expected a whole year, got "nineteen sixty"' },
+      { row: 3, column: 'Author', problem: 'expected text, got the number 1961' },
+      { row: 3, column: 'Topic_2', problem: 'missing topic value' },
+      { row: 4, column: 'Year', problem: 'year 3050 is out of range' },
+      { row: 4, column: 'Topic_1', problem: 'expected a number, got "high"' }
+    ]);
+  });
+
+  test('reports short rows of header-less files', () => {
+    const error = validateCsv('Topic 1,дала,жел\nTopic 2\nTopic 3,хан', dataSchemas.nmfTopics);
+
+    expect(error.failures[0].message).toBe('1 invalid row');
+    expect(error.failures[0].issues).toEqual([
+      { row: 2, column: null, problem: 'expected at least 2 columns, got 1' }
+    ]);
+  });
+
+  test('lists only the first 50 issues but counts them all', () => {
+    const rows = Array.from({ length: 60 }, (_, row) => `Book ${row},Author,1950,oops`);
+    const { failures } = validateCsv(['Book Title,Author,Year,Topic_1', ...rows].join('\n'), dataSchemas.documentTopics);
+
+    expect(failures[0].issues).toHaveLength(50);
+    expect(failures[0].issueCount).toBe(60);
+    expect(failures[0].issues[49].row).toBe(51);
+  });
+
+  test('rejects files without data rows', () => {
+    const error = validateCsv('Book Title,Author,Year,Topic_1', dataSchemas.documentTopics);
+
+    expect(error.failures[0].message).toBe('The file contains no data rows');
+  });
+});
+
+describe('validateFileText and validateResponse', () => {
+  test('treat HTML and empty bodies as missing files', () => {
+    expect(() => validateFileText('<!DOCTYPE html><html></html>', 'topics.csv')).toThrow(DataValidationError);
+    expect(() => validateFileText('a,b', 'topics.csv', 'text/html; charset=utf-8')).toThrow(DataValidationError);
+    expect(() => validateFileText('  \n', 'topics.csv')).toThrow(DataValidationError);
+    expect(() => validateFileText('a,b\n1,2', 'topics.csv', 'text/csv')).not.toThrow();
+  });
+
+  test('report failed requests with their status', () => {
+    const response = { ok: false, status: 404, headers: { get: () => null } };
+
+    expect(() => validateResponse(response, '', 'topics.csv')).toThrow(expect.objectContaining({
+      failures: [expect.objectContaining({ file: 'topics.csv', message: 'Request failed with status 404' })]
+    }));
+  });
+});
@@ -0,0 +1,146 @@
+import { DataValidationError } from './dataValidation';
+
+let worker = null;
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+// Nearest-neighbour indexes by topic matrix, then by metric, as promises shared by every caller
+const neighbourIndexes = new WeakMap();
+
+/**
+ * Rebuild an error received from the worker
+ * @param {Object} error Serialized error ({ name, message, failures })
+ * @returns {Error} DataValidationError when failures are present, plain Error otherwise
+ */
+const deserializeError = (error) => {
+  if (error.failures) return new DataValidationError(error.failures);
+  const rebuilt = new Error(error.message);
+  rebuilt.name = error.name;
+  return rebuilt;
+};
+
+/**
+ * Dispatch a worker message to the pending request it belongs to
+ * @param {MessageEvent} event Message from the data worker
+ */
+const handleWorkerMessage = (event) => {
+  const { id, type } = event.data;
+  const request = pendingRequests.get(id);
+  if (!request) return;
+  
+  if (type === 'progress') {
+    if (request.onProgress) request.onProgress(event.data.progress);
+  } else if (type === 'result') {
+    // Cached results are followed by an update once they have been revalidated
+    if (!event.data.result || !event.data.result.cachedAt) pendingRequests.delete(id);
+    request.resolve(event.data.result);
+  } else if (type === 'update') {
+    pendingRequests.delete(id);
+    if (request.onUpdate) request.onUpdate(event.data.result);
+  } else if (type === 'error') {
+    pendingRequests.delete(id);
+    request.reject(deserializeError(event.data.error));
+  }
+};
+
+/**
+ * Reject every pending request when the worker itself crashes
+ * @param {ErrorEvent} event Worker error event
+ */
+const handleWorkerError = (event) => {
+  const error = new Error(event.message || "Data worker failed");
+  pendingRequests.forEach(request => request.reject(error));
+  pendingRequests.clear();
+  worker.terminate();
+  worker = null;
+};
+
+/**
+ * Get the shared data worker, starting it on first use
+ * @returns {Promise<Worker>} Data worker
+ */
+const getWorker = async () => {
+  if (!worker) {
+    const { createDataWorker } = await import('../workers/createDataWorker');
+    worker = worker || createDataWorker();
+    worker.onmessage = handleWorkerMessage;
+    worker.onerror = handleWorkerError;
+  }
+  return worker;
+};
+
+/**
+ * Send a request to the data worker
+ * @param {String} type Request type handled by the worker
+ * @param {Object} payload Structured-clone friendly request payload
+ * @param {Function} onProgress Optional callback for progress messages
+ * @param {Function} onUpdate Optional callback for update messages
+ * @returns {Promise} Resolves with the worker result
+ */
+const requestFromWorker = (type, payload, onProgress, onUpdate) => {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { resolve, reject, onProgress, onUpdate });
+    getWorker()
+      .then(dataWorker => dataWorker.postMessage({ id, type, payload }))
+      .catch(error => {
+        pendingRequests.delete(id);
+        reject(error);
+      });
+  });
+};
+
+/**
+ * Load and process all data in the data worker.
+ * Falls back to the main thread where workers are unavailable (e.g. tests), importing the
+ * processing code only then.
+ * @param {Object} options Options for loadAllData
+ * @param {Function} options.onProgress Optional callback receiving { stage, label, completed, total }
+ * @param {Function} options.onRevalidate Optional callback receiving fresh data (or null) after cached data was served
+ * @returns {Promise<Object>} Loaded data, as returned by loadAllData
+ */
+export const loadAllDataInWorker = ({ onProgress, onRevalidate, ...options } = {}) => {
+  if (typeof Worker === 'undefined') {
+    return import('./dataProcessing').then(({ loadAllData }) => loadAllData({ ...options, onProgress, onRevalidate }));
+  }
+  return requestFromWorker('load', options, onProgress, onRevalidate);
+};
+
+/**
+ * Project every book onto a plane in the data worker, keeping long UMAP runs off the main thread.
+ * Falls back to the main thread where workers are unavailable (e.g. tests).
+ * @param {Object} options Options for projectDocuments
+ * @param {Function} options.onProgress Optional callback receiving { completed, total }
+ * @returns {Promise<Object>} Projection, as returned by projectDocuments
+ */
+export const projectDocumentsInWorker = ({ onProgress, ...options }) => {
+  if (typeof Worker === 'undefined') {
+    return import('./projection').then(({ projectDocuments }) => projectDocuments({ ...options, onProgress }));
+  }
+  return requestFromWorker('project', options, onProgress);
+};
+
+/**
+ * Get the nearest-neighbour index of the books for one metric, building it in the data worker
+ * the first time it is asked for. The index costs n² / 2 distances, so only the metrics a reader
+ * actually uses are built, once per topic matrix.
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @param {String} metric One of the SIMILARITY_METRICS keys
+ * @returns {Promise<Object>} Index, as returned by buildNeighbourIndex
+ */
+export const getNeighbourIndex = (matrix, metric) => {
+  if (!neighbourIndexes.has(matrix)) neighbourIndexes.set(matrix, {});
+  const byMetric = neighbourIndexes.get(matrix);
+
+  if (!byMetric[metric]) {
+    byMetric[metric] = (typeof Worker === 'undefined'
+      ? import('./neighbourIndex').then(({ buildNeighbourIndex }) => buildNeighbourIndex(matrix, metric))
+      : requestFromWorker('neighbours', { matrix, metric })
+    ).catch(error => {
+      // Let the next caller try again
+      delete byMetric[metric];
+      throw error;
+    });
+  }
+  return byMetric[metric];
+};
@@ -0,0 +1,154 @@
+import { DataValidationError, validateResponse } from './dataValidation';
+import { fetchData, getDataProvider, resolveDataPath } from './dataProviders';
+
+// Used when no manifest is deployed: the single model shipped with the site
+export const DEFAULT_MANIFEST = {
+  defaultModel: 'nmf-13',
+  models: [
+    {
+      id: 'nmf-13',
+      label: 'NMF, 13 topics',
+      files: {
+        documentTopics: 'document_topic_distributions_with_metadata.csv',
+        topicLabels: 'topic_labels.csv',
+        keywords: 'nmf_topics.csv',
+        wordlist: 'wordlist.csv'
+      }
+    }
+  ]
+};
+
+// Id of the model built from files imported by the user
+export const IMPORTED_MODEL_ID = 'imported';
+
+// Files every model entry must list (wordlist, weights and authors are optional)
+const REQUIRED_MODEL_FILES = ['documentTopics', 'topicLabels', 'keywords'];
+
+/**
+ * Get the manifest URL of the active data provider
+ * @returns {String} Manifest URL
+ */
+export const getManifestUrl = () => resolveDataPath(getDataProvider().manifestPath);
+
+/**
+ * Check that a parsed manifest lists usable models
+ * @param {Object} manifest Parsed models.json
+ * @throws {DataValidationError} When the manifest structure is invalid
+ */
+const validateManifest = (manifest) => {
+  const issues = [];
+  
+  if (!manifest || !Array.isArray(manifest.models) || manifest.models.length === 0) {
+    issues.push({ row: null, column: 'models', problem: 'expected a non-empty "models" array' });
+  } else {
+    const seenIds = new Set();
+    manifest.models.forEach((model, index) => {
+      const entry = index + 1;
+      if (!model.id) {
+        issues.push({ row: entry, column: 'id', problem: 'missing model id' });
+      } else if (seenIds.has(model.id)) {
+        issues.push({ row: entry, column: 'id', problem: `duplicate model id "${model.id}"` });
+      }
+      seenIds.add(model.id);
+      
+      REQUIRED_MODEL_FILES.forEach(role => {
+        if (!model.files || !model.files[role]) {
+          issues.push({ row: entry, column: `files.${role}`, problem: 'missing file path' });
+        }
+      });
+    });
+  }
+  
+  if (issues.length > 0) {
+    throw new DataValidationError([{
+      file: getManifestUrl(),
+      message: 'The model manifest is not valid',
+      issues,
+      issueCount: issues.length
+    }]);
+  }
+};
+
+/**
+ * Load the model manifest, falling back to the built-in single-model manifest when none is deployed
+ * @returns {Object} Manifest with defaultModel and models
+ */
+export const loadModelManifest = async () => {
+  const manifestUrl = getManifestUrl();
+  const response = await fetchData(manifestUrl);
+  const text = await response.text();
+  
+  try {
+    validateResponse(response, text, manifestUrl);
+  } catch (error) {
+    console.warn("No model manifest found, using the default model:", error.message);
+    return DEFAULT_MANIFEST;
+  }
+  
+  let manifest;
+  try {
+    manifest = JSON.parse(text);
+  } catch (error) {
+    throw new DataValidationError([{
+      file: manifestUrl,
+      message: `The model manifest is not valid JSON: ${error.message}`,
+      issues: [],
+      issueCount: 0
+    }]);
+  }
+  
+  validateManifest(manifest);
+  return manifest;
+};
+
+/**
+ * Pick a model from the manifest. Unknown ids fall back to the default model
+ * so that shared links keep working after a model is removed.
+ * @param {Object} manifest Model manifest
+ * @param {String} modelId Requested model id (optional)
+ * @returns {Object} Model entry with file URLs resolved by the data provider in files
+ * and the paths as listed in the manifest in paths
+ */
+export const resolveModel = (manifest, modelId) => {
+  let model = manifest.models.find(entry => entry.id === modelId);
+  
+  if (!model) {
+    if (modelId) console.warn(`Unknown model "${modelId}", using the default model`);
+    model = manifest.models.find(entry => entry.id === manifest.defaultModel) || manifest.models[0];
+  }
+  
+  const files = {};
+  Object.entries(model.files).forEach(([role, path]) => {
+    files[role] = resolveDataPath(path);
+  });
+  
+  return { ...model, label: model.label || model.id, files, paths: model.files };
+};
+
+/**
+ * Summarize the manifest for model selectors
+ * @param {Object} manifest Model manifest
+ * @returns {Array} Array of { id, label } objects
+ */
+export const listModels = (manifest) => {
+  return manifest.models.map(model => ({ id: model.id, label: model.label || model.id }));
+};
+
+/**
+ * Describe files imported by the user as a model
+ * @param {Object} sources Files keyed by role (documentTopics plus optional topicLabels, keywords, wordlist, weights, authors)
+ * @returns {Object} Model entry with the files in place of paths
+ */
+export const createImportedModel = (sources) => {
+  const files = {};
+  Object.entries(sources).forEach(([role, file]) => {
+    if (file) files[role] = file;
+  });
+  
+  return {
+    id: IMPORTED_MODEL_ID,
+    label: `Imported: ${sources.documentTopics.name}`,
+    imported: true,
+    files
+  };
+};
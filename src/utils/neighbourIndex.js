@@ -0,0 +1,51 @@
+import { createDistance, prepareRows } from './similarity';
+
+// Number of nearest books kept for every book in the precomputed index
+const INDEX_NEIGHBOUR_COUNT = 30;
+
+/**
+ * Precompute the nearest books of every book. Each pair is measured once, so the index
+ * costs n² / 2 distances; documents without topic weights have no neighbours.
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @param {String} metric One of the SIMILARITY_METRICS keys
+ * @param {Number} size Number of neighbours kept per book (default 30)
+ * @returns {Object} { metric, size, indices, distances } where row i's neighbours fill slots
+ *   i × size to (i + 1) × size, closest first; unused slots hold index -1
+ */
+export const buildNeighbourIndex = (matrix, metric, size = INDEX_NEIGHBOUR_COUNT) => {
+  const { rowCount } = matrix;
+  const prepared = prepareRows(matrix);
+  const distance = createDistance(prepared, metric);
+  const slotCount = Math.max(0, Math.min(size, rowCount - 1));
+  const indices = new Int32Array(rowCount * slotCount).fill(-1);
+  const distances = new Float32Array(rowCount * slotCount);
+
+  // Insert a neighbour into a row's sorted slots if it is closer than the farthest kept
+  const insert = (row, other, value) => {
+    const offset = row * slotCount;
+    const last = offset + slotCount - 1;
+    if (indices[last] !== -1 && value >= distances[last]) return;
+    let slot = last;
+    while (slot > offset && (indices[slot - 1] === -1 || distances[slot - 1] > value)) {
+      indices[slot] = indices[slot - 1];
+      distances[slot] = distances[slot - 1];
+      slot--;
+    }
+    indices[slot] = other;
+    distances[slot] = value;
+  };
+
+  if (slotCount > 0) {
+    for (let i = 0; i < rowCount; i++) {
+      if (prepared.empty[i]) continue;
+      for (let j = i + 1; j < rowCount; j++) {
+        if (prepared.empty[j]) continue;
+        const value = distance(i, j);
+        insert(i, j, value);
+        insert(j, i, value);
+      }
+    }
+  }
+
+  return { metric, size: slotCount, indices, distances };
+};
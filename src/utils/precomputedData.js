@@ -0,0 +1,118 @@
+import { fetchData, resolveDataPath } from './dataProviders';
+
+// Bundle of processed data written by scripts/precompute.js, next to the manifest
+export const PROCESSED_FILE = 'processed.json';
+
+// Bump when the shape of the raw or processed data changes, so older bundles and cache entries are ignored
+export const PROCESSED_FORMAT_VERSION = 10;
+
+/**
+ * Make processed data JSON friendly (typed arrays become plain arrays)
+ * @param {Object} processed Processed data as returned by processData
+ * @returns {Object} Serializable copy
+ */
+const serializeProcessed = (processed) => ({
+  ...processed,
+  topicMatrix: { ...processed.topicMatrix, values: Array.from(processed.topicMatrix.values) }
+});
+
+/**
+ * Restore processed data read from a bundle
+ * @param {Object} processed Processed data from processed.json
+ * @returns {Object} Processed data with the topic matrix back in a Float64Array
+ */
+const reviveProcessed = (processed) => ({
+  ...processed,
+  topicMatrix: { ...processed.topicMatrix, values: Float64Array.from(processed.topicMatrix.values) }
+});
+
+/**
+ * Build the contents of processed.json
+ * @param {Array} entries Array of { model, raw, processed } objects, one per model
+ * @returns {Object} Versioned bundle keyed by model id
+ */
+export const createProcessedBundle = (entries) => {
+  const models = {};
+  entries.forEach(({ model, raw, processed }) => {
+    // Paths as listed in the manifest, so the bundle does not depend on where the site is served
+    models[model.id] = {
+      files: model.paths,
+      raw,
+      processed: serializeProcessed(processed)
+    };
+  });
+
+  return {
+    version: PROCESSED_FORMAT_VERSION,
+    generatedAt: new Date().toISOString(),
+    models
+  };
+};
+
+/**
+ * Check whether a file exists on the server and when it was last modified
+ * @param {String} path File path
+ * @returns {Object} { exists, modified } with modified in milliseconds, or null when the server does not say
+ */
+const headFile = async (path) => {
+  const response = await fetchData(path, { method: 'HEAD' });
+  const contentType = (response.headers && response.headers.get('content-type')) || '';
+  // The dev server answers unknown paths with index.html
+  const exists = response.ok && !contentType.includes('text/html');
+  const lastModified = response.headers && response.headers.get('last-modified');
+
+  return { exists, modified: lastModified ? Date.parse(lastModified) : null };
+};
+
+/**
+ * Check that a bundle entry was built from the files the manifest lists for the model
+ * @param {Object} bundleFiles File paths recorded in the bundle
+ * @param {Object} modelFiles File paths the manifest lists for the model
+ * @returns {Boolean} True when both list the same files
+ */
+const hasSameFiles = (bundleFiles, modelFiles) => {
+  const roles = Object.keys(modelFiles);
+  return roles.length === Object.keys(bundleFiles).length &&
+    roles.every(role => bundleFiles[role] === modelFiles[role]);
+};
+
+/**
+ * Load the precomputed data of a model when processed.json exists and is newer than the raw files.
+ * Any problem with the bundle falls back to computing from the raw files.
+ * @param {Object} model Model resolved from the manifest
+ * @returns {Object|null} { raw, processed } or null when the raw files must be used
+ */
+export const loadPrecomputedBundle = async (model) => {
+  const bundleUrl = resolveDataPath(PROCESSED_FILE);
+  try {
+    const [bundleHead, ...fileHeads] = await Promise.all(
+      [bundleUrl, ...Object.values(model.files)].map(headFile)
+    );
+    if (!bundleHead.exists) return null;
+
+    const isNewerThan = time => fileHeads.some(head => head.modified !== null && head.modified > time);
+    if (bundleHead.modified !== null && isNewerThan(bundleHead.modified)) {
+      console.warn(`${bundleUrl} is older than the raw data files, computing from the raw files`);
+      return null;
+    }
+
+    const response = await fetchData(bundleUrl);
+    const bundle = await response.json();
+
+    if (bundle.version !== PROCESSED_FORMAT_VERSION) {
+      console.warn(`${bundleUrl} has format version ${bundle.version}, expected ${PROCESSED_FORMAT_VERSION}`);
+      return null;
+    }
+
+    const entry = bundle.models && bundle.models[model.id];
+    if (!entry || !hasSameFiles(entry.files, model.paths)) return null;
+
+    // Without a Last-Modified header for the bundle, use the generation time recorded in it
+    if (bundleHead.modified === null && isNewerThan(Date.parse(bundle.generatedAt))) return null;
+
+    return { raw: entry.raw, processed: reviveProcessed(entry.processed) };
+  } catch (error) {
+    console.warn("Could not use the precomputed data:", error.message);
+    return null;
+  }
+};
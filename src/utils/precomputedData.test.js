@@ -0,0 +1,188 @@
+import { createProcessedBundle, loadPrecomputedBundle, PROCESSED_FORMAT_VERSION } from './precomputedData';
+import { loadAllData } from './dataProcessing';
+import { resolveModel } from './modelManifest';
+
+const MANIFEST = {
+  defaultModel: 'test-3',
+  models: [{
+    id: 'test-3',
+    label: 'Test model, 3 topics',
+    files: {
+      documentTopics: 'documents.csv',
+      topicLabels: 'topic_labels.csv',
+      keywords: 'keywords.csv'
+    }
+  }]
+};
+
+const FILES = {
+  'models.json': JSON.stringify(MANIFEST),
+  'documents.csv': [
+    'Book Title,Author,Year,Topic_1,Topic_2,Topic_3',
+    'Абай жолы,Мұхтар Әуезов,1942,0.3,0.15,0.05',
+    'Қан мен тер,Әбдіжәміл Нұрпейісов,1961,0.1,0.25,0.15',
+    'Көшпенділер,Ілияс Есенберлин,1976,0.05,0.05,0.4'
+  ].join('\n'),
+  'topic_labels.csv': 'Topic Number,Topic Name\nTopic 1,Steppe\nTopic 2,Family\nTopic 3,History',
+  'keywords.csv': 'Topic,Word 1,Word 2\nTopic 1,дала,жел\nTopic 2,үй,ана\nTopic 3,хан,жау'
+};
+
+// The raw files were last changed on 1 March 2024
+const RAW_MODIFIED = Date.parse('2024-03-01T00:00:00Z');
+
+let served;
+let requests;
+
+/**
+ * Answer a request from the served files, as a static server would
+ * @param {String} url Requested URL; only the file name is looked at
+ * @param {Object} init Fetch options
+ * @returns {Promise<Object>} Response-like object
+ */
+const fetchServed = async (url, init = {}) => {
+  const name = url.split('/').pop();
+  const method = init.method || 'GET';
+  requests.push(`${method} ${name}`);
+  if (served.error) throw served.error;
+
+  const file = served.files[name];
+  const headers = file === undefined ? {} : { ...served.headers[name] };
+  return {
+    ok: file !== undefined,
+    status: file === undefined ? 404 : 200,
+    headers: { get: header => headers[header.toLowerCase()] || null },
+    text: async () => (typeof file === 'string' ? file : JSON.stringify(file)),
+    json: async () => (typeof file === 'string' ? JSON.parse(file) : file)
+  };
+};
+
+/**
+ * Serve a bundle next to the raw files
+ * @param {Object} bundle Bundle from createProcessedBundle
+ * @param {Number|null} modified Last-Modified time of the bundle, or null to send none
+ */
+const serveBundle = (bundle, modified = Date.parse('2024-04-01T00:00:00Z')) => {
+  served.files['processed.json'] = bundle;
+  served.headers['processed.json'] = modified === null ? {} : { 'last-modified': new Date(modified).toUTCString() };
+};
+
+/**
+ * Bundle of the test model, with a small topic matrix in place of the processed data
+ * @param {Object} model Model the bundle is built for
+ * @returns {Object} Bundle as scripts/precompute.js writes it
+ */
+const createBundle = (model = resolveModel(MANIFEST)) => {
+  const processed = {
+    topicMatrix: { values: Float64Array.of(0.75, 0.25), rowCount: 1, topicCount: 2, requestedStrategy: 'auto' }
+  };
+  // Round-trip through JSON, as the bundle is read from processed.json
+  return JSON.parse(JSON.stringify(createProcessedBundle([{ model, raw: { documentTopics: [] }, processed }])));
+};
+
+beforeEach(() => {
+  requests = [];
+  served = { files: { ...FILES }, headers: {}, error: null };
+  Object.keys(FILES).forEach(name => {
+    served.headers[name] = { 'last-modified': new Date(RAW_MODIFIED).toUTCString() };
+  });
+  global.fetch = jest.fn(fetchServed);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe('loadPrecomputedBundle', () => {
+  test('uses a bundle newer than every raw file', async () => {
+    serveBundle(createBundle());
+    const bundle = await loadPrecomputedBundle(resolveModel(MANIFEST));
+
+    expect(bundle.raw).toEqual({ documentTopics: [] });
+    expect(bundle.processed.topicMatrix.values).toEqual(Float64Array.of(0.75, 0.25));
+    expect(requests.filter(request => request.startsWith('HEAD'))).toHaveLength(4);
+  });
+
+  test('skips a missing bundle without downloading anything', async () => {
+    expect(await loadPrecomputedBundle(resolveModel(MANIFEST))).toBeNull();
+    expect(requests.filter(request => request.startsWith('GET'))).toEqual([]);
+  });
+
+  test('treats the HTML page of the dev server as a missing bundle', async () => {
+    serveBundle(createBundle());
+    served.headers['processed.json']['content-type'] = 'text/html; charset=utf-8';
+
+    expect(await loadPrecomputedBundle(resolveModel(MANIFEST))).toBeNull();
+  });
+
+  test('rejects a bundle older than one of the raw files', async () => {
+    serveBundle(createBundle(), Date.parse('2024-02-01T00:00:00Z'));
+
+    expect(await loadPrecomputedBundle(resolveModel(MANIFEST))).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('older than the raw data files'));
+    expect(requests).not.toContain('GET processed.json');
+  });
+
+  test('rejects a bundle of another format version', async () => {
+    serveBundle({ ...createBundle(), version: PROCESSED_FORMAT_VERSION - 1 });
+
+    expect(await loadPrecomputedBundle(resolveModel(MANIFEST))).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining(`expected ${PROCESSED_FORMAT_VERSION}`));
+  });
+
+  test('rejects a bundle built from other files or without the model', async () => {
+    const manifest = {
+      ...MANIFEST,
+      models: [{ ...MANIFEST.models[0], files: { ...MANIFEST.models[0].files, keywords: 'keywords_v2.csv' } }]
+    };
+    serveBundle(createBundle(resolveModel(manifest)));
+    expect(await loadPrecomputedBundle(resolveModel(MANIFEST))).toBeNull();
+
+    serveBundle(createBundle(resolveModel({ ...MANIFEST, models: [{ ...MANIFEST.models[0], id: 'other' }] })));
+    expect(await loadPrecomputedBundle(resolveModel(MANIFEST))).toBeNull();
+  });
+
+  test('falls back to the generation time when the bundle has no Last-Modified header', async () => {
+    const bundle = createBundle();
+    serveBundle(bundle, null);
+    expect(await loadPrecomputedBundle(resolveModel(MANIFEST))).not.toBeNull();
+
+    serveBundle({ ...bundle, generatedAt: '2024-02-01T00:00:00.000Z' }, null);
+    expect(await loadPrecomputedBundle(resolveModel(MANIFEST))).toBeNull();
+  });
+
+  test('ignores raw files whose age the server does not tell', async () => {
+    serveBundle(createBundle(), Date.parse('2024-02-01T00:00:00Z'));
+    Object.keys(FILES).forEach(name => { served.headers[name] = {}; });
+
+    expect(await loadPrecomputedBundle(resolveModel(MANIFEST))).not.toBeNull();
+  });
+
+  test('falls back to the raw files when the server cannot be reached', async () => {
+    served.error = new Error('Network down');
+
+    expect(await loadPrecomputedBundle(resolveModel(MANIFEST))).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith("Could not use the precomputed data:", 'Network down');
+  });
+});
+
+describe('loadAllData with a bundle', () => {
+  test('uses the bundled aggregates for their normalization and recomputes the others from the bundled rows', async () => {
+    // Build the bundle the way scripts/precompute.js does, from data loaded off the raw files
+    const fromFiles = await loadAllData({ useCache: false });
+    const model = resolveModel(MANIFEST);
+    serveBundle(JSON.parse(JSON.stringify(createProcessedBundle([{ model, raw: fromFiles.raw, processed: fromFiles.processed }]))));
+    requests = [];
+
+    const bundled = await loadAllData({ useCache: false });
+    const recomputed = await loadAllData({ normalization: 'softmax', useCache: false });
+
+    expect(requests.filter(request => request.endsWith('.csv') && request.startsWith('GET'))).toEqual([]);
+    expect(bundled.raw).toEqual(fromFiles.raw);
+    expect(bundled.processed.topicMatrix.requestedStrategy).toBe('auto');
+    expect(bundled.processed.topicMatrix.values).toEqual(fromFiles.processed.topicMatrix.values);
+    expect(recomputed.processed.topicMatrix.requestedStrategy).toBe('softmax');
+    expect(recomputed.processed.topicMatrix.values).not.toEqual(fromFiles.processed.topicMatrix.values);
+  });
+});
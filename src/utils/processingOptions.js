@@ -0,0 +1,20 @@
+// Choices and stages of the processing pipeline that the UI lists. They live apart from the
+// pipeline itself, which only the data worker loads.
+
+// Loading stages reported through the onProgress callback of loadAllData
+export const LOADING_STAGES = ['fetching', 'parsing', 'aggregating'];
+
+// Normalization strategies for the document × topic matrix, with their UI labels
+export const NORMALIZATION_STRATEGIES = {
+  auto: 'Automatic',
+  none: 'None (raw weights)',
+  l1: 'Per-document L1',
+  softmax: 'Softmax',
+  threshold: 'Threshold + L1'
+};
+
+// Methods projecting the books' topic shares onto a plane, with their UI labels
+export const PROJECTION_METHODS = {
+  pca: 'PCA',
+  umap: 'UMAP'
+};
@@ -0,0 +1,249 @@
+import { createRandom } from './statistics';
+import { getTopicShares } from './similarity';
+
+// UMAP settings. The curve constants a and b belong to a minimum distance of 0.1 with spread 1,
+// as fitted by the reference implementation.
+const UMAP_EPOCHS = 200;
+const UMAP_NEGATIVE_SAMPLES = 5;
+const UMAP_CURVE_A = 1.577;
+const UMAP_CURVE_B = 0.8951;
+const UMAP_GRADIENT_CLIP = 4;
+const UMAP_INITIAL_SCALE = 10;
+
+/**
+ * Multiply a square matrix by a vector
+ * @param {Array} matrix Matrix as an array of rows
+ * @param {Array} vector Vector with one entry per column
+ * @returns {Array} Product vector
+ */
+const multiply = (matrix, vector) => matrix.map(row => row.reduce((sum, value, t) => sum + value * vector[t], 0));
+
+/**
+ * Principal component analysis of the books' topic shares, from the topic covariance matrix
+ * by power iteration with deflation
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @param {Number} dimensions Number of components (default 2)
+ * @returns {Object} { coordinates, explained } where coordinates is row-major (rowCount × dimensions)
+ *   and explained holds the share of variance of each component
+ */
+export const principalComponents = (matrix, dimensions = 2) => {
+  const { rowCount, topicCount } = matrix;
+  const rows = Array.from({ length: rowCount }, (_, row) => getTopicShares(matrix, row));
+  const means = new Array(topicCount).fill(0);
+  rows.forEach(shares => shares.forEach((share, t) => {
+    means[t] += share / rowCount;
+  }));
+
+  const covariance = Array.from({ length: topicCount }, () => new Array(topicCount).fill(0));
+  rows.forEach(shares => {
+    for (let s = 0; s < topicCount; s++) {
+      const deviation = shares[s] - means[s];
+      for (let t = s; t < topicCount; t++) {
+        covariance[s][t] += deviation * (shares[t] - means[t]) / Math.max(1, rowCount - 1);
+      }
+    }
+  });
+  for (let s = 0; s < topicCount; s++) {
+    for (let t = 0; t < s; t++) covariance[s][t] = covariance[t][s];
+  }
+  const totalVariance = covariance.reduce((sum, row, t) => sum + row[t], 0);
+
+  const components = [];
+  const explained = [];
+  for (let c = 0; c < Math.min(dimensions, topicCount); c++) {
+    let vector = Array.from({ length: topicCount }, (_, t) => 1 + t / topicCount);
+    let eigenvalue = 0;
+    for (let iteration = 0; iteration < 500; iteration++) {
+      const next = multiply(covariance, vector);
+      const length = Math.hypot(...next);
+      if (length === 0) break;
+      let change = 0;
+      for (let t = 0; t < topicCount; t++) {
+        next[t] /= length;
+        change = Math.max(change, Math.abs(next[t] - vector[t]));
+      }
+      vector = next;
+      eigenvalue = length;
+      if (change < 1e-10) break;
+    }
+    // What is left after the earlier components is rounding noise, whose direction means nothing
+    if (eigenvalue <= totalVariance * 1e-12) break;
+
+    // Give every run the same orientation: the largest loading is positive
+    const largest = vector.reduce((best, value) => (Math.abs(value) > Math.abs(best) ? value : best), 0);
+    if (largest < 0) vector = vector.map(value => -value);
+
+    components.push(vector);
+    explained.push(totalVariance > 0 ? eigenvalue / totalVariance : 0);
+    // Remove the component before looking for the next one
+    for (let s = 0; s < topicCount; s++) {
+      for (let t = 0; t < topicCount; t++) covariance[s][t] -= eigenvalue * vector[s] * vector[t];
+    }
+  }
+  while (components.length < dimensions) {
+    components.push(new Array(topicCount).fill(0));
+    explained.push(0);
+  }
+
+  const coordinates = new Float64Array(rowCount * dimensions);
+  rows.forEach((shares, row) => {
+    components.forEach((vector, c) => {
+      coordinates[row * dimensions + c] = shares.reduce((sum, share, t) => sum + (share - means[t]) * vector[t], 0);
+    });
+  });
+  return { coordinates, explained };
+};
+
+/**
+ * Fuzzy neighbour graph of UMAP: each book's distances to its nearest books become membership
+ * strengths, scaled per book so every neighbourhood has the same total, then made symmetric
+ * @param {Object} index Neighbour index from buildNeighbourIndex
+ * @param {Number} rowCount Number of books
+ * @returns {Object} { heads, tails, weights } arrays of the undirected edges
+ */
+const buildFuzzyGraph = (index, rowCount) => {
+  const { size, indices, distances } = index;
+  const target = Math.log2(Math.max(2, size));
+  const strengths = new Map();
+
+  for (let row = 0; row < rowCount; row++) {
+    const offset = row * size;
+    let count = 0;
+    while (count < size && indices[offset + count] !== -1) count++;
+    if (count === 0) continue;
+    const nearest = distances[offset];
+
+    // Binary search for the bandwidth giving the target total strength
+    let low = 0;
+    let high = Infinity;
+    let sigma = 1;
+    for (let iteration = 0; iteration < 64; iteration++) {
+      let total = 0;
+      for (let slot = offset; slot < offset + count; slot++) {
+        total += Math.exp(-Math.max(0, distances[slot] - nearest) / sigma);
+      }
+      if (Math.abs(total - target) < 1e-5) break;
+      if (total > target) {
+        high = sigma;
+        sigma = (low + high) / 2;
+      } else {
+        low = sigma;
+        sigma = high === Infinity ? sigma * 2 : (low + high) / 2;
+      }
+    }
+
+    for (let slot = offset; slot < offset + count; slot++) {
+      const other = indices[slot];
+      const strength = Math.exp(-Math.max(0, distances[slot] - nearest) / sigma);
+      const key = Math.min(row, other) * rowCount + Math.max(row, other);
+      const existing = strengths.get(key);
+      // Fuzzy union of the strengths seen from both ends
+      strengths.set(key, existing === undefined ? strength : existing + strength - existing * strength);
+    }
+  }
+
+  const heads = [];
+  const tails = [];
+  const weights = [];
+  strengths.forEach((weight, key) => {
+    heads.push(Math.floor(key / rowCount));
+    tails.push(key % rowCount);
+    weights.push(weight);
+  });
+  return { heads, tails, weights };
+};
+
+/**
+ * UMAP layout of the books: pull neighbouring books together along the fuzzy graph and push
+ * random pairs apart, starting from the PCA layout. Runs in about edges × epochs steps.
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @param {Object} index Neighbour index from buildNeighbourIndex
+ * @param {Object} options Layout options
+ * @param {Number} options.epochs Number of optimization rounds (default 200)
+ * @param {Number} options.seed Seed of the random sampling (default 1)
+ * @param {Function} options.onProgress Optional callback receiving { completed, total } epochs
+ * @returns {Float64Array} Coordinates, row-major (rowCount × 2)
+ */
+export const umapLayout = (matrix, index, { epochs = UMAP_EPOCHS, seed = 1, onProgress } = {}) => {
+  const { rowCount } = matrix;
+  const random = createRandom(seed);
+  const { heads, tails, weights } = buildFuzzyGraph(index, rowCount);
+
+  // Start from PCA, rescaled to the range UMAP is tuned for
+  const { coordinates } = principalComponents(matrix, 2);
+  const extent = coordinates.reduce((max, value) => Math.max(max, Math.abs(value)), 0) || 1;
+  const layout = coordinates.map(value => (value / extent) * UMAP_INITIAL_SCALE + (random() - 0.5) * 1e-4);
+
+  // Strong edges are sampled every epoch, weak ones less often; edges too weak to be sampled are dropped
+  const maxWeight = weights.reduce((max, weight) => Math.max(max, weight), 0);
+  const edges = weights
+    .map((weight, e) => ({ head: heads[e], tail: tails[e], every: maxWeight / weight }))
+    .filter(edge => edge.every <= epochs);
+  const nextSample = edges.map(edge => edge.every);
+  const nextNegativeSample = edges.map(edge => edge.every / UMAP_NEGATIVE_SAMPLES);
+  const clip = value => Math.max(-UMAP_GRADIENT_CLIP, Math.min(UMAP_GRADIENT_CLIP, value));
+  const a = UMAP_CURVE_A;
+  const b = UMAP_CURVE_B;
+
+  for (let epoch = 1; epoch <= epochs; epoch++) {
+    const rate = 1 - (epoch - 1) / epochs;
+
+    edges.forEach((edge, e) => {
+      if (nextSample[e] > epoch) return;
+      const head = edge.head * 2;
+      const tail = edge.tail * 2;
+
+      let dx = layout[head] - layout[tail];
+      let dy = layout[head + 1] - layout[tail + 1];
+      let distanceSquared = dx * dx + dy * dy;
+      if (distanceSquared > 0) {
+        const coefficient = (-2 * a * b * Math.pow(distanceSquared, b - 1)) / (1 + a * Math.pow(distanceSquared, b));
+        const gx = clip(coefficient * dx) * rate;
+        const gy = clip(coefficient * dy) * rate;
+        layout[head] += gx;
+        layout[head + 1] += gy;
+        layout[tail] -= gx;
+        layout[tail + 1] -= gy;
+      }
+      nextSample[e] += edge.every;
+
+      const negativeEvery = edge.every / UMAP_NEGATIVE_SAMPLES;
+      const negativeCount = Math.floor((epoch - nextNegativeSample[e]) / negativeEvery) + 1;
+      for (let n = 0; n < negativeCount; n++) {
+        const other = Math.floor(random() * rowCount) * 2;
+        if (other === head) continue;
+        dx = layout[head] - layout[other];
+        dy = layout[head + 1] - layout[other + 1];
+        distanceSquared = dx * dx + dy * dy;
+        const coefficient = (2 * b) / ((0.001 + distanceSquared) * (1 + a * Math.pow(distanceSquared, b)));
+        layout[head] += (distanceSquared > 0 ? clip(coefficient * dx) : UMAP_GRADIENT_CLIP) * rate;
+        layout[head + 1] += (distanceSquared > 0 ? clip(coefficient * dy) : UMAP_GRADIENT_CLIP) * rate;
+      }
+      nextNegativeSample[e] += negativeCount * negativeEvery;
+    });
+
+    if (onProgress && (epoch % 10 === 0 || epoch === epochs)) onProgress({ completed: epoch, total: epochs });
+  }
+
+  return layout;
+};
+
+/**
+ * Project every book onto a plane
+ * @param {Object} options Projection options
+ * @param {Object} options.matrix Document × topic matrix from buildTopicMatrix
+ * @param {Object} options.neighbours Neighbour index from buildNeighbourIndex, used by UMAP
+ * @param {String} options.method One of the PROJECTION_METHODS keys
+ * @param {Function} options.onProgress Optional callback receiving { completed, total }
+ * @returns {Object} { method, coordinates, explained } where coordinates is row-major (rowCount × 2)
+ *   and explained holds the variance share of each PCA axis (null for UMAP)
+ */
+export const projectDocuments = ({ matrix, neighbours, method, onProgress }) => {
+  if (method === 'pca') {
+    return { method, ...principalComponents(matrix, 2) };
+  }
+  if (method === 'umap') {
+    return { method, coordinates: umapLayout(matrix, neighbours, { onProgress }), explained: null };
+  }
+  throw new Error(`Unknown projection method: ${method}`);
+};
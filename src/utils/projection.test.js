@@ -0,0 +1,85 @@
+import { principalComponents, projectDocuments, umapLayout } from './projection';
+import { buildNeighbourIndex } from './neighbourIndex';
+import { matrixFromRows } from './dataProcessing';
+
+/**
+ * Coordinates of every row on one axis
+ * @param {Float64Array} coordinates Row-major coordinates
+ * @param {Number} dimensions Number of axes
+ * @param {Number} axis Axis index
+ * @returns {Array} One coordinate per row
+ */
+const axisOf = (coordinates, dimensions, axis) => (
+  Array.from(coordinates).filter((_, i) => i % dimensions === axis)
+);
+
+describe('principal components', () => {
+  // Books on the line (0.5, 0.3, 0.2) + s × (0.3, -0.1, -0.2), whose direction has length √0.14
+  const steps = [-1, -0.5, 0, 0.5, 1];
+  const rows = steps.map(s => [0.5 + 0.3 * s, 0.3 - 0.1 * s, 0.2 - 0.2 * s]);
+
+  test('the first component of collinear books follows their line', () => {
+    const { coordinates, explained } = principalComponents(matrixFromRows(rows));
+
+    axisOf(coordinates, 2, 0).forEach((value, i) => expect(value).toBeCloseTo(steps[i] * Math.sqrt(0.14), 12));
+    axisOf(coordinates, 2, 1).forEach(value => expect(value).toBe(0));
+    expect(explained[0]).toBeCloseTo(1, 12);
+    expect(explained[1]).toBe(0);
+  });
+
+  test('the largest loading is positive whatever the row order', () => {
+    const reversed = principalComponents(matrixFromRows([...rows].reverse()));
+
+    // The largest loading is on topic 0, so books with more of it lie to the right
+    axisOf(reversed.coordinates, 2, 0).forEach((value, i) => expect(value).toBeCloseTo(-steps[i] * Math.sqrt(0.14), 12));
+  });
+
+  test('rows are normalized to shares and surplus axes are zero', () => {
+    // Each row is a multiple of the matching row of [[0.2, 0.8], [0.6, 0.4], [0.5, 0.5]]
+    const { coordinates, explained } = principalComponents(matrixFromRows([[1, 4], [3, 2], [0.25, 0.25]]), 3);
+
+    // Topic 0 shares 0.2, 0.6, 0.5 around their mean 13/30, along (1, -1) / √2; both loadings
+    // are equally large, so the sign of the axis is left to rounding
+    [-7 / 30, 5 / 30, 2 / 30].forEach((deviation, i) => {
+      expect(Math.abs(coordinates[i * 3])).toBeCloseTo(Math.abs(deviation) * Math.SQRT2, 12);
+    });
+    expect(coordinates).toHaveLength(9);
+    expect(axisOf(coordinates, 3, 2)).toEqual([0, 0, 0]);
+    expect(explained[0]).toBeCloseTo(1, 12);
+    expect(explained.slice(1)).toEqual([0, 0]);
+  });
+
+  test('books without variance all sit at the origin', () => {
+    const { coordinates, explained } = principalComponents(matrixFromRows([[0.5, 0.5], [0.5, 0.5]]));
+
+    expect(Array.from(coordinates)).toEqual([0, 0, 0, 0]);
+    expect(explained).toEqual([0, 0]);
+  });
+});
+
+describe('projectDocuments', () => {
+  const matrix = matrixFromRows(Array.from({ length: 12 }, (_, i) => (
+    [0, 1, 2].map(t => (i % 3 === t ? 0.8 : 0.1) + i * 0.001)
+  )));
+
+  test('PCA returns the first two components', () => {
+    const { method, coordinates, explained } = projectDocuments({ matrix, method: 'pca' });
+
+    expect(method).toBe('pca');
+    expect(coordinates).toEqual(principalComponents(matrix, 2).coordinates);
+    expect(explained[0] + explained[1]).toBeCloseTo(1, 6);
+  });
+
+  test('UMAP is reproducible for a seed', () => {
+    const index = buildNeighbourIndex(matrix, 'jensenShannon', 5);
+    const layout = seed => umapLayout(matrix, index, { epochs: 30, seed });
+
+    expect(layout(3)).toEqual(layout(3));
+    expect(layout(3)).not.toEqual(layout(4));
+    expect(layout(3)).toHaveLength(24);
+  });
+
+  test('rejects unknown methods', () => {
+    expect(() => projectDocuments({ matrix, method: 'tsne' })).toThrow('Unknown projection method: tsne');
+  });
+});
@@ -0,0 +1,141 @@
+// Distances between the topic distributions of two books, with their UI labels
+export const SIMILARITY_METRICS = {
+  jensenShannon: 'Jensen-Shannon distance',
+  cosine: 'Cosine distance'
+};
+
+/**
+ * Topic shares of one document, scaled to sum to one
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @param {Number} row Document index
+ * @returns {Array} Shares in topic order, all zero for a document without topic weights
+ */
+export const getTopicShares = (matrix, row) => {
+  const values = Array.from(matrix.values.subarray(row * matrix.topicCount, (row + 1) * matrix.topicCount));
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return total > 0 ? values.map(value => value / total) : values;
+};
+
+/**
+ * Dominant topic of a document: its Dominant_Topic column when that names a known topic,
+ * otherwise its largest share
+ * @param {Object} doc Document object
+ * @param {Array} shares Topic shares of the document, from getTopicShares
+ * @param {Array} topicKeys Array of topic keys, in matrix order
+ * @returns {String|null} Topic key, or null for a document without topic weights
+ */
+export const getDominantTopic = (doc, shares, topicKeys) => {
+  if (topicKeys.includes(doc.Dominant_Topic)) return doc.Dominant_Topic;
+  const largest = shares.reduce((best, share, t) => (share > shares[best] ? t : best), 0);
+  return shares[largest] > 0 ? topicKeys[largest] : null;
+};
+
+/**
+ * Scale every row of the matrix to shares and precompute what the distances need
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @returns {Object} { shares, entropies, norms, empty } where shares is row-major like the matrix
+ *   and empty flags documents without topic weights
+ */
+export const prepareRows = (matrix) => {
+  const { rowCount, topicCount } = matrix;
+  const shares = new Float64Array(rowCount * topicCount);
+  const entropies = new Float64Array(rowCount);
+  const norms = new Float64Array(rowCount);
+  const empty = new Uint8Array(rowCount);
+
+  for (let row = 0; row < rowCount; row++) {
+    const offset = row * topicCount;
+    const rowShares = getTopicShares(matrix, row);
+    let entropy = 0;
+    let squares = 0;
+    rowShares.forEach((share, t) => {
+      shares[offset + t] = share;
+      if (share > 0) entropy -= share * Math.log(share);
+      squares += share * share;
+    });
+    entropies[row] = entropy;
+    norms[row] = Math.sqrt(squares);
+    empty[row] = squares === 0 ? 1 : 0;
+  }
+
+  return { shares, entropies, norms, empty, topicCount };
+};
+
+/**
+ * Create the distance function of a metric over prepared rows
+ * @param {Object} prepared Rows from prepareRows
+ * @param {String} metric One of the SIMILARITY_METRICS keys
+ * @returns {Function} Function (i, j) => distance in [0, 1], 0 for identical topic shares
+ */
+export const createDistance = ({ shares, entropies, norms, topicCount }, metric) => {
+  if (metric === 'cosine') {
+    return (i, j) => {
+      let dot = 0;
+      for (let t = 0; t < topicCount; t++) dot += shares[i * topicCount + t] * shares[j * topicCount + t];
+      return Math.max(0, 1 - dot / (norms[i] * norms[j]));
+    };
+  }
+  if (metric === 'jensenShannon') {
+    // Divergence = H(mixture) - mean of both entropies; its square root in bits is a metric
+    return (i, j) => {
+      let mixtureEntropy = 0;
+      for (let t = 0; t < topicCount; t++) {
+        const mixture = (shares[i * topicCount + t] + shares[j * topicCount + t]) / 2;
+        if (mixture > 0) mixtureEntropy -= mixture * Math.log(mixture);
+      }
+      const divergence = mixtureEntropy - (entropies[i] + entropies[j]) / 2;
+      return Math.sqrt(Math.max(0, divergence) / Math.LN2);
+    };
+  }
+  throw new Error(`Unknown similarity metric: ${metric}`);
+};
+
+/**
+ * Find the books closest to a book, optionally among those passing a filter. The precomputed
+ * index answers most queries; when a filter leaves too few of the indexed neighbours, the
+ * whole corpus is searched instead.
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @param {Object} index Neighbour index from buildNeighbourIndex
+ * @param {Number} row Document index of the book
+ * @param {Object} options Search options
+ * @param {Number} options.count Number of books to return (default 10)
+ * @param {Function} options.accept Filter called with a document index (default accepts every book)
+ * @returns {Array} Array of { row, distance } objects, closest first
+ */
+export const findSimilarDocuments = (matrix, index, row, { count = 10, accept = () => true } = {}) => {
+  const results = [];
+  const offset = row * index.size;
+  for (let slot = offset; slot < offset + index.size && results.length < count; slot++) {
+    const other = index.indices[slot];
+    if (other === -1) return results;
+    if (accept(other)) results.push({ row: other, distance: index.distances[slot] });
+  }
+  if (results.length === count || index.size === 0) return results;
+
+  const prepared = prepareRows(matrix);
+  if (prepared.empty[row]) return results;
+  const distance = createDistance(prepared, index.metric);
+  const candidates = [];
+  for (let other = 0; other < matrix.rowCount; other++) {
+    if (other !== row && !prepared.empty[other] && accept(other)) {
+      candidates.push({ row: other, distance: distance(row, other) });
+    }
+  }
+  return candidates.sort((a, b) => a.distance - b.distance).slice(0, count);
+};
+
+/**
+ * Distances between every pair of rows of a matrix, for small matrices such as author profiles
+ * @param {Object} matrix Matrix shaped like buildTopicMatrix's ({ values, rowCount, topicCount })
+ * @param {String} metric One of the SIMILARITY_METRICS keys
+ * @returns {Array} Symmetric matrix of distances as an array of rows; rows without weights are
+ *   at distance 1 from every other row
+ */
+export const distanceMatrix = (matrix, metric) => {
+  const prepared = prepareRows(matrix);
+  const distance = createDistance(prepared, metric);
+  return Array.from({ length: matrix.rowCount }, (_, i) => Array.from({ length: matrix.rowCount }, (_, j) => {
+    if (i === j) return 0;
+    return prepared.empty[i] || prepared.empty[j] ? 1 : distance(i, j);
+  }));
+};
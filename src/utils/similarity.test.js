@@ -0,0 +1,103 @@
+import { buildNeighbourIndex } from './neighbourIndex';
+import { findSimilarDocuments } from './similarity';
+import { matrixFromRows } from './dataProcessing';
+
+/**
+ * Neighbour slots of one book
+ * @param {Object} index Neighbour index from buildNeighbourIndex
+ * @param {Number} row Document index
+ * @returns {Object} { indices, distances } of the row's slots
+ */
+const slotsOf = (index, row) => ({
+  indices: Array.from(index.indices.subarray(row * index.size, (row + 1) * index.size)),
+  distances: Array.from(index.distances.subarray(row * index.size, (row + 1) * index.size))
+});
+
+// Book 4 has the same shares as book 0 at twice the weight, and book 3 has no topic weights
+const matrix = matrixFromRows([
+  [1, 0, 0],
+  [0, 1, 0],
+  [0.5, 0.5, 0],
+  [0, 0, 0],
+  [2, 0, 0]
+]);
+
+// Mixture of books 0 and 2 is (0.75, 0.25); book 0 has no entropy and book 2 has ln 2
+const JENSEN_SHANNON_0_2 = Math.sqrt(
+  (-(0.75 * Math.log(0.75) + 0.25 * Math.log(0.25)) - Math.LN2 / 2) / Math.LN2
+);
+
+describe('buildNeighbourIndex', () => {
+  test('Jensen-Shannon distances match hand-computed values', () => {
+    const { indices, distances } = slotsOf(buildNeighbourIndex(matrix, 'jensenShannon'), 0);
+
+    expect(JENSEN_SHANNON_0_2).toBeCloseTo(0.5579230, 6);
+    expect(indices).toEqual([4, 2, 1, -1]);
+    // Same shares, then half shared, then nothing shared: √(ln 2 / ln 2) = 1
+    [0, JENSEN_SHANNON_0_2, 1].forEach((expected, slot) => expect(distances[slot]).toBeCloseTo(expected, 6));
+  });
+
+  test('cosine distances match hand-computed values', () => {
+    const { indices, distances } = slotsOf(buildNeighbourIndex(matrix, 'cosine'), 0);
+
+    expect(indices).toEqual([4, 2, 1, -1]);
+    // 1 - 0.5 / √0.5
+    [0, 1 - Math.SQRT1_2, 1].forEach((expected, slot) => expect(distances[slot]).toBeCloseTo(expected, 6));
+  });
+
+  test('keeps size slots per book, closest first, padded with -1', () => {
+    const index = buildNeighbourIndex(matrix, 'cosine', 2);
+    const wide = buildNeighbourIndex(matrix, 'cosine');
+
+    expect(index.size).toBe(2);
+    expect(slotsOf(index, 0).indices).toEqual([4, 2]);
+    // Only four other books exist, and one of them has no weights
+    expect(wide.size).toBe(4);
+    expect(slotsOf(wide, 1).indices).toEqual([2, 0, 4, -1]);
+    for (let row = 0; row < matrix.rowCount; row++) {
+      const { indices, distances } = slotsOf(wide, row);
+      const filled = indices.filter(other => other !== -1).length;
+      expect(indices.slice(filled).every(other => other === -1)).toBe(true);
+      distances.slice(1, filled).forEach((distance, slot) => expect(distance).toBeGreaterThanOrEqual(distances[slot]));
+    }
+  });
+
+  test('books without topic weights get no neighbours and are nobody\'s neighbour', () => {
+    const index = buildNeighbourIndex(matrix, 'jensenShannon');
+
+    expect(slotsOf(index, 3).indices).toEqual([-1, -1, -1, -1]);
+    expect(Array.from(index.indices)).not.toContain(3);
+  });
+
+  test('a single book has no slots, and unknown metrics are rejected', () => {
+    expect(buildNeighbourIndex(matrixFromRows([[1, 0]]), 'cosine').size).toBe(0);
+    expect(() => buildNeighbourIndex(matrix, 'euclidean')).toThrow('Unknown similarity metric: euclidean');
+  });
+});
+
+describe('findSimilarDocuments', () => {
+  const index = buildNeighbourIndex(matrix, 'cosine', 2);
+
+  test('answers from the index when the filter keeps enough neighbours', () => {
+    const results = findSimilarDocuments(matrix, index, 0, { count: 2 });
+
+    expect(results.map(result => result.row)).toEqual([4, 2]);
+    expect(results[1].distance).toBeCloseTo(1 - Math.SQRT1_2, 6);
+  });
+
+  test('searches the whole corpus when the filter rejects most indexed neighbours', () => {
+    // Book 0 only indexes books 4 and 2; book 1 is found by the full scan
+    const results = findSimilarDocuments(matrix, index, 0, { count: 2, accept: other => other !== 4 });
+
+    expect(results.map(result => result.row)).toEqual([2, 1]);
+    expect(results[0].distance).toBeCloseTo(1 - Math.SQRT1_2, 12);
+    expect(results[1].distance).toBeCloseTo(1, 12);
+  });
+
+  test('the full scan skips the book itself and books without weights', () => {
+    const results = findSimilarDocuments(matrix, index, 0, { count: 5, accept: other => other !== 4 });
+
+    expect(results.map(result => result.row)).toEqual([2, 1]);
+    expect(findSimilarDocuments(matrix, index, 3)).toEqual([]);
+  });
+});
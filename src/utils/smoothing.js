@@ -0,0 +1,140 @@
+// Smoothing methods for yearly topic series, with their UI labels
+export const SMOOTHING_METHODS = {
+  raw: 'Raw (yearly)',
+  rolling: 'Rolling mean',
+  loess: 'LOESS',
+  bins: 'Year bins'
+};
+
+// Parameter choices offered for each method
+export const ROLLING_WINDOWS = [3, 5, 7, 9, 11];
+export const LOESS_SPANS = [0.15, 0.25, 0.4, 0.6];
+export const BIN_SIZES = [5, 10];
+
+/**
+ * Document-weighted mean of every topic over some years of the series
+ * @param {Array} entries Yearly entries to pool
+ * @param {Array} topicKeys Array of topic keys
+ * @returns {Object} Topic distribution of the pooled documents
+ */
+const poolEntries = (entries, topicKeys) => {
+  const totalDocuments = entries.reduce((sum, entry) => sum + entry.documentCount, 0);
+  const topicDistribution = {};
+  topicKeys.forEach(topicKey => {
+    const weightedSum = entries.reduce((sum, entry) => sum + (entry.topicDistribution[topicKey] || 0) * entry.documentCount, 0);
+    topicDistribution[topicKey] = totalDocuments > 0 ? weightedSum / totalDocuments : 0;
+  });
+  return topicDistribution;
+};
+
+/**
+ * Centred rolling mean over a window of calendar years. Years are pooled by their
+ * documents, so a year with a single book does not weigh as much as a year with fifty.
+ * @param {Array} evolution Yearly topic evolution
+ * @param {Array} topicKeys Array of topic keys
+ * @param {Number} window Window width in years (odd)
+ * @returns {Array} Smoothed entries, one per year of the input
+ */
+const rollingMean = (evolution, topicKeys, window) => {
+  const halfWidth = Math.floor(window / 2);
+  return evolution.map(entry => ({
+    year: entry.year,
+    documentCount: entry.documentCount,
+    topicDistribution: poolEntries(
+      evolution.filter(other => Math.abs(other.year - entry.year) <= halfWidth),
+      topicKeys
+    )
+  }));
+};
+
+/**
+ * LOESS: a linear fit at every year, to the nearest span × n years weighted by the
+ * tricube of their distance and by their number of documents
+ * @param {Array} evolution Yearly topic evolution
+ * @param {Array} topicKeys Array of topic keys
+ * @param {Number} span Fraction of the years used for each local fit
+ * @returns {Array} Smoothed entries, one per year of the input, clipped to [0, 1]
+ */
+const loess = (evolution, topicKeys, span) => {
+  const neighbourCount = Math.min(evolution.length, Math.max(3, Math.ceil(span * evolution.length)));
+
+  return evolution.map(entry => {
+    const distances = evolution.map(other => Math.abs(other.year - entry.year));
+    const bandwidth = [...distances].sort((a, b) => a - b)[neighbourCount - 1] + 1;
+    const weights = evolution.map((other, i) => {
+      const u = distances[i] / bandwidth;
+      return u < 1 ? Math.pow(1 - u * u * u, 3) * other.documentCount : 0;
+    });
+
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const meanYear = evolution.reduce((sum, other, i) => sum + weights[i] * other.year, 0) / totalWeight;
+    const yearSpread = evolution.reduce((sum, other, i) => sum + weights[i] * (other.year - meanYear) ** 2, 0);
+
+    const topicDistribution = {};
+    topicKeys.forEach(topicKey => {
+      const values = evolution.map(other => other.topicDistribution[topicKey] || 0);
+      const meanValue = values.reduce((sum, value, i) => sum + weights[i] * value, 0) / totalWeight;
+      const covariance = values.reduce((sum, value, i) => sum + weights[i] * (evolution[i].year - meanYear) * (value - meanValue), 0);
+      const slope = yearSpread > 0 ? covariance / yearSpread : 0;
+      const fitted = meanValue + slope * (entry.year - meanYear);
+      topicDistribution[topicKey] = Math.min(1, Math.max(0, fitted));
+    });
+
+    return { year: entry.year, documentCount: entry.documentCount, topicDistribution };
+  });
+};
+
+/**
+ * Pool years into fixed bins (1910–1914, 1915–1919, … for 5-year bins)
+ * @param {Array} evolution Yearly topic evolution
+ * @param {Array} topicKeys Array of topic keys
+ * @param {Number} binSize Bin width in years
+ * @returns {Array} One entry per non-empty bin, with year and endYear bounding the bin
+ */
+const binYears = (evolution, topicKeys, binSize) => {
+  const bins = new Map();
+  evolution.forEach(entry => {
+    const start = Math.floor(entry.year / binSize) * binSize;
+    if (!bins.has(start)) bins.set(start, []);
+    bins.get(start).push(entry);
+  });
+
+  return Array.from(bins.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([start, entries]) => ({
+      year: start,
+      endYear: start + binSize - 1,
+      documentCount: entries.reduce((sum, entry) => sum + entry.documentCount, 0),
+      topicDistribution: poolEntries(entries, topicKeys)
+    }));
+};
+
+/**
+ * Smooth the yearly topic evolution from processData. Every method weighs years
+ * by their number of documents. Only the raw series keeps its confidence intervals.
+ * @param {Array} evolution Array of { year, documentCount, topicDistribution } objects
+ * @param {Array} topicKeys Array of topic keys
+ * @param {Object} options Smoothing options
+ * @param {String} options.method One of the SMOOTHING_METHODS keys (default 'raw')
+ * @param {Number} options.window Rolling mean window in years (default 5)
+ * @param {Number} options.span LOESS span as a fraction of the years (default 0.25)
+ * @param {Number} options.binSize Bin width in years (default 10)
+ * @returns {Array} Array of { year, documentCount, topicDistribution } objects; bins also carry
+ *   endYear and the raw series is returned unchanged
+ */
+export const smoothTopicEvolution = (evolution, topicKeys, { method = 'raw', window = 5, span = 0.25, binSize = 10 } = {}) => {
+  if (evolution.length === 0) return evolution;
+
+  switch (method) {
+    case 'rolling':
+      return rollingMean(evolution, topicKeys, window);
+    case 'loess':
+      return loess(evolution, topicKeys, span);
+    case 'bins':
+      return binYears(evolution, topicKeys, binSize);
+    case 'raw':
+      return evolution;
+    default:
+      throw new Error(`Unknown smoothing method: ${method}`);
+  }
+};
@@ -0,0 +1,110 @@
+import { smoothTopicEvolution } from './smoothing';
+
+const TOPIC_KEYS = ['Topic_1', 'Topic_2'];
+
+/**
+ * Build a yearly series of topic evolution entries
+ * @param {Array} years Array of [year, documentCount, share of Topic_1]; Topic_2 takes the rest
+ * @returns {Array} Entries shaped like processData's topicEvolution
+ */
+const series = (years) => years.map(([year, documentCount, share]) => ({
+  year,
+  documentCount,
+  topicDistribution: { Topic_1: share, Topic_2: 1 - share }
+}));
+
+/**
+ * Topic_1 share of every smoothed entry
+ * @param {Array} smoothed Smoothed entries
+ * @returns {Array} Shares in year order
+ */
+const shares = (smoothed) => smoothed.map(entry => entry.topicDistribution.Topic_1);
+
+describe('rolling mean', () => {
+  test('pools the years of the window by their documents', () => {
+    const evolution = series([[1950, 1, 0.2], [1951, 3, 0.6], [1952, 1, 0.2]]);
+    const smoothed = smoothTopicEvolution(evolution, TOPIC_KEYS, { method: 'rolling', window: 3 });
+
+    // (0.2 + 3 × 0.6 + 0.2) / 5
+    expect(smoothed[1].topicDistribution.Topic_1).toBeCloseTo(0.44, 12);
+    expect(smoothed[1].topicDistribution.Topic_2).toBeCloseTo(0.56, 12);
+    expect(smoothed.map(entry => entry.documentCount)).toEqual([1, 3, 1]);
+  });
+
+  test('shrinks the window at the edges of the series', () => {
+    const evolution = series([[1950, 1, 0.1], [1951, 1, 0.3], [1952, 1, 0.5], [1953, 1, 0.7]]);
+    const smoothed = smoothTopicEvolution(evolution, TOPIC_KEYS, { method: 'rolling', window: 5 });
+
+    // 1950 only sees 1950–1952, and 1953 only 1951–1953
+    expect(shares(smoothed)[0]).toBeCloseTo(0.3, 12);
+    expect(shares(smoothed)[1]).toBeCloseTo(0.4, 12);
+    expect(shares(smoothed)[2]).toBeCloseTo(0.4, 12);
+    expect(shares(smoothed)[3]).toBeCloseTo(0.5, 12);
+  });
+
+  test('spans calendar years, so years without books narrow the window', () => {
+    const evolution = series([[1930, 1, 0.2], [1931, 1, 0.4], [1935, 2, 0.9], [1936, 1, 0.3]]);
+    const smoothed = smoothTopicEvolution(evolution, TOPIC_KEYS, { method: 'rolling', window: 3 });
+
+    expect(smoothed.map(entry => entry.year)).toEqual([1930, 1931, 1935, 1936]);
+    expect(shares(smoothed)[1]).toBeCloseTo(0.3, 12);
+    // 1932–1934 are empty, so 1935 pools 1935 and 1936 only: (2 × 0.9 + 0.3) / 3
+    expect(shares(smoothed)[2]).toBeCloseTo(0.7, 12);
+  });
+});
+
+describe('LOESS', () => {
+  test('reproduces a linear trend, also at the edges and across gaps', () => {
+    const years = [1920, 1921, 1922, 1925, 1926, 1930, 1931, 1932, 1933, 1940];
+    const evolution = series(years.map((year, i) => [year, i + 1, 0.1 + (year - 1920) * 0.02]));
+    const smoothed = smoothTopicEvolution(evolution, TOPIC_KEYS, { method: 'loess', span: 0.4 });
+
+    smoothed.forEach((entry, i) => {
+      expect(entry.year).toBe(years[i]);
+      expect(entry.topicDistribution.Topic_1).toBeCloseTo(0.1 + (years[i] - 1920) * 0.02, 10);
+    });
+  });
+
+  test('clips fitted shares to [0, 1]', () => {
+    const evolution = series([[1950, 1, 0], [1951, 1, 0], [1952, 1, 0.5], [1953, 1, 1], [1954, 1, 1]]);
+    const smoothed = smoothTopicEvolution(evolution, TOPIC_KEYS, { method: 'loess', span: 0.6 });
+
+    shares(smoothed).forEach(share => {
+      expect(share).toBeGreaterThanOrEqual(0);
+      expect(share).toBeLessThanOrEqual(1);
+    });
+  });
+});
+
+describe('year bins', () => {
+  test('puts the last year of a bin in that bin and skips empty bins', () => {
+    const evolution = series([[1914, 1, 0.2], [1915, 3, 0.6], [1919, 1, 0.2], [1931, 2, 0.5]]);
+    const bins = smoothTopicEvolution(evolution, TOPIC_KEYS, { method: 'bins', binSize: 5 });
+
+    expect(bins.map(bin => [bin.year, bin.endYear, bin.documentCount])).toEqual([
+      [1910, 1914, 1],
+      [1915, 1919, 4],
+      [1930, 1934, 2]
+    ]);
+    // (3 × 0.6 + 0.2) / 4
+    expect(shares(bins)[1]).toBeCloseTo(0.5, 12);
+  });
+
+  test('gives bins of years without documents a zero share', () => {
+    const evolution = series([[1900, 0, 0.5], [1901, 0, 0.5], [1925, 2, 0.8]]);
+    const bins = smoothTopicEvolution(evolution, TOPIC_KEYS, { method: 'bins', binSize: 10 });
+
+    expect(bins.map(bin => [bin.year, bin.documentCount])).toEqual([[1900, 0], [1920, 2]]);
+    expect(bins[0].topicDistribution).toEqual({ Topic_1: 0, Topic_2: 0 });
+    expect(shares(bins)[1]).toBeCloseTo(0.8, 12);
+  });
+});
+
+test('returns raw and empty series unchanged and rejects unknown methods', () => {
+  const evolution = series([[1950, 1, 0.2]]);
+  const empty = [];
+
+  expect(smoothTopicEvolution(evolution, TOPIC_KEYS)).toBe(evolution);
+  expect(smoothTopicEvolution(empty, TOPIC_KEYS, { method: 'loess' })).toBe(empty);
+  expect(() => smoothTopicEvolution(evolution, TOPIC_KEYS, { method: 'spline' })).toThrow('Unknown smoothing method: spline');
+});
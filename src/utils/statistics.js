@@ -0,0 +1,423 @@
+// Two-sided 95% quantile of the standard normal distribution
+const Z_95 = 1.959963984540054;
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32), so that resampling
+ * gives the same result on every load and in every environment
+ * @param {Number} seed Integer seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+export const createRandom = (seed = 1) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Quantile of sorted values with linear interpolation
+ * @param {Array|Float64Array} sorted Values sorted in ascending order
+ * @param {Number} p Probability in [0, 1]
+ * @returns {Number} Quantile
+ */
+export const quantileSorted = (sorted, p) => {
+  if (sorted.length === 0) return NaN;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, sorted.length - 1);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Mean and sample variance of each topic column over some rows of a document × topic matrix
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @param {Array} rows Row indices
+ * @returns {Object} { means, variances } as Float64Arrays in topic order
+ */
+export const columnMoments = (matrix, rows) => {
+  const { values, topicCount } = matrix;
+  const means = new Float64Array(topicCount);
+  const variances = new Float64Array(topicCount);
+
+  rows.forEach(row => {
+    for (let t = 0; t < topicCount; t++) means[t] += values[row * topicCount + t];
+  });
+  for (let t = 0; t < topicCount; t++) means[t] /= rows.length || 1;
+
+  if (rows.length > 1) {
+    rows.forEach(row => {
+      for (let t = 0; t < topicCount; t++) {
+        const deviation = values[row * topicCount + t] - means[t];
+        variances[t] += deviation * deviation;
+      }
+    });
+    for (let t = 0; t < topicCount; t++) variances[t] /= rows.length - 1;
+  }
+
+  return { means, variances };
+};
+
+/**
+ * Normal-approximation 95% interval of a mean, clipped to the [0, 1] range of topic shares
+ * @param {Number} mean Sample mean
+ * @param {Number} variance Variance of single observations
+ * @param {Number} count Number of observations
+ * @returns {Array} [lower, upper]
+ */
+export const normalInterval = (mean, variance, count) => {
+  const margin = Z_95 * Math.sqrt(variance / count);
+  return [Math.max(0, mean - margin), Math.min(1, mean + margin)];
+};
+
+/**
+ * Percentile bootstrap 95% intervals of the mean of every topic column over some rows
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @param {Array} rows Row indices of the sample
+ * @param {Object} options Bootstrap options
+ * @param {Number} options.replicates Number of resamples (default 200)
+ * @param {Function} options.random Random number generator from createRandom
+ * @returns {Array} [lower, upper] pairs in topic order
+ */
+export const bootstrapMeanIntervals = (matrix, rows, { replicates = 200, random = createRandom() } = {}) => {
+  const { values, topicCount } = matrix;
+  const sampleSize = rows.length;
+  // replicateMeans[t * replicates + b] is the mean of topic t in resample b
+  const replicateMeans = new Float64Array(topicCount * replicates);
+
+  for (let b = 0; b < replicates; b++) {
+    for (let i = 0; i < sampleSize; i++) {
+      const offset = rows[Math.floor(random() * sampleSize)] * topicCount;
+      for (let t = 0; t < topicCount; t++) {
+        replicateMeans[t * replicates + b] += values[offset + t];
+      }
+    }
+  }
+
+  const intervals = [];
+  for (let t = 0; t < topicCount; t++) {
+    const means = replicateMeans.subarray(t * replicates, (t + 1) * replicates).map(sum => sum / sampleSize);
+    means.sort();
+    intervals.push([quantileSorted(means, 0.025), quantileSorted(means, 0.975)]);
+  }
+  return intervals;
+};
+
+/**
+ * Cumulative distribution function of the standard normal distribution
+ * (Abramowitz and Stegun 7.1.26, accurate to about 1e-7)
+ * @param {Number} z Standard score
+ * @returns {Number} Probability of a value below z
+ */
+export const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const polynomial = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - polynomial * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Mann-Kendall test for a monotonic trend, with the variance corrected for ties
+ * @param {Array} values Observations in time order
+ * @returns {Object} { s, tau, z, pValue } where pValue is two-sided
+ */
+export const mannKendall = (values) => {
+  const n = values.length;
+  let s = 0;
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      s += Math.sign(values[j] - values[i]);
+    }
+  }
+
+  const tieCounts = new Map();
+  values.forEach(value => tieCounts.set(value, (tieCounts.get(value) || 0) + 1));
+  let tieCorrection = 0;
+  tieCounts.forEach(t => {
+    tieCorrection += t * (t - 1) * (2 * t + 5);
+  });
+  const variance = (n * (n - 1) * (2 * n + 5) - tieCorrection) / 18;
+
+  // Continuity-corrected standard score
+  let z = 0;
+  if (variance > 0 && s > 0) z = (s - 1) / Math.sqrt(variance);
+  if (variance > 0 && s < 0) z = (s + 1) / Math.sqrt(variance);
+
+  return {
+    s,
+    tau: n > 1 ? s / (n * (n - 1) / 2) : 0,
+    z,
+    pValue: 2 * (1 - normalCdf(Math.abs(z)))
+  };
+};
+
+/**
+ * Sen's slope: the median slope over all pairs of observations, robust to outlying years
+ * @param {Array} xs Observation times (need not be evenly spaced)
+ * @param {Array} ys Observations
+ * @returns {Number} Change in y per unit of x (0 with fewer than two distinct times)
+ */
+export const senSlope = (xs, ys) => {
+  const slopes = [];
+  for (let i = 0; i < xs.length - 1; i++) {
+    for (let j = i + 1; j < xs.length; j++) {
+      if (xs[j] !== xs[i]) slopes.push((ys[j] - ys[i]) / (xs[j] - xs[i]));
+    }
+  }
+  if (slopes.length === 0) return 0;
+  return quantileSorted(Float64Array.from(slopes).sort(), 0.5);
+};
+
+/**
+ * Benjamini-Hochberg adjustment of p-values for the false discovery rate
+ * @param {Array} pValues Raw p-values
+ * @returns {Array} Adjusted p-values (q-values) in the input order
+ */
+export const benjaminiHochberg = (pValues) => {
+  const m = pValues.length;
+  const order = pValues.map((p, i) => i).sort((a, b) => pValues[a] - pValues[b]);
+  const adjusted = new Array(m);
+
+  // Walk from the largest p-value down, keeping the adjusted values monotonic
+  let minimum = 1;
+  for (let rank = m; rank >= 1; rank--) {
+    const index = order[rank - 1];
+    minimum = Math.min(minimum, pValues[index] * m / rank);
+    adjusted[index] = minimum;
+  }
+  return adjusted;
+};
+
+/**
+ * Robust estimate of the noise variance of a series whose observations have different
+ * precision, from the median absolute successive difference. Differences are scaled by
+ * their expected spread, so that a few abrupt shifts do not inflate the estimate.
+ * @param {Array} values Observations in time order
+ * @param {Array} weights Precision of each observation (variance is noise / weight)
+ * @returns {Number} Noise variance of an observation with weight 1
+ */
+const robustNoiseVariance = (values, weights) => {
+  const differences = [];
+  for (let i = 1; i < values.length; i++) {
+    const scale = Math.sqrt(1 / weights[i] + 1 / weights[i - 1]);
+    differences.push(Math.abs(values[i] - values[i - 1]) / scale);
+  }
+  // 0.6745 is the median absolute value of a standard normal variable
+  const sigma = quantileSorted(Float64Array.from(differences).sort(), 0.5) / 0.6745;
+  return sigma * sigma;
+};
+
+/**
+ * Detect shifts in the mean of a series with PELT (pruned exact linear time), using a
+ * weighted Gaussian cost and a penalty of penaltyFactor × noise variance × log(n) per change
+ * @param {Array} values Observations in time order
+ * @param {Object} options Detection options
+ * @param {Array} options.weights Precision of each observation, e.g. its number of documents (default all 1)
+ * @param {Number} options.minSegmentLength Smallest number of observations between changes (default 5)
+ * @param {Number} options.penaltyFactor Multiplier of the penalty; larger values find fewer changes (default 3)
+ * @returns {Array} Indices of the first observation of every new segment, in ascending order
+ */
+export const detectChangePoints = (values, { weights, minSegmentLength = 5, penaltyFactor = 3 } = {}) => {
+  const n = values.length;
+  if (n < 2 * minSegmentLength) return [];
+
+  const w = weights ? weights.map(weight => Math.max(weight, 1e-9)) : values.map(() => 1);
+  const meanWeight = w.reduce((sum, weight) => sum + weight, 0) / n;
+  const relativeWeights = w.map(weight => weight / meanWeight);
+
+  const noiseVariance = robustNoiseVariance(values, relativeWeights);
+  if (!(noiseVariance > 0)) return [];
+  const penalty = penaltyFactor * noiseVariance * Math.log(n);
+
+  // Prefix sums give the weighted sum of squared deviations of any segment in constant time
+  const sumW = new Float64Array(n + 1);
+  const sumWY = new Float64Array(n + 1);
+  const sumWY2 = new Float64Array(n + 1);
+  for (let i = 0; i < n; i++) {
+    sumW[i + 1] = sumW[i] + relativeWeights[i];
+    sumWY[i + 1] = sumWY[i] + relativeWeights[i] * values[i];
+    sumWY2[i + 1] = sumWY2[i] + relativeWeights[i] * values[i] * values[i];
+  }
+  const cost = (start, end) => {
+    const weight = sumW[end] - sumW[start];
+    const weighted = sumWY[end] - sumWY[start];
+    return sumWY2[end] - sumWY2[start] - (weighted * weighted) / weight;
+  };
+
+  // best[t] is the lowest penalized cost of the first t observations, lastChange[t] its final change
+  const best = new Float64Array(n + 1).fill(Infinity);
+  const lastChange = new Int32Array(n + 1);
+  best[0] = -penalty;
+  let candidates = [0];
+
+  for (let t = minSegmentLength; t <= n; t++) {
+    if (t - minSegmentLength >= minSegmentLength) candidates.push(t - minSegmentLength);
+
+    candidates.forEach(s => {
+      const total = best[s] + cost(s, t) + penalty;
+      if (total < best[t]) {
+        best[t] = total;
+        lastChange[t] = s;
+      }
+    });
+
+    // Candidates that cannot beat the optimum now never will
+    candidates = candidates.filter(s => best[s] + cost(s, t) <= best[t]);
+  }
+
+  const changes = [];
+  for (let t = n; t > 0; t = lastChange[t]) {
+    if (lastChange[t] > 0) changes.unshift(lastChange[t]);
+  }
+  return changes;
+};
+
+/**
+ * Pearson correlations between the topic columns of a document × topic matrix
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix (or rankColumns)
+ * @returns {Array} Matrix of correlation values between topics
+ */
+export const correlationMatrix = (matrix) => {
+  const { values, rowCount: docCount, topicCount: numTopics } = matrix;
+
+  // Calculate means for each topic
+  const topicMeans = Array(numTopics).fill(0);
+  for (let row = 0; row < docCount; row++) {
+    for (let i = 0; i < numTopics; i++) {
+      topicMeans[i] += values[row * numTopics + i];
+    }
+  }
+  for (let i = 0; i < numTopics; i++) {
+    topicMeans[i] /= docCount;
+  }
+
+  // Initialize covariance matrix and calculate covariance for each topic pair
+  const covarianceMatrix = Array(numTopics).fill().map(() => Array(numTopics).fill(0));
+  for (let row = 0; row < docCount; row++) {
+    const offset = row * numTopics;
+    for (let i = 0; i < numTopics; i++) {
+      for (let j = 0; j < numTopics; j++) {
+        covarianceMatrix[i][j] += (values[offset + i] - topicMeans[i]) *
+                                    (values[offset + j] - topicMeans[j]);
+      }
+    }
+  }
+  for (let i = 0; i < numTopics; i++) {
+    for (let j = 0; j < numTopics; j++) {
+      covarianceMatrix[i][j] /= docCount;
+    }
+  }
+
+  // Standard deviations come from the covariance diagonal
+  const topicStdDevs = covarianceMatrix.map((row, i) => Math.sqrt(row[i]));
+
+  // Create correlation matrix by normalizing the covariance values
+  const correlationMatrix = Array(numTopics).fill().map(() => Array(numTopics).fill(0));
+  for (let i = 0; i < numTopics; i++) {
+    for (let j = 0; j < numTopics; j++) {
+      if (topicStdDevs[i] > 0 && topicStdDevs[j] > 0) {
+        correlationMatrix[i][j] = covarianceMatrix[i][j] / (topicStdDevs[i] * topicStdDevs[j]);
+      } else {
+        correlationMatrix[i][j] = 0;
+      }
+    }
+  }
+
+  return correlationMatrix;
+};
+
+/**
+ * Replace every topic column of a document × topic matrix by its ranks, averaging tied ranks,
+ * so that correlationMatrix gives Spearman correlations
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @returns {Object} Matrix of the same shape holding ranks
+ */
+export const rankColumns = (matrix) => {
+  const { values, rowCount, topicCount } = matrix;
+  const ranks = new Float64Array(values.length);
+  const order = Array.from({ length: rowCount }, (_, row) => row);
+
+  for (let t = 0; t < topicCount; t++) {
+    order.sort((a, b) => values[a * topicCount + t] - values[b * topicCount + t]);
+    for (let start = 0; start < rowCount;) {
+      let end = start + 1;
+      const value = values[order[start] * topicCount + t];
+      while (end < rowCount && values[order[end] * topicCount + t] === value) end++;
+      const averageRank = (start + end + 1) / 2;
+      for (let i = start; i < end; i++) ranks[order[i] * topicCount + t] = averageRank;
+      start = end;
+    }
+  }
+
+  return { ...matrix, values: ranks };
+};
+
+/**
+ * Invert a square matrix with Gauss-Jordan elimination and partial pivoting
+ * @param {Array} matrix Square matrix as an array of rows
+ * @returns {Array|null} Inverse matrix, or null when the matrix is singular
+ */
+export const invertMatrix = (matrix) => {
+  const n = matrix.length;
+  const augmented = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+
+  for (let column = 0; column < n; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < n; row++) {
+      if (Math.abs(augmented[row][column]) > Math.abs(augmented[pivot][column])) pivot = row;
+    }
+    if (Math.abs(augmented[pivot][column]) < 1e-12) return null;
+    [augmented[column], augmented[pivot]] = [augmented[pivot], augmented[column]];
+
+    const pivotValue = augmented[column][column];
+    for (let j = 0; j < 2 * n; j++) augmented[column][j] /= pivotValue;
+
+    for (let row = 0; row < n; row++) {
+      if (row === column) continue;
+      const factor = augmented[row][column];
+      if (factor === 0) continue;
+      for (let j = 0; j < 2 * n; j++) augmented[row][j] -= factor * augmented[column][j];
+    }
+  }
+
+  return augmented.map(row => row.slice(n));
+};
+
+/**
+ * Two-sided p-value of a (partial) correlation coefficient, from Fisher's z-transformation
+ * @param {Number} r Correlation coefficient
+ * @param {Number} count Number of observations
+ * @param {Number} controls Number of variables controlled for (0 for a plain correlation)
+ * @returns {Number} p-value of the hypothesis that the correlation is zero
+ */
+export const correlationPValue = (r, count, controls = 0) => {
+  const degrees = count - 3 - controls;
+  if (degrees <= 0) return 1;
+  const clipped = Math.max(-0.999999, Math.min(0.999999, r));
+  const z = Math.atanh(clipped) * Math.sqrt(degrees);
+  return 2 * (1 - normalCdf(Math.abs(z)));
+};
+
+/**
+ * Shannon entropy of a distribution given as non-negative weights, which need not sum to one
+ * @param {Array|Float64Array} weights Weights of each category
+ * @returns {Number|null} Entropy in nats, or null when every weight is zero
+ */
+export const shannonEntropy = (weights) => {
+  let total = 0;
+  for (let i = 0; i < weights.length; i++) total += weights[i];
+  if (total <= 0) return null;
+
+  let entropy = 0;
+  for (let i = 0; i < weights.length; i++) {
+    if (weights[i] > 0) {
+      const p = weights[i] / total;
+      entropy -= p * Math.log(p);
+    }
+  }
+  return entropy;
+};
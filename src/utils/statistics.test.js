@@ -0,0 +1,206 @@
+import {
+  benjaminiHochberg,
+  bootstrapMeanIntervals,
+  columnMoments,
+  createRandom,
+  detectChangePoints,
+  mannKendall,
+  normalCdf,
+  normalInterval,
+  quantileSorted,
+  senSlope
+} from './statistics';
+import { matrixFromRows } from './dataProcessing';
+
+const allRows = (matrix) => Array.from({ length: matrix.rowCount }, (_, row) => row);
+
+describe('bootstrap confidence intervals', () => {
+  test('createRandom is the reference mulberry32 generator', () => {
+    const random = createRandom(1);
+    expect(random()).toBe(0.6270739405881613);
+    expect(random()).toBe(0.002735721180215478);
+  });
+
+  test('quantileSorted interpolates linearly between order statistics', () => {
+    expect(quantileSorted([1, 2, 3, 4], 0.25)).toBe(1.75);
+    expect(quantileSorted([1, 2, 3, 4], 0.5)).toBe(2.5);
+    expect(quantileSorted([3], 0.975)).toBe(3);
+    expect(quantileSorted([], 0.5)).toBeNaN();
+  });
+
+  test('columnMoments gives the mean and sample variance of each topic', () => {
+    const matrix = matrixFromRows([[2, 0.1], [4, 0.1], [4, 0.1], [4, 0.1], [5, 0.1], [5, 0.1], [7, 0.1], [9, 0.1]]);
+    const { means, variances } = columnMoments(matrix, allRows(matrix));
+
+    expect(means[0]).toBe(5);
+    expect(variances[0]).toBeCloseTo(32 / 7, 12);
+    expect(means[1]).toBeCloseTo(0.1, 12);
+    expect(variances[1]).toBeCloseTo(0, 12);
+  });
+
+  test('normalInterval is the mean plus or minus 1.96 standard errors, clipped to [0, 1]', () => {
+    const [lower, upper] = normalInterval(0.5, 0.25, 100);
+    expect(lower).toBeCloseTo(0.4020018, 7);
+    expect(upper).toBeCloseTo(0.5979982, 7);
+
+    const [clipped, upperOfSmall] = normalInterval(0.02, 0.01, 10);
+    expect(clipped).toBe(0);
+    expect(upperOfSmall).toBeCloseTo(0.0819795, 7);
+  });
+
+  test('the percentile interval of a half-and-half sample matches the binomial quantiles', () => {
+    // The mean of 100 resampled 0/1 values is Binomial(100, 0.5) / 100, whose 2.5% and 97.5% quantiles are 0.40 and 0.60
+    const matrix = matrixFromRows(Array.from({ length: 100 }, (_, row) => [row < 50 ? 1 : 0, 0.25]));
+    const [shares, constant] = bootstrapMeanIntervals(matrix, allRows(matrix), { replicates: 2000, random: createRandom(7) });
+
+    expect(shares[0]).toBeCloseTo(0.4, 10);
+    expect(shares[1]).toBeCloseTo(0.6, 10);
+    expect(constant[0]).toBeCloseTo(0.25, 10);
+    expect(constant[1]).toBeCloseTo(0.25, 10);
+  });
+
+  test('a seeded bootstrap gives the same intervals every time', () => {
+    const random = createRandom(3);
+    const matrix = matrixFromRows(Array.from({ length: 40 }, () => [random(), random()]));
+    const run = () => bootstrapMeanIntervals(matrix, allRows(matrix), { replicates: 200, random: createRandom(11) });
+
+    expect(run()).toEqual(run());
+    run().forEach(([lower, upper]) => expect(lower).toBeLessThan(upper));
+  });
+});
+
+describe('trend tests', () => {
+  test('normalCdf matches the standard normal table', () => {
+    expect(normalCdf(0)).toBeCloseTo(0.5, 7);
+    expect(normalCdf(1.96)).toBeCloseTo(0.9750021, 6);
+    expect(normalCdf(-1)).toBeCloseTo(0.1586553, 6);
+  });
+
+  test('Mann-Kendall of a strictly rising series', () => {
+    // S = 10, Var(S) = 5 × 4 × 15 / 18, z = (S - 1) / sd = 2.2045, as in R's Kendall::MannKendall(1:5)
+    const { s, tau, z, pValue } = mannKendall([1, 2, 3, 4, 5]);
+
+    expect(s).toBe(10);
+    expect(tau).toBe(1);
+    expect(z).toBeCloseTo(2.2045408, 6);
+    expect(pValue).toBeCloseTo(0.0274862, 6);
+  });
+
+  test('Mann-Kendall corrects the variance for ties and keeps the sign of falling series', () => {
+    // Two pairs of ties: Var(S) = (300 - 2 × 18) / 18
+    const tied = mannKendall([1, 1, 2, 2, 3]);
+    expect(tied.s).toBe(8);
+    expect(tied.z).toBeCloseTo(7 / Math.sqrt(264 / 18), 10);
+
+    const falling = mannKendall([5, 3, 4, 1, 2, 0]);
+    expect(falling.s).toBe(-11);
+    expect(falling.tau).toBeCloseTo(-11 / 15, 12);
+    expect(falling.z).toBeCloseTo(-10 / Math.sqrt(6 * 5 * 17 / 18), 10);
+    expect(falling.pValue).toBeCloseTo(0.0602890, 6);
+
+    const flat = mannKendall([2, 2, 2]);
+    expect(flat.z).toBe(0);
+    expect(flat.pValue).toBeCloseTo(1, 7);
+  });
+
+  test("Sen's slope is the median pairwise slope, robust to an outlier", () => {
+    // y = 2x + 1 with the fourth value replaced by an outlier
+    expect(senSlope([1, 2, 3, 4, 5], [3, 5, 7, 30, 11])).toBe(2);
+    // Unevenly spaced years: slopes 0.02, 0.02 and 0.02 per year
+    expect(senSlope([1900, 1905, 1920], [0.1, 0.2, 0.5])).toBeCloseTo(0.02, 12);
+    expect(senSlope([1950, 1950], [0.1, 0.3])).toBe(0);
+  });
+
+  test('Benjamini-Hochberg matches p.adjust(method = "BH")', () => {
+    expect(benjaminiHochberg([0.01, 0.04, 0.03, 0.005])).toEqual([0.02, 0.04, 0.04, 0.02]);
+
+    const adjusted = benjaminiHochberg([0.01, 0.02, 0.03, 0.5]);
+    [0.04, 0.04, 0.04, 0.5].forEach((expected, i) => expect(adjusted[i]).toBeCloseTo(expected, 12));
+    expect(benjaminiHochberg([0.8, 0.9])).toEqual([0.9, 0.9]);
+    expect(benjaminiHochberg([])).toEqual([]);
+  });
+});
+
+describe('PELT change points', () => {
+  /**
+   * Piecewise constant series with alternating noise of ±noise, so that every successive
+   * difference inside a segment is 2 × noise and the noise variance is known
+   * @param {Array} segments Array of [length, level]
+   * @param {Number} noise Noise amplitude
+   * @returns {Array} Series
+   */
+  const steps = (segments, noise) => segments
+    .flatMap(([length, level]) => new Array(length).fill(level))
+    .map((value, i) => value + (i % 2 ? noise : -noise));
+
+  /**
+   * Optimal segmentation by trying every split, with the penalty detectChangePoints uses
+   * @param {Array} values Series
+   * @param {Number} minSegmentLength Smallest segment
+   * @param {Number} penalty Penalty per segment
+   * @returns {Array} Start indices of the segments after the first
+   */
+  const exhaustiveChangePoints = (values, minSegmentLength, penalty) => {
+    const squaredDeviations = segment => {
+      const mean = segment.reduce((sum, value) => sum + value, 0) / segment.length;
+      return segment.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+    };
+    let best = { cost: Infinity, changes: [] };
+    const split = (start, changes, cost) => {
+      if (start === values.length) {
+        if (cost < best.cost) best = { cost, changes };
+        return;
+      }
+      for (let end = start + minSegmentLength; end <= values.length; end++) {
+        if (end < values.length && values.length - end < minSegmentLength) continue;
+        const nextChanges = end < values.length ? [...changes, end] : changes;
+        split(end, nextChanges, cost + squaredDeviations(values.slice(start, end)) + penalty);
+      }
+    };
+    split(0, [], 0);
+    return best.changes;
+  };
+
+  test.each([
+    [[[8, 0.2], [8, 0.35], [8, 0.3]], 0.03, [8]],
+    [[[8, 0.2], [8, 0.25], [8, 0.3]], 0.03, []],
+    [[[6, 0.1], [12, 0.18], [6, 0.1]], 0.02, [6, 18]]
+  ])('finds the optimal segmentation of %j', (segments, noise, expected) => {
+    const values = steps(segments, noise);
+    // Successive differences are 2 × noise with scale √2, so the robust sigma is √2 × noise / 0.6745
+    const sigma = (Math.SQRT2 * noise) / 0.6745;
+    const penalty = 3 * sigma * sigma * Math.log(values.length);
+
+    expect(detectChangePoints(values, { minSegmentLength: 4 })).toEqual(expected);
+    expect(exhaustiveChangePoints(values, 4, penalty)).toEqual(expected);
+  });
+
+  test('ignores noise, short series and perfectly flat series', () => {
+    const random = createRandom(5);
+    const noisy = Array.from({ length: 40 }, () => 0.3 + (random() - 0.5) * 0.04);
+
+    expect(detectChangePoints(noisy)).toEqual([]);
+    expect(detectChangePoints(steps([[4, 0.1], [5, 0.9]], 0.01))).toEqual([]);
+    expect(detectChangePoints(new Array(20).fill(0.2))).toEqual([]);
+  });
+
+  test('keeps segments at least minSegmentLength long', () => {
+    const changes = detectChangePoints(steps([[3, 0.9], [20, 0.1]], 0.02));
+
+    expect(changes).toEqual([5]);
+  });
+
+  test('weighs years by their precision', () => {
+    // Even years hold many books and step from 0.2 to 0.3 at year 20; odd years hold one book each and swing widely
+    const random = createRandom(4);
+    const values = Array.from({ length: 40 }, (_, i) => (
+      i % 2 === 0 ? (i < 20 ? 0.2 : 0.3) + (random() - 0.5) * 0.02 : random() * 0.6
+    ));
+    const weights = values.map((_, i) => (i % 2 === 0 ? 50 : 1));
+
+    expect(detectChangePoints(values)).toEqual([]);
+    const [change, ...others] = detectChangePoints(values, { weights });
+    expect(others).toEqual([]);
+    expect(change === 19 || change === 20).toBe(true);
+  });
+});
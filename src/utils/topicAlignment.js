@@ -0,0 +1,204 @@
+import { getTopicNumber } from './topicKeys';
+
+// Number of leading keywords per topic compared between models
+const KEYWORD_DEPTH = 20;
+
+// Minimum number of documents shared by both models before document similarity is used
+const MIN_SHARED_DOCUMENTS = 10;
+
+// Measures used to score topic pairs, with their UI labels
+export const ALIGNMENT_MEASURES = {
+  combined: 'Keywords + documents',
+  keywords: 'Keyword overlap',
+  documents: 'Document distribution'
+};
+
+/**
+ * Build a key identifying the same book in two models
+ * @param {Object} doc Document object
+ * @param {String} authorId Canonical author id of the document
+ * @returns {String} Key made of title, author and year
+ */
+const getDocumentKey = (doc, authorId) => `${doc["Book Title"]}|${authorId}|${doc.Year}`;
+
+/**
+ * List the topics of a loaded model with their names and leading keywords
+ * @param {Object} data Data returned by loadAllData
+ * @returns {Array} Array of { key, name, keywords } objects in topic matrix order
+ */
+const listModelTopics = (data) => {
+  const { topicKeys, topicKeywords } = data.processed;
+
+  return topicKeys.map(topicKey => {
+    const topicNumber = getTopicNumber(topicKey);
+    const label = data.raw.topicLabels.find(l => l["Topic Number"] === `Topic ${topicNumber}`);
+    const keywordEntry = topicKeywords.find(t => t.id === topicNumber);
+
+    return {
+      key: topicKey,
+      name: label ? label["Topic Name"] : `Topic ${topicNumber}`,
+      keywords: keywordEntry ? keywordEntry.keywords.slice(0, KEYWORD_DEPTH) : []
+    };
+  });
+};
+
+/**
+ * Jaccard overlap of two keyword lists
+ * @param {Array} keywordsA First keyword list
+ * @param {Array} keywordsB Second keyword list
+ * @returns {Object} { similarity, shared } with the shared words in the order of the first list
+ */
+const compareKeywords = (keywordsA, keywordsB) => {
+  const setB = new Set(keywordsB);
+  const shared = keywordsA.filter(word => setB.has(word));
+  const unionSize = new Set([...keywordsA, ...keywordsB]).size;
+
+  return {
+    similarity: unionSize > 0 ? shared.length / unionSize : 0,
+    shared
+  };
+};
+
+/**
+ * Cosine similarity between the topic columns of two models over the books they share
+ * @param {Object} dataA Data of the first model
+ * @param {Object} dataB Data of the second model
+ * @returns {Object} { matrix, sharedDocumentCount } where matrix[a][b] compares topic a with topic b
+ */
+const compareDocumentDistributions = (dataA, dataB) => {
+  const matrixA = dataA.processed.topicMatrix;
+  const matrixB = dataB.processed.topicMatrix;
+  const kA = matrixA.topicCount;
+  const kB = matrixB.topicCount;
+
+  // Index the second model's rows by book
+  const rowsB = new Map();
+  const authorIdsB = dataB.processed.authors.documentIds;
+  dataB.raw.documentTopics.forEach((doc, row) => {
+    rowsB.set(getDocumentKey(doc, authorIdsB[row]), row);
+  });
+
+  const dot = Array.from({ length: kA }, () => new Float64Array(kB));
+  const normA = new Float64Array(kA);
+  const normB = new Float64Array(kB);
+  let sharedDocumentCount = 0;
+
+  const authorIdsA = dataA.processed.authors.documentIds;
+  dataA.raw.documentTopics.forEach((doc, rowA) => {
+    const rowB = rowsB.get(getDocumentKey(doc, authorIdsA[rowA]));
+    if (rowB === undefined) return;
+    sharedDocumentCount++;
+
+    const offsetA = rowA * kA;
+    const offsetB = rowB * kB;
+    for (let b = 0; b < kB; b++) {
+      const valueB = matrixB.values[offsetB + b];
+      normB[b] += valueB * valueB;
+    }
+    for (let a = 0; a < kA; a++) {
+      const valueA = matrixA.values[offsetA + a];
+      if (valueA === 0) continue;
+      normA[a] += valueA * valueA;
+      for (let b = 0; b < kB; b++) {
+        dot[a][b] += valueA * matrixB.values[offsetB + b];
+      }
+    }
+  });
+
+  const matrix = dot.map((row, a) => Array.from(row, (value, b) => {
+    const denominator = Math.sqrt(normA[a] * normB[b]);
+    return denominator > 0 ? value / denominator : 0;
+  }));
+
+  return { matrix, sharedDocumentCount };
+};
+
+/**
+ * Classify the topics of one side by how many links they keep
+ * @param {Array} topics Topics of one model
+ * @param {Array} links Links above the threshold
+ * @param {String} side 'source' or 'target'
+ * @param {String} manyLabel Status used when a topic has several links ('split' or 'merged')
+ * @returns {Array} Topics with status and matched topic indexes
+ */
+const classifyTopics = (topics, links, side, manyLabel) => {
+  const otherSide = side === 'source' ? 'target' : 'source';
+
+  return topics.map((topic, index) => {
+    const matches = links.filter(link => link[side] === index).map(link => link[otherSide]);
+    let status = 'matched';
+    if (matches.length === 0) status = 'unmatched';
+    else if (matches.length > 1) status = manyLabel;
+
+    return { ...topic, index, status, matches };
+  });
+};
+
+/**
+ * Align the topics of two loaded models.
+ * Topics are linked when their similarity reaches the threshold. A source topic linked to
+ * several target topics is "split", a target topic linked from several source topics is
+ * "merged", and topics without links are "unmatched".
+ * @param {Object} dataA Data of the first (source) model, as returned by loadAllData
+ * @param {Object} dataB Data of the second (target) model
+ * @param {Object} options Alignment options
+ * @param {String} options.measure One of the ALIGNMENT_MEASURES keys (default 'combined')
+ * @param {Number} options.threshold Minimum similarity for a link (default 0.3)
+ * @returns {Object} { measure, sharedDocumentCount, sourceTopics, targetTopics, links }
+ */
+export const alignTopics = (dataA, dataB, { measure = 'combined', threshold = 0.3 } = {}) => {
+  const topicsA = listModelTopics(dataA);
+  const topicsB = listModelTopics(dataB);
+
+  const documents = compareDocumentDistributions(dataA, dataB);
+  const hasDocuments = documents.sharedDocumentCount >= MIN_SHARED_DOCUMENTS;
+
+  // Without enough shared books only keyword overlap is meaningful
+  const appliedMeasure = hasDocuments ? measure : 'keywords';
+
+  const pairs = [];
+  topicsA.forEach((topicA, a) => {
+    topicsB.forEach((topicB, b) => {
+      const keywords = compareKeywords(topicA.keywords, topicB.keywords);
+      const documentSimilarity = hasDocuments ? documents.matrix[a][b] : null;
+
+      let similarity = keywords.similarity;
+      if (appliedMeasure === 'documents') similarity = documentSimilarity;
+      if (appliedMeasure === 'combined') similarity = (keywords.similarity + documentSimilarity) / 2;
+
+      pairs.push({
+        source: a,
+        target: b,
+        similarity,
+        keywordSimilarity: keywords.similarity,
+        documentSimilarity,
+        sharedKeywords: keywords.shared
+      });
+    });
+  });
+
+  // Best partner of every topic on each side, used to flag one-to-one matches
+  const bestForSource = new Map();
+  const bestForTarget = new Map();
+  pairs.forEach(pair => {
+    const currentSource = bestForSource.get(pair.source);
+    if (!currentSource || pair.similarity > currentSource.similarity) bestForSource.set(pair.source, pair);
+    const currentTarget = bestForTarget.get(pair.target);
+    if (!currentTarget || pair.similarity > currentTarget.similarity) bestForTarget.set(pair.target, pair);
+  });
+
+  const links = pairs
+    .filter(pair => pair.similarity >= threshold)
+    .map(pair => ({
+      ...pair,
+      mutualBest: bestForSource.get(pair.source) === pair && bestForTarget.get(pair.target) === pair
+    }));
+
+  return {
+    measure: appliedMeasure,
+    sharedDocumentCount: documents.sharedDocumentCount,
+    sourceTopics: classifyTopics(topicsA, links, 'source', 'split'),
+    targetTopics: classifyTopics(topicsB, links, 'target', 'merged'),
+    links
+  };
+};
@@ -0,0 +1,134 @@
+import { matrixFromRows } from './dataProcessing';
+import { alignTopics } from './topicAlignment';
+
+/**
+ * Build the parts of a loaded model that alignTopics reads
+ * @param {Object} model Model contents
+ * @param {Array} model.keywords Leading keywords of each topic
+ * @param {Array} model.rows Topic weights of each book, one array per book (default none)
+ * @returns {Object} Data shaped like the output of loadAllData
+ */
+const createModel = ({ keywords, rows = [] }) => {
+  const topicKeys = keywords.map((_, t) => `Topic_${t + 1}`);
+  const documentTopics = rows.map((_, row) => ({ "Book Title": `Book ${row + 1}`, Author: 'Author', Year: 1950 }));
+
+  return {
+    raw: {
+      documentTopics,
+      topicLabels: topicKeys.map((_, t) => ({ "Topic Number": `Topic ${t + 1}`, "Topic Name": `Name ${t + 1}` }))
+    },
+    processed: {
+      topicKeys,
+      topicKeywords: keywords.map((words, t) => ({ id: t + 1, keywords: words })),
+      topicMatrix: matrixFromRows(rows, topicKeys.length),
+      authors: { documentIds: documentTopics.map(doc => doc.Author) }
+    }
+  };
+};
+
+/**
+ * Status and matches of every topic on one side
+ * @param {Array} topics sourceTopics or targetTopics of an alignment
+ * @returns {Array} Array of [status, matches]
+ */
+const statuses = (topics) => topics.map(topic => [topic.status, topic.matches]);
+
+describe('keyword alignment', () => {
+  // Source topic 1 is shared out over target topics 1 and 2, source topics 2 and 3 both
+  // become target topic 3, and source topic 4 and target topic 4 have nothing in common
+  const source = createModel({
+    keywords: [['a', 'b', 'c', 'd', 'e', 'f'], ['g', 'h', 'i'], ['g', 'h', 'j'], ['s', 't', 'u']]
+  });
+  const target = createModel({
+    keywords: [['a', 'b', 'c', 'm'], ['d', 'e', 'f', 'n'], ['g', 'h', 'i', 'j'], ['v', 'w']]
+  });
+
+  test('classifies split, merged, matched and unmatched topics', () => {
+    const alignment = alignTopics(source, target, { measure: 'keywords' });
+
+    expect(statuses(alignment.sourceTopics)).toEqual([
+      ['split', [0, 1]], ['matched', [2]], ['matched', [2]], ['unmatched', []]
+    ]);
+    expect(statuses(alignment.targetTopics)).toEqual([
+      ['matched', [0]], ['matched', [0]], ['merged', [1, 2]], ['unmatched', []]
+    ]);
+    expect(alignment.sourceTopics[0]).toMatchObject({ key: 'Topic_1', name: 'Name 1' });
+  });
+
+  test('links carry the Jaccard overlap and the shared keywords', () => {
+    const { links } = alignTopics(source, target, { measure: 'keywords' });
+    const link = (a, b) => links.find(candidate => candidate.source === a && candidate.target === b);
+
+    // 3 shared words out of 7 distinct ones
+    expect(link(0, 0).similarity).toBeCloseTo(3 / 7, 12);
+    expect(link(0, 0).sharedKeywords).toEqual(['a', 'b', 'c']);
+    expect(link(1, 2).similarity).toBeCloseTo(0.75, 12);
+    // Source topics 2 and 3 tie for target topic 3, which keeps the first as its best match
+    expect(link(1, 2).mutualBest).toBe(true);
+    expect(link(2, 2).mutualBest).toBe(false);
+    expect(links).toHaveLength(4);
+  });
+
+  test('falls back to keywords when the models share too few books', () => {
+    const alignment = alignTopics(source, target, { measure: 'documents' });
+
+    expect(alignment.measure).toBe('keywords');
+    expect(alignment.sharedDocumentCount).toBe(0);
+    alignment.links.forEach(link => expect(link.documentSimilarity).toBeNull());
+    expect(statuses(alignment.sourceTopics)[0]).toEqual(['split', [0, 1]]);
+  });
+
+  test('a higher threshold keeps only the closest pairs', () => {
+    const alignment = alignTopics(source, target, { measure: 'keywords', threshold: 0.5 });
+
+    expect(statuses(alignment.sourceTopics)[0]).toEqual(['unmatched', []]);
+    expect(statuses(alignment.targetTopics)[2]).toEqual(['merged', [1, 2]]);
+  });
+});
+
+describe('document alignment', () => {
+  // Twelve books in both models: the source's first topic covers books 1–8, which the target
+  // divides between two topics, and both models give books 9–12 a topic of their own
+  const books = Array.from({ length: 12 }, (_, row) => row);
+  const source = createModel({
+    keywords: [[], []],
+    rows: books.map(row => (row < 8 ? [1, 0] : [0, 1]))
+  });
+  const target = createModel({
+    keywords: [[], [], []],
+    rows: books.map(row => [row < 4 ? 1 : 0, row >= 4 && row < 8 ? 1 : 0, row >= 8 ? 1 : 0])
+  });
+
+  test('compares topics by cosine similarity over the shared books', () => {
+    const alignment = alignTopics(source, target, { measure: 'documents' });
+    const link = (a, b) => alignment.links.find(candidate => candidate.source === a && candidate.target === b);
+
+    expect(alignment.measure).toBe('documents');
+    expect(alignment.sharedDocumentCount).toBe(12);
+    // Four of the eight books: 4 / (√8 × √4)
+    expect(link(0, 0).similarity).toBeCloseTo(Math.SQRT1_2, 12);
+    expect(link(1, 2).similarity).toBeCloseTo(1, 12);
+    expect(statuses(alignment.sourceTopics)).toEqual([['split', [0, 1]], ['matched', [2]]]);
+    expect(statuses(alignment.targetTopics)).toEqual([['matched', [0]], ['matched', [0]], ['matched', [1]]]);
+  });
+
+  test('combined averages the keyword and document similarities', () => {
+    const { links } = alignTopics(source, target);
+
+    // No keywords, so half of the document similarity
+    expect(links.find(link => link.source === 0 && link.target === 1).similarity).toBeCloseTo(Math.SQRT1_2 / 2, 12);
+    expect(links).toHaveLength(3);
+  });
+
+  test('books only count as shared with the same title, author and year', () => {
+    const renamed = createModel({
+      keywords: [[], [], []],
+      rows: books.map(row => [row < 4 ? 1 : 0, row >= 4 && row < 8 ? 1 : 0, row >= 8 ? 1 : 0])
+    });
+    renamed.raw.documentTopics.slice(0, 3).forEach(doc => { doc.Year = 1951; });
+
+    // Nine shared books are too few
+    expect(alignTopics(source, renamed).sharedDocumentCount).toBe(9);
+    expect(alignTopics(source, renamed).measure).toBe('keywords');
+  });
+});
@@ -0,0 +1,176 @@
+import { benjaminiHochberg, columnMoments, correlationMatrix, correlationPValue, invertMatrix, normalCdf, rankColumns } from './statistics';
+
+// Measures of association between topics, with their UI labels
+export const ASSOCIATION_MEASURES = {
+  pearson: 'Pearson correlation',
+  spearman: 'Spearman rank correlation',
+  partial: 'Partial correlation',
+  pmi: 'Dominant-topic co-occurrence (NPMI)'
+};
+
+// Relative spread of document totals under which topic shares are treated as summing to a constant
+const CLOSURE_TOLERANCE = 0.01;
+
+// Number of leading topics of each document counted as co-occurring
+const DOMINANT_TOPICS_PER_DOCUMENT = 3;
+
+/**
+ * Build a symmetric topic × topic matrix from a function of each pair
+ * @param {Number} topicCount Number of topics
+ * @param {Function} pairValue Function (i, j) => value, called for i < j
+ * @param {Number} diagonal Value on the diagonal
+ * @returns {Array} Matrix as an array of rows
+ */
+const buildSymmetric = (topicCount, pairValue, diagonal) => {
+  const result = Array.from({ length: topicCount }, () => new Array(topicCount).fill(diagonal));
+  for (let i = 0; i < topicCount; i++) {
+    for (let j = i + 1; j < topicCount; j++) {
+      result[i][j] = result[j][i] = pairValue(i, j);
+    }
+  }
+  return result;
+};
+
+/**
+ * Adjust the p-values of all topic pairs together (Benjamini-Hochberg)
+ * @param {Array} pValues Symmetric matrix of p-values
+ * @returns {Array} Symmetric matrix of q-values
+ */
+const adjustPairs = (pValues) => {
+  const pairs = [];
+  pValues.forEach((row, i) => row.forEach((p, j) => {
+    if (j > i) pairs.push([i, j]);
+  }));
+  const qValues = benjaminiHochberg(pairs.map(([i, j]) => pValues[i][j]));
+  const adjusted = pValues.map(row => row.map(() => 0));
+  pairs.forEach(([i, j], index) => {
+    adjusted[i][j] = adjusted[j][i] = qValues[index];
+  });
+  return adjusted;
+};
+
+/**
+ * Partial correlations of every topic pair, controlling for all other topics, from the
+ * inverse of the correlation matrix. Topic weights that sum to a constant make that matrix singular
+ * along the direction of the topic spreads; it is then inverted on the remaining subspace
+ * (Moore-Penrose pseudo-inverse) instead.
+ * @param {Object} matrix Document × topic matrix
+ * @returns {Array} Matrix of partial correlations
+ */
+const partialCorrelations = (matrix) => {
+  const correlations = correlationMatrix(matrix);
+  const topicCount = correlations.length;
+  const { variances } = columnMoments(matrix, Array.from({ length: matrix.rowCount }, (_, row) => row));
+  const spreads = Array.from(variances, Math.sqrt);
+  const length = Math.hypot(...spreads);
+  const direction = spreads.map(spread => (length > 0 ? spread / length : 0));
+
+  // Rows summing to a constant (up to rounding) leave the correlation matrix without any spread along direction
+  const rowTotals = Array.from({ length: matrix.rowCount }, (_, row) => (
+    matrix.values.subarray(row * topicCount, (row + 1) * topicCount).reduce((sum, value) => sum + value, 0)
+  ));
+  const meanTotal = rowTotals.reduce((sum, total) => sum + total, 0) / rowTotals.length;
+  const totalSpread = Math.sqrt(rowTotals.reduce((sum, total) => sum + (total - meanTotal) ** 2, 0) / rowTotals.length);
+  const isClosed = totalSpread < CLOSURE_TOLERANCE * meanTotal;
+
+  let precision;
+  if (isClosed) {
+    const inverse = invertMatrix(correlations.map((row, i) => row.map((r, j) => r + direction[i] * direction[j])));
+    precision = inverse && inverse.map((row, i) => row.map((value, j) => value - direction[i] * direction[j]));
+  } else {
+    precision = invertMatrix(correlations);
+  }
+  if (!precision) return buildSymmetric(topicCount, () => 0, 1);
+
+  return buildSymmetric(topicCount, (i, j) => -precision[i][j] / Math.sqrt(precision[i][i] * precision[j][j]), 1);
+};
+
+/**
+ * Normalized pointwise mutual information of topics appearing together among the leading
+ * topics of a document, with chi-square p-values of the 2 × 2 co-occurrence tables
+ * @param {Object} matrix Document × topic matrix from buildTopicMatrix
+ * @returns {Object} { values, pValues } matrices; values range from -1 (never together) to 1 (always together)
+ */
+const coOccurrence = (matrix) => {
+  const { values, rowCount, topicCount } = matrix;
+  const counts = new Array(topicCount).fill(0);
+  const jointCounts = buildSymmetric(topicCount, () => 0, 0);
+  const topicOrder = Array.from({ length: topicCount }, (_, t) => t);
+
+  for (let row = 0; row < rowCount; row++) {
+    const offset = row * topicCount;
+    const leading = [...topicOrder]
+      .sort((a, b) => values[offset + b] - values[offset + a])
+      .slice(0, DOMINANT_TOPICS_PER_DOCUMENT)
+      .filter(t => values[offset + t] > 0);
+
+    leading.forEach((i, index) => {
+      counts[i]++;
+      leading.slice(index + 1).forEach(j => {
+        jointCounts[i][j]++;
+        jointCounts[j][i]++;
+      });
+    });
+  }
+
+  const npmi = (i, j) => {
+    if (counts[i] === 0 || counts[j] === 0) return 0;
+    if (jointCounts[i][j] === 0) return -1;
+    const joint = jointCounts[i][j] / rowCount;
+    if (joint === 1) return 1;
+    return Math.log2(joint * rowCount * rowCount / (counts[i] * counts[j])) / -Math.log2(joint);
+  };
+
+  const chiSquarePValue = (i, j) => {
+    const both = jointCounts[i][j];
+    const onlyI = counts[i] - both;
+    const onlyJ = counts[j] - both;
+    const neither = rowCount - both - onlyI - onlyJ;
+    const denominator = counts[i] * counts[j] * (rowCount - counts[i]) * (rowCount - counts[j]);
+    if (denominator === 0) return 1;
+    const chiSquare = rowCount * (both * neither - onlyI * onlyJ) ** 2 / denominator;
+    // With one degree of freedom the chi-square statistic is a squared standard normal
+    return 2 * (1 - normalCdf(Math.sqrt(chiSquare)));
+  };
+
+  return {
+    values: buildSymmetric(topicCount, npmi, 1),
+    pValues: buildSymmetric(topicCount, chiSquarePValue, 0)
+  };
+};
+
+/**
+ * Calculate every association measure between topics, with significance tests.
+ * p-values of the correlations come from Fisher's z-transformation, and q-values
+ * correct them for testing all topic pairs at once.
+ * @param {Object} matrix Normalized document × topic matrix from buildTopicMatrix
+ * @param {Object} rawMatrix Unnormalized matrix (strategy 'none'), used for partial correlations:
+ *   controlling for all other shares of a document that sum to one leaves every pair slightly
+ *   positively related, even for unrelated topics
+ * @returns {Object} Object keyed by ASSOCIATION_MEASURES, each holding { values, pValues, qValues }
+ *   topic × topic matrices in topic order
+ */
+export const calculateTopicAssociations = (matrix, rawMatrix = matrix) => {
+  const { rowCount, topicCount } = matrix;
+  const correlationPValues = (correlations, controls) => buildSymmetric(
+    topicCount,
+    (i, j) => correlationPValue(correlations[i][j], rowCount, controls),
+    0
+  );
+
+  const pearson = correlationMatrix(matrix);
+  const spearman = correlationMatrix(rankColumns(matrix));
+  const partial = partialCorrelations(rawMatrix);
+
+  const measures = {
+    pearson: { values: pearson, pValues: correlationPValues(pearson, 0) },
+    spearman: { values: spearman, pValues: correlationPValues(spearman, 0) },
+    partial: { values: partial, pValues: correlationPValues(partial, Math.max(0, topicCount - 2)) },
+    pmi: coOccurrence(matrix)
+  };
+
+  Object.values(measures).forEach(measure => {
+    measure.qValues = adjustPairs(measure.pValues);
+  });
+  return measures;
+};
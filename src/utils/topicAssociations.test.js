@@ -0,0 +1,129 @@
+import { calculateTopicAssociations } from './topicAssociations';
+import { correlationMatrix, correlationPValue, createRandom, invertMatrix, rankColumns } from './statistics';
+import { matrixFromRows } from './dataProcessing';
+
+/**
+ * Documents whose weight is split evenly over the topics they contain
+ * @param {Array} topicSets Topics of each document, as arrays of column indices
+ * @param {Number} topicCount Number of topics
+ * @returns {Object} Document × topic matrix
+ */
+const documentsWith = (topicSets, topicCount) => matrixFromRows(topicSets.map(topics => (
+  Array.from({ length: topicCount }, (_, t) => (topics.includes(t) ? 1 / topics.length : 0))
+)));
+
+describe('correlations', () => {
+  test('Pearson correlation of a textbook example', () => {
+    // Σxy deviations = 6, Σx² = 10, Σy² = 6, so r = 6 / √60
+    const [[, r]] = correlationMatrix(matrixFromRows([[1, 2], [2, 4], [3, 5], [4, 4], [5, 5]]));
+    expect(r).toBeCloseTo(Math.sqrt(0.6), 12);
+  });
+
+  test('rankColumns averages tied ranks', () => {
+    const { values } = rankColumns(matrixFromRows([[0.3], [0.1], [0.2], [0.2]]));
+    expect(Array.from(values)).toEqual([4, 1, 2.5, 2.5]);
+  });
+
+  test("correlationPValue follows Fisher's z-transformation", () => {
+    // atanh(0.5) × √25 = 2.7465, two-sided p = 0.00602
+    expect(correlationPValue(0.5, 28)).toBeCloseTo(0.0060230, 6);
+    // One control removes one degree of freedom
+    expect(correlationPValue(0.5, 29, 1)).toBeCloseTo(correlationPValue(0.5, 28), 12);
+    expect(correlationPValue(0.9, 3)).toBe(1);
+  });
+
+  test('invertMatrix inverts and detects singular matrices', () => {
+    const inverse = invertMatrix([[4, 7], [2, 6]]);
+    [[0.6, -0.7], [-0.2, 0.4]].forEach((row, i) => row.forEach((value, j) => {
+      expect(inverse[i][j]).toBeCloseTo(value, 12);
+    }));
+    expect(invertMatrix([[1, 2], [2, 4]])).toBeNull();
+  });
+});
+
+describe('partial correlations', () => {
+  test('match the first-order formula for three topics', () => {
+    // Topics 0 and 1 both follow topic 2, and are unrelated once it is controlled for
+    const random = createRandom(2);
+    const matrix = matrixFromRows(Array.from({ length: 50 }, () => {
+      const shared = random();
+      return [shared + random() * 0.5, shared + random() * 0.5 + 0.1, shared];
+    }));
+    const { pearson, partial } = calculateTopicAssociations(matrix);
+    const r = pearson.values;
+
+    const expected = (r[0][1] - r[0][2] * r[1][2]) / Math.sqrt((1 - r[0][2] ** 2) * (1 - r[1][2] ** 2));
+    expect(partial.values[0][1]).toBeCloseTo(expected, 10);
+    expect(partial.values[1][0]).toBe(partial.values[0][1]);
+    expect(r[0][1]).toBeGreaterThan(0.5);
+    expect(Math.abs(partial.values[0][1])).toBeLessThan(0.2);
+    // Controlling for one other topic
+    expect(partial.pValues[0][1]).toBeCloseTo(correlationPValue(partial.values[0][1], 50, 1), 12);
+  });
+
+  test('stay defined when the shares of every document sum to one', () => {
+    const random = createRandom(8);
+    const matrix = matrixFromRows(Array.from({ length: 60 }, () => {
+      const weights = [random(), random(), random(), random()];
+      const total = weights.reduce((sum, weight) => sum + weight, 0);
+      return weights.map(weight => weight / total);
+    }));
+    const { partial } = calculateTopicAssociations(matrix);
+
+    const pairs = partial.values.flatMap((row, i) => row.filter((value, j) => j !== i));
+    pairs.forEach(value => {
+      expect(Number.isFinite(value)).toBe(true);
+      expect(Math.abs(value)).toBeLessThanOrEqual(1);
+    });
+    // A singular matrix would have left every pair at 0
+    expect(pairs.some(value => value !== 0)).toBe(true);
+  });
+});
+
+describe('dominant-topic co-occurrence', () => {
+  test('NPMI and chi-square of a known 2 × 2 table', () => {
+    // Topic 0 leads 5 of 10 documents, topic 1 leads 4, and they lead 3 together:
+    // NPMI = log2(0.3 / (0.5 × 0.4)) / -log2(0.3), χ² = 10 × (3 × 4 - 2 × 1)² / (5 × 4 × 5 × 6) = 5/3
+    const matrix = documentsWith([[0, 1], [0, 1], [0, 1], [0], [0], [1], [2], [2], [2], [2]], 3);
+    const { pmi } = calculateTopicAssociations(matrix);
+
+    expect(pmi.values[0][1]).toBeCloseTo(Math.log2(1.5) / -Math.log2(0.3), 12);
+    expect(pmi.values[0][1]).toBeCloseTo(0.3367726, 6);
+    expect(pmi.pValues[0][1]).toBeCloseTo(0.1967057, 6);
+  });
+
+  test('NPMI is 0 for independent, 1 for inseparable and -1 for exclusive topics', () => {
+    const independent = calculateTopicAssociations(documentsWith([[0, 1], [0, 1], [0], [0], [1], [1], [2], [2]], 3));
+    expect(independent.pmi.values[0][1]).toBeCloseTo(0, 12);
+    expect(independent.pmi.values[0][2]).toBe(-1);
+    // χ² is 0 for independent topics
+    expect(independent.pmi.pValues[0][1]).toBeCloseTo(1, 6);
+
+    const inseparable = calculateTopicAssociations(documentsWith([[0, 1], [0, 1], [0, 1], [2]], 3));
+    expect(inseparable.pmi.values[0][1]).toBeCloseTo(1, 12);
+  });
+
+  test('counts only the three leading topics of each document', () => {
+    const matrix = matrixFromRows([
+      [0.4, 0.3, 0.2, 0.1],
+      [0.4, 0.3, 0.2, 0.1],
+      [0.1, 0.2, 0.3, 0.4]
+    ]);
+    const { pmi } = calculateTopicAssociations(matrix);
+
+    // Topic 3 only leads the last document, where topic 0 is left out
+    expect(pmi.values[0][3]).toBe(-1);
+    expect(pmi.values[1][3]).toBeGreaterThan(-1);
+  });
+
+  test('q-values adjust the p-values of all pairs together', () => {
+    const matrix = documentsWith([[0, 1], [0, 1], [0, 1], [0], [0], [1], [2], [2], [2], [2]], 3);
+    const { pmi } = calculateTopicAssociations(matrix);
+    const pValues = [pmi.pValues[0][1], pmi.pValues[0][2], pmi.pValues[1][2]];
+    const sorted = [...pValues].sort((a, b) => a - b);
+
+    // Benjamini-Hochberg with three pairs
+    expect(pmi.qValues[0][2]).toBeCloseTo(Math.min(sorted[0] * 3, sorted[1] * 3 / 2, sorted[2]), 12);
+    expect(pmi.qValues[2][0]).toBe(pmi.qValues[0][2]);
+  });
+});
@@ -0,0 +1,23 @@
+// Matches the per-topic columns of the document file (Topic_1 ... Topic_k)
+export const TOPIC_KEY_PATTERN = /^Topic_(\d+)$/;
+
+/**
+ * Get the topic number from a topic key
+ * @param {String} topicKey Topic key such as "Topic_7"
+ * @returns {Number} Topic number (1-indexed)
+ */
+export const getTopicNumber = (topicKey) => parseInt(topicKey.replace("Topic_", ""));
+
+/**
+ * Detect the topic columns present in the document topic distributions
+ * @param {Array} documentTopics Array of document objects
+ * @returns {Array} Topic keys (e.g. "Topic_1") sorted by topic number
+ */
+export const detectTopicKeys = (documentTopics) => {
+  if (!documentTopics.length) return [];
+  
+  // Every parsed row has the same header fields, so the first row is enough
+  return Object.keys(documentTopics[0])
+    .filter(key => TOPIC_KEY_PATTERN.test(key))
+    .sort((a, b) => getTopicNumber(a) - getTopicNumber(b));
+};
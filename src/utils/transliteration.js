@@ -0,0 +1,101 @@
+// Scripts the interface can show Kazakh text in, with their labels in that script
+export const SCRIPTS = {
+  cyrillic: 'Кирил',
+  latin: 'Latyn'
+};
+
+// Lowercase Cyrillic letters and their spelling in the 2021 Kazakh Latin alphabet.
+// Letters outside the Kazakh alphabet (Ё, Ц, Ч, Щ, Э, Ю, Я) are written as letter
+// combinations and the hard and soft signs are dropped.
+const CYRILLIC_TO_LATIN = {
+  'а': 'a', 'ә': 'ä', 'б': 'b', 'в': 'v', 'г': 'g', 'ғ': 'ğ', 'д': 'd', 'е': 'e',
+  'ё': 'io', 'ж': 'j', 'з': 'z', 'и': 'i', 'й': 'i', 'к': 'k', 'қ': 'q', 'л': 'l',
+  'м': 'm', 'н': 'n', 'ң': 'ñ', 'о': 'o', 'ө': 'ö', 'п': 'p', 'р': 'r', 'с': 's',
+  'т': 't', 'у': 'u', 'ұ': 'ū', 'ү': 'ü', 'ф': 'f', 'х': 'h', 'һ': 'h', 'ц': 'ts',
+  'ч': 'ch', 'ш': 'ş', 'щ': 'ş', 'ъ': '', 'ы': 'y', 'і': 'ı', 'ь': '', 'э': 'e',
+  'ю': 'iu', 'я': 'ia'
+};
+
+// Capitals that are not the plain uppercase of their lowercase spelling
+const CAPITAL_EXCEPTIONS = {
+  'І': 'I',
+  'И': 'İ',
+  'Й': 'İ'
+};
+
+/**
+ * Check whether a character is an uppercase letter
+ * @param {String} char Single character (may be undefined)
+ * @returns {Boolean} True for uppercase letters
+ */
+const isUpperCase = (char) => Boolean(char) && char !== char.toLowerCase() && char === char.toUpperCase();
+
+/**
+ * Transliterate Kazakh Cyrillic text to the 2021 Latin alphabet.
+ * Other characters (Latin letters, digits, punctuation) are kept as they are.
+ * @param {*} text Text to transliterate (non-strings are converted)
+ * @returns {String} Latin text
+ */
+export const toLatin = (text) => {
+  if (text === null || text === undefined) return '';
+  const chars = Array.from(String(text).normalize('NFC'));
+
+  return chars.map((char, i) => {
+    const lower = char.toLowerCase();
+    const latin = CYRILLIC_TO_LATIN[lower];
+    if (latin === undefined) return char;
+    if (char === lower || latin === '') return latin;
+    if (CAPITAL_EXCEPTIONS[char]) return CAPITAL_EXCEPTIONS[char];
+
+    // Multi-letter spellings are fully capitalized inside uppercase words ("ЦЕХ" → "TSEH")
+    const inUpperWord = isUpperCase(chars[i + 1]) || (isUpperCase(chars[i - 1]) && !/\p{L}/u.test(chars[i + 1] || ''));
+    return inUpperWord ? latin.toUpperCase() : latin.charAt(0).toUpperCase() + latin.slice(1);
+  }).join('');
+};
+
+/**
+ * Show text in the chosen script
+ * @param {*} text Kazakh text as stored in the data files (Cyrillic)
+ * @param {String} script One of the SCRIPTS keys
+ * @returns {String} Text in that script
+ */
+export const toScript = (text, script) => {
+  if (text === null || text === undefined) return '';
+  return script === 'latin' ? toLatin(text) : String(text);
+};
+
+/**
+ * Reduce text to a script-independent search key: transliterated to Latin,
+ * lowercased and stripped of diacritics, so "Әуезов", "Äuezov" and "auezov" share a key
+ * @param {*} text Text in either script
+ * @returns {String} Search key
+ */
+export const toSearchKey = (text) => {
+  return toLatin(text)
+    .toLowerCase()
+    .replace(/ı/g, 'i')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '');
+};
+
+/**
+ * Check whether text matches a search query typed in either script
+ * @param {*} text Text to search in
+ * @param {String} query Search query
+ * @returns {Boolean} True when the query is empty or found in the text
+ */
+export const matchesQuery = (text, query) => {
+  const key = toSearchKey(query).trim();
+  return key === '' || toSearchKey(text).includes(key);
+};
+
+/**
+ * Show the topic names of a label file in the chosen script
+ * @param {Array} topicLabels Array of topic label objects
+ * @param {String} script One of the SCRIPTS keys
+ * @returns {Array} Topic labels with "Topic Name" in that script
+ */
+export const topicLabelsInScript = (topicLabels, script) => {
+  if (script !== 'latin') return topicLabels;
+  return topicLabels.map(label => ({ ...label, "Topic Name": toLatin(label["Topic Name"]) }));
+};
@@ -0,0 +1,55 @@
+import { matchesQuery, toLatin, toScript, toSearchKey, topicLabelsInScript } from './transliteration';
+
+describe('toLatin', () => {
+  test('spells the Kazakh letters as in the 2021 alphabet', () => {
+    expect(toLatin('ә ғ қ ң ө ұ ү һ і')).toBe('ä ğ q ñ ö ū ü h ı');
+    expect(toLatin('Ә Ғ Қ Ң Ө Ұ Ү Һ І')).toBe('Ä Ğ Q Ñ Ö Ū Ü H I');
+  });
+
+  test('transliterates words and names', () => {
+    expect(toLatin('Мұхтар Әуезов')).toBe('Mūhtar Äuezov');
+    expect(toLatin('Қазақ әдебиеті')).toBe('Qazaq ädebietı');
+    expect(toLatin('Ілияс Есенберлин')).toBe('Iliias Esenberlin');
+    expect(toLatin('Шоқан Уәлиханов')).toBe('Şoqan Uälihanov');
+  });
+
+  test('writes letters outside the Kazakh alphabet as combinations and drops the signs', () => {
+    expect(toLatin('Чехов')).toBe('Chehov');
+    expect(toLatin('ЦЕХ')).toBe('TSEH');
+    expect(toLatin('Юрий, Ясауи')).toBe('Iurii, Iasaui');
+    expect(toLatin('съезд, альбом')).toBe('sezd, albom');
+  });
+
+  test('keeps other characters and accepts any value', () => {
+    expect(toLatin('Topic 7: 1920–1930')).toBe('Topic 7: 1920–1930');
+    expect(toLatin(1942)).toBe('1942');
+    expect(toLatin(null)).toBe('');
+  });
+});
+
+describe('searching across scripts', () => {
+  test('toSearchKey gives both scripts the same key', () => {
+    expect(toSearchKey('Әуезов')).toBe('auezov');
+    expect(toSearchKey('Äuezov')).toBe('auezov');
+    expect(toSearchKey('Ғабит Мүсірепов')).toBe(toSearchKey('Ğabit Müsırepov'));
+    expect(toSearchKey('Көшпенділер')).toBe('kospendiler');
+  });
+
+  test('matchesQuery finds Cyrillic titles from Latin queries and back', () => {
+    expect(matchesQuery('Абай жолы', 'abai')).toBe(true);
+    expect(matchesQuery('Абай жолы', 'ЖОЛЫ')).toBe(true);
+    expect(matchesQuery('Qan men ter', 'қан мен')).toBe(true);
+    expect(matchesQuery('Көшпенділер', 'köşpendı')).toBe(true);
+    expect(matchesQuery('Абай жолы', 'Қан')).toBe(false);
+    expect(matchesQuery('Абай жолы', '  ')).toBe(true);
+  });
+});
+
+test('toScript and topicLabelsInScript only change Latin output', () => {
+  const labels = [{ "Topic Number": 'Topic 1', "Topic Name": 'Дала' }];
+
+  expect(toScript('Дала', 'cyrillic')).toBe('Дала');
+  expect(toScript('Дала', 'latin')).toBe('Dala');
+  expect(topicLabelsInScript(labels, 'cyrillic')).toBe(labels);
+  expect(topicLabelsInScript(labels, 'latin')).toEqual([{ "Topic Number": 'Topic 1', "Topic Name": 'Dala' }]);
+});
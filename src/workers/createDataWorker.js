@@ -0,0 +1,7 @@
+/**
+ * Start the data worker. Webpack bundles the worker from this
+ * `new Worker(new URL(..., import.meta.url))` pattern; the client imports this
+ * module lazily so environments without workers (Jest) never parse import.meta.
+ * @returns {Worker} New data worker
+ */
+export const createDataWorker = () => new Worker(new URL('./dataWorker.js', import.meta.url));
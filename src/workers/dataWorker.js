@@ -0,0 +1,54 @@
+/* eslint-disable no-restricted-globals */
+import { loadAllData } from '../utils/dataProcessing';
+import { projectDocuments } from '../utils/projection';
+import { buildNeighbourIndex } from '../utils/neighbourIndex';
+
+/**
+ * Dedicated worker that fetches, parses and aggregates the corpus, indexes similar books and
+ * projects books onto the literary map, off the main thread.
+ *
+ * Messages received: { id, type, payload }
+ * Messages sent:     { id, type: 'progress', progress }
+ *                    { id, type: 'result', result }
+ *                    { id, type: 'update', result }  (fresh data, or null, after cached data was served)
+ *                    { id, type: 'error', error }
+ */
+
+// Handlers for each request type, receiving the payload, a progress callback and an update callback
+const handlers = {
+  load: (payload, onProgress, onUpdate) => loadAllData({ ...payload, onProgress, onRevalidate: onUpdate }),
+  project: (payload, onProgress) => projectDocuments({ ...payload, onProgress }),
+  neighbours: ({ matrix, metric }) => buildNeighbourIndex(matrix, metric)
+};
+
+/**
+ * Convert an error into a structured-clone friendly object
+ * @param {Error} error Error thrown by a handler
+ * @returns {Object} Plain object with name, message and validation failures
+ */
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  failures: error.failures || null
+});
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+  const handler = handlers[type];
+  
+  if (!handler) {
+    self.postMessage({ id, type: 'error', error: { name: 'Error', message: `Unknown request type: ${type}` } });
+    return;
+  }
+  
+  try {
+    const result = await handler(
+      payload,
+      progress => self.postMessage({ id, type: 'progress', progress }),
+      update => self.postMessage({ id, type: 'update', result: update })
+    );
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', error: serializeError(error) });
+  }
+};